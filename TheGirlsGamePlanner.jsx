@@ -1,8 +1,18 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, collection, query, getDocs, deleteDoc } from 'firebase/firestore';
-import { User, Settings, Play, Save, Unlock, Loader2, Star } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { initializeApp, getApps, getApp } from 'firebase/app';
+import {
+  getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator, signOut,
+  createUserWithEmailAndPassword, signInWithEmailAndPassword, EmailAuthProvider, linkWithCredential,
+  sendSignInLinkToEmail, isSignInWithEmailLink, signInWithEmailLink,
+} from 'firebase/auth';
+import {
+  initializeFirestore, getFirestore, persistentLocalCache, persistentMultipleTabManager, doc, setDoc, getDoc, updateDoc, collection, query, where, getDocs, deleteDoc, deleteField,
+  writeBatch, onSnapshot, connectFirestoreEmulator,
+} from 'firebase/firestore';
+import {
+  User, Users, Settings, Play, Pause, Save, Unlock, Loader2, Star, Trophy, Calendar, Printer, Scale, LogOut, Cloud, CloudOff,
+  Download, Share2, TrendingUp, Upload,
+} from 'lucide-react';
 
 // --- CONFIGURATION & CONSTANTS ---
 
@@ -15,7 +25,7 @@ const COLORS = {
   GOLD: '#AF9542', // Premiership/Premium features
 };
 
-// Fixed match durations based on FA guidelines (default)
+// Default match durations based on FA guidelines; the coach can change them per match
 const MATCH_DURATIONS = {
   '5v5': 40,
   '7v7': 50,
@@ -23,6 +33,31 @@ const MATCH_DURATIONS = {
   '11v11': 70, // Base duration for older age groups, subject to manual check/override note
 };
 
+// Equal period structures; 'Custom' uses settings.periodLengths instead
+const PERIOD_STRUCTURES = { Halves: 2, Thirds: 3, Quarters: 4 };
+
+// The match settings a rules preset sets (see RULE_PRESETS)
+const RULE_SETTINGS = [
+  'gameFormat', 'matchDuration', 'matchPeriods', 'periodLengths', 'drinksBreak', 'subRule',
+  'maxSquad', 'isPermanentGK', 'gkRotateEvery',
+];
+
+/**
+ * Typical rules by age group and league. Applying one sets the RULE_SETTINGS, which stay
+ * editable; leagues differ, so coaches can save their own next to these.
+ * subRule 'rolling' allows subs at any time, 'stoppage' only at breaks (period starts and
+ * drinks breaks). maxSquad is the matchday squad limit (null = no limit).
+ */
+const RULE_PRESETS = [
+  { name: 'U7 (5v5, 4 x 10)', gameFormat: '5v5', matchDuration: 40, matchPeriods: 'Quarters', periodLengths: [], drinksBreak: false, subRule: 'rolling', maxSquad: 8, isPermanentGK: false, gkRotateEvery: 'Period' },
+  { name: 'U8 (5v5, 2 x 20)', gameFormat: '5v5', matchDuration: 40, matchPeriods: 'Halves', periodLengths: [], drinksBreak: false, subRule: 'rolling', maxSquad: 8, isPermanentGK: false, gkRotateEvery: 'Half' },
+  { name: 'U9-U10 (7v7, 2 x 25)', gameFormat: '7v7', matchDuration: 50, matchPeriods: 'Halves', periodLengths: [], drinksBreak: false, subRule: 'rolling', maxSquad: 12, isPermanentGK: true, gkRotateEvery: 'Half' },
+  { name: 'U11-U12 (9v9, 2 x 30)', gameFormat: '9v9', matchDuration: 60, matchPeriods: 'Halves', periodLengths: [], drinksBreak: false, subRule: 'rolling', maxSquad: 14, isPermanentGK: true, gkRotateEvery: 'Half' },
+  { name: 'U12 Tournament (9v9, 2 x 15)', gameFormat: '9v9', matchDuration: 30, matchPeriods: 'Halves', periodLengths: [], drinksBreak: false, subRule: 'stoppage', maxSquad: 12, isPermanentGK: true, gkRotateEvery: 'Half' },
+  { name: 'U13-U14 (11v11, 2 x 35)', gameFormat: '11v11', matchDuration: 70, matchPeriods: 'Halves', periodLengths: [], drinksBreak: false, subRule: 'rolling', maxSquad: 16, isPermanentGK: true, gkRotateEvery: 'Half' },
+  { name: 'Summer League (7v7, 2 x 25, drinks breaks)', gameFormat: '7v7', matchDuration: 50, matchPeriods: 'Halves', periodLengths: [], drinksBreak: true, subRule: 'stoppage', maxSquad: 12, isPermanentGK: false, gkRotateEvery: 'Half' },
+];
+
 
 // Formations and their position mappings (Outfield only)
 const FORMATIONS = {
@@ -77,6 +112,40 @@ const ALL_POSITIONS = [
   'CDM', 'CAM', 'RW', 'LW', 'ST', 'ST-R', 'ST-L'
 ];
 
+// Where each position sits on the pitch visuals, in % from the top (attack) and left
+const POSITION_COORDINATES = {
+  // Defense
+  GK: { y: 95, x: 50 },
+  RB: { y: 80, x: 20 }, LB: { y: 80, x: 80 },
+  CD: { y: 85, x: 50 }, 'CD-R': { y: 85, x: 35 }, 'CD-L': { y: 85, x: 65 },
+
+  // Midfield
+  CDM: { y: 70, x: 50 }, 'CDM-R': { y: 70, x: 30 }, 'CDM-L': { y: 70, x: 70 },
+  CM: { y: 50, x: 50 }, 'CM-R': { y: 50, x: 30 }, 'CM-L': { y: 50, x: 70 },
+  CAM: { y: 35, x: 50 },
+
+  // Attack
+  RW: { y: 25, x: 15 }, LW: { y: 25, x: 85 },
+  ST: { y: 15, x: 50 }, 'ST-R': { y: 20, x: 35 }, 'ST-L': { y: 20, x: 65 },
+};
+
+// Match settings saved with a squad as its "match template". Squad size comes from
+// the player list, so it isn't stored.
+const TEMPLATE_SETTINGS = [
+  'gameFormat', 'selectedFormation', 'matchDuration', 'matchPeriods', 'periodLengths', 'drinksBreak',
+  'subRule', 'maxSquad', 'isPermanentGK', 'gkRotateEvery', 'planType', 'subInterval', 'firstSubTime',
+  'maxSubs', 'formationChanges', 'rotationSolver', 'maxBenchSpell',
+];
+
+// Fields of a player profile (see PlayerProfile), shared by every squad that lists the player
+const PROFILE_FIELDS = [
+  'name', 'shirtNumber', 'photo', 'role', 'preferredPosition', 'secondaryPosition',
+  'neverPosition', 'preferredFoot', 'canPlayGK', 'notes',
+];
+const PREFERRED_FEET = ['Right', 'Left', 'Both'];
+// Profile photos are kept in the profile itself as square JPEGs of this many pixels
+const PROFILE_PHOTO_SIZE = 96;
+
 // --- UTILITY FUNCTIONS ---
 
 /**
@@ -94,9 +163,173 @@ const retryFetch = async (apiCall, maxRetries = 5) => {
     }
 };
 
+/**
+ * Settings moved to another format: the format's default duration, and halves in place of
+ * custom period lengths (they were set for the old duration).
+ */
+const switchGameFormat = (settings, gameFormat) => ({
+  ...settings,
+  gameFormat,
+  matchDuration: MATCH_DURATIONS[gameFormat],
+  ...(settings.matchPeriods === 'Custom' ? { matchPeriods: 'Halves', periodLengths: [] } : {}),
+});
+
+/**
+ * Picks the RULE_SETTINGS out of a settings object or preset.
+ */
+const pickRuleSettings = (settings) => Object.fromEntries(
+    RULE_SETTINGS.filter(key => settings[key] !== undefined).map(key => [key, settings[key]])
+);
+
+/**
+ * Picks the match template fields out of a settings object. Squads saved before
+ * templates existed have no settings, which gives an empty template.
+ */
+const pickTemplateSettings = (settings = {}) => Object.fromEntries(
+    TEMPLATE_SETTINGS.filter(key => settings[key] !== undefined).map(key => [key, settings[key]])
+);
+
+/**
+ * A player's profile, saved per user under 'players' with the player's id as the document
+ * id. Roster rows carry the same fields plus the match-day `manualMinutes`.
+ * @typedef {Object} PlayerProfile
+ * @property {string} id
+ * @property {string} name
+ * @property {number|null} shirtNumber
+ * @property {string} photo - Data URL from readProfilePhoto, or '' for none.
+ * @property {'GK'|'Outfield'} role
+ * @property {string} preferredPosition
+ * @property {string} secondaryPosition
+ * @property {string} neverPosition
+ * @property {''|'Right'|'Left'|'Both'} preferredFoot
+ * @property {boolean} canPlayGK
+ * @property {string} notes - Private coach notes; only shown in the profile editor.
+ */
+
+/**
+ * Picks the PROFILE_FIELDS a roster row or profile has set.
+ */
+const pickProfileFields = (player) => Object.fromEntries(
+    PROFILE_FIELDS.filter(key => player[key] !== undefined).map(key => [key, player[key]])
+);
+
+/**
+ * A saved squad's players. Squads list profile ids, so an edited profile shows up in every
+ * squad; manual minutes are kept per squad. Squads saved before profiles carry their own
+ * copies of the players, with any matching profile on top.
+ * @param {{ playerIds?: string[], players?: Object[], manualMinutes?: Object<string, number> }} squad
+ * @param {PlayerProfile[]} profiles
+ */
+const getSquadPlayers = (squad, profiles) => {
+  const profileOf = (id) => profiles.find(p => p.id === id);
+  if (!squad.playerIds) {
+    return (squad.players || []).map(copy => ({ ...copy, ...pickProfileFields(profileOf(copy.id) || {}) }));
+  }
+  const manualMinutes = squad.manualMinutes || {};
+  return squad.playerIds
+    .filter(profileOf)
+    .map(id => ({
+      ...pickProfileFields(profileOf(id)),
+      id,
+      manualMinutes: manualMinutes[id] !== undefined ? manualMinutes[id] : null,
+    }));
+};
+
+/**
+ * Initials for a player circle without a photo or shirt number, e.g. 'Ella Jones' -> 'EJ'.
+ */
+const getInitials = (name) => name.split(' ').filter(Boolean).map(n => n[0]).join('');
+
+/**
+ * Reads an image file into a square JPEG data URL, cropped to the centre and scaled to
+ * PROFILE_PHOTO_SIZE, small enough to keep in the profile document.
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+const readProfilePhoto = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onerror = () => reject(reader.error);
+  reader.onload = () => {
+    const image = new Image();
+    image.onerror = () => reject(new Error('Not an image file.'));
+    image.onload = () => {
+      const side = Math.min(image.width, image.height);
+      const canvas = document.createElement('canvas');
+      canvas.width = PROFILE_PHOTO_SIZE;
+      canvas.height = PROFILE_PHOTO_SIZE;
+      canvas.getContext('2d').drawImage(
+        image, (image.width - side) / 2, (image.height - side) / 2, side, side, 0, 0, PROFILE_PHOTO_SIZE, PROFILE_PHOTO_SIZE
+      );
+      resolve(canvas.toDataURL('image/jpeg', 0.8));
+    };
+    image.src = reader.result;
+  };
+  reader.readAsDataURL(file);
+});
+
+/**
+ * Hands `content` to the browser as a file download.
+ * @param {string} content
+ * @param {string} fileName
+ * @param {string} type - MIME type, e.g. 'text/plain;charset=utf-8'.
+ */
+const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * A coach's own formation, saved per user next to squads. Positions are unique within a
+ * formation, so coordinates are keyed by position like POSITION_COORDINATES.
+ * @typedef {Object} CustomFormation
+ * @property {string} id
+ * @property {string} name
+ * @property {string} gameFormat
+ * @property {string[]} slots - Outfield positions, in slot order.
+ * @property {Object<string, {x: number, y: number}>} coordinates - Pitch % per position.
+ */
+
+/**
+ * The formations for a format as name -> outfield positions: the built-in ones, then the
+ * coach's own. Everything that reads a formation goes through here (or getFormationPositions).
+ * @param {CustomFormation[]} [customFormations]
+ */
+const getFormations = (gameFormat, customFormations = []) => ({
+    ...(FORMATIONS[gameFormat]?.formations || {}),
+    ...Object.fromEntries(customFormations.filter(f => f.gameFormat === gameFormat).map(f => [f.name, f.slots])),
+});
+
+/**
+ * The outfield positions of the selected formation; `settings.customFormations` holds the coach's own.
+ */
+const getFormationPositions = (settings) =>
+    getFormations(settings.gameFormat, settings.customFormations)[settings.selectedFormation] || [];
+
+/**
+ * Pitch coordinates for a formation: the shared map, with a custom formation's own spots on top.
+ * @param {CustomFormation[]} [customFormations]
+ */
+const getFormationCoordinates = (gameFormat, formationName, customFormations = []) => {
+    const custom = customFormations.find(f => f.gameFormat === gameFormat && f.name === formationName);
+    return custom ? { ...POSITION_COORDINATES, ...custom.coordinates } : POSITION_COORDINATES;
+};
+
+/**
+ * Today's (or the given) date as YYYY-MM-DD in local time, the format date inputs use.
+ */
+const getLocalDateString = (date = new Date()) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
 /**
  * Creates a path reference for a user's private data in Firestore.
- * @param {string} collectionName - 'squads' or 'settings'.
+ * @param {string} collectionName - 'squads', 'players', 'fixtures', 'matches', 'formations', 'presets', 'settings',
+ *   'entitlements' or 'usage'.
  * @param {string} userId - The unique ID of the current user.
  * @returns {string} The full Firestore path.
  */
@@ -106,6 +339,30 @@ const getPrivatePath = (collectionName, userId) => {
     return `artifacts/${appId}/users/${userId}/${collectionName}`;
 };
 
+/**
+ * The collection of teams (see Team), or one of a team's collections when teamId is given.
+ * A team's collections are laid out like a user's own (see getPrivatePath).
+ */
+const getTeamPath = (teamId = null, collectionName = null) => {
+    const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+    return teamId ? `artifacts/${appId}/teams/${teamId}/${collectionName}` : `artifacts/${appId}/teams`;
+};
+
+/**
+ * Team invite codes, one document per code: { teamId, teamName, role, createdAt }. The team's
+ * current codes are also kept in its 'inviteCodes' collection (see Team).
+ */
+const getInvitesPath = () => {
+    const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+    return `artifacts/${appId}/invites`;
+};
+
+/**
+ * A collection in the workspace being worked in: the team's when teamId is set, else the user's own.
+ */
+const getWorkspacePath = (collectionName, userId, teamId = null) =>
+    (teamId ? getTeamPath(teamId, collectionName) : getPrivatePath(collectionName, userId));
+
 // --- FIREBASE INITIALIZATION & AUTH HOOK ---
 
 const useFirebase = () => {
@@ -117,8 +374,11 @@ const useFirebase = () => {
 
   // Constants provided by the Canvas environment
   const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-  const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
+  // Parsed once: a new object each render would re-run the set-up below
+  const firebaseConfig = useMemo(() => (typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null), []);
   const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+  // Set to run against the local Auth and Firestore emulators (see firebase.json)
+  const useEmulators = typeof __use_firebase_emulators !== 'undefined' && __use_firebase_emulators;
 
   useEffect(() => {
     if (!firebaseConfig) {
@@ -128,10 +388,21 @@ const useFirebase = () => {
     }
 
     try {
-      // 1. Initialize Firebase
-      const app = initializeApp(firebaseConfig);
-      const firestore = getFirestore(app);
+      // 1. Initialize Firebase, once: if the effect runs again (e.g. React's strict mode) the
+      // app and its Firestore already exist and can't be set up a second time
+      const isNewApp = getApps().length === 0;
+      const app = isNewApp ? initializeApp(firebaseConfig) : getApp();
+      // Firestore keeps a copy of the data in IndexedDB, so everything opens with no signal
+      // and writes made offline are sent once back online (see useSyncStatus)
+      const firestore = isNewApp
+        ? initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) })
+        : getFirestore(app);
       const authInstance = getAuth(app);
+      if (useEmulators && isNewApp) {
+        connectFirestoreEmulator(firestore, 'localhost', 8080);
+        connectAuthEmulator(authInstance, 'http://localhost:9099');
+        console.log('Using the Firebase emulators.');
+      }
       setDb(firestore);
       setAuth(authInstance);
 
@@ -167,7 +438,7 @@ const useFirebase = () => {
       console.error('Error initializing Firebase:', e);
       setError(`Firebase Initialization Error: ${e.message}`);
     }
-  }, [firebaseConfig, initialAuthToken]);
+  }, [firebaseConfig, initialAuthToken, useEmulators]);
 
   const firestorePath = useMemo(() => {
     if (userId) {
@@ -180,32 +451,561 @@ const useFirebase = () => {
   return { db, auth, userId, isAuthReady, firestorePath, appId, error };
 };
 
+// --- ACCOUNTS ---
+
+// Where the email a sign-in link was sent to is kept until the link is opened
+const EMAIL_FOR_SIGN_IN_KEY = 'tggp.emailForSignIn';
+
+/**
+ * The signed-in user as the UI needs them. Guests (anonymous users) have no email.
+ * @typedef {Object} Account
+ * @property {string} uid
+ * @property {string|null} email
+ * @property {boolean} isAnonymous
+ */
+const toAccount = (user) => ({ uid: user.uid, email: user.email, isAnonymous: user.isAnonymous });
+
+/**
+ * A coach-readable message for a Firebase Auth error.
+ */
+const getAuthErrorMessage = (e) => {
+  switch (e.code) {
+    case 'auth/invalid-credential':
+    case 'auth/wrong-password':
+    case 'auth/user-not-found':
+      return 'Wrong email or password.';
+    case 'auth/email-already-in-use':
+    case 'auth/credential-already-in-use':
+      return 'There is already an account with this email. Sign in instead.';
+    case 'auth/weak-password':
+      return 'Passwords need at least 6 characters.';
+    case 'auth/invalid-email':
+      return 'That email address is not valid.';
+    case 'auth/invalid-action-code':
+    case 'auth/expired-action-code':
+      return 'That sign-in link has expired or was already used. Send a new one.';
+    default:
+      return e.message;
+  }
+};
+
+/**
+ * Email/password and magic-link sign-in on top of useFirebase's guest session.
+ * Creating an account (or opening a sign-in link) as a guest links the email to
+ * the guest's uid, so everything saved so far stays with the account; signing in
+ * to an existing account switches to that account's data. Signing out starts a new
+ * guest session. The actions throw Firebase Auth errors (see getAuthErrorMessage).
+ * On the Auth emulator, sign-in links aren't emailed but shown in the emulator's log.
+ */
+const useAccount = (auth) => {
+  const [account, setAccount] = useState(null); // Account | null
+  const [accountNotice, setAccountNotice] = useState('');
+
+  useEffect(() => {
+    if (!auth) return undefined;
+    return onAuthStateChanged(auth, (user) => setAccount(user ? toAccount(user) : null));
+  }, [auth]);
+
+  // Finishes a magic-link sign-in once the guest session is up, when the page was opened from the link
+  useEffect(() => {
+    if (!auth || !account || !isSignInWithEmailLink(auth, window.location.href)) return;
+
+    const link = window.location.href;
+    window.history.replaceState(null, '', window.location.pathname); // a link only works once
+    const email = window.localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY) || window.prompt('Confirm your email to finish signing in');
+    if (!email) return;
+
+    const finishSignIn = async () => {
+      try {
+        if (auth.currentUser && auth.currentUser.isAnonymous) {
+          try {
+            const { user } = await linkWithCredential(auth.currentUser, EmailAuthProvider.credentialWithLink(email, link));
+            setAccount(toAccount(user));
+            setAccountNotice('Signed in. Everything you saved as a guest is now in your account.');
+            return;
+          } catch (e) {
+            if (e.code !== 'auth/email-already-in-use' && e.code !== 'auth/credential-already-in-use') throw e;
+          }
+        }
+        await signInWithEmailLink(auth, email, link);
+        setAccountNotice('Signed in to your account.');
+      } catch (e) {
+        console.error('Error finishing sign-in:', e);
+        setAccountNotice(getAuthErrorMessage(e));
+      } finally {
+        window.localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+      }
+    };
+    finishSignIn();
+  }, [auth, account]);
+
+  const createAccount = async (email, password) => {
+    const { user } = auth.currentUser && auth.currentUser.isAnonymous
+      ? await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password))
+      : await createUserWithEmailAndPassword(auth, email, password);
+    setAccount(toAccount(user));
+  };
+
+  const signIn = (email, password) => signInWithEmailAndPassword(auth, email, password);
+
+  const sendSignInLink = async (email) => {
+    const url = `${window.location.origin}${window.location.pathname}`;
+    await sendSignInLinkToEmail(auth, email, { url, handleCodeInApp: true });
+    window.localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+  };
+
+  return { account, accountNotice, createAccount, signIn, sendSignInLink, signOut: () => signOut(auth) };
+};
+
+// --- OFFLINE: DRAFTS & SYNC STATUS ---
+
+const DRAFT_DB_NAME = 'girls-game-planner';
+const DRAFT_STORE_NAME = 'drafts';
+const DRAFT_SAVE_DELAY_MS = 500;
+
+/**
+ * The planner's working state, kept on the device per user so a reload picks up where the
+ * coach left off, whether or not the squad was saved. Match events stay with the plan.
+ * @typedef {Object} Draft
+ * @property {Object} settings
+ * @property {Object[]} players - The roster rows.
+ * @property {string} squadName
+ * @property {string|null} loadedSquadId
+ * @property {MatchPlan|null} matchPlan
+ * @property {{ id: string, time: number, slot: number, onId: string }[]} manualSubs
+ * @property {MatchEvent[]} matchEvents
+ * @property {string|null} workspaceId
+ * @property {string} savedAt
+ */
+
+const openDraftDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DRAFT_DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(DRAFT_STORE_NAME);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Runs one request against the drafts store and resolves to its result
+const runDraftRequest = async (mode, makeRequest) => {
+  const draftDb = await openDraftDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = makeRequest(draftDb.transaction(DRAFT_STORE_NAME, mode).objectStore(DRAFT_STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    draftDb.close();
+  }
+};
+
+/** The user's Draft, or undefined when there isn't one. */
+const loadDraft = (userId) => runDraftRequest('readonly', store => store.get(userId));
+
+const saveDraft = (userId, draft) => runDraftRequest('readwrite', store => store.put(draft, userId));
+
+/**
+ * Connection and sync state for the header's SyncStatus. trackWrite(write) runs a Firestore
+ * write with retryFetch and counts it as pending until the server has it. Offline, Firestore
+ * applies the write to its local cache straight away (listeners see it) but only settles its
+ * promise once synced, so trackWrite resolves at once instead; a write the server rejects
+ * later shows up as syncError.
+ */
+const useSyncStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [pendingWrites, setPendingWrites] = useState(0);
+  const [syncError, setSyncError] = useState(null);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  const trackWrite = useCallback((write) => {
+    setPendingWrites(n => n + 1);
+    const result = retryFetch(write);
+    result
+      .then(() => setSyncError(null), (e) => {
+        console.error('Error syncing a change:', e);
+        setSyncError(e.message);
+      })
+      .finally(() => setPendingWrites(n => n - 1));
+    return navigator.onLine ? result : Promise.resolve();
+  }, []);
+
+  // For listener errors, which would otherwise leave the data silently stale
+  const reportSyncError = useCallback((label, e) => {
+    console.error(label, e);
+    setSyncError(e.message);
+  }, []);
+
+  return { isOnline, pendingWrites, syncError, trackWrite, reportSyncError };
+};
+
+// --- ROSTER IMPORT & BACKUP ---
+
+// Marks a JSON file as a planner backup (see buildBackup); bump the version when the shape changes
+const BACKUP_FORMAT = 'girls-game-planner-backup';
+const BACKUP_VERSION = 1;
+
+// Roster fields an imported column can fill, and the header cells recognised for each
+const IMPORT_FIELDS = { name: 'Name', shirtNumber: 'Number', position: 'Position' };
+const IMPORT_HEADERS = {
+  name: ['name', 'player', 'player name', 'full name'],
+  shirtNumber: ['number', 'no', 'no.', '#', 'shirt', 'shirt number', 'squad number'],
+  position: ['position', 'pos', 'preferred position'],
+};
+const IMPORT_POSITION_ALIASES = { GOALKEEPER: 'GK', KEEPER: 'GK', GOALIE: 'GK' };
+
+/**
+ * Splits delimited text into rows of cells: a CSV file (commas or semicolons, with
+ * quoted cells) or a spreadsheet paste (tabs). One column of names needs no delimiter.
+ * @param {string} text
+ * @returns {string[][]} Blank rows are dropped.
+ */
+const parseDelimitedText = (text) => {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+  const delimiter = ['\t', ',', ';'].find(d => firstLine.includes(d)) || null;
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      rows.push([...row, cell]);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  rows.push([...row, cell]);
+  return rows.map(r => r.map(c => c.trim())).filter(r => r.some(c => c !== ''));
+};
+
+/**
+ * The names in a vCard (.vcf) file, e.g. contacts exported from a phone, as one-column rows.
+ * @returns {string[][]}
+ */
+const parseVCards = (text) => text
+  .replace(/\r?\n[ \t]/g, '') // unfold continued lines
+  .split(/\r?\n/)
+  .filter(line => /^FN[;:]/i.test(line))
+  .map(line => [line.slice(line.indexOf(':') + 1).replace(/\\([,;\\])/g, '$1').trim()])
+  .filter(([name]) => name !== '');
+
+/**
+ * Rows to import from a file or paste: vCards are read for their names, anything else
+ * as delimited text.
+ * @returns {string[][]}
+ */
+const parseImportRows = (text) => (/^BEGIN:VCARD/im.test(text) ? parseVCards(text) : parseDelimitedText(text));
+
+/**
+ * @typedef {Object} ImportMapping
+ * @property {boolean} hasHeader - The first row holds column names, not a player.
+ * @property {number|null} name - Column index per IMPORT_FIELDS key; null = not imported.
+ * @property {number|null} shirtNumber
+ * @property {number|null} position
+ */
+
+/**
+ * A first guess at which column holds what, from header names if the first row has any,
+ * else from the values: the first column is the name, a column of whole numbers the shirt
+ * number and a column of positions the position. The coach can change it before importing.
+ * @param {string[][]} rows
+ * @returns {ImportMapping}
+ */
+const guessImportMapping = (rows) => {
+  const header = (rows[0] || []).map(cell => cell.toLowerCase());
+  const byHeader = Object.fromEntries(Object.keys(IMPORT_FIELDS).map(field => {
+    const index = header.findIndex(cell => IMPORT_HEADERS[field].includes(cell));
+    return [field, index === -1 ? null : index];
+  }));
+  if (byHeader.name !== null) return { hasHeader: true, ...byHeader };
+
+  const columns = Math.max(0, ...rows.map(r => r.length));
+  const isColumn = (index, test) => rows.every(r => !r[index] || test(r[index]));
+  const pick = (test) => {
+    const index = Array.from({ length: columns }, (_, i) => i).find(i => i > 0 && rows.some(r => r[i]) && isColumn(i, test));
+    return index === undefined ? null : index;
+  };
+  return {
+    hasHeader: false,
+    name: 0,
+    shirtNumber: pick(cell => /^\d{1,2}$/.test(cell)),
+    position: pick(cell => getImportPosition(cell) !== ''),
+  };
+};
+
+/** A position as typed in a file ('st', 'Goalkeeper'), or '' if it isn't one of ALL_POSITIONS. */
+const getImportPosition = (value) => {
+  const position = IMPORT_POSITION_ALIASES[value.trim().toUpperCase()] || value.trim().toUpperCase();
+  return ALL_POSITIONS.includes(position) ? position : '';
+};
+
+/**
+ * A player about to be imported, as shown in the preview.
+ * @typedef {Object} ImportCandidate
+ * @property {string} name
+ * @property {number|null} shirtNumber
+ * @property {string} position - One of ALL_POSITIONS, or ''.
+ * @property {'roster'|'import'|null} duplicate - Same name as a roster player, or as an earlier row.
+ */
+
+/**
+ * Reads the mapped columns into import candidates, flagging duplicates by name.
+ * @param {string[][]} rows
+ * @param {ImportMapping} mapping
+ * @param {Object[]} roster - The current roster rows.
+ * @returns {ImportCandidate[]}
+ */
+const buildImportCandidates = (rows, mapping, roster) => {
+  const rosterNames = new Set(roster.map(p => p.name.trim().toLowerCase()).filter(Boolean));
+  const seen = new Set();
+  const cellAt = (row, index) => (index === null ? '' : row[index] || '');
+  return (mapping.hasHeader ? rows.slice(1) : rows)
+    .map(row => {
+      const name = cellAt(row, mapping.name);
+      const key = name.toLowerCase();
+      const number = parseInt(cellAt(row, mapping.shirtNumber), 10);
+      let duplicate = null;
+      if (rosterNames.has(key)) duplicate = 'roster';
+      else if (seen.has(key)) duplicate = 'import';
+      seen.add(key);
+      return {
+        name,
+        shirtNumber: number >= 1 && number <= 99 ? number : null,
+        position: getImportPosition(cellAt(row, mapping.position)),
+        duplicate,
+      };
+    })
+    .filter(candidate => candidate.name !== '');
+};
+
+/** A new roster row for an imported player. A GK position marks her as willing to play in goal. */
+const toRosterPlayer = (candidate) => ({
+  id: crypto.randomUUID(),
+  name: candidate.name,
+  shirtNumber: candidate.shirtNumber,
+  role: 'Outfield',
+  preferredPosition: candidate.position,
+  secondaryPosition: '',
+  neverPosition: '',
+  canPlayGK: candidate.position === 'GK',
+  manualMinutes: null,
+});
+
+/**
+ * Everything needed to put the squad and its plan back on another device, or this one
+ * after a reset. The coach's custom formations are kept in their account, not here.
+ * @typedef {Object} Backup
+ * @property {string} format - BACKUP_FORMAT.
+ * @property {number} version
+ * @property {string} exportedAt - ISO timestamp.
+ * @property {string} squadName
+ * @property {Object} settings
+ * @property {Object[]} players - The named roster rows.
+ * @property {MatchPlan|null} matchPlan
+ * @property {{ id: string, time: number, slot: number, onId: string }[]} manualSubs
+ * @property {MatchEvent[]} matchEvents
+ */
+
+/**
+ * @returns {Backup}
+ */
+const buildBackup = ({ squadName, settings, players, matchPlan, manualSubs, matchEvents }) => {
+  const { customFormations, ...squadSettings } = settings;
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    squadName,
+    settings: squadSettings,
+    players: players.filter(p => p.name.trim() !== ''),
+    matchPlan,
+    manualSubs,
+    matchEvents,
+  };
+};
+
+/**
+ * Reads a backup file's text, throwing an Error with a message for the coach if it
+ * isn't one this version can restore. Players need an id and a name, and the plan's
+ * lists have to be lists, before any of it reaches the roster or the plan.
+ * @returns {Backup}
+ */
+const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    throw new Error('That file is not valid JSON.');
+  }
+  const isBackup = backup && backup.format === BACKUP_FORMAT
+    && backup.settings && typeof backup.settings === 'object'
+    && Array.isArray(backup.players)
+    && backup.players.every(p => p && typeof p.id === 'string' && typeof p.name === 'string')
+    && ['manualSubs', 'matchEvents'].every(key => backup[key] === undefined || Array.isArray(backup[key]));
+  if (!isBackup) throw new Error('That file is not a Game Planner backup.');
+  if (backup.version > BACKUP_VERSION) throw new Error('That backup is from a newer version of the planner.');
+  return { matchPlan: null, manualSubs: [], matchEvents: [], ...backup };
+};
+
+// --- TEAMS ---
+
+// Team roles: owners manage members and invite codes, editors change the team's data,
+// viewers only read it
+const TEAM_ROLES = ['owner', 'editor', 'viewer'];
+const INVITE_ROLES = ['editor', 'viewer'];
+// 32 characters, without ones that are easy to misread (0/O, 1/I)
+const INVITE_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 6;
+
+/**
+ * A workspace shared by a club's coaches, under getTeamPath(id).
+ * @typedef {Object} Team
+ * @property {string} id
+ * @property {string} name
+ * @property {string} ownerId
+ * @property {string} ownerTier - The owner's subscription tier, which the team's limits follow.
+ *   The owner's app keeps it up to date; firestore.rules checks it against their entitlement.
+ * @property {Object<string, string>} members - uid -> one of TEAM_ROLES.
+ * @property {Object<string, string>} memberNames - uid -> email, or 'Guest'.
+ *
+ * The code that joins with each of INVITE_ROLES is in getTeamPath(id, 'inviteCodes'), one
+ * document per role ({ code }). Only the owner can read them: every member reads the team
+ * document, so a code kept there would let a viewer rejoin as an editor. For the same reason
+ * the code a member joins with goes in getTeamPath(id, 'joins') ({ code } per uid), which
+ * nobody reads, rather than on the team.
+ */
+
+const generateInviteCode = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(INVITE_CODE_LENGTH)), b => INVITE_CODE_CHARS[b % INVITE_CODE_CHARS.length]).join('');
+
+// --- SUBSCRIPTION & ENTITLEMENTS ---
+
+// Subscription tiers, lowest first
+const TIERS = ['Basic', 'Championship', 'Premiership'];
+
+/**
+ * What each tier gets. A feature is either the lowest tier that has it or, for limits,
+ * a value per tier; read them with getEntitlement rather than comparing tiers.
+ * firestore.rules enforces the same limits on the server, so change both together.
+ */
+const ENTITLEMENTS = {
+  squadSaves: { Basic: 0, Championship: 2, Premiership: Infinity }, // saved squads (match templates)
+  secondaryPositions: 'Championship', // secondary and never positions
+  manualMinutes: 'Championship',
+  playerProfiles: 'Championship',
+  fixtures: 'Championship',
+  customFormations: 'Championship', // incl. formation changes during the match
+  rulePresets: 'Championship', // saving the coach's own presets
+  manualPlans: 'Premiership',
+  subControls: 'Premiership', // sub interval, first sub, max subs and the rotation solver
+  planComparison: 'Premiership',
+  matchTimeline: 'Premiership', // the animated match replay
+  seasonLedger: 'Premiership',
+};
+
+// Documents under getPrivatePath('entitlements') and getPrivatePath('usage')
+const ENTITLEMENT_DOC_ID = 'subscription';
+const SQUAD_USAGE_DOC_ID = 'squads';
+
+/**
+ * A feature's entitlement on a tier: true/false, or the limit for limits such as
+ * squadSaves. Unknown tiers get Basic's.
+ * @param {string} tier - One of TIERS.
+ * @param {string} feature - A key of ENTITLEMENTS.
+ * @returns {boolean|number}
+ */
+const getEntitlement = (tier, feature) => {
+  const entitlement = ENTITLEMENTS[feature];
+  if (entitlement === undefined) throw new Error(`Unknown feature: ${feature}`);
+  if (typeof entitlement === 'object') return tier in entitlement ? entitlement[tier] : entitlement.Basic;
+  return TIERS.indexOf(tier) >= TIERS.indexOf(entitlement);
+};
+
+/**
+ * The user's subscription tier, kept live from their entitlement document
+ * ({ tier, updatedAt }), so an upgrade shows up without a reload. Only the payment
+ * webhook writes it (see firestore.rules); users without one are on Basic.
+ */
+const useSubscription = (db, userId) => {
+  const [tier, setTier] = useState('Basic');
+  const [isTierLoading, setIsTierLoading] = useState(true);
+
+  useEffect(() => {
+    if (!db || !userId) return undefined;
+
+    const entitlementRef = doc(db, getPrivatePath('entitlements', userId), ENTITLEMENT_DOC_ID);
+    return onSnapshot(entitlementRef, (snapshot) => {
+      const saved = snapshot.exists() ? snapshot.data().tier : null;
+      setTier(TIERS.includes(saved) ? saved : 'Basic');
+      setIsTierLoading(false);
+    }, (e) => {
+      console.error('Error reading subscription:', e);
+      setTier('Basic');
+      setIsTierLoading(false);
+    });
+  }, [db, userId]);
+
+  return { tier, isTierLoading };
+};
+
 // --- CORE MATCH PLANNER LOGIC ---
 
 /**
  * Calculates the equal minutes for outfield players.
+ * With a rotating GK, every player shares the outfield spots plus the GK spot.
+ * Given season totals, minutes shift towards players behind on the season and every
+ * player is tagged with her totals (`season`) for starter and keeper choices.
+ * @param {SeasonTotals[]|null} [season]
  */
-const calculateEqualMinutes = (settings, players) => {
-  const { gameFormat, matchDuration, isPermanentGK } = settings;
+const calculateEqualMinutes = (settings, players, season = null) => {
+  const { matchDuration, isPermanentGK } = settings;
 
   if (!matchDuration || matchDuration <= 0 || players.length === 0) return players;
 
-  const outfieldSpots = FORMATIONS[gameFormat].maxPlayers;
-  const outfieldPlayers = players.filter(p => p.role !== 'GK');
+  const outfieldSpots = getFormationPositions(settings).length;
+  const rotatingGK = !isPermanentGK;
+  const outfieldPlayers = players.filter(p => rotatingGK || p.role !== 'GK');
   const numOutfieldPlayers = outfieldPlayers.length;
 
   if (numOutfieldPlayers === 0) return players;
 
-  // 1. Calculate Total Available Outfield Minutes
-  const totalOutfieldMinutesAvailable = outfieldSpots * matchDuration;
+  // 1. Calculate Total Available Outfield Minutes (plus the GK spot when it rotates)
+  const totalOutfieldMinutesAvailable = (outfieldSpots + (rotatingGK ? 1 : 0)) * matchDuration;
 
   // 2. Calculate Equal Time per Player
   const baseEqualTime = Math.floor(totalOutfieldMinutesAvailable / numOutfieldPlayers);
   let remainderMinutes = totalOutfieldMinutesAvailable % numOutfieldPlayers;
 
   const updatedPlayers = players.map((player) => {
-    if (player.role === 'GK') {
-      return { ...player, minutes: isPermanentGK ? matchDuration : 0 };
+    if (player.role === 'GK' && isPermanentGK) {
+      return { ...player, minutes: matchDuration };
     }
 
     // Handle outfield players
@@ -222,377 +1022,4727 @@ const calculateEqualMinutes = (settings, players) => {
     return { ...player, minutes: effectiveMinutes };
   });
 
-  return updatedPlayers;
+  if (!season) return updatedPlayers;
+
+  const balanced = updatedPlayers.filter(p => (rotatingGK || p.role !== 'GK') && p.manualMinutes === null && p.name.trim() !== '');
+  const catchUp = getSeasonCatchUp(season, balanced, matchDuration);
+  return updatedPlayers.map(player => ({
+    ...player,
+    minutes: catchUp.has(player.id) ? player.minutes + catchUp.get(player.id) : player.minutes,
+    season: season.find(row => row.id === player.id) || null,
+  }));
 };
 
 /**
- * Generates a basic automatic substitution plan based on equal minutes,
- * ensuring minutes are balanced across the two halves.
+ * Builds the keeper stints for the match: who is in goal from which minute.
+ * A permanent GK is a single stint; a rotating GK cycles through the
+ * GK-willing players every half, quarter or period. With stoppage subs each
+ * change moves to the nearest break.
  */
-const generateAutomaticPlan = (settings, playersWithMinutes) => {
-  const { gameFormat, matchDuration, selectedFormation, subInterval, firstSubTime, maxSubs, matchPeriods } = settings;
-  const positions = FORMATIONS[gameFormat].formations[selectedFormation];
-  const outfieldSpots = positions.length;
+const buildGKSchedule = (settings, players) => {
+  if (settings.isPermanentGK) {
+    const gkPlayer = players.find(p => p.role === 'GK');
+    return gkPlayer ? [{ start: 0, player: gkPlayer }] : [];
+  }
 
-  const periods = gameFormat === '5v5' && matchPeriods === 'Quarters' ? 4 : 2;
-  const halfDuration = matchDuration / 2;
-  const periodDuration = matchDuration / periods;
+  const pool = players.filter(p => p.canPlayGK && p.name.trim() !== '');
+  if (pool.length === 0) return [];
+  // Season balancing: fewest keeper stints this season go in goal first
+  pool.sort((a, b) => (a.season ? a.season.keeperStints : 0) - (b.season ? b.season.keeperStints : 0));
+
+  const stints = settings.gkRotateEvery === 'Quarter' ? 4 : 2;
+  let starts = settings.gkRotateEvery === 'Period'
+    ? getMatchPeriods(settings).map(p => p.start)
+    : Array.from({ length: stints }, (_, i) => Math.round(i * settings.matchDuration / stints));
+  if (settings.subRule === 'stoppage') {
+    const stoppages = getStoppageMinutes(settings);
+    const nearest = (minute) => stoppages.reduce((best, t) => (Math.abs(t - minute) < Math.abs(best - minute) ? t : best));
+    starts = [...new Set(starts.map(nearest))];
+  }
+  return starts.map((start, i) => ({ start, player: pool[i % pool.length] }));
+};
 
-  // Filter players who will participate in the outfield rotation and sort by minutes
-  let outfieldPlayers = playersWithMinutes
-    .filter(p => p.role !== 'GK' && p.minutes > 0)
-    .sort((a, b) => a.minutes - b.minutes);
+// --- POSITION FIT ---
 
-  if (outfieldPlayers.length <= outfieldSpots) {
-    return `--- Match Info ---\nFormat: ${gameFormat} (${matchPeriods})\nDuration: ${matchDuration} min (${periods} x ${periodDuration} min periods)\n\nAll participating players can play the full match duration based on the squad size and game format. No substitutions required for minutes management.`;
-  }
+const POSITION_LINES = {
+  GK: 'GK',
+  CD: 'DEF', 'CD-R': 'DEF', 'CD-L': 'DEF', RB: 'DEF', LB: 'DEF',
+  CM: 'MID', 'CM-R': 'MID', 'CM-L': 'MID', CDM: 'MID', 'CDM-R': 'MID', 'CDM-L': 'MID', CAM: 'MID',
+  RW: 'ATT', LW: 'ATT', ST: 'ATT', 'ST-R': 'ATT', 'ST-L': 'ATT',
+};
+const LINE_NAMES = { DEF: 'Defence', MID: 'Midfield', ATT: 'Attack' };
+const POSITION_FIT_LEVELS = ['preferred', 'secondary', 'line', 'other', 'never'];
+const POSITION_FIT_SCORES = { preferred: 3, secondary: 2, line: 1, other: 0, never: -1 };
+const POSITION_FIT_LABELS = { preferred: 'preferred', secondary: 'secondary', line: 'same line', other: 'out of position', never: 'never plays here' };
+// Minutes of fairness one fit level is worth: a player in her preferred position
+// beats one out of position unless the other is owed 15+ more minutes.
+const FIT_LEVEL_MINUTES = 5;
+// Position diversity (see getLineDiversityBonus): fit levels between a line a player hasn't
+// played in her recent matches and one she has played throughout them
+const DIVERSITY_LEVELS = 3;
+// Matches a player has played in that position diversity looks back over
+const DIVERSITY_RECENT_MATCHES = 3;
 
-  const gkPlayer = playersWithMinutes.find(p => p.role === 'GK');
+/**
+ * How well a player suits a slot. 'never' comes from the player's neverPosition,
+ * which may name a slot or a whole line ('DEF', 'MID', 'ATT').
+ * @returns {'preferred'|'secondary'|'line'|'other'|'never'}
+ */
+const getPositionFit = (player, position) => {
+  const line = POSITION_LINES[position];
+  if (player.neverPosition && (player.neverPosition === position || player.neverPosition === line)) return 'never';
+  if (player.preferredPosition === position) return 'preferred';
+  if (player.secondaryPosition === position) return 'secondary';
+  if ([player.preferredPosition, player.secondaryPosition].some(p => p && POSITION_LINES[p] === line)) return 'line';
+  return 'other';
+};
 
-  let plan = `--- Match Info ---\nFormat: ${gameFormat} (${matchPeriods})\nDuration: ${matchDuration} min (Half: ${halfDuration} min)\n\n`;
-  plan += `GK: ${gkPlayer ? gkPlayer.name : 'Unassigned GK'}\n`;
-  plan += `Formation: ${selectedFormation} (${outfieldSpots} outfield spots)\n\n`;
-  
-  // Players currently on the field and those on the bench
-  let playing = [];
-  let bench = [];
-  let rotationQueue = [...outfieldPlayers]; // Queue for managing initial rotation
-  let subCount = 0;
+/**
+ * Position diversity: minutes added to a player's score for a slot, from how her recent
+ * outfield minutes split across the lines (`recentLines`, see withRecentLines). A line
+ * she hasn't played lately is worth one fit level more, the only line she has played two
+ * fewer. GK slots and players without recent minutes are unaffected.
+ */
+const getLineDiversityBonus = (player, position) => {
+  const line = POSITION_LINES[position];
+  if (!player.recentLines || !LINE_NAMES[line]) return 0;
+  const lines = Object.keys(LINE_NAMES);
+  const outfieldMinutes = lines.reduce((sum, l) => sum + player.recentLines[l], 0);
+  if (outfieldMinutes === 0) return 0;
+  const share = player.recentLines[line] / outfieldMinutes;
+  return Math.round((1 / lines.length - share) * DIVERSITY_LEVELS * FIT_LEVEL_MINUTES);
+};
 
-  // 1. Assign starters and bench for the FIRST HALF
-  // Players who play less overall are prioritized to start.
-  for (let i = 0; i < outfieldSpots; i++) {
-    playing.push(rotationQueue.shift()); 
-  }
-  bench = rotationQueue;
-  
-  // Track minutes played per player in the *current period* (Half or Quarter)
-  let currentPeriodMinutes = new Map(outfieldPlayers.map(p => [p.id, 0]));
+/**
+ * Pairs open slots with candidates, best score first. Every automatic "who plays
+ * where" choice goes through here, so fit is always traded against fairness the
+ * same way: score = fit level * FIT_LEVEL_MINUTES + owedMinutes(player), plus the
+ * position diversity bonus when the players carry their recent lines.
+ * 'never' pairings are left out unless allowNever (the slot must be filled).
+ * @param {number[]} slotIndexes - Indexes into positions.
+ * @returns {Map<number, Object>} slot index -> player; unmatched slots are absent.
+ */
+const matchPlayersToSlots = (slotIndexes, candidates, positions, owedMinutes, allowNever = false) => {
+  const pairs = [];
+  slotIndexes.forEach(index => candidates.forEach(player => {
+    const fit = getPositionFit(player, positions[index]);
+    if (fit === 'never' && !allowNever) return;
+    const score = POSITION_FIT_SCORES[fit] * FIT_LEVEL_MINUTES + owedMinutes(player) + getLineDiversityBonus(player, positions[index]);
+    pairs.push({ index, player, score });
+  }));
+  pairs.sort((a, b) => b.score - a.score);
+
+  const matched = new Map();
+  const used = new Set();
+  pairs.forEach(({ index, player }) => {
+    if (matched.has(index) || used.has(player.id)) return;
+    matched.set(index, player);
+    used.add(player.id);
+  });
+  return matched;
+};
 
-  // --- STARTING LINEUP ---
-  plan += `--- STARTING LINEUP (0:00) ---\n`;
-  playing.forEach((p, i) => {
-    plan += `${positions[i]}: ${p.name} (Target Mins/Half: ${Math.ceil(p.minutes / periods * 2)})\n`;
+/**
+ * Puts a set of players who are all playing into the slots that suit them best.
+ * @returns {(Object|null)[]} One entry per slot.
+ */
+const arrangeLineup = (players, positions) => {
+  const matched = matchPlayersToSlots(positions.map((_, i) => i), players, positions, () => 0, true);
+  return positions.map((_, i) => matched.get(i) || null);
+};
+
+/**
+ * Counts outfield slots filled at each fit level, once per player per stint in a
+ * position, plus the minutes spent at each level.
+ * @returns {{ stints: Object<string, number>, minutes: Object<string, number>, outOfPosition: number }}
+ */
+const summarisePositionFit = (lineups, allPlayers, matchDuration) => {
+  const stints = Object.fromEntries(POSITION_FIT_LEVELS.map(level => [level, 0]));
+  const minutes = Object.fromEntries(POSITION_FIT_LEVELS.map(level => [level, 0]));
+  lineups.forEach((lineup, i) => {
+    const until = i + 1 < lineups.length ? lineups[i + 1].minute : matchDuration;
+    const previous = lineups[i - 1];
+    lineup.slots.forEach((id, slot) => {
+      const player = id && allPlayers.find(p => p.id === id);
+      if (!player) return;
+      const position = lineup.positions[slot];
+      const fit = getPositionFit(player, position);
+      minutes[fit] += until - lineup.minute;
+      if (!previous || previous.positions[previous.slots.indexOf(id)] !== position) stints[fit]++;
+    });
   });
-  plan += `\n`;
+  return { stints, minutes, outOfPosition: stints.other + stints.never };
+};
 
-  // --- ROTATION SIMULATION ---
-  for (let period = 1; period <= periods; period++) {
-    const periodStart = (period - 1) * periodDuration;
-    const periodEnd = period * periodDuration;
-    let time = periodStart + firstSubTime;
-    let lastSubTime = periodStart;
-    
-    // Period Header
-    if (period > 1) {
-        const periodName = periods === 4 ? `QUARTER ${period}` : `SECOND HALF`;
-        plan += `\n*** ${periodName} START (${periodStart}:00) - ROTATION RESET FOR EVEN MINUTES ***\n\n`;
+// --- MATCH PLAN MODEL ---
 
-        // At the start of the second half (or quarter 3/4), swap the playing and bench queues
-        // This ensures players who were benched for the first period start the next.
-        const allPlayers = [...playing, ...bench];
-        
-        // New starters are the players who played the least in the entire first half/periods.
-        // For simplicity: Players currently on the bench start the next half/period.
-        let newPlaying = allPlayers.filter(p => bench.map(b => b.id).includes(p.id)).slice(0, outfieldSpots);
-        let newBench = allPlayers.filter(p => !newPlaying.map(np => np.id).includes(p.id));
+/**
+ * A generated match plan. Both generators return one of these, and the text
+ * schedule and pitch visual are rendered from it.
+ * @typedef {Object} MatchPlan
+ * @property {'Automatic'|'Manual'} planType
+ * @property {string} gameFormat
+ * @property {string} formation - The kick-off formation.
+ * @property {string[]} positions - Kick-off outfield slot names. Slot indexes point into the positions
+ *           in force at the time: see each lineup's `positions` and getEventPositions.
+ * @property {number} matchDuration
+ * @property {string} matchPeriods
+ * @property {MatchPeriod[]} periods
+ * @property {boolean} isPermanentGK
+ * @property {{ start: number, playerId: string }[]} gkSchedule
+ * @property {boolean} subsRequired - False when everyone can play the whole match.
+ * @property {PlanEvent[]} events
+ * @property {LineupSnapshot[]} lineups
+ * @property {PlanPlayer[]} players
+ * @property {{ stints: Object<string, number>, minutes: Object<string, number>, outOfPosition: number }} positionFit
+ *           Outfield slots filled per fit level (see POSITION_FIT_LEVELS); out of position = 'other' + 'never'.
+ * @property {string[]} issues
+ * @property {string} [candidate] - Automatic plans: the PLAN_CANDIDATES entry it was built with.
+ * @property {'optimise'} [solver] - Set when optimiseAutomaticPlan chose the rotation.
+ */
 
-        // Re-align playing and bench queues
-        playing = newPlaying;
-        bench = newBench;
-        
+/**
+ * @typedef {Object} MatchPeriod
+ * @property {number} number
+ * @property {string} name - e.g. 'FIRST HALF', 'QUARTER 3', 'PERIOD 2'.
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * A substitution, keeper change or formation change.
+ * @typedef {Object} PlanEvent
+ * @property {'sub'|'keeper'|'formation'} type
+ * @property {number} minute
+ * @property {number} period
+ * @property {number|'GK'|null} slot - Slot the incoming player takes.
+ * @property {string|null} onId
+ * @property {string|null} offId
+ * @property {number|null} [offToSlot] - Keeper changes only: where the old keeper goes (null = bench).
+ * @property {string} [formation] - Formation changes only: the new formation and its positions.
+ * @property {string[]} [positions]
+ * @property {number[]} [fromSlots] - Formation changes only: old slot index of each new slot's player.
+ */
+
+/**
+ * Who is where at a point in the match.
+ * @typedef {Object} LineupSnapshot
+ * @property {number} minute
+ * @property {string} label
+ * @property {boolean} periodStart
+ * @property {string} formation
+ * @property {string[]} positions - Outfield slot names of the formation in force.
+ * @property {string|null} keeperId
+ * @property {(string|null)[]} slots - Player id per formation slot.
+ */
+
+/**
+ * @typedef {Object} PlanPlayer
+ * @property {string} id
+ * @property {string} name
+ * @property {string} role
+ * @property {number} targetMinutes
+ * @property {boolean} manual
+ * @property {number} minutesPlayed - GK time included.
+ * @property {number} keeperMinutes
+ */
+
+/**
+ * Period lengths in whole minutes: `settings.periodLengths` for a 'Custom' structure,
+ * otherwise the match split as evenly as whole minutes allow.
+ * @returns {number[]}
+ */
+const getPeriodLengths = (settings) => {
+  if (settings.matchPeriods === 'Custom' && settings.periodLengths && settings.periodLengths.length > 0) {
+    return settings.periodLengths;
+  }
+  const count = PERIOD_STRUCTURES[settings.matchPeriods] || 2;
+  const boundary = (i) => Math.round(i * settings.matchDuration / count);
+  return Array.from({ length: count }, (_, i) => boundary(i + 1) - boundary(i));
+};
+
+/**
+ * Splits the match into its periods: halves, thirds, quarters or the coach's own lengths.
+ * @returns {MatchPeriod[]}
+ */
+const getMatchPeriods = (settings) => {
+  const lengths = getPeriodLengths(settings);
+  const periodName = (i) => {
+    if (lengths.length === 2) return i === 0 ? 'FIRST HALF' : 'SECOND HALF';
+    return settings.matchPeriods === 'Quarters' ? `QUARTER ${i + 1}` : `PERIOD ${i + 1}`;
+  };
+  let start = 0;
+  return lengths.map((length, i) => {
+    const period = { number: i + 1, name: periodName(i), start, end: start + length };
+    start += length;
+    return period;
+  });
+};
+
+/**
+ * Drinks breaks: one halfway through each period when `settings.drinksBreak` is on.
+ * @returns {number[]}
+ */
+const getDrinksBreaks = (settings) => (settings.drinksBreak
+  ? getMatchPeriods(settings).map(p => Math.round((p.start + p.end) / 2))
+  : []);
+
+/**
+ * Every minute the game stops: kick-off, each period start and the drinks breaks.
+ * With stoppage subs ('stoppage' sub rule) these are the only times players can change.
+ * @returns {number[]}
+ */
+const getStoppageMinutes = (settings) =>
+  [...new Set([...getMatchPeriods(settings).map(p => p.start), ...getDrinksBreaks(settings)])].sort((a, b) => a - b);
+
+/**
+ * Short description of the period structure, e.g. '2 x 25 min' or '15 + 15 + 10 min'.
+ * @param {MatchPeriod[]} periods
+ */
+const describePeriods = (periods) => {
+  const lengths = periods.map(p => p.end - p.start);
+  return lengths.every(length => length === lengths[0])
+    ? `${lengths.length} x ${lengths[0]} min`
+    : `${lengths.join(' + ')} min`;
+};
+
+/**
+ * The formations an automatic plan moves through: the selected one from kick-off, then
+ * each scheduled change in `settings.formationChanges` ({ minute, formation }). Changes
+ * outside the match, to unknown formations or to a different number of slots are dropped;
+ * the last change given for a minute wins.
+ * @returns {{ minute: number, name: string, positions: string[] }[]}
+ */
+const getFormationSchedule = (settings) => {
+  const formations = getFormations(settings.gameFormat, settings.customFormations);
+  const kickOff = { minute: 0, name: settings.selectedFormation, positions: formations[settings.selectedFormation] || [] };
+  const changes = new Map();
+  (settings.formationChanges || []).forEach(({ minute, formation }) => {
+    const positions = formations[formation];
+    if (minute > 0 && minute < settings.matchDuration && positions && positions.length === kickOff.positions.length) {
+      changes.set(minute, { minute, name: formation, positions });
+    }
+  });
+  return [kickOff, ...[...changes.values()].sort((a, b) => a.minute - b.minute)];
+};
+
+/**
+ * Credits pitch time (GK time included) while a plan is simulated. When re-planning,
+ * `start` carries the minutes already played and the clock starts at `start.fromMinute`.
+ */
+const createMinutesTracker = (players, start = null) => {
+  const minutesPlayed = new Map(players.map(p => [p.id, start ? start.minutesPlayed[p.id] || 0 : 0]));
+  const keeperMinutes = new Map(players.map(p => [p.id, start ? start.keeperMinutes[p.id] || 0 : 0]));
+  let clock = start ? start.fromMinute : 0;
+
+  const creditTo = (time, playing, keeper) => {
+    const elapsed = time - clock;
+    if (elapsed <= 0) return;
+    playing.forEach(p => {
+      if (p) minutesPlayed.set(p.id, minutesPlayed.get(p.id) + elapsed);
+    });
+    if (keeper) {
+      minutesPlayed.set(keeper.id, minutesPlayed.get(keeper.id) + elapsed);
+      keeperMinutes.set(keeper.id, keeperMinutes.get(keeper.id) + elapsed);
+    }
+    clock = time;
+  };
+
+  return { minutesPlayed, keeperMinutes, creditTo };
+};
+
+/**
+ * @param {{ name: string, positions: string[] }} formation - The formation in force.
+ * @returns {LineupSnapshot}
+ */
+const snapshotLineup = (minute, label, playing, keeper, formation, periodStart = false) => ({
+  minute,
+  label,
+  periodStart,
+  formation: formation.name,
+  positions: formation.positions,
+  keeperId: keeper ? keeper.id : null,
+  slots: formation.positions.map((_, i) => (playing[i] ? playing[i].id : null)),
+});
+
+/**
+ * @returns {PlanPlayer[]}
+ */
+const summarisePlanPlayers = (players, tracker) => players
+  .filter(p => p.name.trim() !== '')
+  .map(p => ({
+    id: p.id,
+    name: p.name,
+    role: p.role,
+    targetMinutes: p.minutes,
+    manual: p.manualMinutes !== null,
+    minutesPlayed: tracker.minutesPlayed.get(p.id) || 0,
+    keeperMinutes: tracker.keeperMinutes.get(p.id) || 0,
+  }));
+
+/**
+ * A change in who can play, from a given minute.
+ * An injury or no-show is `available: false`; a late arrival is `available: true`
+ * and implies the player was absent before that minute.
+ * @typedef {Object} AvailabilityChange
+ * @property {string} playerId
+ * @property {number} minute
+ * @property {boolean} available
+ */
+
+/**
+ * @param {AvailabilityChange[]} availability
+ * @returns {boolean}
+ */
+const isAvailableAt = (availability, playerId, minute) => {
+  const own = availability.filter(c => c.playerId === playerId).sort((a, b) => a.minute - b.minute);
+  if (own.length === 0) return true;
+  const latest = own.filter(c => c.minute <= minute).pop();
+  return latest ? latest.available : !own[0].available;
+};
+
+/**
+ * Generates a basic automatic substitution plan based on equal minutes,
+ * ensuring minutes are balanced across the two halves.
+ *
+ * It kicks off with the lineup set in the LineupEditor (see getStartingAssignments)
+ * when every starter there has minutes to play.
+ *
+ * Scheduled formation changes (see getFormationSchedule) move the players on the
+ * pitch to the new slots that suit them best.
+ *
+ * Passing `resume` re-plans the rest of a match already underway: events before
+ * `fromMinute` are kept from the previous plan, the minutes already played carry
+ * over, and only the remaining substitution windows are rebuilt around the
+ * `availability` changes.
+ *
+ * @param {Object} settings
+ * @param {Object[]} playersWithMinutes
+ * @param {Object} [options]
+ * @param {AvailabilityChange[]} [options.availability]
+ * @param {'period'|'target'} [options.subOffBy] - Who comes off at a sub window: longest on the
+ *   pitch this period ('period'), or furthest ahead of her target minutes ('target').
+ * @param {{ plan: MatchPlan, fromMinute: number,
+ *   lineup: { keeperId: string|null, slots: (string|null)[], formation: string, positions: string[] },
+ *   minutesPlayed: Object<string, number>, keeperMinutes: Object<string, number>, periodUnderway: boolean }} [options.resume]
+ * @returns {MatchPlan}
+ */
+const generateAutomaticPlan = (settings, playersWithMinutes, { availability = [], resume = null, subOffBy = 'period' } = {}) => {
+  const { gameFormat, matchDuration, selectedFormation, subInterval, firstSubTime, maxSubs, matchPeriods, isPermanentGK } = settings;
+  const formationChanges = getFormationSchedule(settings).slice(1);
+  // The formation in force; a re-plan carries on in whatever formation is on the pitch
+  let formationName = resume ? resume.lineup.formation : selectedFormation;
+  let positions = resume ? resume.lineup.positions : getFormationPositions(settings);
+  const kickOffPositions = resume ? resume.plan.positions : positions;
+  const outfieldSpots = positions.length;
+  const rotatingGK = !isPermanentGK;
+  const periods = getMatchPeriods(settings);
+  const fromMinute = resume ? resume.fromMinute : 0;
+  const canPlay = (player, minute) => isAvailableAt(availability, player.id, minute);
+  const findPlayer = (id) => playersWithMinutes.find(p => p.id === id) || null;
+
+  const gkSchedule = buildGKSchedule(settings, playersWithMinutes);
+  const drinksBreaks = getDrinksBreaks(settings);
+  let keeper = resume
+    ? findPlayer(resume.lineup.keeperId)
+    : (gkSchedule.length > 0 ? gkSchedule[0].player : null);
+
+  // Filter players who will participate in the outfield rotation and sort by minutes
+  let outfieldPlayers = playersWithMinutes
+    .filter(p => (rotatingGK || p.role !== 'GK') && p.minutes > 0)
+    .filter(p => !keeper || p.id !== keeper.id)
+    .sort((a, b) => a.minutes - b.minutes);
+
+  const subsRequired = rotatingGK || outfieldPlayers.length > outfieldSpots || availability.length > 0;
+  const events = resume ? resume.plan.events.filter(e => e.minute < fromMinute) : [];
+  const lineups = resume ? resume.plan.lineups.filter(l => l.minute < fromMinute) : [];
+
+  // Track total minutes on the pitch per player, GK time included
+  const tracker = createMinutesTracker(playersWithMinutes, resume);
+  const playedSoFar = (player) => tracker.minutesPlayed.get(player.id);
+  const owedMinutes = (player) => player.minutes - playedSoFar(player);
+  
+  // Players currently on the field and those on the bench
+  let playing = [];
+  let bench = [];
+
+  if (resume) {
+    // Carry on from whoever is actually on the pitch; least played waits first on the bench
+    playing = resume.lineup.slots.map(findPlayer);
+    bench = outfieldPlayers
+      .filter(p => !playing.some(onPitch => onPitch && onPitch.id === p.id))
+      .sort((a, b) => playedSoFar(a) - playedSoFar(b));
+  } else {
+    let rotationQueue = [...outfieldPlayers]; // Queue for managing initial rotation
+    // With season balancing, whoever has started least often this season goes first
+    if (outfieldPlayers.some(p => p.season)) rotationQueue.sort((a, b) => getSeasonStartRate(a) - getSeasonStartRate(b));
+
+    // 1. Assign starters and bench for the FIRST HALF
+    // The LineupEditor's starters (roster order), each in her slot, as long as they all play.
+    // Otherwise players who play less overall are prioritized to start, each in the slot that suits them best.
+    const starting = getStartingAssignments(settings, playersWithMinutes);
+    const lineupStarters = playersWithMinutes.filter(p => positions.includes(starting.get(p.id)));
+    if (lineupStarters.length === outfieldSpots && lineupStarters.every(p => outfieldPlayers.includes(p))) {
+      playing = lineupStarters;
+      bench = rotationQueue.filter(p => !playing.includes(p));
+    } else {
+      playing = arrangeLineup(rotationQueue.splice(0, outfieldSpots), positions);
+      bench = rotationQueue;
+    }
+  }
+  
+  // Track minutes played per player in the *current period* (Half or Quarter)
+  let currentPeriodMinutes = new Map(playersWithMinutes.map(p => [p.id, 0]));
+
+  // Puts a new keeper in goal. The outgoing keeper takes over the new keeper's
+  // outfield slot, or goes to the bench if the new keeper was on the bench.
+  const changeKeeper = (newKeeper, minute, period) => {
+    const outgoing = keeper;
+    keeper = newKeeper;
+    bench = bench.filter(p => p.id !== newKeeper.id);
+    const slot = playing.findIndex(p => p && p.id === newKeeper.id);
+    if (slot !== -1) {
+      playing[slot] = outgoing;
+    } else if (outgoing) {
+      bench.push(outgoing);
+    }
+    events.push({ type: 'keeper', minute, period, slot: 'GK', onId: newKeeper.id, offId: outgoing ? outgoing.id : null, offToSlot: slot !== -1 ? slot : null });
+  };
+
+  // Switches to a scheduled formation. Everyone on the pitch moves to the new slot that
+  // suits them best; fromSlots records where each new slot's player (or gap) came from.
+  const changeFormation = (change, minute, period) => {
+    const arranged = arrangeLineup(playing.filter(Boolean), change.positions);
+    const emptySlots = playing.map((p, i) => (p ? null : i)).filter(i => i !== null);
+    const fromSlots = arranged.map(p => (p ? playing.indexOf(p) : emptySlots.shift()));
+    playing = arranged;
+    positions = change.positions;
+    formationName = change.name;
+    events.push({ type: 'formation', minute, period, slot: null, onId: null, offId: null, formation: change.name, positions, fromSlots });
+  };
+  const formationChangeAt = (minute) => formationChanges.find(c => c.minute === minute && c.name !== formationName);
+
+  // Takes off anyone who is no longer available, puts someone in an empty goal and fills
+  // empty slots from the available bench, regardless of the sub limit. Returns true if
+  // anything changed.
+  const makeForcedChanges = (minute, period) => {
+    let changed = false;
+    if (keeper ? !canPlay(keeper, minute) : gkSchedule.length > 0) {
+      const candidates = [...bench, ...playing.filter(Boolean)].filter(p => canPlay(p, minute));
+      const newKeeper = candidates.find(p => p.canPlayGK) || candidates[0];
+      if (newKeeper) {
+        changeKeeper(newKeeper, minute, period);
+        changed = true;
+      }
+    }
+    playing.forEach((player, index) => {
+      if (player && canPlay(player, minute)) return;
+      const incoming = matchPlayersToSlots([index], bench.filter(p => canPlay(p, minute)), positions, owedMinutes, true).get(index);
+      if (!incoming && !player) return;
+      bench = bench.filter(p => !incoming || p.id !== incoming.id);
+      playing[index] = incoming || null;
+      if (player) bench.push(player);
+      if (incoming) events.push({ type: 'sub', minute, period, slot: index, onId: incoming.id, offId: player ? player.id : null });
+      changed = true;
+    });
+    return changed;
+  };
+
+  // Periods after the first open with a rotation reset, unless a re-plan lands
+  // after that period has already kicked off
+  const resetsAt = (period) => period.number > 1
+    && (period.start > fromMinute || (period.start === fromMinute && !(resume && resume.periodUnderway)));
+
+  // --- STARTING LINEUP ---
+  if (resume) {
+    const period = periods.find(p => fromMinute >= p.start && fromMinute < p.end) || periods[periods.length - 1];
+    // A change due at this very minute hasn't happened yet (a period reset applies its own below)
+    const formationChange = !resetsAt(period) && formationChangeAt(fromMinute);
+    if (formationChange) changeFormation(formationChange, fromMinute, period.number);
+    const changed = (!resetsAt(period) && makeForcedChanges(fromMinute, period.number)) || !!formationChange;
+    if (changed || lineups.length === 0) {
+      const isStart = lineups.length === 0;
+      lineups.push(snapshotLineup(fromMinute, isStart ? 'Start' : 'Re-plan', playing, keeper, { name: formationName, positions }, isStart));
+    }
+  } else {
+    lineups.push(snapshotLineup(0, 'Start', playing, keeper, { name: formationName, positions }, true));
+  }
+
+  const availabilityMinutes = [...new Set(availability.map(c => c.minute))];
+
+  // --- ROTATION SIMULATION ---
+  periods.filter(p => p.end > fromMinute).forEach(({ number: period, name: periodName, start: periodStart, end: periodEnd }) => {
+    // Period Header
+    if (resetsAt({ number: period, start: periodStart })) {
+        // At the start of the second half (or quarter 3/4), swap the playing and bench queues
+        // This ensures players who were benched for the first period start the next.
+        // Any slots the bench can't fill go to whoever has played least so far.
+        // A formation change at the break comes first, so the new lineup uses its slots.
+        const periodFormation = formationChangeAt(periodStart);
+        if (periodFormation) changeFormation(periodFormation, periodStart, period);
+        const onPitch = playing.filter(p => p && canPlay(p, periodStart));
+        const leastPlayedFirst = [...onPitch].sort((a, b) => playedSoFar(a) - playedSoFar(b));
+        let newPlaying = arrangeLineup([...bench.filter(p => canPlay(p, periodStart)), ...leastPlayedFirst].slice(0, outfieldSpots), positions);
+        let newBench = [...playing.filter(Boolean), ...bench].filter(p => !newPlaying.some(np => np && np.id === p.id));
+
+        // Re-align playing and bench queues
+        playing = newPlaying;
+        bench = newBench;
+        
         // Reset period minutes tracking
         currentPeriodMinutes.forEach((v, k) => currentPeriodMinutes.set(k, 0));
+
+        // Keeper change at the start of the period (rotating GK)
+        const periodKeeper = gkSchedule.find(s => s.start === periodStart);
+        if (periodKeeper && (!keeper || periodKeeper.player.id !== keeper.id) && canPlay(periodKeeper.player, periodStart)) {
+          changeKeeper(periodKeeper.player, periodStart, period);
+        }
+        makeForcedChanges(periodStart, period);
         
-        // Print new lineup
-        plan += `--- STARTING LINEUP (${periodStart}:00) ---\n`;
-        playing.forEach((p, i) => {
-            plan += `${positions[i]}: ${p.name}\n`;
-        });
-        plan += `\n`;
+        lineups.push(snapshotLineup(periodStart, periodName, playing, keeper, { name: formationName, positions }, true));
+    }
+
+    // Sub windows for the rest of this period, plus any keeper or availability changes inside it.
+    // Drinks breaks are sub windows too; with stoppage subs they and the break at the end of the
+    // period are the only ones.
+    const windowFrom = Math.max(periodStart, fromMinute);
+    const subTimes = new Set(drinksBreaks.filter(t => t > windowFrom && t < periodEnd));
+    if (settings.subRule === 'stoppage') {
+      if (periodEnd < matchDuration && periodEnd > fromMinute) subTimes.add(periodEnd);
+    } else {
+      for (let t = periodStart + firstSubTime; t < periodEnd; t += subInterval) {
+        if (t > fromMinute) subTimes.add(t);
+      }
+    }
+    const keeperChanges = gkSchedule.filter(s => s.start > windowFrom && s.start < periodEnd);
+    const forcedTimes = availabilityMinutes.filter(t => t > windowFrom && t < periodEnd);
+    const formationTimes = formationChanges.map(c => c.minute).filter(t => t > windowFrom && t < periodEnd);
+    const eventTimes = [...new Set([...subTimes, ...keeperChanges.map(s => s.start), ...forcedTimes, ...formationTimes])].sort((a, b) => a - b);
+    let lastEventTime = windowFrom;
+
+    // --- Run Substitutions within the Period ---
+    for (const time of eventTimes) {
+      const elapsed = time - lastEventTime;
+      tracker.creditTo(time, playing, keeper);
+      lastEventTime = time;
+      const eventLabels = [];
+
+      // Increment period minutes for players currently playing
+      playing.forEach(player => {
+          if (player) currentPeriodMinutes.set(player.id, currentPeriodMinutes.get(player.id) + elapsed);
+      });
+
+      const formationChange = formationChangeAt(time);
+      if (formationChange) {
+        changeFormation(formationChange, time, period);
+        eventLabels.push('Formation');
+      }
+
+      if (forcedTimes.includes(time) && makeForcedChanges(time, period)) {
+        eventLabels.push('Availability');
+      }
+
+      const keeperChange = keeperChanges.find(s => s.start === time);
+      if (keeperChange && (!keeper || keeperChange.player.id !== keeper.id) && canPlay(keeperChange.player, time)) {
+        changeKeeper(keeperChange.player, time, period);
+        eventLabels.push('GK Change');
+      }
+
+      const availableBench = bench.filter(p => canPlay(p, time));
+      if (subTimes.has(time) && availableBench.length > 0) {
+        // 1. Identify OUTGOING players
+        // Outgoing players are those on the field who have played the longest in this period,
+        // then (e.g. just after a re-plan) whoever has played most overall. Empty slots fill first.
+        // With subOffBy 'target', whoever is furthest ahead of her target comes off first instead.
+        const outgoingCandidates = playing.map((player, index) => ({ 
+            player, 
+            position: positions[index], 
+            index,
+            periodTimePlayed: player ? currentPeriodMinutes.get(player.id) : Infinity,
+            totalPlayed: player ? playedSoFar(player) : Infinity,
+            owed: player ? owedMinutes(player) : -Infinity,
+        }));
+        
+        // Sort to find players who have played the most in this period
+        outgoingCandidates.sort(subOffBy === 'target'
+          ? (a, b) => a.owed - b.owed || b.periodTimePlayed - a.periodTimePlayed
+          : (a, b) => b.periodTimePlayed - a.periodTimePlayed || b.totalPlayed - a.totalPlayed);
         
-        time = periodStart + firstSubTime;
-        lastSubTime = periodStart;
+        const subsForThisWindow = Math.min(maxSubs, availableBench.length, outgoingCandidates.length);
+        let subsMade = 0;
+        
+        // Select the N players playing the most time in this period to sub out
+        const playersToSubOut = outgoingCandidates.slice(0, subsForThisWindow);
+
+        // 2. Identify INCOMING players: best position fit for each open slot, traded against
+        // how many minutes each bench player is still owed
+        const incomingBySlot = matchPlayersToSlots(playersToSubOut.map(o => o.index), availableBench, positions, owedMinutes);
+        
+        playersToSubOut.forEach((outgoing) => {
+            const incoming = incomingBySlot.get(outgoing.index);
+            if (!incoming) return;
+
+            // Update the field lineup
+            playing[outgoing.index] = incoming;
+            
+            // Record the substitution
+            events.push({ type: 'sub', minute: time, period, slot: outgoing.index, onId: incoming.id, offId: outgoing.player ? outgoing.player.id : null });
+            subsMade++;
+            
+            // Remove from bench queue
+            bench = bench.filter(p => p.id !== incoming.id);
+            // Add outgoing player to the end of the bench queue
+            if (outgoing.player) bench.push(outgoing.player);
+        });
+
+        if (subsMade > 0) eventLabels.push('Sub');
+      }
+
+      if (eventLabels.length > 0) {
+        lineups.push(snapshotLineup(time, eventLabels.join(' + '), playing, keeper, { name: formationName, positions }));
+      }
+    }
+    tracker.creditTo(periodEnd, playing, keeper);
+  });
+
+  const nameOf = (id) => (findPlayer(id) || { name: 'Removed player' }).name;
+  const issues = [...availability]
+    .sort((a, b) => a.minute - b.minute)
+    .map(c => `${formatMinute(c.minute)} - ${nameOf(c.playerId)} ${c.available ? 'available' : 'unavailable'} from this minute.`);
+  if (playing.some(p => !p)) issues.push('Not enough available players to fill every slot; the team plays short.');
+  if (gkSchedule.length > 0 && lineups.some(l => !l.keeperId)) issues.push('No goalkeeper available; the team plays without one until someone can go in goal.');
+
+  return {
+    planType: 'Automatic',
+    gameFormat,
+    formation: selectedFormation,
+    positions: kickOffPositions,
+    matchDuration,
+    matchPeriods,
+    periods,
+    isPermanentGK,
+    gkSchedule: gkSchedule.map(s => ({ start: s.start, playerId: s.player.id })),
+    subsRequired: subsRequired || formationChanges.length > 0,
+    events,
+    lineups,
+    players: summarisePlanPlayers(playersWithMinutes, tracker),
+    positionFit: summarisePositionFit(lineups, playersWithMinutes, matchDuration),
+    issues,
+  };
+};
+
+/**
+ * Builds a plan from the coach's own substitutions (Premiership "Manual" plan type).
+ * Starters are the first outfield players in roster order, as set in the LineupEditor.
+ * Each sub names a minute, a slot (formation index or 'GK') and the player coming on;
+ * whoever holds that slot at that minute comes off. Subs that no longer fit are skipped
+ * and reported in `issues`.
+ * @returns {MatchPlan}
+ */
+const buildManualPlan = (settings, playersWithMinutes, manualSubs) => {
+  const { gameFormat, matchDuration, selectedFormation, matchPeriods, isPermanentGK } = settings;
+  const positions = getFormationPositions(settings);
+  const activePlayers = playersWithMinutes.filter(p => p.name.trim() !== '');
+  const periods = getMatchPeriods(settings);
+
+  const gkSchedule = buildGKSchedule(settings, activePlayers);
+  let keeper = gkSchedule.length > 0 ? gkSchedule[0].player : null;
+  const playing = activePlayers
+    .filter(p => (isPermanentGK ? p.role !== 'GK' : !keeper || p.id !== keeper.id))
+    .slice(0, positions.length);
+
+  const tracker = createMinutesTracker(activePlayers);
+  const isOnPitch = (player) => (keeper && keeper.id === player.id) || playing.some(p => p && p.id === player.id);
+
+  const events = [];
+  const formation = { name: selectedFormation, positions };
+  const lineups = [snapshotLineup(0, 'Start', playing, keeper, formation, true)];
+  const issues = [];
+
+  const sortedSubs = manualSubs
+    .filter(s => s.time > 0 && s.time < matchDuration)
+    .sort((a, b) => a.time - b.time);
+  const subTimes = [...new Set(sortedSubs.map(s => s.time))];
+
+  subTimes.forEach(time => {
+    tracker.creditTo(time, playing, keeper);
+    const period = (periods.find(p => time >= p.start && time < p.end) || periods[periods.length - 1]).number;
+
+    let subsMade = 0;
+    sortedSubs.filter(s => s.time === time).forEach(sub => {
+      const incoming = activePlayers.find(p => p.id === sub.onId);
+      if (!incoming || isOnPitch(incoming)) {
+        issues.push(`${time}:00 - ${incoming ? incoming.name : 'Removed player'} is not on the bench at this point; sub skipped.`);
+        return;
+      }
+      if (sub.slot === 'GK') {
+        events.push({ type: 'sub', minute: time, period, slot: 'GK', onId: incoming.id, offId: keeper ? keeper.id : null });
+        keeper = incoming;
+      } else {
+        const index = Number(sub.slot);
+        events.push({ type: 'sub', minute: time, period, slot: index, onId: incoming.id, offId: playing[index] ? playing[index].id : null });
+        playing[index] = incoming;
+      }
+      subsMade++;
+    });
+
+    if (subsMade > 0) lineups.push(snapshotLineup(time, 'Sub', playing, keeper, formation));
+  });
+  tracker.creditTo(matchDuration, playing, keeper);
+
+  return {
+    planType: 'Manual',
+    gameFormat,
+    formation: selectedFormation,
+    positions,
+    matchDuration,
+    matchPeriods,
+    periods,
+    isPermanentGK,
+    gkSchedule: keeper ? gkSchedule.slice(0, 1).map(s => ({ start: s.start, playerId: s.player.id })) : [],
+    subsRequired: true,
+    events,
+    lineups,
+    players: summarisePlanPlayers(activePlayers, tracker),
+    positionFit: summarisePositionFit(lineups, activePlayers, matchDuration),
+    issues,
+  };
+};
+
+// --- STARTING LINEUP ---
+
+/**
+ * Where each named player starts when the lineup comes from roster order, as in
+ * buildManualPlan: the keeper is buildGKSchedule's first, then the first outfield
+ * players fill the formation's slots in order and everyone else is on the bench.
+ * @returns {Map<string, string>} Player id to 'GK', a slot or 'Bench'
+ */
+const getStartingAssignments = (settings, players) => {
+  const positions = getFormationPositions(settings);
+  const named = players.filter(p => p.name.trim() !== '');
+  const keeperStint = buildGKSchedule(settings, named)[0];
+  const keeper = keeperStint ? keeperStint.player : null;
+  const outfield = named.filter(p => (settings.isPermanentGK ? p.role !== 'GK' : !keeper || p.id !== keeper.id));
+  return new Map(named.map(p => {
+    if (keeper && p.id === keeper.id) return [p.id, 'GK'];
+    const slot = outfield.indexOf(p);
+    return [p.id, slot !== -1 && slot < positions.length ? positions[slot] : 'Bench'];
+  }));
+};
+
+/**
+ * Who swaps places with a player dropped on `target`: whoever is there, or for
+ * 'Bench' whoever is first on it. Null for an empty slot or an empty bench.
+ */
+const getDropPartner = (settings, players, assignments, playerId, target) => players.find(p =>
+  p.id !== playerId && p.name.trim() !== '' && assignments.get(p.id) === target
+  && (target !== 'Bench' || !settings.isPermanentGK || p.role !== 'GK')) || null;
+
+/**
+ * Why a player can't be dropped on `target` (a position or 'Bench'), or null if she can.
+ * The player she would swap with is checked too.
+ */
+const getDropProblem = (settings, players, assignments, playerId, target) => {
+  const player = players.find(p => p.id === playerId);
+  const from = assignments.get(playerId);
+  const partner = getDropPartner(settings, players, assignments, playerId, target);
+  if (settings.isPermanentGK && (player.role === 'GK' || target === 'GK')) return 'The permanent keeper is whoever has the GK role: change it in the roster.';
+  if (target === 'GK' && !player.canPlayGK) return `${player.name} isn't ticked as willing to play in goal.`;
+  if (from === 'GK' && target === 'Bench') return `Someone has to start in goal: drag a willing keeper onto ${player.name} instead.`;
+  if (from === 'GK' && partner && !partner.canPlayGK) return `${partner.name} isn't ticked as willing to play in goal.`;
+  if (!partner) return target === 'Bench' ? 'Nobody is on the bench to take her place.' : 'Slots fill in roster order: add players to fill this one.';
+  // A swap can move a willing keeper ahead of the one in goal, which changes more than the two places
+  const after = getStartingAssignments(settings, dropInLineup(settings, players, assignments, playerId, target));
+  if (after.get(playerId) !== target || after.get(partner.id) !== from) return 'That swap would change who starts in goal: reorder the roster instead.';
+  return null;
+};
+
+/**
+ * The roster after a drop. Starters come from roster order, so a drop swaps the
+ * player's row with her partner's (see getDropPartner), blank rows staying put.
+ */
+const dropInLineup = (settings, players, assignments, playerId, target) => {
+  const partner = getDropPartner(settings, players, assignments, playerId, target);
+  const player = players.find(p => p.id === playerId);
+  return players.map(p => (p.id === playerId ? partner : p.id === partner.id ? player : p));
+};
+
+/**
+ * What stops the lineup being planned; shown live by the LineupEditor and checked
+ * again when the plan is generated.
+ * @returns {string[]}
+ */
+const getLineupProblems = (settings, players) => {
+  const named = players.filter(p => p.name.trim() !== '');
+  const problems = [];
+  if (named.length < getFormationPositions(settings).length + 1) problems.push('Not enough players to fill the formation spots.');
+  if (!settings.isPermanentGK && !named.some(p => p.canPlayGK)) problems.push('Rotating GK needs at least one player ticked as willing to play in goal.');
+  return problems;
+};
+
+// --- ROTATION SOLVER ---
+
+// Search limits for optimiseAutomaticPlan; it stops at whichever comes first. The
+// iteration cap keeps the result the same from one run to the next on a quick device.
+const SOLVER_TIME_BUDGET_MS = 1500;
+const SOLVER_MAX_ITERATIONS = 20000;
+
+// What each shortcoming costs a rotation (lower is better): per minute off target, per
+// minute past the longest allowed bench spell, per minute in a 'never' slot, per fit level
+// below preferred per minute, per substitution and per sub window used
+const SOLVER_WEIGHTS = { minutesOff: 10, benchOver: 5, never: 50, fit: 0.05, sub: 1, window: 2 };
+
+/**
+ * Seeded random numbers (mulberry32), so the solver finds the same plan for the same match.
+ * @returns {() => number} Next number in [0, 1).
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Every minute the lineup can change, in order, with what each allows. Period starts
+ * ('break') allow any changes; sub windows allow up to maxSubs, on the same rules as the
+ * greedy generator (firstSubTime then every subInterval, drinks breaks, or drinks breaks
+ * only with stoppage subs); keeper and formation changes allow nothing else.
+ * @returns {{ minute: number, until: number, period: MatchPeriod, isBreak: boolean, isWindow: boolean,
+ *   keeperId: string|null, formation: { minute: number, name: string, positions: string[] } }[]}
+ */
+const getRotationPoints = (settings, gkSchedule) => {
+  const { matchDuration, firstSubTime, subInterval } = settings;
+  const periods = getMatchPeriods(settings);
+  const formations = getFormationSchedule(settings);
+  const windows = new Set(getDrinksBreaks(settings));
+  if (settings.subRule !== 'stoppage') {
+    periods.forEach(p => {
+      for (let t = p.start + firstSubTime; t < p.end; t += subInterval) windows.add(t);
+    });
+  }
+  const minutes = [...new Set([...periods.map(p => p.start), ...windows, ...gkSchedule.map(s => s.start), ...formations.map(f => f.minute)])]
+    .filter(minute => minute >= 0 && minute < matchDuration)
+    .sort((a, b) => a - b);
+
+  return minutes.map((minute, i) => {
+    const period = periods.find(p => minute >= p.start && minute < p.end) || periods[periods.length - 1];
+    const stint = gkSchedule.filter(s => s.start <= minute).pop();
+    return {
+      minute,
+      until: i + 1 < minutes.length ? minutes[i + 1] : matchDuration,
+      period,
+      isBreak: minute === period.start,
+      isWindow: windows.has(minute),
+      keeperId: stint ? stint.player.id : null,
+      formation: formations.filter(f => f.minute <= minute).pop(),
+    };
+  });
+};
+
+/**
+ * Puts a rotation (who is on the outfield at each rotation point) into slots, the way the
+ * greedy generator would: a full arrangement at kick-off and each period start, otherwise
+ * stayers keep their slots, the old keeper takes the new keeper's slot, and incoming
+ * players fill whatever was left. `startSlots` keeps the LineupEditor's kick-off lineup as it is.
+ * @returns {{ point: Object, positions: string[], slots: (string|null)[], formationChange: Object|null,
+ *   keeperChange: Object|null, subs: { slot: number, onId: string, offId: string|null }[] }[]}
+ */
+const layOutRotation = (points, rotation, findPlayer, startSlots = null) => {
+  const arrange = (ids, positions) => arrangeLineup(ids.map(findPlayer), positions).map(p => (p ? p.id : null));
+  let slots = [];
+  let keeperId = null;
+  let formationName = null;
+  let positions = [];
+
+  return points.map((point, k) => {
+    const onPitch = rotation[k];
+    const step = { point, positions, slots, formationChange: null, keeperChange: null, subs: [] };
+    if (k === 0) {
+      positions = point.formation.positions;
+      formationName = point.formation.name;
+      keeperId = point.keeperId;
+      slots = startSlots || arrange(onPitch, positions);
+      return { ...step, positions, slots };
+    }
+
+    if (point.formation.name !== formationName) {
+      const arranged = arrange(slots.filter(Boolean), point.formation.positions);
+      const emptySlots = slots.map((id, i) => (id ? null : i)).filter(i => i !== null);
+      const fromSlots = arranged.map(id => (id ? slots.indexOf(id) : emptySlots.shift()));
+      positions = point.formation.positions;
+      formationName = point.formation.name;
+      slots = arranged;
+      step.formationChange = { formation: formationName, positions, fromSlots };
+    } else {
+      slots = [...slots];
+    }
+
+    if (point.keeperId !== keeperId) {
+      const slot = slots.indexOf(point.keeperId);
+      if (slot !== -1) slots[slot] = keeperId;
+      step.keeperChange = { onId: point.keeperId, offId: keeperId, offToSlot: slot !== -1 ? slot : null };
+      keeperId = point.keeperId;
+    }
+
+    if (point.isBreak) {
+      slots = arrange(onPitch, positions);
+      if (step.keeperChange) {
+        const slot = slots.indexOf(step.keeperChange.offId);
+        step.keeperChange.offToSlot = slot !== -1 ? slot : null;
+      }
+    } else {
+      const incoming = onPitch.filter(id => !slots.includes(id));
+      const vacated = slots.map((id, i) => (id && onPitch.includes(id) ? null : i)).filter(i => i !== null);
+      const matched = matchPlayersToSlots(vacated, incoming.map(findPlayer), positions, () => 0, true);
+      vacated.forEach(i => {
+        const player = matched.get(i);
+        if (!player) return;
+        step.subs.push({ slot: i, onId: player.id, offId: slots[i] });
+        slots[i] = player.id;
+      });
+    }
+    return { ...step, positions, slots };
+  });
+};
+
+/**
+ * Searches for the automatic plan that gets every player closest to her exact target
+ * minutes (manual overrides included), as an alternative to the greedy generator's
+ * one-window-at-a-time choices.
+ *
+ * The match is split at every rotation point (see getRotationPoints) and the solver
+ * chooses who is on the outfield for each stretch, within the sub limit at each window.
+ * It starts from the greedy plan and improves it by swapping a player on for one off
+ * across a run of stretches (simulated annealing), scoring each rotation with
+ * SOLVER_WEIGHTS: minutes off target first, then bench spells over `settings.maxBenchSpell`,
+ * position fit and the number of subs and stoppages. The best rotation found within the
+ * time budget is kept, so the result is never worse than the greedy plan by that score.
+ *
+ * Live re-plans (availability changes, resume) stay with generateAutomaticPlan.
+ *
+ * @param {Object} [options]
+ * @param {'period'|'target'} [options.subOffBy] - Passed to the greedy plan it starts from.
+ * @param {number} [options.timeBudgetMs]
+ * @param {number} [options.maxIterations]
+ * @param {number} [options.seed]
+ * @returns {MatchPlan}
+ */
+const optimiseAutomaticPlan = (settings, playersWithMinutes, {
+  subOffBy = 'period',
+  timeBudgetMs = SOLVER_TIME_BUDGET_MS,
+  maxIterations = SOLVER_MAX_ITERATIONS,
+  seed = 1,
+} = {}) => {
+  const greedy = generateAutomaticPlan(settings, playersWithMinutes, { subOffBy });
+  if (!greedy.subsRequired) return { ...greedy, solver: 'optimise' };
+
+  const { maxSubs, maxBenchSpell, isPermanentGK } = settings;
+  const findPlayer = (id) => playersWithMinutes.find(p => p.id === id) || null;
+  const gkSchedule = buildGKSchedule(settings, playersWithMinutes);
+  const points = getRotationPoints(settings, gkSchedule);
+  const pool = playersWithMinutes.filter(p => (!isPermanentGK || p.role !== 'GK') && p.minutes > 0);
+
+  // Start from the greedy plan: who it has on the outfield at each rotation point
+  const greedyLineupAt = (minute) => greedy.lineups.filter(l => l.minute <= minute).pop();
+  let rotation = points.map(point => greedyLineupAt(point.minute).slots.filter(Boolean));
+  // When the greedy plan kicks off with the LineupEditor's starters, they stay as set there
+  const kickOff = greedy.lineups[0];
+  const starting = getStartingAssignments(settings, playersWithMinutes);
+  const startSlots = kickOff.slots.every((id, i) => id && starting.get(id) === kickOff.positions[i]) ? kickOff.slots : null;
+  const layOut = (candidate) => layOutRotation(points, candidate, findPlayer, startSlots);
+
+  // Voluntary changes at point k: anyone coming on other than the old keeper taking the new keeper's place
+  const changesAt = (candidate, k) => {
+    const previous = candidate[k - 1];
+    const { keeperId } = points[k];
+    const expected = keeperId !== points[k - 1].keeperId && previous.includes(keeperId)
+      ? previous.map(id => (id === keeperId ? points[k - 1].keeperId : id))
+      : previous;
+    return candidate[k].filter(id => !expected.includes(id)).length;
+  };
+  const isFeasibleAt = (candidate, k) => {
+    if (k <= 0 || k >= points.length || points[k].isBreak) return true;
+    return changesAt(candidate, k) <= (points[k].isWindow ? maxSubs : 0);
+  };
+
+  const scoreRotation = (candidate) => {
+    const steps = layOut(candidate);
+    const minutes = new Map(pool.map(p => [p.id, 0]));
+    const benchSpell = new Map(pool.map(p => [p.id, 0]));
+    let cost = 0;
+    steps.forEach(step => {
+      const length = step.point.until - step.point.minute;
+      step.slots.forEach((id, i) => {
+        if (!id) return;
+        if (minutes.has(id)) minutes.set(id, minutes.get(id) + length);
+        const fit = getPositionFit(findPlayer(id), step.positions[i]);
+        cost += length * (fit === 'never'
+          ? SOLVER_WEIGHTS.never
+          : SOLVER_WEIGHTS.fit * (POSITION_FIT_SCORES.preferred - POSITION_FIT_SCORES[fit]));
+      });
+      if (minutes.has(step.point.keeperId)) minutes.set(step.point.keeperId, minutes.get(step.point.keeperId) + length);
+      if (maxBenchSpell) {
+        pool.forEach(p => {
+          const onPitch = step.slots.includes(p.id) || step.point.keeperId === p.id;
+          const before = benchSpell.get(p.id);
+          const after = onPitch ? 0 : before + length;
+          cost += SOLVER_WEIGHTS.benchOver * (Math.max(0, after - maxBenchSpell) - Math.max(0, before - maxBenchSpell));
+          benchSpell.set(p.id, after);
+        });
+      }
+      cost += SOLVER_WEIGHTS.sub * step.subs.length;
+      if (step.subs.length > 0) cost += SOLVER_WEIGHTS.window;
+    });
+    pool.forEach(p => {
+      cost += SOLVER_WEIGHTS.minutesOff * Math.abs(minutes.get(p.id) - p.minutes);
+    });
+    return cost;
+  };
+
+  const random = createRandom(seed);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const startedAt = Date.now();
+  let cost = scoreRotation(rotation);
+  let best = { rotation, cost };
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const elapsed = Date.now() - startedAt;
+    if (elapsed >= timeBudgetMs) break;
+    const temperature = 20 * (1 - Math.max(iteration / maxIterations, elapsed / timeBudgetMs)) + 0.1;
+
+    // Swap one player on for one off, from point k for a random run of points
+    const k = Math.floor(random() * points.length);
+    if (k === 0 && startSlots) continue;
+    const on = rotation[k];
+    const off = pool.filter(p => !on.includes(p.id) && p.id !== points[k].keeperId).map(p => p.id);
+    if (on.length === 0 || off.length === 0) continue;
+    const outId = pick(on);
+    const inId = pick(off);
+    const runLength = 1 + Math.floor(random() * points.length);
+    let end = k;
+    while (end + 1 < points.length && end + 1 - k < runLength
+      && rotation[end + 1].includes(outId) && !rotation[end + 1].includes(inId) && points[end + 1].keeperId !== inId) {
+      end++;
+    }
+
+    const candidate = rotation.map((ids, i) => (i < k || i > end ? ids : ids.map(id => (id === outId ? inId : id))));
+    if (!isFeasibleAt(candidate, k) || !isFeasibleAt(candidate, end + 1)) continue;
+
+    const candidateCost = scoreRotation(candidate);
+    if (candidateCost <= cost || random() < Math.exp((cost - candidateCost) / temperature)) {
+      rotation = candidate;
+      cost = candidateCost;
+      if (cost < best.cost) best = { rotation, cost };
+    }
+  }
+
+  return buildRotationPlan(settings, playersWithMinutes, greedy, points, layOut(best.rotation));
+};
+
+/**
+ * Turns a laid-out rotation into a MatchPlan with the same events and lineups the greedy
+ * generator would record for it.
+ * @returns {MatchPlan}
+ */
+const buildRotationPlan = (settings, playersWithMinutes, greedy, points, steps) => {
+  const findPlayer = (id) => playersWithMinutes.find(p => p.id === id) || null;
+  const tracker = createMinutesTracker(playersWithMinutes);
+  const events = [];
+  const lineups = [];
+
+  steps.forEach((step, k) => {
+    const { minute, until, period, isBreak } = step.point;
+    const formation = { name: step.point.formation.name, positions: step.positions };
+    const playing = step.slots.map(findPlayer);
+    const keeper = findPlayer(step.point.keeperId);
+    const eventLabels = [];
+
+    if (step.formationChange) {
+      events.push({ type: 'formation', minute, period: period.number, slot: null, onId: null, offId: null, ...step.formationChange });
+      eventLabels.push('Formation');
+    }
+    if (step.keeperChange) {
+      events.push({ type: 'keeper', minute, period: period.number, slot: 'GK', ...step.keeperChange });
+      eventLabels.push('GK Change');
     }
+    step.subs.forEach(sub => events.push({ type: 'sub', minute, period: period.number, ...sub }));
+    if (step.subs.length > 0) eventLabels.push('Sub');
+
+    if (k === 0) {
+      lineups.push(snapshotLineup(minute, 'Start', playing, keeper, formation, true));
+    } else if (isBreak) {
+      lineups.push(snapshotLineup(minute, period.name, playing, keeper, formation, true));
+    } else if (eventLabels.length > 0) {
+      lineups.push(snapshotLineup(minute, eventLabels.join(' + '), playing, keeper, formation));
+    }
+    tracker.creditTo(until, playing, keeper);
+  });
+
+  const issues = steps.some(step => step.slots.some(id => !id))
+    ? ['Not enough available players to fill every slot; the team plays short.']
+    : [];
+
+  return {
+    ...greedy,
+    events,
+    lineups,
+    players: summarisePlanPlayers(playersWithMinutes, tracker),
+    positionFit: summarisePositionFit(lineups, playersWithMinutes, settings.matchDuration),
+    issues,
+    solver: 'optimise',
+  };
+};
+
+// --- PLAN FAIRNESS ---
+
+// Minutes a player can be short of her target before the report flags her
+const FAIRNESS_SHORT_BY = 3;
+
+// How much each fairness measure adds to a plan's score (lower is fairer): per minute off
+// target, per minute of the longest bench spell, per stoppage, per slot out of position and
+// per player benched at two period starts in a row
+const FAIRNESS_WEIGHTS = { minutesOff: 1, longestBench: 0.5, stoppages: 2, outOfPosition: 2, repeatBenchStarts: 5 };
+
+/**
+ * Alternative automatic plans for the same match, compared with analysePlanFairness.
+ * Each can change the sub settings (`settings` returns the changed fields) and the
+ * generator options; the first keeps the coach's settings as they are.
+ */
+const PLAN_CANDIDATES = [
+  {
+    name: 'Your settings',
+    description: 'Your sub settings; whoever has been on longest this period comes off.',
+  },
+  {
+    name: 'Minutes first',
+    description: 'Your sub settings; whoever is furthest ahead of her target comes off.',
+    options: { subOffBy: 'target' },
+  },
+  {
+    name: 'Extra sub',
+    description: 'One more change at each sub window, furthest ahead of target off first.',
+    settings: (settings) => ({ maxSubs: settings.maxSubs + 1 }),
+    options: { subOffBy: 'target' },
+  },
+  {
+    name: 'Fewer stoppages',
+    description: 'Sub windows half as often, with one more change at each.',
+    settings: (settings) => ({ subInterval: settings.subInterval * 2, maxSubs: settings.maxSubs + 1 }),
+    options: { subOffBy: 'target' },
+  },
+];
+
+/**
+ * @typedef {Object} FairnessReport
+ * @property {{ id: string, name: string, targetMinutes: number, minutesPlayed: number, difference: number,
+ *   longestBench: number }[]} players - Rotation players (not a permanent GK) with a target above zero.
+ * @property {number} minutesOff - Total minutes off target, over or under.
+ * @property {string[]} shortOfTarget - Names of players more than FAIRNESS_SHORT_BY minutes short.
+ * @property {number} longestBench - Longest unbroken spell on the bench, in minutes.
+ * @property {number} stoppages - Minutes the game stops for changes outside the period breaks.
+ * @property {number} outOfPosition - See MatchPlan.positionFit.
+ * @property {string[]} repeatBenchStarts - Names of players on the bench at two period starts in a row.
+ * @property {number} score - Weighted total (see FAIRNESS_WEIGHTS); lower is fairer.
+ */
+
+/**
+ * Scores how fairly a plan shares the match out, from its lineups and planned minutes.
+ * Works for automatic and manual plans alike.
+ * @param {MatchPlan} plan
+ * @returns {FairnessReport}
+ */
+const analysePlanFairness = (plan) => {
+  const rotation = plan.players.filter(p => !(plan.isPermanentGK && p.role === 'GK') && p.targetMinutes > 0);
+  const isOnPitch = (lineup, id) => lineup.keeperId === id || lineup.slots.includes(id);
+  const lineupAt = (minute) => plan.lineups.filter(l => l.minute <= minute).pop();
+
+  const players = rotation.map(p => {
+    let spell = 0;
+    let longestBench = 0;
+    plan.lineups.forEach((lineup, i) => {
+      const until = i + 1 < plan.lineups.length ? plan.lineups[i + 1].minute : plan.matchDuration;
+      spell = isOnPitch(lineup, p.id) ? 0 : spell + until - lineup.minute;
+      longestBench = Math.max(longestBench, spell);
+    });
+    return {
+      id: p.id,
+      name: p.name,
+      targetMinutes: p.targetMinutes,
+      minutesPlayed: p.minutesPlayed,
+      difference: p.minutesPlayed - p.targetMinutes,
+      longestBench,
+    };
+  });
+
+  const periodStarts = plan.periods.map(period => period.start);
+  const stoppages = new Set(plan.events
+    .filter(e => !periodStarts.includes(e.minute))
+    .map(e => e.minute)).size;
+
+  const startLineups = periodStarts.map(lineupAt);
+  const repeatBenchStarts = rotation
+    .filter(p => startLineups.some((lineup, i) => i > 0 && !isOnPitch(lineup, p.id) && !isOnPitch(startLineups[i - 1], p.id)))
+    .map(p => p.name);
+
+  const minutesOff = players.reduce((sum, p) => sum + Math.abs(p.difference), 0);
+  const longestBench = Math.max(0, ...players.map(p => p.longestBench));
+  const outOfPosition = plan.positionFit.outOfPosition;
+  const score = FAIRNESS_WEIGHTS.minutesOff * minutesOff
+    + FAIRNESS_WEIGHTS.longestBench * longestBench
+    + FAIRNESS_WEIGHTS.stoppages * stoppages
+    + FAIRNESS_WEIGHTS.outOfPosition * outOfPosition
+    + FAIRNESS_WEIGHTS.repeatBenchStarts * repeatBenchStarts.length;
+
+  return {
+    players,
+    minutesOff,
+    shortOfTarget: players.filter(p => p.difference < -FAIRNESS_SHORT_BY).map(p => p.name),
+    longestBench,
+    stoppages,
+    outOfPosition,
+    repeatBenchStarts,
+    score: Math.round(score * 10) / 10,
+  };
+};
+
+/**
+ * Generates the automatic plan for one of the PLAN_CANDIDATES (the first if the name is
+ * unknown, e.g. a plan made before candidates) and tags the plan with it.
+ * With `settings.rotationSolver` 'optimise' the rotation comes from optimiseAutomaticPlan,
+ * except for live re-plans (`options.resume`), which need the greedy generator.
+ */
+const generateCandidatePlan = (settings, playersWithMinutes, candidateName, options = {}) => {
+  const candidate = PLAN_CANDIDATES.find(c => c.name === candidateName) || PLAN_CANDIDATES[0];
+  const candidateSettings = candidate.settings ? { ...settings, ...candidate.settings(settings) } : settings;
+  const plan = settings.rotationSolver === 'optimise' && !options.resume
+    ? optimiseAutomaticPlan(candidateSettings, playersWithMinutes, { ...candidate.options, ...options })
+    : generateAutomaticPlan(candidateSettings, playersWithMinutes, { ...candidate.options, ...options });
+  return { ...plan, candidate: candidate.name };
+};
+
+/**
+ * Every candidate plan for the match with its fairness report, in PLAN_CANDIDATES order.
+ * Candidates that come out the same as an earlier one are left out. The optimising
+ * solver's time budget is shared between the candidates.
+ * @param {Object} [solverOptions] - Passed to optimiseAutomaticPlan, e.g. a fixed `maxIterations`
+ *   with no time budget for the same plans on every run.
+ * @returns {{ name: string, description: string, plan: MatchPlan, fairness: FairnessReport }[]}
+ */
+const generatePlanCandidates = (settings, playersWithMinutes, solverOptions = {}) => PLAN_CANDIDATES
+  .map(({ name, description }) => {
+    const plan = generateCandidatePlan(settings, playersWithMinutes, name, { timeBudgetMs: SOLVER_TIME_BUDGET_MS / PLAN_CANDIDATES.length, ...solverOptions });
+    return { name, description, plan, fairness: analysePlanFairness(plan) };
+  })
+  .filter((candidate, i, all) => !all.slice(0, i).some(c => JSON.stringify(c.plan.lineups) === JSON.stringify(candidate.plan.lineups)));
+
+// --- PLAN RENDERING ---
+
+const formatMinute = (minute) => (minute === 0 ? '0:00' : `${String(minute).padStart(2, '0')}:00`);
+
+/**
+ * Expands a lineup snapshot into plan players with their position ('GK', a slot or 'Bench').
+ */
+const getLineupPlayers = (plan, lineup) => plan.players.map(p => {
+  const slot = lineup.slots.indexOf(p.id);
+  return { ...p, position: lineup.keeperId === p.id ? 'GK' : (slot !== -1 ? lineup.positions[slot] : 'Bench') };
+});
+
+/**
+ * The lineup on the pitch at `minute`: the last snapshot taken at or before it.
+ */
+const getLineupAt = (plan, minute) => plan.lineups.filter(lineup => lineup.minute <= minute).pop() || plan.lineups[0];
+
+/**
+ * Minutes each plan player has been on the pitch (GK included) by `minute`, which
+ * may be fractional.
+ * @returns {Map<string, number>}
+ */
+const getMinutesPlayedAt = (plan, minute) => {
+  const played = new Map(plan.players.map(p => [p.id, 0]));
+  plan.lineups.forEach((lineup, i) => {
+    const end = Math.min(minute, i + 1 < plan.lineups.length ? plan.lineups[i + 1].minute : plan.matchDuration);
+    if (end <= lineup.minute) return;
+    [lineup.keeperId, ...lineup.slots].forEach(id => {
+      if (played.has(id)) played.set(id, played.get(id) + end - lineup.minute);
+    });
+  });
+  return played;
+};
+
+/**
+ * The outfield positions in force when plan.events[eventIndex] happens, i.e. those
+ * of the latest formation change before it.
+ * @returns {string[]}
+ */
+const getEventPositions = (plan, eventIndex) => {
+  const change = plan.events.slice(0, eventIndex).reverse().find(e => e.type === 'formation');
+  return change ? change.positions : plan.positions;
+};
+
+/**
+ * Renders a MatchPlan as the text substitution schedule.
+ * @param {MatchPlan} plan
+ * @returns {string}
+ */
+const renderPlanText = (plan) => {
+  const { gameFormat, matchDuration, matchPeriods, periods, positions } = plan;
+  const nameOf = (id) => (plan.players.find(p => p.id === id) || { name: 'Empty' }).name;
+  const slotName = (e, slot) => (slot === 'GK' ? 'GK' : getEventPositions(plan, plan.events.indexOf(e))[slot]);
+  const formationChanges = plan.events.filter(e => e.type === 'formation');
+  const subCount = plan.events.filter(e => e.type === 'sub').length;
+
+  if (!plan.subsRequired) {
+    return `--- Match Info ---\nFormat: ${gameFormat} (${matchPeriods})\nDuration: ${matchDuration} min (${describePeriods(periods)})\n\nAll participating players can play the full match duration based on the squad size and game format. No substitutions required for minutes management.`;
+  }
+
+  const lineupText = (lineup, withTargets = false) => {
+    let block = '';
+    if (lineup.keeperId) block += `GK: ${nameOf(lineup.keeperId)}\n`;
+    else if (plan.planType === 'Manual') block += `GK: Unassigned GK\n`;
+    lineup.slots.forEach((id, i) => {
+      const player = plan.players.find(p => p.id === id);
+      const target = withTargets && player ? ` (Target Mins/Half: ${Math.ceil(player.targetMinutes / periods.length * 2)})` : '';
+      block += `${lineup.positions[i]}: ${player ? player.name : 'Empty'}${target}\n`;
+    });
+    return block;
+  };
+
+  const eventsText = (events) => {
+    let block = '';
+    events.filter(e => e.type === 'formation').forEach(e => {
+      block += `--- Formation Change at ${formatMinute(e.minute)}: ${e.formation} ---\n`;
+      // Mid-period, show where everyone moves to (a period start lists its lineup anyway)
+      const lineup = plan.lineups.find(l => l.minute === e.minute && !l.periodStart);
+      block += lineup ? `${lineupText(lineup)}\n` : `\n`;
+    });
+    events.filter(e => e.type === 'keeper').forEach(e => {
+      const destination = e.offToSlot !== null ? `${slotName(e, e.offToSlot)} slot` : 'Bench';
+      block += `--- Keeper Change at ${formatMinute(e.minute)} ---\nIN GOAL: ${nameOf(e.onId)} | OUT OF GOAL: ${nameOf(e.offId)} (to ${destination})\n\n`;
+    });
+    const subs = events.filter(e => e.type === 'sub');
+    if (subs.length > 0) {
+      block += `--- Substitution at ${formatMinute(subs[0].minute)} ---\n`;
+      subs.forEach(e => {
+        block += `ON: ${nameOf(e.onId)} (${slotName(e, e.slot)} slot) | OFF: ${e.offId ? nameOf(e.offId) : 'Empty'}\n`;
+      });
+      block += `\n`;
+    }
+    return block;
+  };
+
+  let text = plan.planType === 'Manual'
+    ? `--- Manual Plan (Premiership) ---\n`
+    : `--- Match Info ---\n`;
+  text += `Format: ${gameFormat} (${matchPeriods})\nDuration: ${matchDuration} min (${describePeriods(periods)})\n\n`;
+  if (plan.planType === 'Manual') {
+    // The keeper is shown in the starting lineup below
+  } else if (plan.isPermanentGK) {
+    text += `GK: ${plan.gkSchedule.length > 0 ? nameOf(plan.gkSchedule[0].playerId) : 'Unassigned GK'}\n`;
+  } else {
+    text += `GK Rotation: ${plan.gkSchedule.map(s => `${nameOf(s.playerId)} (${s.start}:00)`).join(' → ') || 'No GK-willing players'}\n`;
+  }
+  text += `Formation: ${plan.formation} (${positions.length} outfield spots)\n`;
+  if (formationChanges.length > 0) {
+    text += `Formation changes: ${formationChanges.map(e => `${e.formation} (${e.minute}:00)`).join(' → ')}\n`;
+  }
+  text += `\n`;
+
+  periods.forEach(period => {
+    const periodEvents = plan.events.filter(e => e.period === period.number);
+    const changesAtStart = period.number > 1
+      ? periodEvents.filter(e => (e.type === 'keeper' || e.type === 'formation') && e.minute === period.start)
+      : [];
+
+    if (period.number === 1) {
+      text += `--- STARTING LINEUP (0:00) ---\n${lineupText(plan.lineups[0], plan.planType === 'Automatic')}\n`;
+    } else {
+      const reset = plan.planType === 'Automatic' ? ' - ROTATION RESET FOR EVEN MINUTES' : '';
+      text += `\n*** ${period.name} START (${period.start}:00)${reset} ***\n\n`;
+      text += eventsText(changesAtStart);
+      const periodLineup = plan.lineups.find(l => l.periodStart && l.minute === period.start);
+      if (periodLineup) text += `--- STARTING LINEUP (${period.start}:00) ---\n${lineupText(periodLineup)}\n`;
+    }
+
+    const otherEvents = periodEvents.filter(e => !changesAtStart.includes(e));
+    [...new Set(otherEvents.map(e => e.minute))].forEach(minute => {
+      text += eventsText(otherEvents.filter(e => e.minute === minute));
+    });
+  });
+
+  text += `--- Match End (${matchDuration}:00) ---\n`;
+  text += `Total substitutions made: ${subCount}. \n\n`;
+  if (plan.issues.length > 0) {
+    text += `--- PLAN WARNINGS ---\n${plan.issues.join('\n')}\n\n`;
+  }
+
+  const { stints, minutes, outOfPosition } = plan.positionFit;
+  text += `--- POSITION FIT ---\n`;
+  text += `Slots filled: ${stints.preferred} preferred, ${stints.secondary} secondary, ${stints.line} same line, ${outOfPosition} out of position`;
+  text += `${stints.never > 0 ? ` (${stints.never} where the player never plays)` : ''}\n`;
+  text += `Minutes out of position: ${minutes.other + minutes.never}\n\n`;
+
+  // Planned minutes per player, GK time included
+  text += `--- PLANNED MINUTES (incl. GK) ---\n`;
+  plan.players
+    .filter(p => p.minutesPlayed > 0 || plan.planType === 'Manual')
+    .forEach(p => {
+      const target = plan.planType === 'Manual' ? ` (target ${p.targetMinutes})` : '';
+      text += `${p.name}: ${p.minutesPlayed} mins${target}${p.keeperMinutes > 0 ? ` (${p.keeperMinutes} in goal)` : ''}\n`;
+    });
+
+  // Target against planned minutes for everyone sharing the minutes
+  const fairness = analysePlanFairness(plan);
+  const offBy = (difference) => (difference === 0 ? 'on target' : `${Math.abs(difference)} ${difference < 0 ? 'short' : 'over'}`);
+  text += `\n--- FAIRNESS REPORT ---\n`;
+  fairness.players.forEach(p => {
+    text += `${p.name}: ${p.minutesPlayed} of ${p.targetMinutes} target mins (${offBy(p.difference)}), longest on the bench ${p.longestBench} mins\n`;
+  });
+  text += `Minutes off target: ${fairness.minutesOff} in total`;
+  text += fairness.shortOfTarget.length > 0 ? ` - SHORT: ${fairness.shortOfTarget.join(', ')}\n` : `\n`;
+  text += `Stoppages for changes: ${fairness.stoppages}\n`;
+  if (fairness.repeatBenchStarts.length > 0) {
+    text += `On the bench at two period starts in a row: ${fairness.repeatBenchStarts.join(', ')}\n`;
+  }
+  text += `Fairness score: ${fairness.score} (lower is fairer)\n`;
+
+  if (plan.solver === 'optimise') {
+    text += `\n***Note: This rotation was optimised to bring every player as close as possible to her target minutes within the sub limits. The positions are fixed based on the ${formationChanges.length > 0 ? 'formation in force' : 'starting formation'}.***`;
+  } else if (plan.planType === 'Automatic') {
+    text += `\n***Note: This automatic plan ensures equal minutes across the two halves by resetting the playing/bench queues at halftime. The positions are fixed based on the ${formationChanges.length > 0 ? 'formation in force' : 'starting formation'}.***`;
+  }
+
+  return text;
+};
+
+
+// --- LIVE MATCH ---
+
+/**
+ * Live match-day state for a generated plan. The clock counts match seconds;
+ * each planned event is confirmed or skipped by the coach.
+ * @typedef {Object} LiveMatch
+ * @property {'ready'|'running'|'paused'|'break'|'finished'} status
+ * @property {number} periodNumber
+ * @property {number} elapsedSeconds
+ * @property {{ keeperId: string|null, slots: (string|null)[], formation: string, positions: string[] }} lineup
+ *           - Who is actually on the pitch, and in which formation.
+ * @property {number[]} resolved - Indexes into plan.events that were confirmed or skipped.
+ * @property {boolean} periodLineupPending - A planned period-start lineup is waiting to be applied.
+ * @property {Object[]} log - Confirmed and skipped changes, with the lineup after each. Type 'off' is a
+ *   player taken off at a re-plan with nobody to replace her.
+ * @property {AvailabilityChange[]} availability - Changes passed to the re-planner so far.
+ */
+
+const formatClock = (seconds) => {
+  const whole = Math.floor(seconds);
+  return `${String(Math.floor(whole / 60)).padStart(2, '0')}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+/**
+ * @param {MatchPlan} plan
+ * @returns {LiveMatch}
+ */
+const createLiveMatch = (plan) => ({
+  status: 'ready',
+  periodNumber: 1,
+  elapsedSeconds: 0,
+  lineup: {
+    keeperId: plan.lineups[0].keeperId,
+    slots: [...plan.lineups[0].slots],
+    formation: plan.lineups[0].formation,
+    positions: plan.lineups[0].positions,
+  },
+  resolved: [],
+  periodLineupPending: false,
+  log: [],
+  availability: [],
+});
+
+/**
+ * Advances the clock. It stops at the end of each period for the break.
+ */
+const tickLiveMatch = (live, plan, seconds) => {
+  if (live.status !== 'running') return live;
+  const periodEnd = plan.periods[live.periodNumber - 1].end * 60;
+  const elapsedSeconds = Math.min(periodEnd, live.elapsedSeconds + seconds);
+  if (elapsedSeconds < periodEnd) return { ...live, elapsedSeconds };
+  return { ...live, elapsedSeconds, status: live.periodNumber === plan.periods.length ? 'finished' : 'break' };
+};
+
+const getPeriodStartLineup = (plan, period) => plan.lineups.find(l => l.periodStart && l.minute === period.start && period.number > 1);
+
+const startNextPeriod = (live, plan) => {
+  const period = plan.periods[live.periodNumber];
+  return {
+    ...live,
+    status: 'running',
+    periodNumber: period.number,
+    elapsedSeconds: period.start * 60,
+    periodLineupPending: !!getPeriodStartLineup(plan, period),
+  };
+};
+
+/**
+ * Planned events whose minute has come and that are still waiting for the coach.
+ */
+const getDueEvents = (plan, live) => plan.events
+  .map((event, index) => ({ ...event, index }))
+  .filter(e => !live.resolved.includes(e.index) && e.minute * 60 <= live.elapsedSeconds);
+
+/**
+ * The first whole minute a re-plan can still change: the clock's minute when it is exactly on
+ * one, otherwise the next. Every planned event before it is already due (see getDueEvents).
+ */
+const getReplanMinute = (live) => Math.ceil(live.elapsedSeconds / 60);
+
+const getNextEventMinute = (plan, live) => {
+  const next = plan.events.find((e, index) => !live.resolved.includes(index) && e.minute * 60 > live.elapsedSeconds);
+  return next ? next.minute : null;
+};
+
+/**
+ * Applies a planned event to the lineup actually on the pitch. Whoever holds the
+ * slot now comes off, which can differ from the plan after a skipped sub. A formation
+ * change moves whoever is on the pitch as the plan moved the players in those slots.
+ * @returns {{ offId: string|null, lineup: Object }|null} Null if the incoming player is already playing.
+ */
+const applyLiveEvent = (lineup, event) => {
+  if (event.type === 'formation') {
+    const slots = event.fromSlots.map(from => lineup.slots[from]);
+    return { offId: null, lineup: { ...lineup, slots, formation: event.formation, positions: event.positions } };
+  }
+  const onSlot = lineup.slots.indexOf(event.onId);
+  if (lineup.keeperId === event.onId) return null;
+  if (event.type === 'keeper') {
+    // The outgoing keeper takes the new keeper's slot, or goes to the bench
+    const slots = [...lineup.slots];
+    if (onSlot !== -1) slots[onSlot] = lineup.keeperId;
+    return { offId: lineup.keeperId, lineup: { ...lineup, keeperId: event.onId, slots } };
+  }
+  if (onSlot !== -1) return null;
+  if (event.slot === 'GK') return { offId: lineup.keeperId, lineup: { ...lineup, keeperId: event.onId } };
+  const slots = [...lineup.slots];
+  slots[event.slot] = event.onId;
+  return { offId: lineup.slots[event.slot], lineup: { ...lineup, slots } };
+};
+
+const resolveLiveEvent = (live, plan, index, confirmed) => {
+  const event = plan.events[index];
+  const result = confirmed ? applyLiveEvent(live.lineup, event) : null;
+  if (confirmed && !result) return live;
+  const lineup = result ? result.lineup : live.lineup;
+  return {
+    ...live,
+    lineup,
+    resolved: [...live.resolved, index],
+    log: [...live.log, {
+      atSeconds: live.elapsedSeconds,
+      type: event.type,
+      status: confirmed ? 'confirmed' : 'skipped',
+      onId: event.onId,
+      offId: result ? result.offId : event.offId,
+      slot: event.slot,
+      lineup,
+    }],
+  };
+};
+
+/**
+ * Applies (or declines) the automatic plan's lineup reset at the start of a period.
+ * Applying it also covers any keeper or formation change planned for that minute
+ * and any end-of-period subs still waiting.
+ */
+const resolvePeriodLineup = (live, plan, confirmed) => {
+  const period = plan.periods[live.periodNumber - 1];
+  const snapshot = getPeriodStartLineup(plan, period);
+  const lineup = confirmed
+    ? { keeperId: snapshot.keeperId, slots: [...snapshot.slots], formation: snapshot.formation, positions: snapshot.positions }
+    : live.lineup;
+  const covered = confirmed
+    ? plan.events
+      .map((e, index) => (e.minute <= period.start && (e.type !== 'sub' || e.period < period.number) ? index : null))
+      .filter(i => i !== null && !live.resolved.includes(i))
+    : [];
+  return {
+    ...live,
+    lineup,
+    periodLineupPending: false,
+    resolved: [...live.resolved, ...covered],
+    log: [...live.log, { atSeconds: live.elapsedSeconds, type: 'lineup', status: confirmed ? 'confirmed' : 'skipped', onId: null, offId: null, slot: null, lineup }],
+  };
+};
+
+/**
+ * Re-plans the rest of the match from the current clock, starting from the lineup
+ * actually on the pitch and the minutes actually played. The plan keeps the candidate
+ * (see PLAN_CANDIDATES) the coach picked.
+ * @returns {{ plan: MatchPlan, live: LiveMatch }}
+ */
+const replanLiveMatch = (live, plan, settings, playersWithMinutes, availability) => {
+  const fromMinute = getReplanMinute(live);
+  const { secondsPlayed, keeperSeconds } = getLiveMinutes(plan, live);
+  const toMinutes = (seconds) => Object.fromEntries([...seconds].map(([id, s]) => [id, Math.round(s / 60)]));
+
+  const newPlan = generateCandidatePlan(settings, playersWithMinutes, plan.candidate, {
+    availability,
+    resume: {
+      plan,
+      fromMinute,
+      lineup: live.lineup,
+      minutesPlayed: toMinutes(secondsPlayed),
+      keeperMinutes: toMinutes(keeperSeconds),
+      periodUnderway: live.status !== 'break' && !live.periodLineupPending,
+    },
+  });
+
+  // Everything before fromMinute is history; older prompts still waiting are superseded
+  const kept = newPlan.events.filter(e => e.minute < fromMinute).length;
+  const period = newPlan.periods[live.periodNumber - 1];
+
+  // A player who is out with nobody on the bench to replace her has no prompt to bring her
+  // off, so she leaves the live lineup now and stops being credited
+  let lineup = live.lineup;
+  const offLog = live.lineup.slots.flatMap((id, slot) => {
+    if (!id || isAvailableAt(availability, id, fromMinute) || newPlan.events.some(e => e.minute >= fromMinute && e.offId === id)) return [];
+    lineup = { ...lineup, slots: lineup.slots.map(s => (s === id ? null : s)) };
+    return [{ atSeconds: live.elapsedSeconds, type: 'off', status: 'confirmed', onId: null, offId: id, slot, lineup }];
+  });
+
+  return {
+    plan: newPlan,
+    live: {
+      ...live,
+      lineup,
+      log: [...live.log, ...offLog],
+      availability,
+      resolved: Array.from({ length: kept }, (_, i) => i),
+      periodLineupPending: live.periodLineupPending && !!getPeriodStartLineup(newPlan, period),
+    },
+  };
+};
+
+/**
+ * Actual seconds on the pitch per player (GK time included), replayed from the confirmed log.
+ */
+const getLiveMinutes = (plan, live) => {
+  const secondsPlayed = new Map(plan.players.map(p => [p.id, 0]));
+  const keeperSeconds = new Map(plan.players.map(p => [p.id, 0]));
+  let lineup = plan.lineups[0];
+  let clock = 0;
+
+  const creditTo = (time) => {
+    const elapsed = time - clock;
+    if (elapsed <= 0) return;
+    lineup.slots.forEach(id => {
+      if (id) secondsPlayed.set(id, secondsPlayed.get(id) + elapsed);
+    });
+    if (lineup.keeperId) {
+      secondsPlayed.set(lineup.keeperId, secondsPlayed.get(lineup.keeperId) + elapsed);
+      keeperSeconds.set(lineup.keeperId, keeperSeconds.get(lineup.keeperId) + elapsed);
+    }
+    clock = time;
+  };
+
+  live.log.filter(entry => entry.status === 'confirmed').forEach(entry => {
+    creditTo(entry.atSeconds);
+    lineup = entry.lineup;
+  });
+  creditTo(live.elapsedSeconds);
+
+  return { secondsPlayed, keeperSeconds };
+};
+
+
+// --- SEASON LEDGER ---
+
+// Share of a player's season minutes deficit made up in one match, and the most one
+// match's target can move, as a fraction of the match duration
+const SEASON_CATCH_UP_RATE = 0.25;
+const SEASON_CATCH_UP_LIMIT = 0.1;
+
+/**
+ * One finished match, saved under getPrivatePath('matches', userId).
+ * @typedef {Object} MatchRecord
+ * @property {string} playedAt - ISO timestamp.
+ * @property {string} gameFormat
+ * @property {string} formation
+ * @property {number} matchDuration
+ * @property {string|null} opponent - From the fixture the plan was opened from, if any.
+ * @property {'Home'|'Away'|null} venue
+ * @property {MatchRecordPlayer[]} players - Only players who turned up; a no-show from kick-off is left out.
+ * @property {MatchChange[]} changes - Subs and keeper changes actually made.
+ * @property {MatchEvent[]} events - In minute order.
+ * @property {{ for: number, against: number }} score
+ *
+ * Records saved before match events were logged have no opponent, changes, events or score.
+ */
+
+/**
+ * @typedef {Object} MatchRecordPlayer
+ * @property {string} playerId
+ * @property {string} name
+ * @property {boolean} inRotation - False for a permanent GK, who is not part of the minutes share.
+ * @property {number} minutes - Actual minutes on the pitch, GK time included.
+ * @property {number} keeperMinutes
+ * @property {boolean} started
+ * @property {number} keeperStints
+ * @property {Object<string, number>} lineMinutes - Minutes per line (see DEVELOPMENT_LINES). Missing
+ *           from records saved before positions were tracked.
+ */
+
+/**
+ * @typedef {Object} MatchChange
+ * @property {number} minute
+ * @property {'sub'|'keeper'} type
+ * @property {string} on - Player name.
+ * @property {string|null} off - Player name; null when the place was empty.
+ * @property {string} position - 'GK' or the outfield position.
+ */
+
+/**
+ * Builds the ledger record for a finished live match from the confirmed changes. Without
+ * `live` the plan's own minutes and changes stand in, for a report of the plan before the
+ * match or of a match not run in match mode.
+ * @param {MatchPlan} plan
+ * @param {Object|null} live - Match mode state (see createLiveMatch).
+ * @param {MatchEvent[]} [matchEvents]
+ * @param {Object|null} [fixture] - The fixture the plan was opened from.
+ * @returns {MatchRecord}
+ */
+const buildMatchRecord = (plan, live, matchEvents = [], fixture = null) => {
+  const { secondsPlayed, keeperSeconds } = live ? getLiveMinutes(plan, live) : {
+    secondsPlayed: new Map(plan.players.map(p => [p.id, p.minutesPlayed * 60])),
+    keeperSeconds: new Map(plan.players.map(p => [p.id, p.keeperMinutes * 60])),
+  };
+  const start = plan.lineups[0];
+  const confirmed = live ? live.log.filter(entry => entry.status === 'confirmed') : [];
+  const lineups = live ? [start, ...confirmed.map(entry => entry.lineup)] : plan.lineups;
+  const keeperStints = new Map();
+  lineups.forEach((lineup, i) => {
+    const id = lineup.keeperId;
+    if (id && (i === 0 || lineups[i - 1].keeperId !== id)) keeperStints.set(id, (keeperStints.get(id) || 0) + 1);
+  });
+
+  // Each lineup stands until the next one (or the final whistle)
+  const lineMinutes = countLineMinutes(live
+    ? lineups.map((lineup, i) => ({
+      lineup,
+      from: i === 0 ? 0 : confirmed[i - 1].atSeconds / 60,
+      to: (i < confirmed.length ? confirmed[i].atSeconds : live.elapsedSeconds) / 60,
+    }))
+    : lineups.map((lineup, i) => ({
+      lineup,
+      from: lineup.minute,
+      to: i + 1 < lineups.length ? lineups[i + 1].minute : plan.matchDuration,
+    })));
+
+  const nameOf = (id) => (id ? (plan.players.find(p => p.id === id) || { name: 'Empty' }).name : null);
+  const slotName = (positions, slot) => (slot === 'GK' ? 'GK' : positions[slot]);
+  const isChange = (type) => type === 'sub' || type === 'keeper';
+  const changes = live
+    ? confirmed.filter(entry => isChange(entry.type)).map(entry => ({
+      minute: Math.round(entry.atSeconds / 60),
+      type: entry.type,
+      on: nameOf(entry.onId),
+      off: nameOf(entry.offId),
+      position: slotName(entry.lineup.positions, entry.slot),
+    }))
+    : plan.events.map((e, i) => ({ e, i })).filter(({ e }) => isChange(e.type)).map(({ e, i }) => ({
+      minute: e.minute,
+      type: e.type,
+      on: nameOf(e.onId),
+      off: nameOf(e.offId),
+      position: slotName(getEventPositions(plan, i), e.slot),
+    }));
+
+  return {
+    playedAt: new Date().toISOString(),
+    gameFormat: plan.gameFormat,
+    formation: plan.formation,
+    matchDuration: plan.matchDuration,
+    opponent: fixture ? fixture.opponent : null,
+    venue: fixture ? fixture.venue : null,
+    players: plan.players
+      .filter(p => secondsPlayed.get(p.id) > 0 || !live || isAvailableAt(live.availability, p.id, 0))
+      .map(p => ({
+        playerId: p.id,
+        name: p.name,
+        inRotation: !(plan.isPermanentGK && p.role === 'GK'),
+        minutes: Math.round(secondsPlayed.get(p.id) / 60),
+        keeperMinutes: Math.round(keeperSeconds.get(p.id) / 60),
+        started: start.keeperId === p.id || start.slots.includes(p.id),
+        keeperStints: keeperStints.get(p.id) || 0,
+        lineMinutes: Object.fromEntries(DEVELOPMENT_LINES.map(line => [line, Math.round((lineMinutes.get(p.id) || {})[line] || 0)])),
+      })),
+    changes,
+    events: sortMatchEvents(matchEvents),
+    score: getMatchScore(matchEvents),
+  };
+};
+
+/**
+ * @typedef {Object} SeasonTotals
+ * @property {string} id - Roster player id.
+ * @property {string} name
+ * @property {number} matches
+ * @property {number} minutes
+ * @property {number} minutesBehind - Fair share of the matches she played in, minus her minutes.
+ *           Fair share is the average minutes of the rotation players in each match.
+ * @property {number} starts
+ * @property {number} keeperStints
+ * @property {number} keeperMinutes
+ * @property {Object<string, number>} lineMinutes - Minutes per line (see DEVELOPMENT_LINES).
+ * @property {Object<string, number>} recentLines - The same over her last DIVERSITY_RECENT_MATCHES
+ *           matches with positions recorded.
+ */
+
+/**
+ * A roster player's entry in a ledger record, matched by player id and then by name so
+ * a squad typed in again still lines up.
+ * @param {MatchRecord} record
+ * @param {{ id: string, name: string }} player
+ * @returns {MatchRecordPlayer|undefined}
+ */
+const findRecordPlayer = (record, player) => {
+  const name = player.name.trim().toLowerCase();
+  return record.players.find(e => e.playerId === player.id) || record.players.find(e => e.name.trim().toLowerCase() === name);
+};
+
+/**
+ * Season totals per roster player (see findRecordPlayer).
+ * @param {MatchRecord[]} records - Oldest first.
+ * @returns {SeasonTotals[]}
+ */
+const summariseSeason = (records, players) => players
+  .filter(p => p.name.trim() !== '')
+  .map(player => {
+    let matches = 0, minutes = 0, fairShare = 0, starts = 0, keeperStints = 0, keeperMinutes = 0;
+    const lineHistory = [];
+    records.forEach(record => {
+      const entry = findRecordPlayer(record, player);
+      if (!entry) return;
+      const rotation = record.players.filter(e => e.inRotation);
+      matches++;
+      minutes += entry.minutes;
+      if (entry.inRotation) fairShare += rotation.reduce((sum, e) => sum + e.minutes, 0) / rotation.length;
+      else fairShare += entry.minutes;
+      if (entry.started) starts++;
+      keeperStints += entry.keeperStints;
+      keeperMinutes += entry.keeperMinutes;
+      if (entry.lineMinutes) lineHistory.push(entry.lineMinutes);
+    });
+    return {
+      id: player.id,
+      name: player.name,
+      matches,
+      minutes,
+      minutesBehind: Math.round(fairShare - minutes),
+      starts,
+      keeperStints,
+      keeperMinutes,
+      lineMinutes: sumLineMinutes(lineHistory),
+      recentLines: sumLineMinutes(lineHistory.slice(-DIVERSITY_RECENT_MATCHES)),
+    };
+  });
+
+/**
+ * Per-player change to this match's equal minutes that pulls the season back towards
+ * even: players behind on season minutes gain, those ahead give some up. Each player
+ * stays between no minutes and the whole match, and the changes sum to zero, so the
+ * match total is unchanged.
+ * @param {SeasonTotals[]} season
+ * @param {{ id: string, minutes: number }[]} players - Their equal minutes for this match.
+ * @returns {Map<string, number>} player id -> minutes to add (may be negative).
+ */
+const getSeasonCatchUp = (season, players, matchDuration) => {
+  const behind = players.map(p => (season.find(row => row.id === p.id) || { minutesBehind: 0 }).minutesBehind);
+  const mean = behind.reduce((sum, b) => sum + b, 0) / (behind.length || 1);
+  const limit = Math.round(matchDuration * SEASON_CATCH_UP_LIMIT);
+  // How far each player can move: the limit, and never below 0 or past the final whistle
+  const lowest = players.map(p => Math.max(-limit, -p.minutes));
+  const highest = players.map(p => Math.min(limit, matchDuration - p.minutes));
+  const catchUp = behind.map((b, i) => Math.max(lowest[i], Math.min(highest[i], Math.round((b - mean) * SEASON_CATCH_UP_RATE))));
+
+  // Rounding, and those bounds, can leave minutes over or under; settle them on the most
+  // behind (or take them back from the furthest ahead) who still have room
+  const mostBehindFirst = behind.map((_, i) => i).sort((a, b) => behind[b] - behind[a]);
+  let excess = catchUp.reduce((sum, c) => sum + c, 0);
+  for (let i = 0; excess !== 0; i++) {
+    const index = excess < 0
+      ? mostBehindFirst[i % mostBehindFirst.length]
+      : mostBehindFirst[mostBehindFirst.length - 1 - (i % mostBehindFirst.length)];
+    const settled = catchUp[index] - Math.sign(excess);
+    if (settled < lowest[index] || settled > highest[index]) continue;
+    catchUp[index] = settled;
+    excess -= Math.sign(excess);
+  }
+  return new Map(players.map((p, i) => [p.id, catchUp[i]]));
+};
+
+/** Share of her season matches a player started; players new to the ledger count as 0. */
+const getSeasonStartRate = (player) => (player.season && player.season.matches > 0 ? player.season.starts / player.season.matches : 0);
+
+/**
+ * The named players in the roster order that starts whoever has started least this season,
+ * for the LineupEditor (see getStartingAssignments): the keeper buildGKSchedule picks, the
+ * starters in slot order, then everyone else as they were.
+ * @returns {string[]} Player ids
+ */
+const getSeasonStarterOrder = (settings, playersWithMinutes) => {
+  const positions = getFormationPositions(settings);
+  const named = playersWithMinutes.filter(p => p.name.trim() !== '');
+  const keeperStint = buildGKSchedule(settings, named)[0];
+  const keeper = keeperStint ? keeperStint.player : null;
+  const candidates = named
+    .filter(p => p.minutes > 0 && (!settings.isPermanentGK || p.role !== 'GK') && (!keeper || p.id !== keeper.id))
+    .sort((a, b) => getSeasonStartRate(a) - getSeasonStartRate(b));
+  const starters = arrangeLineup(candidates.slice(0, positions.length), positions).filter(Boolean);
+  const first = keeper ? [keeper, ...starters] : starters;
+  return [...first, ...named.filter(p => !first.includes(p))].map(p => p.id);
+};
+
+// --- PLAYER DEVELOPMENT ---
+
+// The lines minutes are recorded in, for development guidelines that ask for everyone to
+// play everywhere: goal plus the outfield lines of POSITION_LINES
+const DEVELOPMENT_LINES = ['GK', ...Object.keys(LINE_NAMES)];
+const DEVELOPMENT_LINE_NAMES = { GK: 'Goal', ...LINE_NAMES };
+const DEVELOPMENT_LINE_COLORS = { GK: COLORS.GOLD, DEF: COLORS.NAVY_BLUE, MID: COLORS.SKY_BLUE, ATT: COLORS.ORANGE };
+// Matches shown in a player's development chart
+const DEVELOPMENT_CHART_MATCHES = 10;
+
+/**
+ * Minutes each player spent in each line over a run of lineups, each standing from
+ * `from` to `to` (match minutes, may be fractional). Positions outside POSITION_LINES
+ * aren't counted.
+ * @param {{ lineup: LineupSnapshot, from: number, to: number }[]} stints
+ * @returns {Map<string, Object<string, number>>} player id -> line -> minutes
+ */
+const countLineMinutes = (stints) => {
+  const lineMinutes = new Map();
+  const credit = (id, line, minutes) => {
+    if (!lineMinutes.has(id)) lineMinutes.set(id, Object.fromEntries(DEVELOPMENT_LINES.map(l => [l, 0])));
+    lineMinutes.get(id)[line] += minutes;
+  };
+  stints.forEach(({ lineup, from, to }) => {
+    if (to <= from) return;
+    if (lineup.keeperId) credit(lineup.keeperId, 'GK', to - from);
+    lineup.slots.forEach((id, i) => {
+      const line = POSITION_LINES[lineup.positions[i]];
+      if (id && line) credit(id, line, to - from);
+    });
+  });
+  return lineMinutes;
+};
+
+/** Adds up line minutes (see DEVELOPMENT_LINES) from several matches. */
+const sumLineMinutes = (lineMinutesList) => Object.fromEntries(DEVELOPMENT_LINES.map(line => [
+  line,
+  lineMinutesList.reduce((sum, lineMinutes) => sum + (lineMinutes[line] || 0), 0),
+]));
+
+/**
+ * Tags each player with her recent minutes per line (`recentLines`) from the season
+ * totals, which turns on position diversity in the generators (see getLineDiversityBonus).
+ * @param {SeasonTotals[]} season
+ */
+const withRecentLines = (players, season) => players.map(player => {
+  const row = season.find(r => r.id === player.id);
+  return { ...player, recentLines: row ? row.recentLines : null };
+});
+
+/**
+ * A player's line minutes match by match, oldest first; matches saved before positions
+ * were tracked are left out.
+ * @param {MatchRecord[]} records - Oldest first.
+ * @param {{ id: string, name: string }} player
+ * @returns {{ id: string, playedAt: string, opponent: string|null, lineMinutes: Object<string, number> }[]}
+ */
+const getPlayerLineHistory = (records, player) => records
+  .map(record => ({ record, entry: findRecordPlayer(record, player) }))
+  .filter(({ entry }) => entry && entry.lineMinutes)
+  .map(({ record, entry }) => ({ id: record.id, playedAt: record.playedAt, opponent: record.opponent || null, lineMinutes: entry.lineMinutes }));
+
+// --- MATCH EVENTS & REPORT ---
+
+/**
+ * A goal, card, note and so on, logged during or after the match. Events stay with the
+ * plan (and the draft) and are saved in its MatchRecord.
+ * @typedef {Object} MatchEvent
+ * @property {string} id
+ * @property {keyof MATCH_EVENT_TYPES} type
+ * @property {number} minute
+ * @property {string|null} playerId - Plan player id; see getEventPlayerRule.
+ * @property {string|null} name - The player's name when it was logged.
+ * @property {string} note
+ */
+
+const MATCH_EVENT_TYPES = {
+  goal: 'Goal',
+  assist: 'Assist',
+  save: 'Save',
+  yellowCard: 'Yellow card',
+  injury: 'Injury',
+  note: 'Note',
+  opponentGoal: 'Opposition goal',
+};
+
+/**
+ * Whether an event type names a player: the opposition's goals never do, notes may.
+ * @returns {'required'|'optional'|'none'}
+ */
+const getEventPlayerRule = (type) => {
+  if (type === 'opponentGoal') return 'none';
+  return type === 'note' ? 'optional' : 'required';
+};
+
+const sortMatchEvents = (events) => [...events].sort((a, b) => a.minute - b.minute);
+
+const getMatchScore = (events) => ({
+  for: events.filter(e => e.type === 'goal').length,
+  against: events.filter(e => e.type === 'opponentGoal').length,
+});
+
+/**
+ * Renders a MatchRecord as the plain-text report for sharing: score line, scorers,
+ * minutes and a timeline of changes and events. Changes come before events at the
+ * same minute.
+ * @param {MatchRecord} record
+ * @returns {string}
+ */
+const renderMatchReport = (record) => {
+  const events = record.events || [];
+  const score = record.score || getMatchScore(events);
+  const title = record.opponent ? `${record.venue === 'Away' ? '@' : 'vs'} ${record.opponent}` : 'Match Report';
+
+  const goals = events.filter(e => e.type === 'goal');
+  const scorerName = (e) => e.name || 'Unknown';
+  const scorers = [...new Set(goals.map(scorerName))]
+    .map(name => `${name} ${goals.filter(e => scorerName(e) === name).map(e => `${e.minute}'`).join(', ')}`);
+
+  const minutes = [...record.players]
+    .sort((a, b) => b.minutes - a.minutes || a.name.localeCompare(b.name))
+    .map(p => `${p.name}: ${p.minutes} mins${p.keeperMinutes > 0 ? ` (${p.keeperMinutes} in goal)` : ''}`);
+
+  const changeText = (c) => (c.type === 'keeper'
+    ? `IN GOAL: ${c.on} | OUT OF GOAL: ${c.off || 'Empty'}`
+    : `ON: ${c.on} (${c.position}) | OFF: ${c.off || 'Empty'}`);
+  const eventText = (e) => `${[(MATCH_EVENT_TYPES[e.type] || e.type).toUpperCase(), e.name].filter(Boolean).join(': ')}${e.note ? ` - ${e.note}` : ''}`;
+  const timeline = [
+    ...(record.changes || []).map(c => ({ minute: c.minute, order: 0, text: changeText(c) })),
+    ...events.map(e => ({ minute: e.minute, order: 1, text: eventText(e) })),
+  ]
+    .sort((a, b) => a.minute - b.minute || a.order - b.order)
+    .map(item => `${formatMinute(item.minute)} ${item.text}`);
+
+  let text = `--- ${title} ---\n`;
+  text += `${new Date(record.playedAt).toLocaleDateString()} | ${record.gameFormat} ${record.formation} | ${record.matchDuration} min\n\n`;
+  text += `SCORE: ${score.for} - ${score.against}\n`;
+  text += `Scorers: ${scorers.length > 0 ? scorers.join('; ') : 'None'}\n\n`;
+  text += `--- Minutes ---\n${minutes.join('\n')}\n\n`;
+  text += `--- Timeline ---\n${timeline.length > 0 ? timeline.join('\n') : 'No changes or events.'}\n`;
+  return text;
+};
+
+// --- UI COMPONENTS ---
+
+/**
+ * One roster row. `can` is the App's entitlement lookup (see getEntitlement).
+ */
+const PlayerInputRow = ({ player, index, settings, setPlayers, can, allPositions }) => {
+
+  const handleChange = (field, value) => {
+    setPlayers(prev => prev.map(p =>
+      p.id === player.id ? { ...p, [field]: value } : p
+    ));
+  };
+
+  return (
+    <div className="flex items-center space-x-2 py-2 border-b border-gray-100">
+      <span className="text-xs font-semibold w-6 text-center text-gray-500">{index + 1}</span>
+      <input
+        type="text"
+        placeholder={`Player Name ${index + 1}`}
+        value={player.name}
+        onChange={(e) => handleChange('name', e.target.value)}
+        className="flex-grow p-2 border rounded-lg focus:ring-sky-blue focus:border-sky-blue transition duration-150"
+      />
+      <select
+        value={player.preferredPosition}
+        onChange={(e) => handleChange('preferredPosition', e.target.value)}
+        className="p-2 border rounded-lg w-28 text-sm bg-white"
+      >
+        <option value="">Pref. Pos.</option>
+        {allPositions.map(pos => <option key={pos} value={pos}>{pos}</option>)}
+      </select>
+
+      {can('secondaryPositions') && (
+        <select
+          value={player.secondaryPosition}
+          onChange={(e) => handleChange('secondaryPosition', e.target.value)}
+          className="p-2 border rounded-lg w-28 text-sm bg-white"
+        >
+          <option value="">Sec. Pos.</option>
+          {allPositions.map(pos => <option key={pos} value={pos}>{pos}</option>)}
+        </select>
+      )}
+
+      {can('secondaryPositions') && (
+        <select
+          value={player.neverPosition || ''}
+          onChange={(e) => handleChange('neverPosition', e.target.value)}
+          className="p-2 border rounded-lg w-28 text-sm bg-white"
+          title="The planner will not put this player here"
+        >
+          <option value="">Never Pos.</option>
+          {Object.keys(LINE_NAMES).map(line => <option key={`never-${line}`} value={line}>{LINE_NAMES[line]}</option>)}
+          {allPositions.filter(pos => pos !== 'GK').map(pos => <option key={`never-${pos}`} value={pos}>{pos}</option>)}
+        </select>
+      )}
+
+      {!settings.isPermanentGK && (
+        <label className="flex items-center text-xs font-semibold" style={{ color: COLORS.NAVY_BLUE }} title="Willing to play in goal">
+          <input
+            type="checkbox"
+            checked={!!player.canPlayGK}
+            onChange={(e) => handleChange('canPlayGK', e.target.checked)}
+            className="mr-1"
+          /> GK
+        </label>
+      )}
+
+      {can('manualMinutes') && (
+        <input
+          type="number"
+          placeholder="Manual Mins"
+          value={player.manualMinutes === null ? '' : player.manualMinutes}
+          onChange={(e) => handleChange('manualMinutes', e.target.value === '' ? null : parseInt(e.target.value, 10))}
+          className={`p-2 border rounded-lg w-24 text-sm text-center ${can('manualPlans') ? '' : 'opacity-50'}`}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Roster import and backup: players from a CSV or vCard file or a spreadsheet paste go
+ * through a column mapping and a preview (duplicates unticked) before they are added; a
+ * JSON backup restores the squad and plan whole. `onImport(players, replace)` returns
+ * how many players didn't fit in the roster.
+ */
+const RosterImport = ({ players, onImport, onRestoreBackup, onExportBackup }) => {
+  const [rows, setRows] = useState(null); // string[][] being mapped, or null
+  const [mapping, setMapping] = useState(null); // ImportMapping
+  const [skipped, setSkipped] = useState(new Set()); // candidate indexes left out
+  const [replace, setReplace] = useState(false);
+  const [backup, setBackup] = useState(null);
+  const [pasteText, setPasteText] = useState(null); // null = paste box closed
+  const [message, setMessage] = useState('');
+
+  const candidates = useMemo(() => (rows ? buildImportCandidates(rows, mapping, replace ? [] : players) : []), [rows, mapping, replace, players]);
+  const columns = rows ? Math.max(...rows.map(r => r.length)) : 0;
+  const columnLabel = (i) => (mapping.hasHeader && rows[0][i] ? rows[0][i] : `Column ${i + 1}`);
+
+  // Shows the preview with duplicates unticked; called again whenever the mapping or mode changes
+  const preview = (newRows, newMapping, newReplace) => {
+    setRows(newRows);
+    setMapping(newMapping);
+    setReplace(newReplace);
+    const newCandidates = buildImportCandidates(newRows, newMapping, newReplace ? [] : players);
+    setSkipped(new Set(newCandidates.map((c, i) => (c.duplicate ? i : -1)).filter(i => i !== -1)));
+  };
+
+  const startMapping = (newRows) => {
+    if (newRows.length === 0) {
+      setMessage('No players found to import.');
+      return;
+    }
+    preview(newRows, guessImportMapping(newRows), replace);
+    setBackup(null);
+    setPasteText(null);
+    setMessage('');
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    const text = await file.text();
+    if (file.name.toLowerCase().endsWith('.json')) {
+      try {
+        setBackup(parseBackup(text));
+        setRows(null);
+        setMessage('');
+      } catch (e) {
+        setMessage(e.message);
+      }
+      return;
+    }
+    startMapping(parseImportRows(text));
+  };
+
+  const updateMapping = (patch) => preview(rows, { ...mapping, ...patch }, replace);
+
+  const toggleSkipped = (index) => setSkipped(prev => {
+    const next = new Set(prev);
+    if (next.has(index)) next.delete(index);
+    else next.add(index);
+    return next;
+  });
+
+  const handleImport = () => {
+    const chosen = candidates.filter((_, i) => !skipped.has(i));
+    const left = onImport(chosen.map(toRosterPlayer), replace);
+    const added = chosen.length - left;
+    setRows(null);
+    setMessage(`Imported ${added} ${added === 1 ? 'player' : 'players'}.${left > 0 ? ` ${left} didn't fit in the roster.` : ''}`);
+  };
+
+  const handleRestore = () => {
+    onRestoreBackup(backup);
+    setBackup(null);
+    setMessage('Backup restored.');
+  };
+
+  const toggleClass = 'text-xs px-3 py-1 rounded-full text-white';
+
+  return (
+    <div className="mt-4 pt-4 border-t space-y-3" style={{ borderColor: COLORS.SKY_BLUE, color: COLORS.NAVY_BLUE }}>
+      <div className="flex flex-wrap gap-2 items-center">
+        <label className={`${toggleClass} cursor-pointer flex items-center`} style={{ backgroundColor: COLORS.NAVY_BLUE }}>
+          <Upload className="w-4 h-4 mr-1" /> Import File
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,.vcf,.json"
+            onChange={(e) => {
+              handleFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+            className="hidden"
+          />
+        </label>
+        <button onClick={() => setPasteText(pasteText === null ? '' : null)} className={toggleClass} style={{ backgroundColor: COLORS.SKY_BLUE }}>
+          Paste Names
+        </button>
+        <button onClick={onExportBackup} className={`${toggleClass} flex items-center`} style={{ backgroundColor: COLORS.ORANGE }}>
+          <Download className="w-4 h-4 mr-1" /> Export Backup
+        </button>
+        <span className="text-xs text-gray-500">CSV, vCard or a Game Planner backup (.json)</span>
+      </div>
+
+      {message && <p className="text-sm">{message}</p>}
+
+      {pasteText !== null && (
+        <div className="space-y-2">
+          <textarea
+            rows={5}
+            value={pasteText}
+            onChange={(e) => setPasteText(e.target.value)}
+            placeholder={'One player per line, straight from a spreadsheet:\nName, then number and position columns if you have them'}
+            className="w-full p-2 border rounded-lg text-sm font-mono"
+          />
+          <button
+            onClick={() => startMapping(parseImportRows(pasteText))}
+            disabled={pasteText.trim() === ''}
+            className={`${toggleClass} disabled:opacity-50`}
+            style={{ backgroundColor: COLORS.NAVY_BLUE }}
+          >
+            Preview
+          </button>
+        </div>
+      )}
+
+      {backup && (
+        <div className="p-3 rounded-lg border space-y-2" style={{ borderColor: COLORS.ORANGE }}>
+          <p className="text-sm">
+            <b>{backup.squadName || 'Unnamed squad'}</b>: {backup.players.length} players
+            {backup.matchPlan ? `, ${backup.matchPlan.gameFormat} ${backup.matchPlan.formation} plan` : ''}
+            {backup.exportedAt ? `, exported ${new Date(backup.exportedAt).toLocaleString()}` : ''}
+          </p>
+          <p className="text-xs text-gray-500">Restoring replaces the roster, match settings and plan.</p>
+          <div className="flex gap-2">
+            <button onClick={handleRestore} className={toggleClass} style={{ backgroundColor: COLORS.ORANGE }}>Restore Backup</button>
+            <button onClick={() => setBackup(null)} className={`${toggleClass} bg-gray-400`}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {rows && (
+        <div className="p-3 rounded-lg border space-y-2" style={{ borderColor: COLORS.ORANGE }}>
+          <div className="flex flex-wrap gap-3 items-center text-sm">
+            {Object.entries(IMPORT_FIELDS).map(([field, label]) => (
+              <label key={field} className="flex items-center gap-1">
+                {label}
+                <select
+                  value={mapping[field] === null ? '' : mapping[field]}
+                  onChange={(e) => updateMapping({ [field]: e.target.value === '' ? null : parseInt(e.target.value, 10) })}
+                  className="p-1 border rounded bg-white"
+                >
+                  {field !== 'name' && <option value="">Not imported</option>}
+                  {Array.from({ length: columns }, (_, i) => <option key={i} value={i}>{columnLabel(i)}</option>)}
+                </select>
+              </label>
+            ))}
+            <label className="flex items-center">
+              <input type="checkbox" checked={mapping.hasHeader} onChange={(e) => updateMapping({ hasHeader: e.target.checked })} className="mr-1" />
+              First row is headings
+            </label>
+          </div>
+          <div className="max-h-60 overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b"><th /><th className="text-left">Name</th><th>No.</th><th>Position</th><th /></tr>
+              </thead>
+              <tbody>
+                {candidates.map((c, i) => (
+                  <tr key={i} className={`border-b border-gray-100 ${skipped.has(i) ? 'text-gray-400' : ''}`}>
+                    <td><input type="checkbox" checked={!skipped.has(i)} onChange={() => toggleSkipped(i)} /></td>
+                    <td>{c.name}</td>
+                    <td className="text-center">{c.shirtNumber || '-'}</td>
+                    <td className="text-center">{c.position || '-'}</td>
+                    <td className="text-xs" style={{ color: COLORS.ORANGE }}>
+                      {c.duplicate === 'roster' && 'Already in the roster'}
+                      {c.duplicate === 'import' && 'Listed twice'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex flex-wrap gap-3 items-center text-sm">
+            <label className="flex items-center">
+              <input type="radio" checked={!replace} onChange={() => preview(rows, mapping, false)} className="mr-1" /> Add to the roster
+            </label>
+            <label className="flex items-center">
+              <input type="radio" checked={replace} onChange={() => preview(rows, mapping, true)} className="mr-1" /> Replace the roster
+            </label>
+            <button
+              onClick={handleImport}
+              disabled={candidates.length === skipped.size}
+              className={`${toggleClass} disabled:opacity-50`}
+              style={{ backgroundColor: COLORS.ORANGE }}
+            >
+              Import {candidates.length - skipped.size} Players
+            </button>
+            <button onClick={() => setRows(null)} className={`${toggleClass} bg-gray-400`}>Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * What a player's circle shows: her photo, else her shirt number, else her initials.
+ */
+const PlayerBadge = ({ name, shirtNumber, photo }) => {
+  if (photo) return <img src={photo} alt={name} className="w-full h-full rounded-full object-cover" />;
+  return <span>{shirtNumber || getInitials(name)}</span>;
+};
+
+const PlayerCircle = ({ name, shirtNumber = null, photo = '', position, isGK, color = COLORS.SKY_BLUE, yPos, xPos }) => (
+  <div
+    className="absolute flex flex-col items-center justify-center transition-all duration-500 ease-in-out"
+    style={{ top: `${yPos}%`, left: `${xPos}%`, transform: 'translate(-50%, -50%)', zIndex: Math.round(yPos) }}
+    title={`${name} (${position})`}
+  >
+    <div
+      className="w-10 h-10 rounded-full flex items-center justify-center text-xs font-bold text-white shadow-lg border-2 overflow-hidden"
+      style={{
+        backgroundColor: color,
+        borderColor: isGK ? COLORS.ORANGE : color,
+      }}
+    >
+      <PlayerBadge name={name} shirtNumber={shirtNumber} photo={photo} />
+    </div>
+    <span className={`text-xs mt-1 font-medium text-center`} style={{ color: COLORS.NAVY_BLUE }}>{position}</span>
+  </div>
+);
+
+
+/**
+ * Draws a lineup snapshot (from getLineupPlayers) on the pitch, with shirt numbers and
+ * photos from `players`. Before there is a plan the LineupEditor shows the starters instead.
+ */
+const PositionVisualizer = ({ settings, players, lineup, formation = settings.selectedFormation }) => {
+  const { gameFormat } = settings;
+
+  // Coordinate mapping for a simple 2D pitch visual (responsive); custom formations bring their own
+  const coordinates = getFormationCoordinates(gameFormat, formation, settings.customFormations);
+  const getPositionCoordinates = (position) => coordinates[position] || { y: 50, x: 50 };
+
+  const lineupPlayers = lineup.filter(p => p.position !== 'Bench').map(player => {
+    const isGK = player.position === 'GK';
+    const { y, x } = getPositionCoordinates(player.position);
+    const { shirtNumber, photo } = players.find(p => p.id === player.id) || {};
+    return <PlayerCircle key={player.id} name={player.name} shirtNumber={shirtNumber} photo={photo} position={player.position} isGK={isGK} color={isGK ? COLORS.NAVY_BLUE : COLORS.SKY_BLUE} yPos={y} xPos={x} />;
+  });
+
+  return (
+    <div className="relative w-full h-96 border-4 border-green-800 bg-green-700/80 rounded-xl overflow-hidden shadow-inner">
+      {/* Pitch markings */}
+      <div className="absolute inset-0 border-white border-2 m-4 rounded-lg opacity-80">
+        <div className="absolute top-1/2 left-1/2 w-20 h-20 border-white border-2 rounded-full transform -translate-x-1/2 -translate-y-1/2 opacity-80"></div>
+        <div className="absolute top-0 left-1/2 w-40 h-10 border-white border-2 transform -translate-x-1/2"></div>
+        <div className="absolute bottom-0 left-1/2 w-40 h-10 border-white border-2 transform -translate-x-1/2 -scale-y-100"></div>
+      </div>
+
+      {lineupPlayers}
+
+      <div className="absolute bottom-2 right-2 text-xs font-semibold text-white bg-black/50 p-1 rounded">
+        {settings.gameFormat} - {formation}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * The starting lineup on the pitch, edited by dragging: from the bench strip onto a
+ * slot, onto another player to swap them, or off the pitch to bench her. Uses pointer
+ * events, so it works by touch on a tablet. The drop under the pointer is checked as
+ * you drag. Starters come from roster order, so each drop swaps two rows of `players`.
+ */
+const LineupEditor = ({ settings, players, setPlayers, onGenerate, isGenerating }) => {
+  const [drag, setDrag] = useState(null); // { playerId, x, y, target, problem } while a player is held
+  const positions = getFormationPositions(settings);
+  const coordinates = getFormationCoordinates(settings.gameFormat, settings.selectedFormation, settings.customFormations);
+  const named = players.filter(p => p.name.trim() !== '');
+  const assignments = getStartingAssignments(settings, players);
+  const problems = getLineupProblems(settings, players);
+  const bench = named.filter(p => assignments.get(p.id) === 'Bench');
+  const dragged = drag && named.find(p => p.id === drag.playerId);
+
+  // A position, 'Bench' for the strip or anywhere off the pitch, or null for empty grass (no change)
+  const getDropTarget = (x, y) => {
+    const element = document.elementFromPoint(x, y);
+    const drop = element && element.closest('[data-drop]');
+    if (!drop) return 'Bench';
+    return drop.dataset.drop === 'pitch' ? null : drop.dataset.drop;
+  };
+
+  const handlePointerDown = (e, player) => {
+    if (e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ playerId: player.id, x: e.clientX, y: e.clientY, target: null, problem: null });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drag) return;
+    const target = getDropTarget(e.clientX, e.clientY);
+    const moves = target && target !== assignments.get(drag.playerId);
+    setDrag({
+      ...drag,
+      x: e.clientX,
+      y: e.clientY,
+      target: moves ? target : null,
+      problem: moves ? getDropProblem(settings, players, assignments, drag.playerId, target) : null,
+    });
+  };
+
+  const handlePointerUp = () => {
+    if (drag && drag.target && !drag.problem) {
+      setPlayers(prev => dropInLineup(settings, prev, assignments, drag.playerId, drag.target));
+    }
+    setDrag(null);
+  };
+
+  const dropRing = (target) => {
+    if (!drag || drag.target !== target) return '';
+    return drag.problem ? 'ring-4 ring-red-500' : 'ring-4 ring-green-400';
+  };
+
+  const renderChip = (player, position) => {
+    const isGK = position === 'GK';
+    const color = isGK ? COLORS.NAVY_BLUE : COLORS.SKY_BLUE;
+    return (
+      <div
+        onPointerDown={(e) => handlePointerDown(e, player)}
+        title={`${player.name} (${position})`}
+        className={`w-10 h-10 rounded-full flex items-center justify-center text-xs font-bold text-white shadow-lg border-2 overflow-hidden cursor-grab touch-none select-none ${
+          dragged && dragged.id === player.id ? 'opacity-40' : ''
+        }`}
+        style={{ backgroundColor: color, borderColor: isGK ? COLORS.ORANGE : color }}
+      >
+        {/* The badge ignores the pointer so a photo can't start the browser's own image drag */}
+        <div className="w-full h-full flex items-center justify-center pointer-events-none">
+          <PlayerBadge name={player.name} shirtNumber={player.shirtNumber} photo={player.photo} />
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div onPointerMove={handlePointerMove} onPointerUp={handlePointerUp} onPointerCancel={() => setDrag(null)}>
+      <p className="text-sm text-gray-600 mb-3">
+        Drag players from the bench onto the pitch, onto each other to swap, or off the pitch to bench them.
+        Manual, automatic and optimised plans all start this lineup.
+      </p>
+      <div data-drop="pitch" className="relative w-full h-96 border-4 border-green-800 bg-green-700/80 rounded-xl overflow-hidden shadow-inner">
+        {/* Pitch markings */}
+        <div className="absolute inset-0 border-white border-2 m-4 rounded-lg opacity-80">
+          <div className="absolute top-1/2 left-1/2 w-20 h-20 border-white border-2 rounded-full transform -translate-x-1/2 -translate-y-1/2 opacity-80"></div>
+          <div className="absolute top-0 left-1/2 w-40 h-10 border-white border-2 transform -translate-x-1/2"></div>
+          <div className="absolute bottom-0 left-1/2 w-40 h-10 border-white border-2 transform -translate-x-1/2 -scale-y-100"></div>
+        </div>
+
+        {['GK', ...positions].map(position => {
+          const { y, x } = coordinates[position] || { y: 50, x: 50 };
+          const player = named.find(p => assignments.get(p.id) === position);
+          return (
+            <div
+              key={position}
+              data-drop={position}
+              className="absolute flex flex-col items-center"
+              style={{ top: `${y}%`, left: `${x}%`, transform: 'translate(-50%, -50%)', zIndex: Math.round(y) }}
+            >
+              <div className={`rounded-full ${dropRing(position)}`}>
+                {player ? renderChip(player, position) : <div className="w-10 h-10 rounded-full border-2 border-dashed border-white"></div>}
+              </div>
+              <span className="text-xs mt-1 font-medium text-center" style={{ color: COLORS.NAVY_BLUE }}>{position}</span>
+            </div>
+          );
+        })}
+
+        <div className="absolute bottom-2 right-2 text-xs font-semibold text-white bg-black/50 p-1 rounded">
+          {settings.gameFormat} - {settings.selectedFormation} (Starting Lineup)
+        </div>
+      </div>
+
+      <div
+        data-drop="Bench"
+        className={`mt-3 p-3 rounded-xl border-2 border-dashed flex flex-wrap gap-3 items-start ${dropRing('Bench')}`}
+        style={{ borderColor: COLORS.SKY_BLUE }}
+      >
+        <span className="w-full text-xs font-bold uppercase" style={{ color: COLORS.NAVY_BLUE }}>Bench</span>
+        {bench.length === 0 && <span className="text-xs text-gray-500">Nobody on the bench.</span>}
+        {bench.map(player => (
+          <div key={player.id} className="flex flex-col items-center w-14">
+            {renderChip(player, 'Bench')}
+            <span className="text-xs mt-1 w-full truncate text-center" style={{ color: COLORS.NAVY_BLUE }}>{player.name}</span>
+          </div>
+        ))}
+      </div>
+
+      {problems.length > 0 ? (
+        <ul className="mt-3 text-sm text-red-600 list-disc list-inside">
+          {problems.map(problem => <li key={problem}>{problem}</li>)}
+        </ul>
+      ) : (
+        <p className="mt-3 text-sm font-semibold text-green-700">Starting lineup complete.</p>
+      )}
+      {onGenerate && (
+        <div className="mt-3">
+          <Button onClick={onGenerate} disabled={isGenerating || problems.length > 0} color={COLORS.ORANGE}>
+            <Play className="w-5 h-5 mr-2" /> Plan with This Lineup
+          </Button>
+        </div>
+      )}
+
+      {/* The held player follows the pointer, with the reason when the drop under it isn't allowed */}
+      {dragged && (
+        <div
+          className="fixed z-50 flex flex-col items-center pointer-events-none"
+          style={{ top: drag.y, left: drag.x, transform: 'translate(-50%, -50%)' }}
+        >
+          <div
+            className="w-10 h-10 rounded-full flex items-center justify-center text-xs font-bold text-white shadow-xl border-2 overflow-hidden"
+            style={{ backgroundColor: COLORS.ORANGE, borderColor: drag.problem ? '#dc2626' : 'white' }}
+          >
+            <PlayerBadge name={dragged.name} shirtNumber={dragged.shirtNumber} photo={dragged.photo} />
+          </div>
+          {drag.problem && (
+            <span className="mt-1 px-2 py-1 rounded text-xs font-semibold text-white bg-red-600 max-w-xs">{drag.problem}</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+
+const REPLAY_SPEEDS = [1, 2, 5, 10]; // match minutes per second
+const REPLAY_TICK_MS = 100;
+const REPLAY_PITCH_REM = 24; // the pitch is h-96; the bench sits below it
+
+/**
+ * Replays a plan: a scrubber across the whole match with play/pause at a choice of
+ * speeds. Players glide between slots and to and from the bench under the pitch, each
+ * showing her minutes played so far, to walk a squad through the rotation before kick-off.
+ */
+const MatchReplay = ({ plan, settings, players }) => {
+  const [minute, setMinute] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(2);
+  const changeMinutes = [...new Set(plan.lineups.map(l => l.minute))].filter(m => m < plan.matchDuration);
+
+  useEffect(() => {
+    setMinute(0);
+    setIsPlaying(false);
+  }, [plan]);
+
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    const timer = setInterval(
+      () => setMinute(m => Math.min(plan.matchDuration, m + speed * REPLAY_TICK_MS / 1000)),
+      REPLAY_TICK_MS
+    );
+    return () => clearInterval(timer);
+  }, [isPlaying, speed, plan]);
+
+  useEffect(() => {
+    if (minute >= plan.matchDuration) setIsPlaying(false);
+  }, [minute, plan]);
+
+  const lineup = getLineupAt(plan, minute);
+  const lineupPlayers = getLineupPlayers(plan, lineup);
+  const played = getMinutesPlayedAt(plan, minute);
+  const coordinates = getFormationCoordinates(plan.gameFormat, lineup.formation, settings.customFormations);
+  const bench = lineupPlayers.filter(p => p.position === 'Bench');
+  const previousChange = changeMinutes.filter(m => m < minute).pop();
+  const nextChange = changeMinutes.find(m => m > minute);
+
+  const handlePlay = () => {
+    if (minute >= plan.matchDuration) setMinute(0);
+    setIsPlaying(!isPlaying);
+  };
+
+  const jumpTo = (m) => {
+    setIsPlaying(false);
+    setMinute(m);
+  };
+
+  // Pitch spots are % of the pitch; bench spots are spread along the strip below it
+  const getSpot = (player) => {
+    if (player.position !== 'Bench') {
+      const { y, x } = coordinates[player.position] || { y: 50, x: 50 };
+      return { top: `${y * REPLAY_PITCH_REM / 100}rem`, left: `${x}%` };
+    }
+    const index = bench.findIndex(p => p.id === player.id);
+    return { top: `${REPLAY_PITCH_REM + 3}rem`, left: `${(index + 1) * 100 / (bench.length + 1)}%` };
+  };
+
+  return (
+    <div>
+      <div className="relative w-full" style={{ height: `${REPLAY_PITCH_REM + 6}rem` }}>
+        <div className="absolute inset-x-0 top-0 h-96 border-4 border-green-800 bg-green-700/80 rounded-xl overflow-hidden shadow-inner">
+          {/* Pitch markings */}
+          <div className="absolute inset-0 border-white border-2 m-4 rounded-lg opacity-80">
+            <div className="absolute top-1/2 left-1/2 w-20 h-20 border-white border-2 rounded-full transform -translate-x-1/2 -translate-y-1/2 opacity-80"></div>
+            <div className="absolute top-0 left-1/2 w-40 h-10 border-white border-2 transform -translate-x-1/2"></div>
+            <div className="absolute bottom-0 left-1/2 w-40 h-10 border-white border-2 transform -translate-x-1/2 -scale-y-100"></div>
+          </div>
+          <div className="absolute bottom-2 right-2 text-xs font-semibold text-white bg-black/50 p-1 rounded">
+            {plan.gameFormat} - {lineup.formation} ({formatMinute(lineup.minute)} {lineup.label})
+          </div>
+        </div>
+        <div className="absolute inset-x-0 bottom-0 h-20 rounded-xl border-2 border-dashed" style={{ borderColor: COLORS.SKY_BLUE }}>
+          <span className="absolute top-1 left-2 text-xs font-bold uppercase" style={{ color: COLORS.NAVY_BLUE }}>Bench</span>
+        </div>
+
+        {lineupPlayers.map(player => {
+          const isGK = player.position === 'GK';
+          const isBench = player.position === 'Bench';
+          const color = isGK ? COLORS.NAVY_BLUE : (isBench ? '#9ca3af' : COLORS.SKY_BLUE);
+          const { shirtNumber, photo } = players.find(p => p.id === player.id) || {};
+          return (
+            <div
+              key={player.id}
+              className="absolute flex flex-col items-center transition-all duration-700 ease-in-out"
+              style={{ ...getSpot(player), transform: 'translate(-50%, -50%)', zIndex: isBench ? 100 : 1 }}
+              title={`${player.name} (${player.position})`}
+            >
+              <div
+                className="w-10 h-10 rounded-full flex items-center justify-center text-xs font-bold text-white shadow-lg border-2 overflow-hidden"
+                style={{ backgroundColor: color, borderColor: isGK ? COLORS.ORANGE : color }}
+              >
+                <PlayerBadge name={player.name} shirtNumber={shirtNumber} photo={photo} />
+              </div>
+              <span className="text-xs font-semibold px-1 rounded bg-white/80 whitespace-nowrap" style={{ color: COLORS.NAVY_BLUE }}>
+                {player.name.split(' ')[0]} {Math.floor(played.get(player.id))}'
+              </span>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="mt-4 p-2 bg-gray-100 rounded-lg border-t border-b" style={{ borderColor: COLORS.SKY_BLUE }}>
+        {/* A tick over the scrubber at every change */}
+        <div className="relative h-2">
+          {changeMinutes.filter(m => m > 0).map(m => (
+            <span
+              key={m}
+              className="absolute top-0 w-1 h-2 rounded"
+              style={{ left: `${m * 100 / plan.matchDuration}%`, backgroundColor: COLORS.ORANGE }}
+            ></span>
+          ))}
+        </div>
+        <input
+          type="range"
+          min={0}
+          max={plan.matchDuration}
+          step={0.5}
+          value={minute}
+          aria-label="Match minute"
+          onChange={(e) => jumpTo(Number(e.target.value))}
+          className="w-full"
+        />
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => jumpTo(previousChange)}
+            disabled={previousChange === undefined}
+            className="p-1 px-3 text-sm bg-gray-300 rounded disabled:opacity-50"
+          >
+            &lt; Change
+          </button>
+          <button
+            onClick={handlePlay}
+            className="p-1 px-3 text-sm font-bold text-white rounded flex items-center"
+            style={{ backgroundColor: COLORS.ORANGE }}
+          >
+            {isPlaying ? <Pause className="w-4 h-4 mr-1" /> : <Play className="w-4 h-4 mr-1" />} {isPlaying ? 'Pause' : 'Play'}
+          </button>
+          <button
+            onClick={() => jumpTo(nextChange)}
+            disabled={nextChange === undefined}
+            className="p-1 px-3 text-sm bg-gray-300 rounded disabled:opacity-50"
+          >
+            Change &gt;
+          </button>
+          <div className="flex-grow text-center font-mono text-sm font-bold" style={{ color: COLORS.ORANGE }}>
+            {formatClock(minute * 60)} / {formatClock(plan.matchDuration * 60)}
+          </div>
+          <select
+            value={speed}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+            className="p-1 text-sm border rounded bg-white"
+            aria-label="Replay speed"
+          >
+            {REPLAY_SPEEDS.map(s => <option key={s} value={s}>{s} min/s</option>)}
+          </select>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Positions on the printed pitch use the formation's coordinates, drawn on a 100 x 140 portrait pitch
+const CARD_PITCH_HEIGHT = 140;
+const CARD_SCORER_ROWS = 8;
+
+/**
+ * Printable team sheet for a match plan: the starting formation on a line-drawn pitch,
+ * where each player is at every change, total minutes and blank boxes for the scorers.
+ * The 'pocket' size drops the pitch and scorer boxes so it folds into a coach's pocket.
+ * Only drawn with plain lines and text so it prints cleanly in black and white.
+ */
+const MatchCard = ({ plan, fixture, customFormations, size = 'full' }) => {
+  const isPocket = size === 'pocket';
+  const coordinates = getFormationCoordinates(plan.gameFormat, plan.formation, customFormations);
+  // One column per lineup actually played: skip snapshots replaced at the same minute or at the final whistle
+  const columns = plan.lineups.filter((lineup, i, all) =>
+    i === 0 || (lineup.minute < plan.matchDuration && (i === all.length - 1 || all[i + 1].minute !== lineup.minute)));
+  const startLineup = getLineupPlayers(plan, columns[0]);
+  const formations = [plan.formation, ...plan.events.filter(e => e.type === 'formation').map(e => `${e.formation} (${e.minute}')`)];
+  const columnPlayers = columns.map(lineup => new Map(getLineupPlayers(plan, lineup).map(p => [p.id, p.position])));
+
+  // Starting keeper first, then the starters in slot order, then the bench
+  const startOrder = (id) => {
+    if (columns[0].keeperId === id) return -1;
+    const slot = columns[0].slots.indexOf(id);
+    return slot === -1 ? plan.positions.length : slot;
+  };
+  const rows = [...plan.players].sort((a, b) => startOrder(a.id) - startOrder(b.id) || a.name.localeCompare(b.name));
+
+  const title = fixture
+    ? `${fixture.venue === 'Home' ? 'vs' : '@'} ${fixture.opponent}`
+    : 'Match Card';
+  const dateLine = fixture
+    ? `${new Date(`${fixture.date}T00:00`).toLocaleDateString()} ${fixture.kickOff}`
+    : 'Date: ____________';
+  const cell = `border border-black ${isPocket ? 'px-0.5' : 'px-1 py-0.5'}`;
+
+  return (
+    <div
+      className={`match-card bg-white text-black ${isPocket ? 'text-[9px] leading-tight' : 'text-sm'}`}
+      style={{ width: isPocket ? '95mm' : '100%', fontFamily: 'Inter, sans-serif' }}
+    >
+      <div className="flex justify-between items-end border-b-2 border-black pb-1 mb-2">
+        <div>
+          <div className={`${isPocket ? 'text-xs' : 'text-2xl'} font-extrabold`}>{title}</div>
+          <div>{plan.gameFormat} | {formations.join(' → ')} | {plan.matchDuration} min ({describePeriods(plan.periods)})</div>
+        </div>
+        <div className="text-right">{dateLine}</div>
+      </div>
+
+      <div className={isPocket ? '' : 'flex gap-4 items-start'}>
+        {!isPocket && (
+          <svg viewBox={`0 0 100 ${CARD_PITCH_HEIGHT}`} className="w-2/5 flex-shrink-0" style={{ maxHeight: '120mm' }}>
+            <rect x="2" y="2" width="96" height={CARD_PITCH_HEIGHT - 4} fill="none" stroke="black" strokeWidth="0.6" />
+            <line x1="2" y1={CARD_PITCH_HEIGHT / 2} x2="98" y2={CARD_PITCH_HEIGHT / 2} stroke="black" strokeWidth="0.4" />
+            <circle cx="50" cy={CARD_PITCH_HEIGHT / 2} r="10" fill="none" stroke="black" strokeWidth="0.4" />
+            <rect x="30" y="2" width="40" height="14" fill="none" stroke="black" strokeWidth="0.4" />
+            <rect x="30" y={CARD_PITCH_HEIGHT - 16} width="40" height="14" fill="none" stroke="black" strokeWidth="0.4" />
+            {startLineup.filter(p => p.position !== 'Bench').map(player => {
+              const { x, y } = coordinates[player.position] || { x: 50, y: 50 };
+              const cy = (y / 100) * CARD_PITCH_HEIGHT;
+              return (
+                <g key={player.id}>
+                  <circle cx={x} cy={cy} r="4.5" fill="white" stroke="black" strokeWidth={player.position === 'GK' ? 1 : 0.5} />
+                  <text x={x} y={cy + 1.2} textAnchor="middle" fontSize="3.2" fontWeight="bold">{player.position}</text>
+                  <text x={x} y={cy + 8.5} textAnchor="middle" fontSize="3.6">{player.name.split(' ')[0]}</text>
+                </g>
+              );
+            })}
+          </svg>
+        )}
+
+        <table className="flex-grow border-collapse text-center">
+          <thead>
+            <tr>
+              <th className={`${cell} text-left`}>Player</th>
+              {columns.map((lineup, i) => (
+                <th key={i} className={`${cell} ${lineup.periodStart && i > 0 ? 'border-l-4' : ''}`}>
+                  {formatMinute(lineup.minute)}
+                  {i > 0 && lineup.formation !== columns[i - 1].formation && <div className="font-normal">{lineup.formation}</div>}
+                </th>
+              ))}
+              <th className={cell}>Mins</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(player => (
+              <tr key={player.id}>
+                <td className={`${cell} text-left font-semibold whitespace-nowrap`}>{player.name}</td>
+                {columnPlayers.map((positionOf, i) => {
+                  const position = positionOf.get(player.id);
+                  const periodEdge = columns[i].periodStart && i > 0 ? 'border-l-4' : '';
+                  return <td key={i} className={`${cell} ${periodEdge}`}>{position === 'Bench' ? '-' : position}</td>;
+                })}
+                <td className={`${cell} font-bold`}>
+                  {player.minutesPlayed}{player.keeperMinutes > 0 ? ` (${player.keeperMinutes} GK)` : ''}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {!isPocket && (
+        <div className="flex gap-4 mt-4 items-start">
+          <table className="flex-grow border-collapse">
+            <thead>
+              <tr>
+                <th className={`${cell} w-16`}>Min</th>
+                <th className={cell}>Scorer</th>
+                <th className={cell}>Assist</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Array.from({ length: CARD_SCORER_ROWS }, (_, i) => (
+                <tr key={i} className="h-7">
+                  <td className={cell}></td>
+                  <td className={cell}></td>
+                  <td className={cell}></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="w-1/3 space-y-4">
+            <div className="border border-black p-2 font-bold">Final Score: ____ - ____</div>
+            <div className="border border-black p-2 h-40">Notes:</div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Interactive editor for the Manual plan type. Pick a minute, a slot and the bench
+ * player coming on; the pitch shows the lineup at that minute and the table
+ * recomputes every player's minutes from the subs entered so far.
+ */
+const ManualPlanBuilder = ({ settings, players, season, manualSubs, setManualSubs }) => {
+  const positions = getFormationPositions(settings);
+  const [minute, setMinute] = useState(settings.firstSubTime);
+  const [slot, setSlot] = useState('0');
+  const [onId, setOnId] = useState('');
+
+  const playersWithMinutes = useMemo(() => calculateEqualMinutes(settings, players, season), [settings, players, season]);
+  const fullPlan = useMemo(
+    () => buildManualPlan(settings, playersWithMinutes, manualSubs),
+    [settings, playersWithMinutes, manualSubs]
+  );
+  const planAtMinute = useMemo(
+    () => buildManualPlan(settings, playersWithMinutes, manualSubs.filter(s => s.time <= minute)),
+    [settings, playersWithMinutes, manualSubs, minute]
+  );
+
+  const lineupAtMinute = getLineupPlayers(planAtMinute, planAtMinute.lineups[planAtMinute.lineups.length - 1]);
+  const benchAtMinute = lineupAtMinute.filter(p => p.position === 'Bench');
+  const slotPosition = slot === 'GK' ? 'GK' : positions[Number(slot)];
+  const offPlayer = lineupAtMinute.find(p => p.position === slotPosition);
+  const fitLabel = (id) => {
+    const player = players.find(p => p.id === id);
+    return player && slotPosition !== 'GK' ? ` (${POSITION_FIT_LABELS[getPositionFit(player, slotPosition)]})` : '';
+  };
+  const canAdd = minute > 0 && minute < settings.matchDuration && benchAtMinute.some(p => p.id === onId);
+
+  const handleAddSub = () => {
+    if (!canAdd) return;
+    setManualSubs(prev => [...prev, { id: crypto.randomUUID(), time: minute, slot, onId }].sort((a, b) => a.time - b.time));
+    setOnId('');
+  };
+
+  const nameOf = (id) => (players.find(p => p.id === id) || { name: 'Removed player' }).name;
+
+  return (
+    <div className="p-4 rounded-lg border-dashed border space-y-4" style={{ borderColor: COLORS.NAVY_BLUE }}>
+      <p className="text-sm font-semibold text-gray-700">Manual Plan Builder (Premiership)</p>
+
+      <div className="grid grid-cols-4 gap-2 items-end">
+        <div>
+          <label className="block text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>Minute</label>
+          <input
+            type="number"
+            min={1}
+            max={settings.matchDuration - 1}
+            value={minute}
+            onChange={(e) => setMinute(e.target.value === '' ? 0 : parseInt(e.target.value, 10))}
+            className="w-full p-2 border rounded-lg text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>Slot</label>
+          <select
+            value={slot}
+            onChange={(e) => setSlot(e.target.value)}
+            className="w-full p-2 border rounded-lg text-sm bg-white"
+          >
+            <option value="GK">GK</option>
+            {positions.map((pos, i) => <option key={`slot-${i}`} value={String(i)}>{pos}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>
+            On (off: {offPlayer ? offPlayer.name : 'Empty'})
+          </label>
+          <select
+            value={onId}
+            onChange={(e) => setOnId(e.target.value)}
+            className="w-full p-2 border rounded-lg text-sm bg-white"
+          >
+            <option value="">Bench player...</option>
+            {benchAtMinute.map(p => <option key={p.id} value={p.id}>{p.name}{fitLabel(p.id)}</option>)}
+          </select>
+        </div>
+        <button
+          onClick={handleAddSub}
+          disabled={!canAdd}
+          className="p-2 rounded-lg text-sm font-bold text-white disabled:opacity-50"
+          style={{ backgroundColor: COLORS.ORANGE }}
+        >
+          Add Sub
+        </button>
+      </div>
+
+      <div className="space-y-1 max-h-40 overflow-y-auto">
+        {manualSubs.length === 0 && <p className="text-xs text-gray-500">No substitutions yet.</p>}
+        {manualSubs.map(sub => (
+          <div key={sub.id} className="flex justify-between items-center text-sm p-1 border-b">
+            <button onClick={() => setMinute(sub.time)} className="font-mono" style={{ color: COLORS.NAVY_BLUE }}>
+              {String(sub.time).padStart(2, '0')}:00 - ON: {nameOf(sub.onId)} ({sub.slot === 'GK' ? 'GK' : positions[Number(sub.slot)]} slot)
+            </button>
+            <button
+              onClick={() => setManualSubs(prev => prev.filter(s => s.id !== sub.id))}
+              className="text-xs px-2 py-1 rounded-full text-white bg-red-500"
+            >
+              Del
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {fullPlan.issues.length > 0 && (
+        <div className="text-xs text-red-600">
+          {fullPlan.issues.map((issue, i) => <p key={i}>{issue}</p>)}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <PositionVisualizer settings={settings} players={players} lineup={lineupAtMinute} />
+        <div className="max-h-96 overflow-y-auto">
+          <table className="w-full text-sm" style={{ color: COLORS.NAVY_BLUE }}>
+            <thead>
+              <tr className="border-b"><th className="text-left">Player</th><th>Target</th><th>Planned</th></tr>
+            </thead>
+            <tbody>
+              {fullPlan.players.map(p => (
+                <tr key={p.id} className="border-b border-gray-100">
+                  <td>{p.name}</td>
+                  <td className="text-center">{p.targetMinutes}</td>
+                  <td className="text-center font-bold" style={{ color: p.minutesPlayed < p.targetMinutes ? COLORS.ORANGE : COLORS.NAVY_BLUE }}>
+                    {p.minutesPlayed}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+
+/**
+ * Header pill for the connection: offline (with the changes waiting to go), syncing, a sync
+ * problem, or all synced. See useSyncStatus.
+ */
+const SyncStatus = ({ isOnline, pendingWrites, syncError }) => {
+  let color, icon, text, title;
+
+  if (syncError) {
+    color = '#DC2626';
+    icon = <CloudOff className="w-4 h-4 mr-1" />;
+    text = 'Sync problem';
+    title = syncError;
+  } else if (!isOnline) {
+    color = COLORS.ORANGE;
+    icon = <CloudOff className="w-4 h-4 mr-1" />;
+    text = pendingWrites > 0 ? `Offline: ${pendingWrites} to sync` : 'Offline';
+    title = 'Changes are kept on this device and sync when you\'re back online.';
+  } else if (pendingWrites > 0) {
+    color = COLORS.SKY_BLUE;
+    icon = <Loader2 className="w-4 h-4 mr-1 animate-spin" />;
+    text = 'Syncing...';
+    title = `${pendingWrites} change${pendingWrites === 1 ? '' : 's'} on the way`;
+  } else {
+    color = COLORS.NAVY_BLUE;
+    icon = <Cloud className="w-4 h-4 mr-1" />;
+    text = 'Synced';
+    title = 'Everything is saved.';
+  }
+
+  return (
+    <div
+      className="px-3 py-1 rounded-full text-xs font-bold flex items-center shadow-md"
+      style={{ backgroundColor: color, color: COLORS.WHITE }}
+      title={title}
+    >
+      {icon}
+      {text}
+    </div>
+  );
+};
+
+const SubscriptionBadge = ({ tier }) => {
+  let color, icon, text;
+
+  if (tier === 'Premiership') {
+    color = COLORS.GOLD;
+    icon = <Star className="w-4 h-4 text-white fill-current mr-1" />;
+    text = 'Premiership';
+  } else if (tier === 'Championship') {
+    color = COLORS.SKY_BLUE;
+    icon = <Unlock className="w-4 h-4 text-white mr-1" />;
+    text = 'Championship';
+  } else {
+    color = COLORS.NAVY_BLUE;
+    icon = null;
+    text = 'Basic (FREE)';
+  }
+
+  return (
+    <div
+      className="px-3 py-1 rounded-full text-xs font-bold flex items-center shadow-md"
+      style={{ backgroundColor: color, color: COLORS.WHITE }}
+    >
+      {icon}
+      {text}
+    </div>
+  );
+};
+
+/**
+ * Header profile menu: sign-in and account creation for guests (see useAccount), the
+ * account's email and sign-out for everyone else. The handlers may throw Auth errors,
+ * which are shown in the menu.
+ */
+const AccountMenu = ({ account, notice, onCreateAccount, onSignIn, onSendLink, onSignOut }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [message, setMessage] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  useEffect(() => {
+    if (notice) {
+      setMessage(notice);
+      setIsOpen(true);
+    }
+  }, [notice]);
+
+  if (!account) return null;
+
+  const run = async (action, doneMessage) => {
+    setIsBusy(true);
+    setMessage('');
+    try {
+      await action();
+      setMessage(doneMessage);
+      setPassword('');
+    } catch (e) {
+      console.error('Account error:', e);
+      setMessage(getAuthErrorMessage(e));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const hasEmail = email.trim() !== '';
+  const hasPassword = password !== '';
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="flex items-center px-3 py-1 rounded-full text-xs font-bold border-2"
+        style={{ borderColor: COLORS.NAVY_BLUE, color: COLORS.NAVY_BLUE }}
+      >
+        <User className="w-4 h-4 mr-1" /> {account.isAnonymous ? 'Guest' : account.email}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-72 p-4 rounded-xl shadow-2xl bg-white border z-50 space-y-2" style={{ borderColor: COLORS.SKY_BLUE, color: COLORS.NAVY_BLUE }}>
+          {account.isAnonymous ? (
+            <>
+              <p className="text-sm font-semibold">You're using a guest account</p>
+              <p className="text-xs text-gray-500">
+                Create an account to keep your squads if this browser's data is cleared; everything saved so far moves
+                with you. Signing in to an existing account switches to that account's squads instead.
+              </p>
+              <input type="email" placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} className="w-full p-2 border rounded-lg text-sm" />
+              <input type="password" placeholder="Password" value={password} onChange={(e) => setPassword(e.target.value)} className="w-full p-2 border rounded-lg text-sm" />
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={() => run(() => onCreateAccount(email.trim(), password), 'Account created. Your squads are saved to it.')}
+                  disabled={isBusy || !hasEmail || !hasPassword}
+                  className="text-xs px-3 py-1 rounded-full text-white disabled:opacity-50"
+                  style={{ backgroundColor: COLORS.ORANGE }}
+                >
+                  Create Account
+                </button>
+                <button
+                  onClick={() => run(() => onSignIn(email.trim(), password), 'Signed in.')}
+                  disabled={isBusy || !hasEmail || !hasPassword}
+                  className="text-xs px-3 py-1 rounded-full text-white disabled:opacity-50"
+                  style={{ backgroundColor: COLORS.NAVY_BLUE }}
+                >
+                  Sign In
+                </button>
+                <button
+                  onClick={() => run(() => onSendLink(email.trim()), `Sign-in link sent to ${email.trim()}. Open it in this browser.`)}
+                  disabled={isBusy || !hasEmail}
+                  className="text-xs px-3 py-1 rounded-full text-white disabled:opacity-50"
+                  style={{ backgroundColor: COLORS.SKY_BLUE }}
+                  title="No password needed"
+                >
+                  Email Me a Link
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <p className="text-sm font-semibold">{account.email}</p>
+              <button
+                onClick={() => run(onSignOut, '')}
+                disabled={isBusy}
+                className="flex items-center text-xs px-3 py-1 rounded-full text-white disabled:opacity-50"
+                style={{ backgroundColor: COLORS.NAVY_BLUE }}
+              >
+                <LogOut className="w-3 h-3 mr-1" /> Sign Out
+              </button>
+            </>
+          )}
+          {message && <p className="text-xs font-semibold" style={{ color: COLORS.ORANGE }}>{message}</p>}
+          <p className="text-xs text-gray-400">User ID: <span className="font-mono">{account.uid}</span></p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Button = ({ children, color = COLORS.ORANGE, disabled, onClick }) => (
+  <button
+    onClick={onClick}
+    disabled={disabled}
+    className={`flex items-center justify-center px-6 py-3 rounded-xl font-bold text-white shadow-lg transition duration-200 ${
+      disabled
+        ? 'opacity-50 cursor-not-allowed bg-gray-400'
+        : 'hover:opacity-90 active:scale-[0.98]'
+    }`}
+    style={{ backgroundColor: color }}
+  >
+    {children}
+  </button>
+);
+
+/**
+ * Touchline view of a generated plan: a match clock with pause/resume and breaks,
+ * prompts to confirm or skip each planned change as its minute comes up, and the
+ * minutes each player has actually played.
+ */
+const LiveMatchPanel = ({
+  plan, settings, players, season, fixture, matchEvents, setMatchEvents, onReplan, onSaveResult, onExit,
+}) => {
+  const [live, setLive] = useState(() => createLiveMatch(plan));
+  const [change, setChange] = useState({ playerId: '', available: false, minute: '' });
+  const [saveStatus, setSaveStatus] = useState('idle');
+
+  useEffect(() => {
+    if (live.status !== 'running') return undefined;
+    let lastTick = Date.now();
+    const timer = setInterval(() => {
+      const now = Date.now();
+      setLive(prev => tickLiveMatch(prev, plan, (now - lastTick) / 1000));
+      lastTick = now;
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [live.status, plan]);
+
+  const period = plan.periods[live.periodNumber - 1];
+  const dueEvents = getDueEvents(plan, live);
+  const nextMinute = getNextEventMinute(plan, live);
+  const { secondsPlayed, keeperSeconds } = useMemo(() => getLiveMinutes(plan, live), [plan, live]);
+  const hasPrompts = live.periodLineupPending || dueEvents.length > 0;
+
+  // Buzz the phone when a new substitution window comes up
+  useEffect(() => {
+    if (hasPrompts && navigator.vibrate) navigator.vibrate([200, 100, 200]);
+  }, [hasPrompts]);
+
+  const nameOf = (id) => (plan.players.find(p => p.id === id) || { name: 'Empty' }).name;
+  const slotName = (slot, positions) => (slot === 'GK' ? 'GK' : positions[slot]);
+  const clockMinute = getReplanMinute(live);
+  const canReplan = plan.planType === 'Automatic' && live.status !== 'finished';
+
+  const handleReplan = () => {
+    if (!change.playerId) return;
+    const minute = Math.max(clockMinute, change.minute === '' ? clockMinute : change.minute);
+    const availability = [...live.availability, { playerId: change.playerId, minute, available: change.available }];
+    const result = replanLiveMatch(live, plan, settings, calculateEqualMinutes(settings, players, season), availability);
+    setLive(result.live);
+    onReplan(result.plan);
+    setChange({ playerId: '', available: false, minute: '' });
+  };
+
+  const handleSaveResult = async () => {
+    setSaveStatus('saving');
+    try {
+      await onSaveResult(buildMatchRecord(plan, live, matchEvents, fixture));
+      setSaveStatus('saved');
+    } catch (e) {
+      console.error('Error saving match result:', e);
+      setSaveStatus('idle');
+    }
+  };
+
+  const statusText = {
+    ready: 'Ready for kick-off',
+    running: period.name,
+    paused: `${period.name} (PAUSED)`,
+    break: plan.periods.length === 2 ? 'HALF TIME' : `BREAK BEFORE ${(plan.periods[live.periodNumber] || period).name}`,
+    finished: 'FULL TIME',
+  }[live.status];
+
+  return (
+    <div className="p-6 rounded-xl shadow-2xl mb-8 border-4 bg-white" style={{ borderColor: COLORS.ORANGE }}>
+      <div className="flex flex-col md:flex-row justify-between items-center gap-4 pb-4 border-b" style={{ borderColor: COLORS.SKY_BLUE }}>
+        <div className="text-center md:text-left">
+          <p className="text-sm font-bold" style={{ color: COLORS.ORANGE }}>{statusText}</p>
+          <p className="text-6xl font-extrabold font-mono" style={{ color: COLORS.NAVY_BLUE }}>
+            {formatClock(live.elapsedSeconds)}
+          </p>
+          <p className="text-sm" style={{ color: COLORS.NAVY_BLUE }}>
+            {nextMinute !== null
+              ? `Next window: ${formatMinute(nextMinute)} (in ${formatClock(Math.max(0, nextMinute * 60 - live.elapsedSeconds))})`
+              : 'No more planned changes'}
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2 justify-center">
+          {live.status === 'ready' && (
+            <Button onClick={() => setLive(prev => ({ ...prev, status: 'running' }))}>
+              <Play className="w-5 h-5 mr-2" /> Kick Off
+            </Button>
+          )}
+          {live.status === 'running' && (
+            <Button onClick={() => setLive(prev => ({ ...prev, status: 'paused' }))} color={COLORS.NAVY_BLUE}>
+              <Pause className="w-5 h-5 mr-2" /> Pause
+            </Button>
+          )}
+          {live.status === 'paused' && (
+            <Button onClick={() => setLive(prev => ({ ...prev, status: 'running' }))}>
+              <Play className="w-5 h-5 mr-2" /> Resume
+            </Button>
+          )}
+          {live.status === 'break' && (
+            <Button onClick={() => setLive(prev => startNextPeriod(prev, plan))}>
+              <Play className="w-5 h-5 mr-2" /> Start {plan.periods[live.periodNumber].name}
+            </Button>
+          )}
+          {live.status === 'finished' && onSaveResult && (
+            <Button onClick={handleSaveResult} disabled={saveStatus !== 'idle'} color={COLORS.SKY_BLUE}>
+              <Save className="w-5 h-5 mr-2" />
+              {saveStatus === 'saved' ? 'Saved to Season' : saveStatus === 'saving' ? 'Saving...' : 'Save to Season'}
+            </Button>
+          )}
+          <Button onClick={onExit} color={COLORS.NAVY_BLUE}>Exit Match Mode</Button>
+        </div>
+      </div>
+
+      {hasPrompts && (
+        <div className="mt-4 p-4 rounded-lg border-2 animate-pulse space-y-2" style={{ borderColor: COLORS.ORANGE, backgroundColor: '#FFF4EC' }}>
+          <p className="font-bold" style={{ color: COLORS.ORANGE }}>Substitution time!</p>
+          {live.periodLineupPending && (
+            <div className="flex justify-between items-center text-sm p-2 bg-white rounded">
+              <span style={{ color: COLORS.NAVY_BLUE }}>Planned {period.name} lineup (rotation reset)</span>
+              <div className="flex gap-1">
+                <button
+                  onClick={() => setLive(prev => resolvePeriodLineup(prev, plan, true))}
+                  className="text-xs px-3 py-1 rounded-full text-white"
+                  style={{ backgroundColor: COLORS.ORANGE }}
+                >
+                  Apply
+                </button>
+                <button
+                  onClick={() => setLive(prev => resolvePeriodLineup(prev, plan, false))}
+                  className="text-xs px-3 py-1 rounded-full text-white bg-gray-400"
+                >
+                  Keep Current
+                </button>
+              </div>
+            </div>
+          )}
+          {dueEvents.map(e => {
+            const result = applyLiveEvent(live.lineup, e);
+            return (
+              <div key={e.index} className="flex justify-between items-center text-sm p-2 bg-white rounded">
+                <span style={{ color: COLORS.NAVY_BLUE }}>
+                  <span className="font-mono">{formatMinute(e.minute)}</span>{' '}
+                  {e.type === 'formation' ? (
+                    <>FORMATION: <b>{e.formation}</b> (players move to their new slots)</>
+                  ) : (
+                    <>
+                      {e.type === 'keeper' ? 'IN GOAL' : 'ON'}: <b>{nameOf(e.onId)}</b> ({slotName(e.slot, live.lineup.positions)})
+                      {' '}| OFF: {result ? nameOf(result.offId) : '—'}
+                      {!result && <span className="text-xs text-red-600"> ({nameOf(e.onId)} is already playing)</span>}
+                    </>
+                  )}
+                </span>
+                <div className="flex gap-1">
+                  <button
+                    onClick={() => setLive(prev => resolveLiveEvent(prev, plan, e.index, true))}
+                    disabled={!result}
+                    className="text-xs px-3 py-1 rounded-full text-white disabled:opacity-50"
+                    style={{ backgroundColor: COLORS.ORANGE }}
+                  >
+                    Confirm
+                  </button>
+                  <button
+                    onClick={() => setLive(prev => resolveLiveEvent(prev, plan, e.index, false))}
+                    className="text-xs px-3 py-1 rounded-full text-white bg-gray-400"
+                  >
+                    Skip
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+        <PositionVisualizer
+          settings={settings}
+          players={plan.players}
+          lineup={getLineupPlayers(plan, live.lineup)}
+          formation={live.lineup.formation}
+        />
+        <div className="space-y-4">
+          <div className="max-h-64 overflow-y-auto">
+            <table className="w-full text-sm" style={{ color: COLORS.NAVY_BLUE }}>
+              <thead>
+                <tr className="border-b"><th className="text-left">Player</th><th>Planned</th><th>Actual</th><th>In Goal</th></tr>
+              </thead>
+              <tbody>
+                {plan.players.map(p => {
+                  const onPitch = live.lineup.keeperId === p.id || live.lineup.slots.includes(p.id);
+                  return (
+                    <tr key={p.id} className="border-b border-gray-100">
+                      <td className={onPitch ? 'font-bold' : ''}>{p.name}</td>
+                      <td className="text-center">{p.minutesPlayed}</td>
+                      <td className="text-center font-mono">{formatClock(secondsPlayed.get(p.id))}</td>
+                      <td className="text-center font-mono">
+                        {keeperSeconds.get(p.id) > 0 ? formatClock(keeperSeconds.get(p.id)) : '-'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          {canReplan && (
+            <div className="p-3 rounded-lg border space-y-2" style={{ borderColor: COLORS.SKY_BLUE }}>
+              <p className="text-sm font-semibold" style={{ color: COLORS.NAVY_BLUE }}>
+                Injury, no-show or late arrival? Re-plan the rest of the match.
+              </p>
+              <div className="grid grid-cols-4 gap-2 items-end">
+                <select
+                  value={change.playerId}
+                  onChange={(e) => setChange(c => ({ ...c, playerId: e.target.value }))}
+                  className="p-2 border rounded-lg text-sm bg-white"
+                >
+                  <option value="">Player...</option>
+                  {plan.players.map(p => (
+                    <option key={p.id} value={p.id}>
+                      {p.name}{isAvailableAt(live.availability, p.id, clockMinute) ? '' : ' (out)'}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={change.available ? 'in' : 'out'}
+                  onChange={(e) => setChange(c => ({ ...c, available: e.target.value === 'in' }))}
+                  className="p-2 border rounded-lg text-sm bg-white"
+                >
+                  <option value="out">Unavailable</option>
+                  <option value="in">Available</option>
+                </select>
+                <input
+                  type="number"
+                  min={clockMinute}
+                  max={settings.matchDuration}
+                  placeholder={`from ${clockMinute}'`}
+                  value={change.minute}
+                  onChange={(e) => setChange(c => ({ ...c, minute: e.target.value === '' ? '' : parseInt(e.target.value, 10) }))}
+                  className="p-2 border rounded-lg text-sm"
+                />
+                <button
+                  onClick={handleReplan}
+                  disabled={!change.playerId}
+                  className="p-2 rounded-lg text-sm font-bold text-white disabled:opacity-50"
+                  style={{ backgroundColor: COLORS.ORANGE }}
+                >
+                  Re-plan
+                </button>
+              </div>
+            </div>
+          )}
+          <div className="max-h-40 overflow-y-auto text-xs space-y-1" style={{ color: COLORS.NAVY_BLUE }}>
+            {live.log.length === 0 && <p className="text-gray-500">Confirmed and skipped changes appear here.</p>}
+            {live.log.map((entry, i) => (
+              <p key={i} className={entry.status === 'skipped' ? 'text-gray-400 line-through' : ''}>
+                <span className="font-mono">{formatClock(entry.atSeconds)}</span>{' '}
+                {entry.type === 'lineup' && 'Period lineup reset'}
+                {entry.type === 'formation' && `Formation: ${entry.lineup.formation}`}
+                {(entry.type === 'sub' || entry.type === 'keeper') &&
+                  `${entry.type === 'keeper' ? 'IN GOAL' : 'ON'}: ${nameOf(entry.onId)} (${slotName(entry.slot, entry.lineup.positions)}) | OFF: ${nameOf(entry.offId)}`}
+                {entry.type === 'off' && `OFF: ${nameOf(entry.offId)} (${slotName(entry.slot, entry.lineup.positions)}), not replaced`}
+              </p>
+            ))}
+          </div>
+          <div className="p-3 rounded-lg border" style={{ borderColor: COLORS.SKY_BLUE }}>
+            <MatchEventLog plan={plan} events={matchEvents} setEvents={setMatchEvents} clockMinute={clockMinute} />
+          </div>
+        </div>
+      </div>
+
+      {live.status === 'finished' && (
+        <div className="mt-4">
+          <MatchReport record={buildMatchRecord(plan, live, matchEvents, fixture)} />
+        </div>
+      )}
+    </div>
+  );
+};
 
+/**
+ * Logs goals, cards, notes and so on against the plan's players. In match mode the
+ * minute defaults to the clock.
+ * @param {{ plan: MatchPlan, events: MatchEvent[], setEvents: Function, clockMinute?: number|null }} props
+ */
+const MatchEventLog = ({ plan, events, setEvents, clockMinute = null }) => {
+  const [draft, setDraft] = useState({ type: 'goal', playerId: '', minute: '', note: '' });
+  const playerRule = getEventPlayerRule(draft.type);
+  const minute = draft.minute === '' ? clockMinute : draft.minute;
+  const canAdd = minute !== null && minute >= 0 && minute <= plan.matchDuration
+    && (playerRule !== 'required' || draft.playerId !== '')
+    && (draft.type !== 'note' || draft.note.trim() !== '');
+  const score = getMatchScore(events);
+
+  const handleAdd = () => {
+    if (!canAdd) return;
+    const playerId = playerRule === 'none' || draft.playerId === '' ? null : draft.playerId;
+    const player = plan.players.find(p => p.id === playerId);
+    setEvents(prev => [...prev, {
+      id: crypto.randomUUID(),
+      type: draft.type,
+      minute,
+      playerId,
+      name: player ? player.name : null,
+      note: draft.note.trim(),
+    }]);
+    setDraft(d => ({ ...d, playerId: '', minute: '', note: '' }));
+  };
 
-    // --- Run Substitutions within the Period ---
-    while (time <= periodEnd) {
-      if (bench.length === 0) break; // No one left to sub in
+  return (
+    <div className="space-y-2" style={{ color: COLORS.NAVY_BLUE }}>
+      <div className="flex justify-between items-center">
+        <p className="text-sm font-semibold">Goals, cards and notes</p>
+        <p className="font-mono font-bold text-lg">{score.for} - {score.against}</p>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2 items-end">
+        <select
+          value={draft.type}
+          onChange={(e) => setDraft(d => ({ ...d, type: e.target.value }))}
+          className="p-2 border rounded-lg text-sm bg-white"
+        >
+          {Object.entries(MATCH_EVENT_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+        </select>
+        <select
+          value={draft.playerId}
+          onChange={(e) => setDraft(d => ({ ...d, playerId: e.target.value }))}
+          disabled={playerRule === 'none'}
+          className="p-2 border rounded-lg text-sm bg-white disabled:opacity-50"
+        >
+          <option value="">{playerRule === 'required' ? 'Player...' : 'No player'}</option>
+          {plan.players.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+        <input
+          type="number"
+          min={0}
+          max={plan.matchDuration}
+          placeholder={clockMinute !== null ? `${clockMinute}'` : 'Minute'}
+          value={draft.minute}
+          onChange={(e) => setDraft(d => ({ ...d, minute: e.target.value === '' ? '' : parseInt(e.target.value, 10) }))}
+          className="p-2 border rounded-lg text-sm"
+        />
+        <input
+          type="text"
+          placeholder={draft.type === 'note' ? 'Note' : 'Note (optional)'}
+          value={draft.note}
+          onChange={(e) => setDraft(d => ({ ...d, note: e.target.value }))}
+          className="p-2 border rounded-lg text-sm"
+        />
+        <button
+          onClick={handleAdd}
+          disabled={!canAdd}
+          className="p-2 rounded-lg text-sm font-bold text-white disabled:opacity-50"
+          style={{ backgroundColor: COLORS.ORANGE }}
+        >
+          Log
+        </button>
+      </div>
+      <div className="max-h-40 overflow-y-auto text-xs space-y-1">
+        {events.length === 0 && <p className="text-gray-500">Nothing logged yet.</p>}
+        {sortMatchEvents(events).map(e => (
+          <div key={e.id} className="flex justify-between items-center p-1 rounded border" style={{ borderColor: COLORS.SKY_BLUE }}>
+            <span>
+              <span className="font-mono">{formatMinute(e.minute)}</span>{' '}
+              <b>{MATCH_EVENT_TYPES[e.type]}</b>{e.name ? `: ${e.name}` : ''}{e.note ? ` - ${e.note}` : ''}
+            </span>
+            <button
+              onClick={() => setEvents(prev => prev.filter(other => other.id !== e.id))}
+              className="px-2 rounded-full text-white bg-red-500"
+            >
+              Del
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
 
-      const elapsed = time - lastSubTime;
-      const outgoingCandidates = [];
+/**
+ * A MatchRecord's report (see renderMatchReport), to copy, hand to the device's share
+ * sheet or download as a text file.
+ * @param {{ record: MatchRecord }} props
+ */
+const MatchReport = ({ record }) => {
+  const [isCopied, setIsCopied] = useState(false);
+  const text = renderMatchReport(record);
 
-      // 1. Identify OUTGOING players
-      // Outgoing players are those on the field who have played the longest in this period.
-      // And prioritize slots that allow a good position match from the bench.
-      
-      playing.forEach((player, index) => {
-          // Increment period minutes for players currently playing
-          currentPeriodMinutes.set(player.id, currentPeriodMinutes.get(player.id) + elapsed);
-          outgoingCandidates.push({ 
-              player, 
-              position: positions[index], 
-              index,
-              periodTimePlayed: currentPeriodMinutes.get(player.id)
-          });
-      });
-      
-      // Sort to find players who have played the most in this period
-      outgoingCandidates.sort((a, b) => b.periodTimePlayed - a.periodTimePlayed);
-      
-      const subsForThisWindow = Math.min(maxSubs, bench.length, outgoingCandidates.length);
-      const subsBlock = [];
-      const slotsToFill = [];
-      
-      // Select the N players playing the most time in this period to sub out
-      const playersToSubOut = outgoingCandidates.slice(0, subsForThisWindow);
+  const handleCopy = () => navigator.clipboard.writeText(text).then(() => setIsCopied(true), () => setIsCopied(false));
+  // Dismissing the share sheet rejects; there is nothing to do about it
+  const handleShare = () => navigator.share({ title: 'Match Report', text }).catch(() => undefined);
+  const handleDownload = () => downloadFile(text, `MatchReport_${record.playedAt.slice(0, 10)}.txt`, 'text/plain;charset=utf-8');
 
-      // 2. Identify INCOMING players (bench players who have played the least overall)
-      let incomingCandidates = [...bench].sort((a, b) => a.minutes - b.minutes);
-      
-      playersToSubOut.forEach((outgoing) => {
-          // Find best incoming player based on preferred position match
-          const position = outgoing.position;
-          
-          // Simple rotation: take the first player on the bench queue (who played least)
-          const incoming = incomingCandidates.shift();
-          if (!incoming) return;
-
-          // Update the field lineup
-          playing[outgoing.index] = incoming;
-          
-          // Record the substitution
-          subsBlock.push({
-              on: incoming,
-              off: outgoing.player,
-              position: position,
-              index: outgoing.index
-          });
-          
-          // Remove from bench queue
-          bench = bench.filter(p => p.id !== incoming.id);
-          // Add outgoing player to the end of the bench queue
-          bench.push(outgoing.player);
-      });
+  return (
+    <div>
+      <pre className="whitespace-pre-wrap font-mono text-sm leading-relaxed p-3 rounded-lg bg-gray-50" style={{ color: COLORS.NAVY_BLUE }}>
+        {text}
+      </pre>
+      <div className="mt-3 flex flex-wrap gap-2">
+        <Button onClick={handleCopy} color={COLORS.NAVY_BLUE}>{isCopied ? 'Copied' : 'Copy Report'}</Button>
+        {navigator.share && (
+          <Button onClick={handleShare} color={COLORS.SKY_BLUE}>
+            <Share2 className="w-5 h-5 mr-2" /> Share
+          </Button>
+        )}
+        <Button onClick={handleDownload} color={COLORS.NAVY_BLUE}>
+          <Download className="w-5 h-5 mr-2" /> Download
+        </Button>
+      </div>
+    </div>
+  );
+};
 
-      // 3. Update Plan Text
-      if (subsBlock.length > 0) {
-          subCount += subsBlock.length;
-          plan += `--- Substitution at ${String(time).padStart(2, '0')}:00 ---\n`;
-          subsBlock.forEach(sub => {
-              plan += `ON: ${sub.on.name} (${sub.position} slot) | OFF: ${sub.off.name}\n`;
-          });
-          plan += `\n`;
-      }
-      
-      lastSubTime = time;
-      time += subInterval;
+/**
+ * Season report: totals per roster player from the saved match ledger, with the
+ * saved matches listed underneath so a wrong result can be removed or its match
+ * report opened.
+ */
+const SeasonReport = ({ season, matches, onDeleteMatch, isLoading }) => {
+  const [reportId, setReportId] = useState(null); // the match whose report is open
+  const reportMatch = matches.find(match => match.id === reportId);
 
-      if (time > periodEnd) break;
-    }
-  }
+  const behindText = (row) => {
+    if (row.matches === 0 || row.minutesBehind === 0) return '-';
+    return row.minutesBehind > 0 ? `${row.minutesBehind} behind` : `${-row.minutesBehind} ahead`;
+  };
 
-  plan += `--- Match End (${matchDuration}:00) ---\n`;
-  plan += `Total substitutions made: ${subCount}. \n\n`;
-  plan += '***Note: This automatic plan ensures equal minutes across the two halves by resetting the playing/bench queues at halftime. The positions are fixed based on the starting formation.***';
+  return (
+    <div className="p-6 rounded-xl shadow-xl bg-white mt-8">
+      <h3 className="text-xl font-bold mb-4 border-b pb-2 flex items-center" style={{ color: COLORS.NAVY_BLUE, borderColor: COLORS.SKY_BLUE }}>
+        <Trophy className="w-5 h-5 mr-2" /> Season Report ({matches.length} {matches.length === 1 ? 'match' : 'matches'})
+      </h3>
+      {matches.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {isLoading ? 'Loading...' : 'Finish a match in match mode and press "Save to Season" to start the ledger.'}
+        </p>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm" style={{ color: COLORS.NAVY_BLUE }}>
+              <thead>
+                <tr className="border-b">
+                  <th className="text-left">Player</th>
+                  <th>Matches</th>
+                  <th>Minutes</th>
+                  <th>Avg</th>
+                  <th>Season Balance</th>
+                  <th>Starts</th>
+                  <th>GK Stints</th>
+                  <th>GK Mins</th>
+                </tr>
+              </thead>
+              <tbody>
+                {season.map(row => (
+                  <tr key={row.id} className="border-b border-gray-100">
+                    <td>{row.name}</td>
+                    <td className="text-center">{row.matches}</td>
+                    <td className="text-center">{row.minutes}</td>
+                    <td className="text-center">{row.matches > 0 ? Math.round(row.minutes / row.matches) : '-'}</td>
+                    <td className={`text-center ${row.minutesBehind > 0 ? 'font-bold' : ''}`} style={row.minutesBehind > 0 ? { color: COLORS.ORANGE } : {}}>
+                      {behindText(row)}
+                    </td>
+                    <td className="text-center">{row.starts}</td>
+                    <td className="text-center">{row.keeperStints}</td>
+                    <td className="text-center">{row.keeperMinutes}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-4 space-y-1 max-h-40 overflow-y-auto">
+            {matches.map(match => (
+              <div key={match.id} className="flex justify-between items-center text-xs p-2 rounded-lg border" style={{ borderColor: COLORS.SKY_BLUE, color: COLORS.NAVY_BLUE }}>
+                <span>
+                  {new Date(match.playedAt).toLocaleDateString()} -{' '}
+                  {match.opponent ? `${match.venue === 'Away' ? '@' : 'vs'} ${match.opponent} ` : ''}
+                  {match.score ? `${match.score.for}-${match.score.against} ` : ''}
+                  {match.gameFormat} {match.formation} ({match.players.length} players)
+                </span>
+                <div className="flex gap-1">
+                  <button
+                    onClick={() => setReportId(reportId === match.id ? null : match.id)}
+                    className="px-2 py-1 rounded-full text-white"
+                    style={{ backgroundColor: COLORS.NAVY_BLUE }}
+                  >
+                    Report
+                  </button>
+                  <button onClick={() => onDeleteMatch(match.id)} className="px-2 py-1 rounded-full text-white bg-red-500">Del</button>
+                </div>
+              </div>
+            ))}
+          </div>
+          {reportMatch && (
+            <div className="mt-4">
+              <MatchReport record={reportMatch} />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Development chart: each player's season minutes split across goal and the outfield
+ * lines, and, for the player picked, how the split went match by match.
+ */
+const PlayerDevelopment = ({ season, matches }) => {
+  const [playerId, setPlayerId] = useState(null);
+  const rows = season.filter(row => DEVELOPMENT_LINES.some(line => row.lineMinutes[line] > 0));
+  const selected = rows.find(row => row.id === playerId) || rows[0];
+  const history = selected ? getPlayerLineHistory(matches, selected).slice(-DEVELOPMENT_CHART_MATCHES) : [];
+  const longestMatch = Math.max(1, ...history.map(h => DEVELOPMENT_LINES.reduce((sum, line) => sum + h.lineMinutes[line], 0)));
 
-  return plan;
+  const lineTotal = (lineMinutes) => DEVELOPMENT_LINES.reduce((sum, line) => sum + lineMinutes[line], 0);
+
+  return (
+    <div className="p-6 rounded-xl shadow-xl bg-white mt-8">
+      <h3 className="text-xl font-bold mb-4 border-b pb-2 flex items-center" style={{ color: COLORS.NAVY_BLUE, borderColor: COLORS.SKY_BLUE }}>
+        <TrendingUp className="w-5 h-5 mr-2" /> Player Development
+      </h3>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">Minutes by position show here once a match is saved to the season.</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-3 mb-3 text-xs" style={{ color: COLORS.NAVY_BLUE }}>
+            {DEVELOPMENT_LINES.map(line => (
+              <span key={line} className="flex items-center">
+                <span className="inline-block w-3 h-3 rounded-sm mr-1" style={{ backgroundColor: DEVELOPMENT_LINE_COLORS[line] }} />
+                {DEVELOPMENT_LINE_NAMES[line]}
+              </span>
+            ))}
+          </div>
+          <div className="space-y-1">
+            {rows.map(row => {
+              const total = lineTotal(row.lineMinutes);
+              return (
+                <button
+                  key={row.id}
+                  onClick={() => setPlayerId(row.id)}
+                  className={`w-full flex items-center gap-2 text-xs p-1 rounded ${row.id === selected.id ? 'bg-gray-100 font-bold' : ''}`}
+                  style={{ color: COLORS.NAVY_BLUE }}
+                >
+                  <span className="w-28 text-left truncate">{row.name}</span>
+                  <span className="flex-1 flex h-4 rounded overflow-hidden bg-gray-100">
+                    {DEVELOPMENT_LINES.map(line => (
+                      <span
+                        key={line}
+                        title={`${DEVELOPMENT_LINE_NAMES[line]}: ${row.lineMinutes[line]} mins`}
+                        style={{ width: `${(row.lineMinutes[line] / total) * 100}%`, backgroundColor: DEVELOPMENT_LINE_COLORS[line] }}
+                      />
+                    ))}
+                  </span>
+                  <span className="w-16 text-right">{total} mins</span>
+                </button>
+              );
+            })}
+          </div>
+
+          <p className="text-sm font-semibold mt-6 mb-2" style={{ color: COLORS.NAVY_BLUE }}>
+            {selected.name}: last {history.length} {history.length === 1 ? 'match' : 'matches'}
+          </p>
+          <div className="flex items-end gap-2 h-40 border-b" style={{ borderColor: COLORS.SKY_BLUE }}>
+            {history.map(h => (
+              <div key={h.id} className="flex-1 flex flex-col-reverse h-full" title={h.opponent || new Date(h.playedAt).toLocaleDateString()}>
+                {DEVELOPMENT_LINES.map(line => (
+                  <div key={line} style={{ height: `${(h.lineMinutes[line] / longestMatch) * 100}%`, backgroundColor: DEVELOPMENT_LINE_COLORS[line] }} />
+                ))}
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-2 text-xs text-gray-500">
+            {history.map(h => (
+              <span key={h.id} className="flex-1 text-center truncate">{new Date(h.playedAt).toLocaleDateString()}</span>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
 };
 
+/**
+ * Side-by-side fairness of the candidate plans (see generatePlanCandidates). The fairest
+ * is marked; the coach picks which one becomes the match plan.
+ */
+const PlanComparison = ({ candidates, selected, onSelect }) => {
+  const fairest = candidates.reduce((best, c) => (c.fairness.score < best.fairness.score ? c : best), candidates[0]);
 
-// --- UI COMPONENTS ---
+  return (
+    <div className="p-6 rounded-xl shadow-xl bg-white mb-8">
+      <h3 className="text-xl font-bold mb-4 border-b pb-2 flex items-center" style={{ color: COLORS.NAVY_BLUE, borderColor: COLORS.SKY_BLUE }}>
+        <Scale className="w-5 h-5 mr-2" /> Compare Plans
+      </h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm" style={{ color: COLORS.NAVY_BLUE }}>
+          <thead>
+            <tr className="border-b">
+              <th className="text-left">Plan</th>
+              <th>Mins Off Target</th>
+              <th>Short</th>
+              <th>Longest Bench</th>
+              <th>Stoppages</th>
+              <th>Out of Position</th>
+              <th>Repeat Bench Starts</th>
+              <th>Score</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {candidates.map(candidate => {
+              const { fairness } = candidate;
+              const isSelected = candidate.name === selected;
+              return (
+                <tr key={candidate.name} className="border-b border-gray-100" style={isSelected ? { backgroundColor: COLORS.SKY_BLUE + '33' } : {}}>
+                  <td className="py-1">
+                    <span className="font-semibold">{candidate.name}</span>
+                    {candidate === fairest && (
+                      <span className="ml-2 text-xs px-2 py-0.5 rounded-full text-white" style={{ backgroundColor: COLORS.ORANGE }}>Fairest</span>
+                    )}
+                    <p className="text-xs text-gray-500">{candidate.description}</p>
+                  </td>
+                  <td className="text-center">{fairness.minutesOff}</td>
+                  <td className="text-center" title={fairness.shortOfTarget.join(', ')}>{fairness.shortOfTarget.length}</td>
+                  <td className="text-center">{fairness.longestBench}</td>
+                  <td className="text-center">{fairness.stoppages}</td>
+                  <td className="text-center">{fairness.outOfPosition}</td>
+                  <td className="text-center" title={fairness.repeatBenchStarts.join(', ')}>{fairness.repeatBenchStarts.length}</td>
+                  <td className="text-center font-bold">{fairness.score}</td>
+                  <td className="text-right">
+                    {isSelected ? (
+                      <span className="text-xs font-semibold">In use</span>
+                    ) : (
+                      <button
+                        onClick={() => onSelect(candidate)}
+                        className="text-xs px-2 py-1 rounded-full text-white"
+                        style={{ backgroundColor: COLORS.NAVY_BLUE }}
+                      >
+                        Use
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        Lower scores are fairer. Minutes off target count most, then players benched at two period starts in a row,
+        stoppages, out-of-position slots and the longest bench spell. Plans that came out the same are shown once.
+      </p>
+    </div>
+  );
+};
 
-const PlayerInputRow = ({ player, index, settings, setPlayers, subscriptionTier, allPositions }) => {
-  const isChampionship = subscriptionTier !== 'Basic';
-  const isPremiership = subscriptionTier === 'Premiership';
+/**
+ * Age-group and league rules in one pick: format, duration, periods, drinks breaks, sub rule,
+ * squad limit and GK rules. Championship+ coaches can save their own league's rules as a preset.
+ */
+const RulePresets = ({ customPresets, onApplyPreset, onSavePreset, onDeletePreset, canSave, isLoading }) => {
+  const [presetName, setPresetName] = useState('');
 
-  const handleChange = (field, value) => {
-    setPlayers(prev => prev.map(p =>
-      p.id === player.id ? { ...p, [field]: value } : p
-    ));
+  const handleSelect = (value) => {
+    const [source, index] = value.split(':');
+    const preset = source === 'own' ? customPresets[index] : RULE_PRESETS[index];
+    if (preset) onApplyPreset(preset);
   };
 
   return (
-    <div className="flex items-center space-x-2 py-2 border-b border-gray-100">
-      <span className="text-xs font-semibold w-6 text-center text-gray-500">{index + 1}</span>
-      <input
-        type="text"
-        placeholder={`Player Name ${index + 1}`}
-        value={player.name}
-        onChange={(e) => handleChange('name', e.target.value)}
-        className="flex-grow p-2 border rounded-lg focus:ring-sky-blue focus:border-sky-blue transition duration-150"
-      />
+    <div className="pb-2 border-b border-white/20">
+      <label className="block">Rules Preset</label>
       <select
-        value={player.preferredPosition}
-        onChange={(e) => handleChange('preferredPosition', e.target.value)}
-        className="p-2 border rounded-lg w-28 text-sm bg-white"
+        value=""
+        onChange={(e) => handleSelect(e.target.value)}
+        className="w-full p-2 rounded-lg text-sm font-semibold" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}
       >
-        <option value="">Pref. Pos.</option>
-        {allPositions.map(pos => <option key={pos} value={pos}>{pos}</option>)}
+        <option value="">Apply a preset...</option>
+        <optgroup label="Age groups">
+          {RULE_PRESETS.map((preset, i) => <option key={preset.name} value={`age:${i}`}>{preset.name}</option>)}
+        </optgroup>
+        {customPresets.length > 0 && (
+          <optgroup label="My presets">
+            {customPresets.map((preset, i) => <option key={preset.id} value={`own:${i}`}>{preset.name}</option>)}
+          </optgroup>
+        )}
       </select>
-
-      {isChampionship && (
-        <select
-          value={player.secondaryPosition}
-          onChange={(e) => handleChange('secondaryPosition', e.target.value)}
-          className={`p-2 border rounded-lg w-28 text-sm bg-white ${isChampionship ? '' : 'bg-gray-100'}`}
-          disabled={!isChampionship}
-        >
-          <option value="">Sec. Pos.</option>
-          {allPositions.map(pos => <option key={pos} value={pos}>{pos}</option>)}
-        </select>
+      {canSave && (
+        <div className="mt-2">
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              placeholder="Preset name, e.g. County League U11"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              className="flex-grow p-1 rounded-lg text-sm" style={{ color: COLORS.NAVY_BLUE }}
+            />
+            <button
+              onClick={() => onSavePreset(presetName.trim())}
+              disabled={isLoading || !presetName.trim()}
+              className="text-xs px-3 py-1 rounded-full text-white disabled:opacity-50"
+              style={{ backgroundColor: COLORS.ORANGE }}
+            >
+              Save Rules
+            </button>
+          </div>
+          {customPresets.map(preset => (
+            <div key={preset.id} className="flex justify-between items-center text-xs mt-1">
+              <span>{preset.name} ({preset.gameFormat}, {describePeriods(getMatchPeriods(preset))})</span>
+              <button onClick={() => onDeletePreset(preset.id)} className="px-2 py-0.5 rounded-full text-white bg-red-500">Del</button>
+            </div>
+          ))}
+        </div>
       )}
+      <p className="text-xs text-white/70 mt-1">A preset sets the format and rules below; you can still change any of them.</p>
+    </div>
+  );
+};
 
-      {isChampionship && (
-        <input
-          type="number"
-          placeholder="Manual Mins"
-          value={player.manualMinutes === null ? '' : player.manualMinutes}
-          onChange={(e) => handleChange('manualMinutes', e.target.value === '' ? null : parseInt(e.target.value, 10))}
-          className={`p-2 border rounded-lg w-24 text-sm text-center ${isPremiership ? '' : 'opacity-50'}`}
-          disabled={!isChampionship}
-        />
-      )}
+/**
+ * Lengths of each period when the match is split unevenly (matchPeriods 'Custom'). The match
+ * duration follows the total.
+ */
+const PeriodLengthsEditor = ({ periodLengths, onChange }) => {
+  const updateLength = (index, value) => onChange(periodLengths.map((length, i) => (i === index ? value : length)));
+
+  return (
+    <div className="pt-2 space-y-1">
+      {periodLengths.map((length, i) => (
+        <div key={i} className="flex items-center space-x-2 text-sm">
+          <span className="w-20">Period {i + 1}</span>
+          <input
+            type="number"
+            min={1}
+            value={length}
+            onChange={(e) => updateLength(i, e.target.value === '' ? 0 : parseInt(e.target.value, 10))}
+            className="w-20 p-1 rounded-lg text-sm font-semibold" style={{ color: COLORS.NAVY_BLUE }}
+          />
+          <span>min</span>
+          {periodLengths.length > 1 && (
+            <button
+              onClick={() => onChange(periodLengths.filter((_, j) => j !== i))}
+              className="text-xs px-2 py-1 rounded-full text-white bg-red-500"
+            >
+              X
+            </button>
+          )}
+        </div>
+      ))}
+      <button
+        onClick={() => onChange([...periodLengths, periodLengths[periodLengths.length - 1] || 10])}
+        className="text-xs px-3 py-1 rounded-full text-white"
+        style={{ backgroundColor: COLORS.SKY_BLUE }}
+      >
+        + Add Period
+      </button>
     </div>
   );
 };
 
-const PlayerCircle = ({ name, position, isGK, color = COLORS.SKY_BLUE, yPos, xPos }) => (
-  <div
-    className="absolute flex flex-col items-center justify-center transition-all duration-500 ease-in-out"
-    style={{ top: `${yPos}%`, left: `${xPos}%`, transform: 'translate(-50%, -50%)', zIndex: Math.round(yPos) }}
-    title={`${name} (${position})`}
-  >
-    <div
-      className="w-10 h-10 rounded-full flex items-center justify-center text-xs font-bold text-white shadow-lg border-2"
-      style={{
-        backgroundColor: color,
-        borderColor: isGK ? COLORS.ORANGE : color,
-      }}
-    >
-      {/* Display initials */}
-      {name.split(' ').map(n => n[0]).join('')}
+/**
+ * Formation changes for the automatic plan: each row switches to another formation with
+ * the same number of slots at a given minute, usually a period start. Rows the generator
+ * would ignore (see getFormationSchedule) are flagged.
+ */
+const FormationChangesEditor = ({ settings, formations, onChange }) => {
+  const changes = settings.formationChanges;
+  const periodStarts = getMatchPeriods(settings).slice(1);
+  const slotCount = (formations[settings.selectedFormation] || []).length;
+  const options = Object.keys(formations).filter(name => formations[name].length === slotCount);
+  const schedule = getFormationSchedule(settings);
+  const isScheduled = (change) => schedule.some(s => s.minute === change.minute && s.name === change.formation);
+  const inputClass = 'p-1 border rounded-lg text-sm';
+
+  const updateChange = (index, patch) => onChange(changes.map((c, i) => (i === index ? { ...c, ...patch } : c)));
+  const handleAdd = () => {
+    const start = periodStarts.find(p => !changes.some(c => c.minute === p.start));
+    onChange([...changes, {
+      minute: start ? start.start : Math.floor(settings.matchDuration / 2),
+      formation: options.find(name => name !== settings.selectedFormation) || settings.selectedFormation,
+    }]);
+  };
+
+  return (
+    <div className="mt-4 p-4 rounded-lg border-dashed border" style={{ borderColor: COLORS.NAVY_BLUE, color: COLORS.NAVY_BLUE }}>
+      <p className="text-sm font-semibold mb-2">Formation Changes</p>
+      {changes.length === 0 && (
+        <p className="text-xs text-gray-500 mb-2">The team plays {settings.selectedFormation} all match.</p>
+      )}
+      {changes.map((change, i) => (
+        <div key={i} className="mb-2">
+          <div className="flex items-center space-x-2 text-sm">
+            <span>At</span>
+            <input
+              type="number"
+              min={1}
+              max={settings.matchDuration - 1}
+              value={change.minute}
+              onChange={(e) => updateChange(i, { minute: e.target.value === '' ? 0 : parseInt(e.target.value, 10) })}
+              className={`${inputClass} w-16`}
+            />
+            <span>min switch to</span>
+            <select value={change.formation} onChange={(e) => updateChange(i, { formation: e.target.value })} className={`${inputClass} flex-grow`}>
+              {options.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+            <button
+              onClick={() => onChange(changes.filter((_, j) => j !== i))}
+              className="text-xs px-2 py-1 rounded-full text-white bg-red-500"
+            >
+              X
+            </button>
+          </div>
+          {!isScheduled(change) && (
+            <p className="text-xs text-red-600">
+              Ignored: pick a minute between 1 and {settings.matchDuration - 1} (once each) and a {slotCount}-slot formation.
+            </p>
+          )}
+        </div>
+      ))}
+      <button
+        onClick={handleAdd}
+        disabled={options.length < 2}
+        className="text-xs px-3 py-1 rounded-full text-white disabled:opacity-50"
+        style={{ backgroundColor: COLORS.SKY_BLUE }}
+      >
+        + Add Formation Change
+      </button>
+      {periodStarts.length > 0 && (
+        <p className="text-xs text-gray-500 mt-2">
+          Period starts: {periodStarts.map(p => `${p.name} at ${p.start} min`).join(', ')}. Players move to the slots that suit them best.
+        </p>
+      )}
     </div>
-    <span className={`text-xs mt-1 font-medium text-center`} style={{ color: COLORS.NAVY_BLUE }}>{position}</span>
-  </div>
-);
+  );
+};
 
+const BLANK_PROFILE = {
+  id: null, name: '', shirtNumber: null, photo: '', role: 'Outfield', preferredPosition: '', secondaryPosition: '',
+  neverPosition: '', preferredFoot: '', canPlayGK: false, notes: '',
+};
 
-const PositionVisualizer = ({ settings, players }) => {
-  const { gameFormat, selectedFormation } = settings;
-  const positions = useMemo(() => FORMATIONS[gameFormat]?.formations[selectedFormation] || [], [gameFormat, selectedFormation]);
-  const outfieldSpots = positions.length;
+/**
+ * The coach's player profiles. Saving a profile updates every squad that lists the player
+ * and any roster row for her; "Add" puts her in the first empty roster row.
+ */
+const PlayerProfiles = ({ profiles, rosterIds, isRosterFull, allPositions, onSaveProfile, onDeleteProfile, onAddToRoster, isLoading }) => {
+  const [draft, setDraft] = useState(null); // The profile being edited, or null
+  const [photoError, setPhotoError] = useState('');
+  const update = (patch) => setDraft(d => ({ ...d, ...patch }));
+
+  const handleEdit = (profile) => {
+    setDraft({ ...BLANK_PROFILE, ...profile });
+    setPhotoError('');
+  };
+
+  const handlePhoto = async (file) => {
+    if (!file) return;
+    try {
+      update({ photo: await readProfilePhoto(file) });
+      setPhotoError('');
+    } catch (e) {
+      console.error('Error reading photo:', e);
+      setPhotoError('That file could not be read as a photo.');
+    }
+  };
+
+  const handleSave = async () => {
+    const id = await onSaveProfile({ ...draft, name: draft.name.trim() });
+    if (id) setDraft(null);
+  };
+
+  const handleDelete = async () => {
+    await onDeleteProfile(draft.id);
+    setDraft(null);
+  };
+
+  const takenNumber = draft && draft.shirtNumber && profiles.find(p => p.id !== draft.id && p.shirtNumber === draft.shirtNumber);
+  const inputClass = 'p-2 border rounded-lg text-sm bg-white';
 
-  // Coordinate mapping for a simple 2D pitch visual (responsive)
-  const getPositionCoordinates = (position) => {
-    // Top-to-Bottom (Defense to Attack)
-    const map = {
-        // Defense
-        GK: { y: 95, x: 50 },
-        RB: { y: 80, x: 20 }, LB: { y: 80, x: 80 },
-        CD: { y: 85, x: 50 }, 'CD-R': { y: 85, x: 35 }, 'CD-L': { y: 85, x: 65 },
-
-        // Midfield
-        CDM: { y: 70, x: 50 }, 'CDM-R': { y: 70, x: 30 }, 'CDM-L': { y: 70, x: 70 },
-        CM: { y: 50, x: 50 }, 'CM-R': { y: 50, x: 30 }, 'CM-L': { y: 50, x: 70 },
-        CAM: { y: 35, x: 50 },
-
-        // Attack
-        RW: { y: 25, x: 15 }, LW: { y: 25, x: 85 },
-        ST: { y: 15, x: 50 }, 'ST-R': { y: 20, x: 35 }, 'ST-L': { y: 20, x: 65 },
+  return (
+    <div className="p-6 rounded-xl shadow-lg border" style={{ borderColor: COLORS.NAVY_BLUE }}>
+      <h3 className="text-xl font-bold mb-4 flex items-center" style={{ color: COLORS.NAVY_BLUE }}>
+        <User className="w-5 h-5 mr-2" style={{ color: COLORS.NAVY_BLUE }} /> Player Profiles
+      </h3>
+      <p className="text-xs mb-2 text-gray-500">Saving a squad saves its players here too. Edit a profile once and every squad picks it up.</p>
+
+      {!draft && (
+        <>
+          <div className="space-y-2 max-h-64 overflow-y-auto mb-3">
+            {profiles.length === 0 && <p className="text-sm text-gray-500">No profiles yet.</p>}
+            {profiles.map(profile => (
+              <div key={profile.id} className="flex items-center space-x-2 p-2 rounded-lg border" style={{ borderColor: COLORS.SKY_BLUE }}>
+                <div
+                  className="w-9 h-9 rounded-full flex items-center justify-center text-xs font-bold text-white overflow-hidden flex-shrink-0"
+                  style={{ backgroundColor: profile.role === 'GK' ? COLORS.NAVY_BLUE : COLORS.SKY_BLUE }}
+                >
+                  <PlayerBadge name={profile.name} shirtNumber={profile.shirtNumber} photo={profile.photo} />
+                </div>
+                <div className="flex-grow text-sm" style={{ color: COLORS.NAVY_BLUE }}>
+                  <div className="font-medium">{profile.shirtNumber ? `#${profile.shirtNumber} ` : ''}{profile.name}</div>
+                  <div className="text-xs text-gray-500">
+                    {[profile.preferredPosition, profile.secondaryPosition].filter(Boolean).join(' / ') || 'No positions'}
+                    {profile.preferredFoot && ` | ${profile.preferredFoot} foot`}
+                    {profile.canPlayGK && ' | GK'}
+                  </div>
+                </div>
+                <button onClick={() => handleEdit(profile)} className="text-xs px-2 py-1 rounded-full text-white" style={{ backgroundColor: COLORS.NAVY_BLUE }}>Edit</button>
+                <button
+                  onClick={() => onAddToRoster(profile)}
+                  disabled={rosterIds.includes(profile.id) || isRosterFull}
+                  className="text-xs px-2 py-1 rounded-full text-white disabled:opacity-50"
+                  style={{ backgroundColor: COLORS.ORANGE }}
+                >
+                  {rosterIds.includes(profile.id) ? 'In Roster' : 'Add'}
+                </button>
+              </div>
+            ))}
+          </div>
+          <button
+            onClick={() => handleEdit(BLANK_PROFILE)}
+            className="text-xs px-3 py-1 rounded-full text-white"
+            style={{ backgroundColor: COLORS.SKY_BLUE }}
+          >
+            + New Player
+          </button>
+        </>
+      )}
+
+      {draft && (
+        <div className="space-y-2">
+          <div className="flex items-center space-x-3">
+            <div
+              className="w-16 h-16 rounded-full flex items-center justify-center text-lg font-bold text-white overflow-hidden flex-shrink-0"
+              style={{ backgroundColor: COLORS.SKY_BLUE }}
+            >
+              <PlayerBadge name={draft.name || '?'} shirtNumber={draft.shirtNumber} photo={draft.photo} />
+            </div>
+            <div className="flex flex-col space-y-1 text-xs">
+              <input type="file" accept="image/*" onChange={(e) => handlePhoto(e.target.files[0])} />
+              {draft.photo && (
+                <button onClick={() => update({ photo: '' })} className="self-start text-xs px-2 py-1 rounded-full text-white bg-red-500">Remove Photo</button>
+              )}
+              {photoError && <span className="text-red-600">{photoError}</span>}
+            </div>
+          </div>
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              placeholder="Player name"
+              value={draft.name}
+              onChange={(e) => update({ name: e.target.value })}
+              className={`${inputClass} flex-grow`}
+            />
+            <input
+              type="number"
+              min="1"
+              max="99"
+              placeholder="Shirt #"
+              value={draft.shirtNumber || ''}
+              onChange={(e) => update({ shirtNumber: e.target.value === '' ? null : parseInt(e.target.value, 10) })}
+              className={`${inputClass} w-24`}
+            />
+          </div>
+          {takenNumber && <p className="text-xs text-orange-600">#{draft.shirtNumber} is also {takenNumber.name}'s number.</p>}
+          <div className="grid grid-cols-3 gap-2">
+            <select value={draft.preferredPosition} onChange={(e) => update({ preferredPosition: e.target.value })} className={inputClass}>
+              <option value="">Pref. Pos.</option>
+              {allPositions.map(pos => <option key={pos} value={pos}>{pos}</option>)}
+            </select>
+            <select value={draft.secondaryPosition} onChange={(e) => update({ secondaryPosition: e.target.value })} className={inputClass}>
+              <option value="">Sec. Pos.</option>
+              {allPositions.map(pos => <option key={pos} value={pos}>{pos}</option>)}
+            </select>
+            <select value={draft.neverPosition} onChange={(e) => update({ neverPosition: e.target.value })} className={inputClass}>
+              <option value="">Never Pos.</option>
+              {Object.keys(LINE_NAMES).map(line => <option key={`never-${line}`} value={line}>{LINE_NAMES[line]}</option>)}
+              {allPositions.filter(pos => pos !== 'GK').map(pos => <option key={`never-${pos}`} value={pos}>{pos}</option>)}
+            </select>
+          </div>
+          <div className="flex items-center space-x-4 text-sm" style={{ color: COLORS.NAVY_BLUE }}>
+            <select value={draft.preferredFoot} onChange={(e) => update({ preferredFoot: e.target.value })} className={inputClass}>
+              <option value="">Preferred foot</option>
+              {PREFERRED_FEET.map(foot => <option key={foot} value={foot}>{foot}</option>)}
+            </select>
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={draft.role === 'GK'}
+                onChange={(e) => update({ role: e.target.checked ? 'GK' : 'Outfield' })}
+                className="mr-1"
+              /> Keeper
+            </label>
+            <label className="flex items-center">
+              <input type="checkbox" checked={!!draft.canPlayGK} onChange={(e) => update({ canPlayGK: e.target.checked })} className="mr-1" /> Can play GK
+            </label>
+          </div>
+          <textarea
+            placeholder="Private coach notes"
+            value={draft.notes}
+            onChange={(e) => update({ notes: e.target.value })}
+            rows={3}
+            className={`${inputClass} w-full`}
+          />
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={handleSave}
+              disabled={!draft.name.trim() || isLoading}
+              className="text-sm px-3 py-2 rounded-lg font-bold text-white disabled:opacity-50"
+              style={{ backgroundColor: COLORS.ORANGE }}
+            >
+              {draft.id ? 'Update Profile' : 'Save Profile'}
+            </button>
+            <button onClick={() => setDraft(null)} className="text-sm px-3 py-2 rounded-lg font-bold text-white" style={{ backgroundColor: COLORS.NAVY_BLUE }}>
+              Cancel
+            </button>
+            {draft.id && (
+              <button onClick={handleDelete} disabled={isLoading} className="text-sm px-3 py-2 rounded-lg font-bold text-white bg-red-500 disabled:opacity-50">
+                Delete
+              </button>
+            )}
+          </div>
+          {draft.id && <p className="text-xs text-gray-500">Deleting a profile takes the player out of every squad.</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Editor for the coach's own formations in the selected format. Start from a built-in or
+ * saved formation, add or remove slots, pick each slot's position and drag it on the pitch.
+ * Saved formations appear in the Formation dropdown next to the built-in ones.
+ */
+const FormationEditor = ({ gameFormat, customFormations, onSaveFormation, onDeleteFormation, isLoading }) => {
+  const builtIn = FORMATIONS[gameFormat].formations;
+  const maxSlots = FORMATIONS[gameFormat].maxPlayers;
+  const ownFormations = customFormations.filter(f => f.gameFormat === gameFormat);
+  const outfieldPositions = Object.keys(POSITION_COORDINATES).filter(p => p !== 'GK');
+
+  // A draft is the formation being edited, slots carrying their own coordinates
+  const draftFrom = (name, formation = null) => {
+    const coordinates = formation ? { ...POSITION_COORDINATES, ...formation.coordinates } : POSITION_COORDINATES;
+    return {
+      id: formation ? formation.id : null,
+      name: formation ? formation.name : `${name} custom`,
+      slots: (formation ? formation.slots : builtIn[name]).map(position => ({ position, ...(coordinates[position] || { x: 50, y: 50 }) })),
     };
-    return map[position] || { y: Math.random() * 80 + 10, x: Math.random() * 80 + 10 };
   };
+  const [draft, setDraft] = useState(() => draftFrom(Object.keys(builtIn)[0]));
+  const [dragIndex, setDragIndex] = useState(null);
+  const pitchRef = useRef(null);
+
+  // A new format starts again from its first built-in formation
+  useEffect(() => {
+    setDraft(draftFrom(Object.keys(FORMATIONS[gameFormat].formations)[0]));
+  }, [gameFormat]);
+
+  const name = draft.name.trim();
+  const positions = draft.slots.map(slot => slot.position);
+  let problem = null;
+  if (!name) problem = 'Give the formation a name.';
+  else if (builtIn[name] || ownFormations.some(f => f.name === name && f.id !== draft.id)) problem = `${gameFormat} already has a formation called ${name}.`;
+  else if (new Set(positions).size !== positions.length) problem = 'Each position can only be used once.';
+
+  const updateSlot = (index, patch) => setDraft(d => ({ ...d, slots: d.slots.map((slot, i) => (i === index ? { ...slot, ...patch } : slot)) }));
+
+  const handleAddSlot = () => {
+    const position = outfieldPositions.find(p => !positions.includes(p));
+    if (!position || draft.slots.length >= maxSlots) return;
+    setDraft(d => ({ ...d, slots: [...d.slots, { position, ...POSITION_COORDINATES[position] }] }));
+  };
+
+  const handleStartFrom = (value) => {
+    const [kind, key] = value.split(':');
+    setDraft(kind === 'custom' ? draftFrom(null, ownFormations.find(f => f.id === key)) : draftFrom(key));
+  };
+
+  // Pointer events cover mouse and touch; coordinates are kept in % of the pitch
+  const handleDrag = (e) => {
+    if (dragIndex === null || !pitchRef.current) return;
+    const rect = pitchRef.current.getBoundingClientRect();
+    const toPercent = (offset, length) => Math.min(95, Math.max(5, Math.round((offset / length) * 100)));
+    updateSlot(dragIndex, { x: toPercent(e.clientX - rect.left, rect.width), y: toPercent(e.clientY - rect.top, rect.height) });
+  };
+
+  const handleSave = async (asNew = false) => {
+    if (problem) return;
+    const id = await onSaveFormation({
+      id: asNew ? null : draft.id,
+      name,
+      gameFormat,
+      slots: positions,
+      coordinates: Object.fromEntries(draft.slots.map(slot => [slot.position, { x: slot.x, y: slot.y }])),
+    });
+    if (id) setDraft(d => ({ ...d, id, name }));
+  };
+
+  const handleDelete = async () => {
+    await onDeleteFormation(draft.id);
+    setDraft(draftFrom(Object.keys(builtIn)[0]));
+  };
+
+  const inputClass = 'p-2 border rounded-lg text-sm bg-white';
+
+  return (
+    <div className="p-6 rounded-xl shadow-lg border" style={{ borderColor: COLORS.NAVY_BLUE }}>
+      <h3 className="text-xl font-bold mb-4" style={{ color: COLORS.NAVY_BLUE }}>{gameFormat} Formations</h3>
+
+      <select value="" onChange={(e) => handleStartFrom(e.target.value)} className={`${inputClass} w-full mb-2`}>
+        <option value="">Start from...</option>
+        <optgroup label="Built-in">
+          {Object.keys(builtIn).map(f => <option key={f} value={`builtin:${f}`}>{f}</option>)}
+        </optgroup>
+        {ownFormations.length > 0 && (
+          <optgroup label="My formations">
+            {ownFormations.map(f => <option key={f.id} value={`custom:${f.id}`}>{f.name}</option>)}
+          </optgroup>
+        )}
+      </select>
+      <input
+        type="text"
+        placeholder="Formation name"
+        value={draft.name}
+        onChange={(e) => setDraft(d => ({ ...d, name: e.target.value }))}
+        className={`${inputClass} w-full mb-2`}
+      />
+
+      <div
+        ref={pitchRef}
+        className="relative w-full h-72 border-4 border-green-800 bg-green-700/80 rounded-xl overflow-hidden touch-none select-none"
+        onPointerMove={handleDrag}
+        onPointerUp={() => setDragIndex(null)}
+        onPointerLeave={() => setDragIndex(null)}
+      >
+        <div className="absolute top-1/2 left-0 right-0 border-t-2 border-white opacity-60"></div>
+        <div
+          className="absolute w-9 h-9 rounded-full flex items-center justify-center text-xs font-bold text-white border-2"
+          style={{ top: `${POSITION_COORDINATES.GK.y}%`, left: `${POSITION_COORDINATES.GK.x}%`, transform: 'translate(-50%, -50%)', backgroundColor: COLORS.NAVY_BLUE, borderColor: COLORS.ORANGE }}
+        >
+          GK
+        </div>
+        {draft.slots.map((slot, i) => (
+          <div
+            key={i}
+            onPointerDown={(e) => { e.preventDefault(); setDragIndex(i); }}
+            className={`absolute w-9 h-9 rounded-full flex items-center justify-center text-[10px] font-bold text-white shadow-lg ${dragIndex === i ? 'cursor-grabbing ring-2 ring-white' : 'cursor-grab'}`}
+            style={{ top: `${slot.y}%`, left: `${slot.x}%`, transform: 'translate(-50%, -50%)', backgroundColor: COLORS.SKY_BLUE }}
+          >
+            {slot.position}
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-1 mb-3">Drag the slots to place them on the pitch (attacking upwards).</p>
+
+      <div className="grid grid-cols-2 gap-2 mb-2">
+        {draft.slots.map((slot, i) => (
+          <div key={i} className="flex items-center space-x-1">
+            <select value={slot.position} onChange={(e) => updateSlot(i, { position: e.target.value })} className={`${inputClass} flex-grow`}>
+              {outfieldPositions.map(p => <option key={p} value={p}>{p}</option>)}
+            </select>
+            <button
+              onClick={() => setDraft(d => ({ ...d, slots: d.slots.filter((_, j) => j !== i) }))}
+              disabled={draft.slots.length <= 1}
+              className="text-xs px-2 py-1 rounded-full text-white bg-red-500 disabled:opacity-50"
+            >
+              X
+            </button>
+          </div>
+        ))}
+      </div>
+      <button
+        onClick={handleAddSlot}
+        disabled={draft.slots.length >= maxSlots}
+        className="text-xs px-3 py-1 rounded-full text-white disabled:opacity-50 mb-3"
+        style={{ backgroundColor: COLORS.SKY_BLUE }}
+      >
+        + Add Slot ({draft.slots.length}/{maxSlots})
+      </button>
+
+      {problem && <p className="text-xs text-red-600 mb-2">{problem}</p>}
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => handleSave()}
+          disabled={!!problem || isLoading}
+          className="text-sm px-3 py-2 rounded-lg font-bold text-white disabled:opacity-50"
+          style={{ backgroundColor: COLORS.ORANGE }}
+        >
+          {draft.id ? 'Update Formation' : 'Save Formation'}
+        </button>
+        {draft.id && (
+          <>
+            <button
+              onClick={() => handleSave(true)}
+              disabled={!!problem || isLoading}
+              className="text-sm px-3 py-2 rounded-lg font-bold text-white disabled:opacity-50"
+              style={{ backgroundColor: COLORS.NAVY_BLUE }}
+            >
+              Save as New
+            </button>
+            <button onClick={handleDelete} disabled={isLoading} className="text-sm px-3 py-2 rounded-lg font-bold text-white bg-red-500 disabled:opacity-50">
+              Delete
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
 
-  // Get the players who are starting (first N outfield players + GK)
-  const startingPlayers = players.filter(p => p.name.trim() !== '');
-  const gkPlayer = startingPlayers.find(p => p.role === 'GK') || startingPlayers[0]; // Player 1 is default GK
-  const startingOutfieldPlayers = startingPlayers.filter(p => p.role !== 'GK').slice(0, outfieldSpots);
+/**
+ * Picks the workspace (the coach's own data or a team's), and creates and joins teams.
+ * Owners see the team's invite codes and manage its members; everyone else can leave.
+ * onJoinTeam resolves to an error message, or '' once joined.
+ */
+const TeamWorkspaces = ({
+  teams, workspaceId, userId, inviteCodes, onSelectWorkspace, onCreateTeam, onJoinTeam, onNewInviteCode, onChangeRole, onRemoveMember, isLoading,
+}) => {
+  const [teamName, setTeamName] = useState('');
+  const [inviteCode, setInviteCode] = useState('');
+  const [message, setMessage] = useState('');
+  const team = teams.find(t => t.id === workspaceId) || null;
+  const role = team ? team.members[userId] : 'owner';
+
+  const handleCreate = async () => {
+    await onCreateTeam(teamName.trim());
+    setTeamName('');
+  };
 
-  const visualPlayers = startingOutfieldPlayers.map((player, index) => {
-    const position = positions[index] || 'SUB';
-    const { y, x } = getPositionCoordinates(position);
-    const color = index === 0 ? COLORS.ORANGE : COLORS.SKY_BLUE;
-    return <PlayerCircle key={player.id} name={player.name} position={position} isGK={false} color={color} yPos={y} xPos={x} />;
-  });
+  const handleJoin = async () => {
+    const error = await onJoinTeam(inviteCode.trim().toUpperCase());
+    setMessage(error || 'Joined. The team appears in the list once the owner\'s data has loaded.');
+    if (!error) setInviteCode('');
+  };
 
-  // Add the GK
-  if (gkPlayer) {
-    const { y, x } = getPositionCoordinates('GK');
-    visualPlayers.push(<PlayerCircle key={gkPlayer.id} name={gkPlayer.name} position="GK" isGK={true} color={COLORS.NAVY_BLUE} yPos={y} xPos={x} />);
-  }
+  const inputClass = 'flex-grow p-2 border rounded-lg text-sm';
+  const smallButtonClass = 'text-xs px-2 py-1 rounded-full text-white disabled:opacity-50';
 
   return (
-    <div className="relative w-full h-96 border-4 border-green-800 bg-green-700/80 rounded-xl overflow-hidden shadow-inner">
-      {/* Pitch markings */}
-      <div className="absolute inset-0 border-white border-2 m-4 rounded-lg opacity-80">
-        <div className="absolute top-1/2 left-1/2 w-20 h-20 border-white border-2 rounded-full transform -translate-x-1/2 -translate-y-1/2 opacity-80"></div>
-        <div className="absolute top-0 left-1/2 w-40 h-10 border-white border-2 transform -translate-x-1/2"></div>
-        <div className="absolute bottom-0 left-1/2 w-40 h-10 border-white border-2 transform -translate-x-1/2 -scale-y-100"></div>
-      </div>
+    <div className="p-6 rounded-xl shadow-lg border" style={{ borderColor: COLORS.NAVY_BLUE }}>
+      <h3 className="text-xl font-bold mb-4 flex items-center" style={{ color: COLORS.NAVY_BLUE }}>
+        <Users className="w-5 h-5 mr-2" /> Workspace
+      </h3>
 
-      {visualPlayers}
+      <select
+        value={team ? team.id : ''}
+        onChange={(e) => onSelectWorkspace(e.target.value || null)}
+        className="w-full p-2 mb-2 border rounded-lg text-sm bg-white"
+        style={{ color: COLORS.NAVY_BLUE }}
+      >
+        <option value="">My squads (just me)</option>
+        {teams.map(t => <option key={t.id} value={t.id}>{t.name} ({t.members[userId]})</option>)}
+      </select>
 
-      <div className="absolute bottom-2 right-2 text-xs font-semibold text-white bg-black/50 p-1 rounded">
-        {settings.gameFormat} - {selectedFormation}
+      {team && (
+        <div className="space-y-2 mb-4">
+          <p className="text-xs text-gray-500">
+            Squads, players, fixtures and formations here are shared with the team and follow the owner's {team.ownerTier} plan.
+            {role === 'viewer' && ' You\'re a viewer: you can see them but not change them.'}
+          </p>
+          {Object.entries(team.members).map(([memberId, memberRole]) => (
+            <div key={memberId} className="flex items-center justify-between text-sm p-2 border rounded-lg" style={{ borderColor: COLORS.SKY_BLUE, color: COLORS.NAVY_BLUE }}>
+              <span className="truncate">{(team.memberNames || {})[memberId] || 'Guest'}{memberId === userId ? ' (you)' : ''}</span>
+              <div className="flex items-center space-x-1">
+                {role === 'owner' && memberRole !== 'owner' ? (
+                  <select value={memberRole} onChange={(e) => onChangeRole(team, memberId, e.target.value)} disabled={isLoading} className="text-xs p-1 border rounded bg-white">
+                    {INVITE_ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                  </select>
+                ) : (
+                  <span className="text-xs text-gray-500">{memberRole}</span>
+                )}
+                {memberRole !== 'owner' && (role === 'owner' || memberId === userId) && (
+                  <button onClick={() => onRemoveMember(team, memberId)} disabled={isLoading} className={`${smallButtonClass} bg-red-500`}>
+                    {memberId === userId ? 'Leave' : 'Remove'}
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+          {role === 'owner' && INVITE_ROLES.map(inviteRole => (
+            <div key={inviteRole} className="flex items-center justify-between text-sm" style={{ color: COLORS.NAVY_BLUE }}>
+              <span>Invite as {inviteRole}: <span className="font-mono font-bold">{inviteCodes[inviteRole] || '...'}</span></span>
+              <button onClick={() => onNewInviteCode(team, inviteRole)} disabled={isLoading} className={smallButtonClass} style={{ backgroundColor: COLORS.NAVY_BLUE }} title="The old code stops working">
+                New Code
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex space-x-2 mb-2">
+        <input type="text" placeholder="New team name" value={teamName} onChange={(e) => setTeamName(e.target.value)} className={inputClass} />
+        <button onClick={handleCreate} disabled={isLoading || !teamName.trim()} className={smallButtonClass} style={{ backgroundColor: COLORS.ORANGE }}>Create Team</button>
+      </div>
+      <div className="flex space-x-2">
+        <input type="text" placeholder="Invite code" value={inviteCode} onChange={(e) => setInviteCode(e.target.value)} className={`${inputClass} font-mono uppercase`} />
+        <button onClick={handleJoin} disabled={isLoading || !inviteCode.trim()} className={smallButtonClass} style={{ backgroundColor: COLORS.SKY_BLUE }}>Join Team</button>
       </div>
+      {message && <p className="text-xs font-semibold mt-2" style={{ color: COLORS.ORANGE }}>{message}</p>}
     </div>
   );
 };
 
+/**
+ * Fixture list. Each fixture stores its date, kick-off, opponent, venue, format,
+ * formation and the saved squad it is played with, plus which of that squad's
+ * players are available. "Open" loads just the available players into the planner.
+ */
+const FixtureCalendar = ({ fixtures, squads, onSaveFixture, onDeleteFixture, onOpenFixture, customFormations = [], isLoading }) => {
+  const emptyForm = () => ({
+    date: getLocalDateString(),
+    kickOff: '10:00',
+    opponent: '',
+    venue: 'Home',
+    gameFormat: '9v9',
+    formation: Object.keys(FORMATIONS['9v9'].formations)[0],
+    squadId: '',
+  });
+  const [form, setForm] = useState(emptyForm);
+  const [expandedId, setExpandedId] = useState(null);
+  const today = getLocalDateString();
+  const canAdd = form.opponent.trim() !== '' && form.date !== '' && squads.some(s => s.id === form.squadId);
+
+  const handleAdd = async () => {
+    if (!canAdd) return;
+    const squad = squads.find(s => s.id === form.squadId);
+    await onSaveFixture({
+      ...form,
+      opponent: form.opponent.trim(),
+      availablePlayerIds: squad.data.map(p => p.id),
+      createdAt: new Date().toISOString(),
+    });
+    setForm(emptyForm());
+  };
 
-const SubscriptionBadge = ({ tier }) => {
-  let color, icon, text;
+  const toggleAvailable = (fixture, playerId) => {
+    const availablePlayerIds = fixture.availablePlayerIds.includes(playerId)
+      ? fixture.availablePlayerIds.filter(id => id !== playerId)
+      : [...fixture.availablePlayerIds, playerId];
+    onSaveFixture({ ...fixture, availablePlayerIds });
+  };
 
-  if (tier === 'Premiership') {
-    color = COLORS.GOLD;
-    icon = <Star className="w-4 h-4 text-white fill-current mr-1" />;
-    text = 'Premiership';
-  } else if (tier === 'Championship') {
-    color = COLORS.SKY_BLUE;
-    icon = <Unlock className="w-4 h-4 text-white mr-1" />;
-    text = 'Championship';
-  } else {
-    color = COLORS.NAVY_BLUE;
-    icon = null;
-    text = 'Basic (FREE)';
-  }
+  const inputClass = 'w-full p-2 border rounded-lg text-sm bg-white';
 
   return (
-    <div
-      className="px-3 py-1 rounded-full text-xs font-bold flex items-center shadow-md"
-      style={{ backgroundColor: color, color: COLORS.WHITE }}
-    >
-      {icon}
-      {text}
+    <div className="p-6 rounded-xl shadow-lg border" style={{ borderColor: COLORS.NAVY_BLUE }}>
+      <h3 className="text-xl font-bold mb-4 flex items-center" style={{ color: COLORS.NAVY_BLUE }}>
+        <Calendar className="w-5 h-5 mr-2" /> Fixtures
+      </h3>
+
+      {squads.length === 0 ? (
+        <p className="text-sm mb-4 text-gray-500">Save a squad first; each fixture is played with one of your saved squads.</p>
+      ) : (
+        <div className="grid grid-cols-2 gap-2 mb-4">
+          <input type="date" value={form.date} onChange={(e) => setForm(f => ({ ...f, date: e.target.value }))} className={inputClass} />
+          <input type="time" value={form.kickOff} onChange={(e) => setForm(f => ({ ...f, kickOff: e.target.value }))} className={inputClass} />
+          <input
+            type="text"
+            placeholder="Opponent"
+            value={form.opponent}
+            onChange={(e) => setForm(f => ({ ...f, opponent: e.target.value }))}
+            className={`${inputClass} col-span-2`}
+          />
+          <select value={form.venue} onChange={(e) => setForm(f => ({ ...f, venue: e.target.value }))} className={inputClass}>
+            <option value="Home">Home</option>
+            <option value="Away">Away</option>
+          </select>
+          <select value={form.squadId} onChange={(e) => setForm(f => ({ ...f, squadId: e.target.value }))} className={inputClass}>
+            <option value="">Squad...</option>
+            {squads.map(squad => <option key={squad.id} value={squad.id}>{squad.name}</option>)}
+          </select>
+          <select
+            value={form.gameFormat}
+            onChange={(e) => setForm(f => ({ ...f, gameFormat: e.target.value, formation: Object.keys(getFormations(e.target.value, customFormations))[0] }))}
+            className={inputClass}
+          >
+            {Object.keys(FORMATIONS).map(format => <option key={format} value={format}>{format}</option>)}
+          </select>
+          <select value={form.formation} onChange={(e) => setForm(f => ({ ...f, formation: e.target.value }))} className={inputClass}>
+            {Object.keys(getFormations(form.gameFormat, customFormations)).map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <button
+            onClick={handleAdd}
+            disabled={!canAdd || isLoading}
+            className="col-span-2 p-2 rounded-lg text-sm font-bold text-white disabled:opacity-50"
+            style={{ backgroundColor: COLORS.ORANGE }}
+          >
+            Add Fixture
+          </button>
+        </div>
+      )}
+
+      <div className="space-y-2 max-h-96 overflow-y-auto">
+        {fixtures.map(fixture => {
+          const squad = squads.find(s => s.id === fixture.squadId);
+          const isPast = fixture.date < today;
+          return (
+            <div key={fixture.id} className={`p-2 rounded-lg border text-sm ${isPast ? 'opacity-60' : ''}`} style={{ borderColor: COLORS.SKY_BLUE, color: COLORS.NAVY_BLUE }}>
+              <div className="flex justify-between items-center">
+                <div>
+                  <p className="font-semibold">{fixture.venue === 'Home' ? 'vs' : '@'} {fixture.opponent}</p>
+                  <p className="text-xs">
+                    {new Date(`${fixture.date}T00:00`).toLocaleDateString()} {fixture.kickOff} | {fixture.gameFormat} {fixture.formation}
+                    {' '}| {squad ? `${squad.data.filter(p => fixture.availablePlayerIds.includes(p.id)).length}/${squad.data.length} available` : 'Squad deleted'}
+                  </p>
+                </div>
+                <div className="flex space-x-1">
+                  {squad && (
+                    <button onClick={() => setExpandedId(expandedId === fixture.id ? null : fixture.id)} className="text-xs px-2 py-1 rounded-full text-white" style={{ backgroundColor: COLORS.NAVY_BLUE }}>
+                      Avail.
+                    </button>
+                  )}
+                  <button onClick={() => onOpenFixture(fixture)} disabled={!squad} className="text-xs px-2 py-1 rounded-full text-white disabled:opacity-50" style={{ backgroundColor: COLORS.ORANGE }}>Open</button>
+                  <button onClick={() => onDeleteFixture(fixture.id)} className="text-xs px-2 py-1 rounded-full text-white bg-red-500">Del</button>
+                </div>
+              </div>
+              {squad && expandedId === fixture.id && (
+                <div className="grid grid-cols-2 gap-1 mt-2 pt-2 border-t" style={{ borderColor: COLORS.SKY_BLUE }}>
+                  {squad.data.map(p => (
+                    <label key={p.id} className="flex items-center text-xs">
+                      <input
+                        type="checkbox"
+                        checked={fixture.availablePlayerIds.includes(p.id)}
+                        onChange={() => toggleAvailable(fixture, p.id)}
+                        className="mr-1"
+                      />
+                      {p.name}
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
     </div>
   );
 };
 
-const Button = ({ children, color = COLORS.ORANGE, disabled, onClick }) => (
-  <button
-    onClick={onClick}
-    disabled={disabled}
-    className={`flex items-center justify-center px-6 py-3 rounded-xl font-bold text-white shadow-lg transition duration-200 ${
-      disabled
-        ? 'opacity-50 cursor-not-allowed bg-gray-400'
-        : 'hover:opacity-90 active:scale-[0.98]'
-    }`}
-    style={{ backgroundColor: color }}
-  >
-    {children}
-  </button>
-);
-
 // --- MAIN APPLICATION COMPONENT ---
 
 const App = () => {
-  const { db, userId, isAuthReady, firestorePath, error } = useFirebase();
-
-  // Mocked Subscription Tier (for demonstration)
-  // Options: 'Basic', 'Championship', 'Premiership'
-  const [subscriptionTier, setSubscriptionTier] = useState('Premiership');
+  const { db, auth, userId, isAuthReady, error } = useFirebase();
+  const { account, accountNotice, createAccount, signIn, sendSignInLink, signOut: signOutAccount } = useAccount(auth);
+  const { tier: subscriptionTier, isTierLoading } = useSubscription(db, userId);
+  const { isOnline, pendingWrites, syncError, trackWrite, reportSyncError } = useSyncStatus();
+
+  // The workspace is the coach's own data, or a team's once the team is in `teams`
+  const [teams, setTeams] = useState([]); // Team[] the user is a member of
+  const [workspaceId, setWorkspaceId] = useState(null);
+  const [isTeamsLoading, setIsTeamsLoading] = useState(false);
+  const workspace = teams.find(t => t.id === workspaceId) || null;
+  const teamId = workspace ? workspace.id : null;
+  const isViewOnly = workspace !== null && workspace.members[userId] === 'viewer';
+  // A team's limits follow its owner's subscription
+  const workspaceTier = workspace ? workspace.ownerTier : subscriptionTier;
+  const can = useCallback((feature) => getEntitlement(workspaceTier, feature), [workspaceTier]);
 
   // --- State for Settings and Players ---
   const [settings, setSettings] = useState(() => {
@@ -602,12 +5752,23 @@ const App = () => {
       matchDuration: MATCH_DURATIONS[defaultFormat],
       squadSize: 11,
       isPermanentGK: true,
+      gkRotateEvery: 'Half',
       selectedFormation: '3-3-2',
-      planType: 'Automatic', 
+      planType: 'Automatic',
+      balanceSeason: false, 
+      positionDiversity: false, // steer players towards lines they haven't played lately
       subInterval: 10,
       firstSubTime: 10,
       maxSubs: 2,
       matchPeriods: 'Halves', 
+      periodLengths: [], // minutes per period when matchPeriods is 'Custom'
+      drinksBreak: false,
+      subRule: 'rolling', // 'rolling' subs at any time, 'stoppage' subs only at breaks
+      maxSquad: null, // matchday squad limit from the league rules
+      customFormations: [], // the coach's own formations (Championship+), see CustomFormation
+      formationChanges: [], // { minute, formation } switches for the automatic plan (Championship+)
+      rotationSolver: 'greedy', // 'greedy' or 'optimise' (optimiseAutomaticPlan, Premiership)
+      maxBenchSpell: null, // longest bench spell the optimising solver aims for, in minutes (null = no limit)
     };
   });
   
@@ -619,179 +5780,908 @@ const App = () => {
       role: i === 0 ? 'GK' : 'Outfield',
       preferredPosition: i === 0 ? 'GK' : '',
       secondaryPosition: '',
+      neverPosition: '',
+      canPlayGK: i === 0,
       manualMinutes: null,
     }))
   );
 
-  const [matchPlan, setMatchPlan] = useState('');
-  const [isGenerating, setIsGenerating] = useState(false);
-  const [savedSquads, setSavedSquads] = useState([]);
-  const [isSavingLoading, setIsSavingLoading] = useState(false);
+  const [matchPlan, setMatchPlan] = useState(null); // MatchPlan | null
+  const [planCandidates, setPlanCandidates] = useState(null); // see generatePlanCandidates; Premiership automatic plans only
+  const [planMessage, setPlanMessage] = useState('');
+  const [isLiveMatch, setIsLiveMatch] = useState(false);
+  const [manualSubs, setManualSubs] = useState([]);
+  const [matchEvents, setMatchEvents] = useState([]); // MatchEvent[] logged against the plan
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [squadDocs, setSquadDocs] = useState([]); // as saved; see savedSquads for their players
+  const [squadCount, setSquadCount] = useState(0); // squads counted against the limit (usage document)
+  const [profiles, setProfiles] = useState([]); // PlayerProfile[]
+  const [isProfilesLoading, setIsProfilesLoading] = useState(false);
+  const [squadName, setSquadName] = useState('');
+  const [loadedSquadId, setLoadedSquadId] = useState(null);
+  const [isSavingLoading, setIsSavingLoading] = useState(false);
+  const [fixtures, setFixtures] = useState([]);
+  const [activeFixture, setActiveFixture] = useState(null);
+  const [printSize, setPrintSize] = useState(null); // 'full' | 'pocket' while the match card is printing
+  const [visualStep, setVisualStep] = useState(0); // Which formation of the plan the visual shows
+  const [isFixturesLoading, setIsFixturesLoading] = useState(false);
+  const [isFormationsLoading, setIsFormationsLoading] = useState(false);
+  const [customPresets, setCustomPresets] = useState([]); // the coach's own rules presets (Championship+)
+  const [isPresetsLoading, setIsPresetsLoading] = useState(false);
+  const [seasonMatches, setSeasonMatches] = useState([]);
+  const [isSeasonLoading, setIsSeasonLoading] = useState(false);
+
+
+  // --- Derived State and Constraints ---
+
+  const maxSquads = can('squadSaves');
+  const isSquadLimitReached = Math.max(squadDocs.length, squadCount) >= maxSquads;
+  const outfieldSpots = getFormationPositions(settings).length;
+  const formationsAvailable = useMemo(
+    () => getFormations(settings.gameFormat, settings.customFormations),
+    [settings.gameFormat, settings.customFormations]
+  );
+
+  const activePlayers = useMemo(() => players.filter(p => p.name.trim() !== ''), [players]);
+
+  // Saved squads with their players looked up from the profiles (see getSquadPlayers)
+  const savedSquads = useMemo(
+    () => squadDocs.map(squad => ({ ...squad, data: getSquadPlayers(squad, profiles) })),
+    [squadDocs, profiles]
+  );
+
+  // Player list displayed/used based on squad size input
+  const displayedPlayers = useMemo(() => players.slice(0, settings.squadSize), [players, settings.squadSize]);
+
+  // Season totals for the current roster; only passed to the planner when balancing is on
+  const seasonTotals = useMemo(() => summariseSeason(seasonMatches, displayedPlayers), [seasonMatches, displayedPlayers]);
+  const seasonWeighting = can('seasonLedger') && settings.balanceSeason && seasonMatches.length > 0 ? seasonTotals : null;
+  // The roster as the generators see it: with position diversity on, each player carries her recent lines
+  const plannerPlayers = useMemo(() => (
+    can('seasonLedger') && settings.positionDiversity && seasonMatches.length > 0 ? withRecentLines(displayedPlayers, seasonTotals) : displayedPlayers
+  ), [can, settings.positionDiversity, seasonMatches.length, displayedPlayers, seasonTotals]);
+
+  // Keep the formation while the format has it (e.g. both were set from a fixture), otherwise
+  // fall back to the format's first one; this also covers a deleted custom formation
+  useEffect(() => {
+    if (!formationsAvailable[settings.selectedFormation]) {
+      setSettings(prev => ({ ...prev, selectedFormation: Object.keys(formationsAvailable)[0] }));
+    }
+  }, [formationsAvailable, settings.selectedFormation]);
+
+  // Manual subs refer to formation slot indexes, so clear them when the formation changes.
+  // The ref holds the formation they were made for (restoring a draft sets it too).
+  const manualSubsFormationRef = useRef(null);
+  useEffect(() => {
+    const formation = `${settings.gameFormat} ${settings.selectedFormation}`;
+    if (manualSubsFormationRef.current !== null && manualSubsFormationRef.current !== formation) setManualSubs([]);
+    manualSubsFormationRef.current = formation;
+  }, [settings.gameFormat, settings.selectedFormation]);
+
+  // --- OFFLINE DRAFT ---
+  // The working roster, settings and plan come back from the user's Draft, and are saved to
+  // it (once they settle) as they change
+
+  const [isDraftRestored, setIsDraftRestored] = useState(false);
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    let isCurrent = true;
+    setIsDraftRestored(false);
+    loadDraft(userId)
+      .then((draft) => {
+        if (!isCurrent || !draft) return;
+        manualSubsFormationRef.current = `${draft.settings.gameFormat} ${draft.settings.selectedFormation}`;
+        setSettings(prev => ({ ...prev, ...draft.settings }));
+        setPlayers(draft.players);
+        setSquadName(draft.squadName);
+        setLoadedSquadId(draft.loadedSquadId);
+        setMatchPlan(draft.matchPlan);
+        setManualSubs(draft.manualSubs);
+        setMatchEvents(draft.matchEvents || []);
+        setWorkspaceId(draft.workspaceId);
+      })
+      .catch(e => console.error('Error restoring the draft:', e))
+      .finally(() => {
+        if (isCurrent) setIsDraftRestored(true);
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [userId]);
+
+  useEffect(() => {
+    if (!userId || !isDraftRestored) return undefined;
+    const timer = setTimeout(() => {
+      saveDraft(userId, {
+        settings, players, squadName, loadedSquadId, matchPlan, manualSubs, matchEvents, workspaceId, savedAt: new Date().toISOString(),
+      }).catch(e => console.error('Error saving the draft:', e));
+    }, DRAFT_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [userId, isDraftRestored, settings, players, squadName, loadedSquadId, matchPlan, manualSubs, matchEvents, workspaceId]);
+
+  // --- FIREBASE: TEAMS ---
+  // Teams the user is a member of, kept in sync so new members and role changes show up
+
+  useEffect(() => {
+    setTeams([]);
+    if (!isAuthReady || !db || !userId) return undefined;
+
+    const teamsQuery = query(collection(db, getTeamPath()), where(`members.${userId}`, 'in', TEAM_ROLES));
+    return onSnapshot(teamsQuery, (snapshot) => {
+      setTeams(snapshot.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => a.name.localeCompare(b.name)));
+    }, (e) => reportSyncError('Error syncing teams:', e));
+  }, [db, userId, isAuthReady, reportSyncError]);
+
+  // The current team's invite codes (role -> code), which only its owner can read
+  const [inviteCodes, setInviteCodes] = useState({});
+  const isWorkspaceOwner = workspace !== null && workspace.ownerId === userId;
+
+  useEffect(() => {
+    setInviteCodes({});
+    if (!db || !teamId || !isWorkspaceOwner) return undefined;
+    return onSnapshot(collection(db, getTeamPath(teamId, 'inviteCodes')), (snapshot) => {
+      setInviteCodes(Object.fromEntries(snapshot.docs.map(d => [d.id, d.data().code])));
+    }, (e) => reportSyncError('Error syncing invite codes:', e));
+  }, [db, teamId, isWorkspaceOwner, reportSyncError]);
+
+  /**
+   * Adds to a batch what replaces a team's invite code for `role` with a new one; the old code
+   * (null if there isn't one) stops working.
+   */
+  const batchNewInviteCode = (batch, team, role, oldCode) => {
+    const code = generateInviteCode();
+    if (oldCode) batch.delete(doc(db, getInvitesPath(), oldCode));
+    batch.set(doc(db, getInvitesPath(), code), { teamId: team.id, teamName: team.name, role, createdAt: new Date().toISOString() });
+    batch.set(doc(db, getTeamPath(team.id, 'inviteCodes'), role), { code });
+  };
+
+  // Teams made before the codes moved out of the team document get new ones, as every member
+  // could read the old ones; so does the code the last member joined with (joinedWith), if it
+  // still works. The ref stops a second batch while the first is on its way.
+  const movedInviteCodesRef = useRef(new Set());
+  useEffect(() => {
+    if (!db) return;
+    teams
+      .filter(t => t.ownerId === userId && (t.inviteCodes || t.joinedWith) && !movedInviteCodesRef.current.has(t.id))
+      .forEach(t => {
+        movedInviteCodesRef.current.add(t.id);
+        trackWrite(async () => {
+          const batch = writeBatch(db);
+          if (t.inviteCodes) {
+            INVITE_ROLES.forEach(role => batchNewInviteCode(batch, t, role, t.inviteCodes[role]));
+          } else {
+            const invite = await getDoc(doc(db, getInvitesPath(), t.joinedWith));
+            if (invite.exists() && invite.data().teamId === t.id) batchNewInviteCode(batch, t, invite.data().role, t.joinedWith);
+          }
+          batch.update(doc(db, getTeamPath(), t.id), { inviteCodes: deleteField(), joinedWith: deleteField() });
+          return batch.commit();
+        }).catch(e => console.error('Error moving invite codes:', e));
+      });
+  }, [db, teams, userId, trackWrite]);
+
+  // Owners keep their teams' ownerTier in step with their subscription
+  useEffect(() => {
+    if (!db || isTierLoading) return;
+    teams
+      .filter(t => t.ownerId === userId && t.ownerTier !== subscriptionTier)
+      .forEach(t => {
+        trackWrite(() => updateDoc(doc(db, getTeamPath(), t.id), { ownerTier: subscriptionTier }))
+          .catch(e => console.error('Error updating team tier:', e));
+      });
+  }, [db, teams, userId, subscriptionTier, isTierLoading, trackWrite]);
+
+  const memberName = account && account.email ? account.email : 'Guest';
+
+  // Creates a team owned by the user, with an invite code per role, and switches to it
+  const handleCreateTeam = async (name) => {
+    setIsTeamsLoading(true);
+    try {
+      const now = new Date().toISOString();
+      const teamRef = doc(collection(db, getTeamPath()));
+      const batch = writeBatch(db);
+      batch.set(teamRef, {
+        name,
+        ownerId: userId,
+        ownerTier: subscriptionTier,
+        members: { [userId]: 'owner' },
+        memberNames: { [userId]: memberName },
+        createdAt: now,
+      });
+      INVITE_ROLES.forEach(role => batchNewInviteCode(batch, { id: teamRef.id, name }, role, null));
+      await trackWrite(() => batch.commit());
+      setWorkspaceId(teamRef.id);
+    } catch (e) {
+      console.error('Error creating team:', e);
+    } finally {
+      setIsTeamsLoading(false);
+    }
+  };
+
+  /**
+   * Joins the team an invite code belongs to, with the code's role, and switches to it once
+   * it's in `teams`. Resolves to an error message, or '' when joined.
+   */
+  const handleJoinTeam = async (code) => {
+    setIsTeamsLoading(true);
+    try {
+      const invite = await retryFetch(() => getDoc(doc(db, getInvitesPath(), code)));
+      if (!invite.exists()) return 'No team has that invite code.';
+      const { teamId: invitedTeamId, role } = invite.data();
+      if (!teams.some(t => t.id === invitedTeamId)) {
+        // The rules check the code in joins/{uid}, written with the membership
+        const batch = writeBatch(db);
+        batch.set(doc(db, getTeamPath(invitedTeamId, 'joins'), userId), { code });
+        batch.update(doc(db, getTeamPath(), invitedTeamId), {
+          [`members.${userId}`]: role,
+          [`memberNames.${userId}`]: memberName,
+          joinedWith: deleteField(),
+        });
+        await trackWrite(() => batch.commit());
+      }
+      setWorkspaceId(invitedTeamId);
+      return '';
+    } catch (e) {
+      console.error('Error joining team:', e);
+      return 'Could not join the team.';
+    } finally {
+      setIsTeamsLoading(false);
+    }
+  };
+
+  // Replaces the invite code for a role; the old code stops working
+  const handleNewInviteCode = async (team, role) => {
+    setIsTeamsLoading(true);
+    try {
+      const batch = writeBatch(db);
+      batchNewInviteCode(batch, team, role, inviteCodes[role] || null);
+      await trackWrite(() => batch.commit());
+    } catch (e) {
+      console.error('Error replacing invite code:', e);
+    } finally {
+      setIsTeamsLoading(false);
+    }
+  };
+
+  const handleChangeMemberRole = async (team, memberId, role) => {
+    setIsTeamsLoading(true);
+    try {
+      await trackWrite(() => updateDoc(doc(db, getTeamPath(), team.id), { [`members.${memberId}`]: role }));
+    } catch (e) {
+      console.error('Error changing member role:', e);
+    } finally {
+      setIsTeamsLoading(false);
+    }
+  };
+
+  // The owner removing a member, or a member leaving
+  const handleRemoveMember = async (team, memberId) => {
+    setIsTeamsLoading(true);
+    try {
+      await trackWrite(() => updateDoc(doc(db, getTeamPath(), team.id), {
+        [`members.${memberId}`]: deleteField(),
+        [`memberNames.${memberId}`]: deleteField(),
+        joinedWith: deleteField(),
+      }));
+      if (memberId === userId) setWorkspaceId(null);
+    } catch (e) {
+      console.error('Error removing team member:', e);
+    } finally {
+      setIsTeamsLoading(false);
+    }
+  };
+
+  // Switching workspace starts from a clean plan; the roster is kept so it can be saved to the team
+  const handleSelectWorkspace = (id) => {
+    setWorkspaceId(id);
+    setLoadedSquadId(null);
+    setActiveFixture(null);
+  };
+
+  // --- FIREBASE: SQUAD PERSISTENCE LOGIC ---
+
+  const squadsPath = useMemo(() => (userId ? getWorkspacePath('squads', userId, teamId) : null), [userId, teamId]);
+  const usagePath = useMemo(() => (userId ? getWorkspacePath('usage', userId, teamId) : null), [userId, teamId]);
+  const canSaveSquads = maxSquads > 0;
+
+  // Squads and their usage count are kept in sync, so a squad saved by another coach on
+  // the team shows up straight away
+  useEffect(() => {
+    setSquadDocs([]);
+    setSquadCount(0);
+    if (!isAuthReady || !db || !squadsPath || !canSaveSquads) return undefined;
+
+    setIsSavingLoading(true);
+    const unsubscribeSquads = onSnapshot(collection(db, squadsPath), (snapshot) => {
+      setSquadDocs(snapshot.docs.map(d => ({
+        id: d.id,
+        name: d.data().name,
+        playerIds: d.data().playerIds,
+        players: d.data().players,
+        manualMinutes: d.data().manualMinutes,
+        settings: pickTemplateSettings(d.data().settings),
+        createdAt: d.data().createdAt,
+      })));
+      setIsSavingLoading(false);
+    }, (e) => {
+      reportSyncError('Error syncing squads:', e);
+      setIsSavingLoading(false);
+    });
+    const unsubscribeUsage = onSnapshot(doc(db, usagePath, SQUAD_USAGE_DOC_ID), (usage) => {
+      setSquadCount(usage.exists() ? usage.data().count : 0);
+    }, (e) => reportSyncError('Error syncing squad usage:', e));
+
+    return () => {
+      unsubscribeSquads();
+      unsubscribeUsage();
+    };
+  }, [db, squadsPath, usagePath, isAuthReady, canSaveSquads, reportSyncError]);
+
+
+  /**
+   * Saves the roster and the match template under `squadName`. Each player is saved to
+   * her profile first and the squad lists them by id, with its own manual minutes.
+   * With a squadId the existing squad is overwritten in place (which doesn't count
+   * against the squad limit); without one a new squad is created. New squads are
+   * written with the usage count in one batch, which firestore.rules checks against
+   * the tier's limit.
+   */
+  const handleSaveSquad = async (squadId = null) => {
+    const existing = squadId ? savedSquads.find(s => s.id === squadId) : null;
+    if (isViewOnly || !canSaveSquads || (!existing && isSquadLimitReached)) {
+      console.error('Cannot save: Subscription limits reached.');
+      return;
+    }
+
+    const name = squadName.trim();
+    if (!name) return;
+
+    setIsSavingLoading(true);
+    try {
+      const now = new Date().toISOString();
+      const squadPlayers = displayedPlayers.filter(p => p.name.trim() !== ''); // Only save active players
+      await Promise.all(squadPlayers.map(player => saveProfileDoc(player, now)));
+      const squadData = {
+        name,
+        playerIds: squadPlayers.map(p => p.id),
+        manualMinutes: Object.fromEntries(squadPlayers.filter(p => p.manualMinutes !== null).map(p => [p.id, p.manualMinutes])),
+        settings: pickTemplateSettings(settings),
+        createdAt: (existing && existing.createdAt) || now,
+        updatedAt: now,
+      };
+      
+      const docRef = existing ? doc(db, squadsPath, existing.id) : doc(collection(db, squadsPath));
+      if (existing) {
+        await trackWrite(() => setDoc(docRef, squadData));
+      } else {
+        const batch = writeBatch(db);
+        batch.set(docRef, squadData);
+        batch.set(doc(db, usagePath, SQUAD_USAGE_DOC_ID), { count: squadCount + 1, lastSquadId: docRef.id });
+        await trackWrite(() => batch.commit());
+      }
+      setLoadedSquadId(docRef.id);
+      
+      console.log(existing ? 'Squad updated.' : 'Squad saved successfully.');
+    } catch (e) {
+      console.error('Error saving squad:', e);
+    } finally {
+      setIsSavingLoading(false);
+    }
+  };
+
+  /**
+   * Puts a squad's players into the roster. `settingsPatch` is applied with the
+   * new squad size, e.g. the format and formation of a fixture.
+   */
+  const handleLoadSquad = (squadData, settingsPatch = {}) => {
+    const loadedPlayers = squadData.map((p, i) => ({ ...p, id: p.id || crypto.randomUUID() }));
+    // Templates saved before durations were editable take the format's default
+    setSettings(prev => ({
+      ...(settingsPatch.gameFormat && settingsPatch.gameFormat !== prev.gameFormat ? switchGameFormat(prev, settingsPatch.gameFormat) : prev),
+      ...settingsPatch,
+      squadSize: loadedPlayers.length,
+    }));
+
+    // Reset player array and insert loaded players
+    const newPlayers = Array.from({ length: 20 }, (_, i) => {
+      if (i < loadedPlayers.length) {
+        return loadedPlayers[i];
+      }
+      return { id: crypto.randomUUID(), name: '', role: 'Outfield', preferredPosition: '', secondaryPosition: '', neverPosition: '', canPlayGK: false, manualMinutes: null };
+    });
+    setPlayers(newPlayers);
+    setManualSubs([]);
+    setMatchPlan(null);
+    setPlanCandidates(null);
+    setMatchEvents([]);
+    setIsLiveMatch(false);
+    setActiveFixture(null);
+    setLoadedSquadId(null);
+    console.log('Squad loaded.');
+  };
+
+  // Loads a saved squad with its match template; saving can then update it in place.
+  // A Manual plan type only comes back on Premiership.
+  const handleLoadSavedSquad = (squad) => {
+    const template = can('manualPlans') ? squad.settings : { ...squad.settings, planType: 'Automatic' };
+    handleLoadSquad(squad.data, template);
+    setLoadedSquadId(squad.id);
+    setSquadName(squad.name);
+  };
+
+  const handleDeleteSquad = async (id) => {
+    
+    // Using console log for confirmation in non-interactive environment
+    console.log(`Squad deletion requested for ID: ${id}`);
+    
+    if (isViewOnly) return;
+    setIsSavingLoading(true);
+    try {
+      const docRef = doc(db, squadsPath, id);
+      // The usage count goes down with the squad; squads saved before it was kept aren't in it
+      if (squadCount > 0) {
+        const batch = writeBatch(db);
+        batch.delete(docRef);
+        batch.set(doc(db, usagePath, SQUAD_USAGE_DOC_ID), { count: squadCount - 1, lastSquadId: id });
+        await trackWrite(() => batch.commit());
+      } else {
+        await trackWrite(() => deleteDoc(docRef));
+      }
+      if (loadedSquadId === id) setLoadedSquadId(null);
+      console.log('Squad deleted successfully.');
+    } catch (e) {
+      console.error('Error deleting squad:', e);
+    } finally {
+      setIsSavingLoading(false);
+    }
+  };
+
+
+  // --- FIREBASE: PLAYER PROFILES ---
+  // One document per player, keyed by the player's id so roster rows and squads can point at it
+
+  const profilesPath = useMemo(() => (userId ? getWorkspacePath('players', userId, teamId) : null), [userId, teamId]);
+  const byShirtNumber = (a, b) => (a.shirtNumber || 100) - (b.shirtNumber || 100) || a.name.localeCompare(b.name);
+
+  // Kept in sync like the squads, whose players come from here
+  useEffect(() => {
+    setProfiles([]);
+    if (!isAuthReady || !db || !profilesPath || !can('playerProfiles')) return undefined;
+
+    setIsProfilesLoading(true);
+    return onSnapshot(collection(db, profilesPath), (snapshot) => {
+      setProfiles(snapshot.docs.map(d => ({ id: d.id, ...d.data() })).sort(byShirtNumber));
+      setIsProfilesLoading(false);
+    }, (e) => {
+      reportSyncError('Error syncing player profiles:', e);
+      setIsProfilesLoading(false);
+    });
+  }, [db, profilesPath, isAuthReady, can, reportSyncError]);
+
+  // Writes a roster row or edited profile over the saved profile with the same id; fields
+  // the row doesn't have (e.g. a photo) are kept from the saved profile
+  const saveProfileDoc = async (player, now = new Date().toISOString()) => {
+    const saved = profiles.find(p => p.id === player.id);
+    const data = { ...(saved ? pickProfileFields(saved) : {}), ...pickProfileFields(player), updatedAt: now };
+    await trackWrite(() => setDoc(doc(db, profilesPath, player.id), data));
+    return { id: player.id, ...data };
+  };
+
+  /**
+   * Creates the profile, or overwrites it when it has an id, and returns its id. Roster
+   * rows for the player pick up the change straight away; squads do through savedSquads.
+   */
+  const handleSaveProfile = async (profile) => {
+    if (isViewOnly) return null;
+    setIsProfilesLoading(true);
+    try {
+      const id = profile.id || doc(collection(db, profilesPath)).id;
+      const saved = await saveProfileDoc({ ...profile, id });
+      setProfiles(prev => [...prev.filter(p => p.id !== id), saved].sort(byShirtNumber));
+      setPlayers(prev => prev.map(p => (p.id === id ? { ...p, ...pickProfileFields(saved) } : p)));
+      return id;
+    } catch (e) {
+      console.error('Error saving player profile:', e);
+      return null;
+    } finally {
+      setIsProfilesLoading(false);
+    }
+  };
+
+  const handleDeleteProfile = async (id) => {
+    if (isViewOnly) return;
+    setIsProfilesLoading(true);
+    try {
+      await trackWrite(() => deleteDoc(doc(db, profilesPath, id)));
+    } catch (e) {
+      console.error('Error deleting player profile:', e);
+    } finally {
+      setIsProfilesLoading(false);
+    }
+  };
+
+  // Puts a profile in the first empty roster row, growing the squad size to show it
+  const handleAddProfileToRoster = (profile) => {
+    const index = players.findIndex(p => p.name.trim() === '');
+    if (index === -1 || players.some(p => p.id === profile.id)) return;
+    setPlayers(prev => prev.map((p, i) => (i === index ? { ...p, ...pickProfileFields(profile), id: profile.id, manualMinutes: null } : p)));
+    setSettings(prev => ({ ...prev, squadSize: Math.max(prev.squadSize, index + 1) }));
+  };
+
+  // --- ROSTER IMPORT & BACKUP ---
+
+  /**
+   * Puts imported players in the empty roster rows, growing the squad size to show them,
+   * or replaces the roster with them. Returns how many didn't fit.
+   */
+  const handleImportPlayers = (imported, replace) => {
+    if (replace) {
+      handleLoadSquad(imported.slice(0, players.length));
+      return Math.max(0, imported.length - players.length);
+    }
+    const emptyRows = players.map((p, i) => (p.name.trim() === '' ? i : -1)).filter(i => i !== -1);
+    const added = imported.slice(0, emptyRows.length);
+    if (added.length > 0) {
+      setPlayers(prev => prev.map((p, i) => {
+        const slot = emptyRows.indexOf(i);
+        return slot !== -1 && slot < added.length ? added[slot] : p;
+      }));
+      setSettings(prev => ({ ...prev, squadSize: Math.max(prev.squadSize, emptyRows[added.length - 1] + 1) }));
+    }
+    return imported.length - added.length;
+  };
+
+  // Restores a Backup like loading a saved squad, then puts its plan back.
+  // A Manual plan type, or a Manual plan and its events, only come back on Premiership.
+  const handleRestoreBackup = (backup) => {
+    const template = can('manualPlans') ? backup.settings : { ...backup.settings, planType: 'Automatic' };
+    const restoresPlan = can('manualPlans') || !backup.matchPlan || backup.matchPlan.planType !== 'Manual';
+    manualSubsFormationRef.current = `${template.gameFormat} ${template.selectedFormation}`;
+    handleLoadSquad(backup.players, template);
+    setSquadName(backup.squadName || '');
+    setMatchPlan(restoresPlan ? backup.matchPlan : null);
+    setManualSubs(backup.manualSubs);
+    setMatchEvents(restoresPlan ? backup.matchEvents : []);
+  };
+
+  const handleExportBackup = () => {
+    const backup = buildBackup({ squadName, settings, players: activePlayers, matchPlan, manualSubs, matchEvents });
+    const fileName = `GamePlanner_${(squadName.trim() || 'Squad').replace(/[^\w-]+/g, '_')}_${getLocalDateString()}.json`;
+    downloadFile(JSON.stringify(backup, null, 2), fileName, 'application/json');
+  };
+
+
+  // --- FIREBASE: FIXTURES ---
+  // One document per fixture, next to squads; the squad is referenced by id
+
+  const fixturesPath = useMemo(() => (userId ? getWorkspacePath('fixtures', userId, teamId) : null), [userId, teamId]);
 
+  // Kept in sync, so availability ticked off by another coach shows up straight away
+  useEffect(() => {
+    setFixtures([]);
+    if (!isAuthReady || !db || !fixturesPath || !can('fixtures')) return undefined;
+
+    setIsFixturesLoading(true);
+    return onSnapshot(collection(db, fixturesPath), (snapshot) => {
+      const list = snapshot.docs
+        .map(d => ({ id: d.id, ...d.data() }))
+        .sort((a, b) => `${a.date} ${a.kickOff}`.localeCompare(`${b.date} ${b.kickOff}`));
+      setFixtures(list);
+      setIsFixturesLoading(false);
+    }, (e) => {
+      reportSyncError('Error syncing fixtures:', e);
+      setIsFixturesLoading(false);
+    });
+  }, [db, fixturesPath, isAuthReady, can, reportSyncError]);
 
-  // --- Derived State and Constraints ---
+  // Creates the fixture, or overwrites it when it already has an id
+  const handleSaveFixture = async (fixture) => {
+    if (isViewOnly) return;
+    const { id, ...data } = fixture;
+    setIsFixturesLoading(true);
+    try {
+      const docRef = id ? doc(db, fixturesPath, id) : doc(collection(db, fixturesPath));
+      await trackWrite(() => setDoc(docRef, data));
+    } catch (e) {
+      console.error('Error saving fixture:', e);
+    } finally {
+      setIsFixturesLoading(false);
+    }
+  };
 
-  const maxSquads = subscriptionTier === 'Championship' ? 2 : Infinity;
-  const isChampionship = subscriptionTier !== 'Basic';
-  const isPremiership = subscriptionTier === 'Premiership';
-  const outfieldSpots = FORMATIONS[settings.gameFormat]?.maxPlayers || 0;
-  const formationsAvailable = FORMATIONS[settings.gameFormat]?.formations || {};
+  const handleDeleteFixture = async (id) => {
+    if (isViewOnly) return;
+    setIsFixturesLoading(true);
+    try {
+      await trackWrite(() => deleteDoc(doc(db, fixturesPath, id)));
+      if (activeFixture && activeFixture.id === id) setActiveFixture(null);
+    } catch (e) {
+      console.error('Error deleting fixture:', e);
+    } finally {
+      setIsFixturesLoading(false);
+    }
+  };
 
-  const activePlayers = useMemo(() => players.filter(p => p.name.trim() !== ''), [players]);
+  // Loads only the available players, with the squad's match template and the fixture's format and formation
+  const handleOpenFixture = (fixture) => {
+    const squad = savedSquads.find(s => s.id === fixture.squadId);
+    if (!squad) return;
+    // The squad's duration and periods belong to its own format
+    const { matchDuration, matchPeriods, periodLengths, ...otherSettings } = squad.settings;
+    const template = squad.settings.gameFormat === fixture.gameFormat ? squad.settings : otherSettings;
+    handleLoadSquad(
+      squad.data.filter(p => fixture.availablePlayerIds.includes(p.id)),
+      { ...template, gameFormat: fixture.gameFormat, selectedFormation: fixture.formation }
+    );
+    setActiveFixture(fixture);
+  };
 
-  // Player list displayed/used based on squad size input
-  const displayedPlayers = useMemo(() => players.slice(0, settings.squadSize), [players, settings.squadSize]);
+  // --- FIREBASE: RULES PRESETS ---
+
+  const presetsPath = useMemo(() => (userId ? getWorkspacePath('presets', userId, teamId) : null), [userId, teamId]);
+
+  const fetchPresets = useCallback(async () => {
+    if (!isAuthReady || !db || !presetsPath) return;
+
+    setIsPresetsLoading(true);
+    try {
+      const docs = await retryFetch(() => getDocs(query(collection(db, presetsPath))));
+      setCustomPresets(docs.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (e) {
+      console.error('Error fetching rules presets:', e);
+    } finally {
+      setIsPresetsLoading(false);
+    }
+  }, [db, presetsPath, isAuthReady]);
 
-  // Update Formation and Duration when format changes
   useEffect(() => {
-    const duration = MATCH_DURATIONS[settings.gameFormat];
-    const defaultFormation = Object.keys(formationsAvailable)[0];
-    
-    setSettings(prev => ({ 
-      ...prev, 
-      matchDuration: duration,
-      selectedFormation: defaultFormation,
-      matchPeriods: settings.gameFormat === '5v5' ? prev.matchPeriods : 'Halves', 
-    }));
-  }, [settings.gameFormat]);
+    if (can('rulePresets')) {
+      fetchPresets();
+    }
+  }, [can, fetchPresets]);
 
-  // --- FIREBASE: SQUAD PERSISTENCE LOGIC ---
+  // A preset sets the format, so the format's first formation is picked if the current one is missing
+  const handleApplyPreset = (preset) => {
+    setSettings(prev => ({ ...prev, ...pickRuleSettings(preset) }));
+  };
 
-  const fetchSquads = useCallback(async () => {
-    if (!isAuthReady || !db || !firestorePath) return;
+  // Saves the current rules under a name; a preset with the same name is overwritten
+  const handleSavePreset = async (name) => {
+    if (isViewOnly) return;
+    const existing = customPresets.find(p => p.name === name);
+    setIsPresetsLoading(true);
+    try {
+      const docRef = existing ? doc(db, presetsPath, existing.id) : doc(collection(db, presetsPath));
+      await trackWrite(() => setDoc(docRef, { name, ...pickRuleSettings(settings), updatedAt: new Date().toISOString() }));
+      fetchPresets();
+    } catch (e) {
+      console.error('Error saving rules preset:', e);
+    } finally {
+      setIsPresetsLoading(false);
+    }
+  };
 
-    setIsSavingLoading(true);
+  const handleDeletePreset = async (id) => {
+    if (isViewOnly) return;
+    setIsPresetsLoading(true);
     try {
-      const collectionRef = collection(db, firestorePath);
-      const q = query(collectionRef);
-      
-      const docs = await retryFetch(() => getDocs(q));
+      await trackWrite(() => deleteDoc(doc(db, presetsPath, id)));
+      fetchPresets();
+    } catch (e) {
+      console.error('Error deleting rules preset:', e);
+    } finally {
+      setIsPresetsLoading(false);
+    }
+  };
 
-      const squads = docs.docs.map(d => ({
-        id: d.id,
-        name: d.data().name,
-        data: d.data().players,
-      }));
-      setSavedSquads(squads);
+  // --- FIREBASE: CUSTOM FORMATIONS ---
+  // Kept in settings.customFormations so the planner, visuals and live re-plans all see them
+
+  const formationsPath = useMemo(() => (userId ? getWorkspacePath('formations', userId, teamId) : null), [userId, teamId]);
+  const byFormationName = (a, b) => a.gameFormat.localeCompare(b.gameFormat) || a.name.localeCompare(b.name);
+
+  const fetchFormations = useCallback(async () => {
+    if (!isAuthReady || !db || !formationsPath) return;
 
+    setIsFormationsLoading(true);
+    try {
+      const docs = await retryFetch(() => getDocs(query(collection(db, formationsPath))));
+      const customFormations = docs.docs.map(d => ({ id: d.id, ...d.data() })).sort(byFormationName);
+      setSettings(prev => ({ ...prev, customFormations }));
     } catch (e) {
-      console.error('Error fetching squads:', e);
+      console.error('Error fetching formations:', e);
     } finally {
-      setIsSavingLoading(false);
+      setIsFormationsLoading(false);
     }
-  }, [db, firestorePath, isAuthReady]);
+  }, [db, formationsPath, isAuthReady]);
 
   useEffect(() => {
-    if (isChampionship) {
-      fetchSquads();
+    if (can('customFormations')) {
+      fetchFormations();
     }
-  }, [isChampionship, fetchSquads]);
-
+  }, [can, fetchFormations]);
+
+  /**
+   * Creates the formation, or overwrites it when it has an id, and returns its id. The list is
+   * updated in place so a renamed formation stays selected (the fallback effect would reset it
+   * while a refetch was in flight).
+   */
+  const handleSaveFormation = async (formation) => {
+    if (isViewOnly) return null;
+    const { id, ...data } = formation;
+    setIsFormationsLoading(true);
+    try {
+      const docRef = id ? doc(db, formationsPath, id) : doc(collection(db, formationsPath));
+      const saved = { ...data, updatedAt: new Date().toISOString() };
+      await trackWrite(() => setDoc(docRef, saved));
+      setSettings(prev => {
+        const previous = prev.customFormations.find(f => f.id === docRef.id);
+        const isSelected = previous && prev.gameFormat === previous.gameFormat && prev.selectedFormation === previous.name;
+        return {
+          ...prev,
+          customFormations: [...prev.customFormations.filter(f => f.id !== docRef.id), { id: docRef.id, ...saved }].sort(byFormationName),
+          selectedFormation: isSelected ? saved.name : prev.selectedFormation,
+          formationChanges: previous
+            ? prev.formationChanges.map(c => (c.formation === previous.name ? { ...c, formation: saved.name } : c))
+            : prev.formationChanges,
+        };
+      });
+      return docRef.id;
+    } catch (e) {
+      console.error('Error saving formation:', e);
+      return null;
+    } finally {
+      setIsFormationsLoading(false);
+    }
+  };
 
-  const handleSaveSquad = async () => {
-    if (!isChampionship || (!isPremiership && savedSquads.length >= maxSquads)) {
-      console.error('Cannot save: Subscription limits reached.');
-      return;
+  const handleDeleteFormation = async (id) => {
+    if (isViewOnly) return;
+    setIsFormationsLoading(true);
+    try {
+      await trackWrite(() => deleteDoc(doc(db, formationsPath, id)));
+      fetchFormations();
+    } catch (e) {
+      console.error('Error deleting formation:', e);
+    } finally {
+      setIsFormationsLoading(false);
     }
+  };
 
-    // Since window.prompt is unavailable, use a simple timestamp name
-    const squadName = `Squad ${new Date().toLocaleTimeString()} (${settings.gameFormat})`;
+  // --- FIREBASE: SEASON LEDGER ---
+  // Finished matches live next to squads, one document per match (see MatchRecord)
 
-    if (!squadName) return;
+  const seasonPath = useMemo(() => (userId ? getWorkspacePath('matches', userId, teamId) : null), [userId, teamId]);
 
-    setIsSavingLoading(true);
+  const fetchSeason = useCallback(async () => {
+    if (!isAuthReady || !db || !seasonPath) return;
+
+    setIsSeasonLoading(true);
     try {
-      const squadData = {
-        name: squadName,
-        players: displayedPlayers.filter(p => p.name.trim() !== ''), // Only save active players
-        createdAt: new Date().toISOString(),
-      };
-      
-      const newDocRef = doc(collection(db, firestorePath));
-      await retryFetch(() => setDoc(newDocRef, squadData));
-      
-      console.log('Squad saved successfully.');
-      fetchSquads(); // Refresh the list
+      const docs = await retryFetch(() => getDocs(query(collection(db, seasonPath))));
+      const matches = docs.docs
+        .map(d => ({ id: d.id, ...d.data() }))
+        .sort((a, b) => a.playedAt.localeCompare(b.playedAt));
+      setSeasonMatches(matches);
     } catch (e) {
-      console.error('Error saving squad:', e);
+      console.error('Error fetching season matches:', e);
     } finally {
-      setIsSavingLoading(false);
+      setIsSeasonLoading(false);
     }
-  };
+  }, [db, seasonPath, isAuthReady]);
 
-  const handleLoadSquad = (squadData) => {
-    const loadedPlayers = squadData.map((p, i) => ({ ...p, id: p.id || crypto.randomUUID() }));
-    setSettings(prev => ({ ...prev, squadSize: loadedPlayers.length }));
+  useEffect(() => {
+    if (can('seasonLedger')) {
+      fetchSeason();
+    }
+  }, [can, fetchSeason]);
 
-    // Reset player array and insert loaded players
-    const newPlayers = Array.from({ length: 20 }, (_, i) => {
-      if (i < loadedPlayers.length) {
-        return loadedPlayers[i];
-      }
-      return { id: crypto.randomUUID(), name: '', role: 'Outfield', preferredPosition: '', secondaryPosition: '', manualMinutes: null };
-    });
-    setPlayers(newPlayers);
-    setMatchPlan('');
-    console.log('Squad loaded.');
+  const handleSaveMatchRecord = async (record) => {
+    const newDocRef = doc(collection(db, seasonPath));
+    await trackWrite(() => setDoc(newDocRef, record));
+    console.log('Match saved to the season ledger.');
+    fetchSeason();
   };
 
-  const handleDeleteSquad = async (id) => {
-    
-    // Using console log for confirmation in non-interactive environment
-    console.log(`Squad deletion requested for ID: ${id}`);
-    
-    setIsSavingLoading(true);
+  const handleDeleteMatchRecord = async (id) => {
+    if (isViewOnly) return;
+    setIsSeasonLoading(true);
     try {
-      const docRef = doc(db, firestorePath, id);
-      await retryFetch(() => deleteDoc(docRef));
-      console.log('Squad deleted successfully.');
-      fetchSquads();
+      await trackWrite(() => deleteDoc(doc(db, seasonPath, id)));
+      console.log('Match removed from the season ledger.');
+      fetchSeason();
     } catch (e) {
-      console.error('Error deleting squad:', e);
+      console.error('Error deleting match:', e);
     } finally {
-      setIsSavingLoading(false);
+      setIsSeasonLoading(false);
     }
   };
 
 
   // --- PLAN GENERATION HANDLER ---
 
+  const planText = useMemo(() => (matchPlan ? renderPlanText(matchPlan) : ''), [matchPlan]);
+  // The kick-off lineup plus the first lineup in each later formation, for the visual
+  const formationLineups = useMemo(
+    () => (matchPlan ? matchPlan.lineups.filter((l, i, all) => i === 0 || l.formation !== all[i - 1].formation) : []),
+    [matchPlan]
+  );
+  const visualLineup = formationLineups[visualStep] || formationLineups[0];
+  const planVisualLineup = useMemo(
+    () => (visualLineup ? getLineupPlayers(matchPlan, visualLineup) : null),
+    [matchPlan, visualLineup]
+  );
+  useEffect(() => setVisualStep(0), [matchPlan]);
+
+  // Print once the card is on the page; everything else is hidden by the print: classes
+  useEffect(() => {
+    if (!printSize) return undefined;
+    const handleAfterPrint = () => setPrintSize(null);
+    window.addEventListener('afterprint', handleAfterPrint);
+    window.print();
+    return () => window.removeEventListener('afterprint', handleAfterPrint);
+  }, [printSize]);
+
+  const showPlanError = (message) => {
+    setMatchPlan(null);
+    setPlanCandidates(null);
+    setPlanMessage(message);
+    setIsLiveMatch(false);
+  };
+
+  // Reorders the roster so the LineupEditor starts whoever has started least this season; blank rows stay put
+  const handlePickSeasonStarters = () => {
+    const order = getSeasonStarterOrder(settings, calculateEqualMinutes(settings, displayedPlayers, seasonTotals));
+    setPlayers(prev => {
+      let next = 0;
+      return prev.map(p => (order.includes(p.id) ? prev.find(row => row.id === order[next++]) : p));
+    });
+  };
+
   const handleGeneratePlan = () => {
-    if (activePlayers.length < outfieldSpots + 1) { // Need at least GK + outfield spots
-      setMatchPlan('Error: Not enough players to fill the formation spots.');
+    const [lineupProblem] = getLineupProblems(settings, activePlayers);
+    if (lineupProblem) {
+      showPlanError(`Error: ${lineupProblem}`);
       return;
     }
     if (!settings.matchDuration || settings.matchDuration <= 0) {
-      setMatchPlan('Error: Match duration must be greater than zero.');
+      showPlanError('Error: Match duration must be greater than zero.');
+      return;
+    }
+    if (getPeriodLengths(settings).some(length => !(length > 0))) {
+      showPlanError('Error: Every period needs a length of at least one minute.');
+      return;
+    }
+    if (settings.maxSquad && activePlayers.length > settings.maxSquad) {
+      showPlanError(`Error: ${activePlayers.length} players named, but the rules allow a matchday squad of ${settings.maxSquad}.`);
       return;
     }
 
     setIsGenerating(true);
-    setMatchPlan(''); // Clear previous plan
+    showPlanError(''); // Clear previous plan
+    setMatchEvents([]);
 
     // Simulate API delay for planning
     setTimeout(() => {
       try {
-        const playersWithCalculatedMinutes = calculateEqualMinutes(settings, displayedPlayers);
-
-        let planText;
-        if (settings.planType === 'Automatic') {
-          planText = generateAutomaticPlan(settings, playersWithCalculatedMinutes);
+        const playersWithCalculatedMinutes = calculateEqualMinutes(settings, plannerPlayers, seasonWeighting);
+
+        let plan;
+        if (settings.planType === 'Automatic' && can('planComparison')) {
+          // Premiership coaches compare the candidate plans; theirs comes first and is used until they pick another
+          const candidates = generatePlanCandidates(settings, playersWithCalculatedMinutes);
+          setPlanCandidates(candidates);
+          plan = candidates[0].plan;
+        } else if (settings.planType === 'Automatic' || !can('manualPlans')) {
+          plan = generateAutomaticPlan(settings, playersWithCalculatedMinutes);
         } else {
-          // Placeholder for Manual Plan (Premiership feature)
-          planText = `--- Manual Plan Creation (Premiership Only) ---\n\n`;
-          planText += `To create a manual plan, you would use interactive controls here to define which player subs on and off at which minute. The plan below shows the starters.\n\n`;
-          
-          const gkPlayer = playersWithCalculatedMinutes.find(p => p.role === 'GK');
-          planText += `GK: ${gkPlayer ? gkPlayer.name : 'Unassigned GK'}\n`;
-          FORMATIONS[settings.gameFormat].formations[settings.selectedFormation].forEach((pos, i) => {
-            planText += `${pos}: ${playersWithCalculatedMinutes.filter(p => p.role !== 'GK')[i]?.name || 'N/A'}\n`;
-          });
+          // Manual Plan (Premiership feature), built with the ManualPlanBuilder
+          plan = buildManualPlan(settings, playersWithCalculatedMinutes, manualSubs);
         }
 
-        setMatchPlan(planText);
+        setMatchPlan(plan);
       } catch (e) {
-        setMatchPlan(`An error occurred during plan generation: ${e.message}`);
+        showPlanError(`An error occurred during plan generation: ${e.message}`);
         console.error('Generation Error:', e);
       } finally {
         setIsGenerating(false);
@@ -815,8 +6705,8 @@ const App = () => {
   }
 
   return (
-    <div className="p-4 md:p-8 min-h-screen" style={{ backgroundColor: COLORS.WHITE, fontFamily: 'Inter, sans-serif' }}>
-      <header className="flex flex-col md:flex-row justify-between items-center pb-6 border-b-4 mb-6" style={{ borderColor: COLORS.NAVY_BLUE }}>
+    <div className="p-4 md:p-8 print:p-0 min-h-screen" style={{ backgroundColor: COLORS.WHITE, fontFamily: 'Inter, sans-serif' }}>
+      <header className="flex flex-col md:flex-row justify-between items-center pb-6 border-b-4 mb-6 print:hidden" style={{ borderColor: COLORS.NAVY_BLUE }}>
         <div className="flex items-center space-x-4">
           {/* Using a placeholder for the uploaded logo image */}
           <img
@@ -828,66 +6718,150 @@ const App = () => {
             The Girls' Game Planner
           </h1>
         </div>
-        <SubscriptionBadge tier={subscriptionTier} />
+        <div className="flex items-center space-x-3">
+          <SyncStatus isOnline={isOnline} pendingWrites={pendingWrites} syncError={syncError} />
+          {!isTierLoading && <SubscriptionBadge tier={subscriptionTier} />}
+          <AccountMenu
+            account={account}
+            notice={accountNotice}
+            onCreateAccount={createAccount}
+            onSignIn={signIn}
+            onSendLink={sendSignInLink}
+            onSignOut={signOutAccount}
+          />
+        </div>
       </header>
 
-      <p className="text-sm font-medium mb-6 p-3 rounded-lg" style={{ backgroundColor: COLORS.SKY_BLUE, color: COLORS.NAVY_BLUE }}>
-        <User className="inline w-4 h-4 mr-1 align-sub" /> User ID: <span className="font-mono text-xs">{userId}</span>
-      </p>
+      {account && account.isAnonymous && (
+        <p className="text-sm font-medium mb-6 p-3 rounded-lg print:hidden" style={{ backgroundColor: COLORS.SKY_BLUE, color: COLORS.NAVY_BLUE }}>
+          <User className="inline w-4 h-4 mr-1 align-sub" /> You're using a guest account. Create an account from the menu
+          above so your squads aren't lost if this browser's data is cleared.
+        </p>
+      )}
 
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 print:hidden">
         {/* --- LEFT COLUMN: SETTINGS & INPUT --- */}
         <div className="lg:col-span-1 space-y-6">
+          <TeamWorkspaces
+            teams={teams}
+            workspaceId={teamId}
+            userId={userId}
+            inviteCodes={inviteCodes}
+            onSelectWorkspace={handleSelectWorkspace}
+            onCreateTeam={handleCreateTeam}
+            onJoinTeam={handleJoinTeam}
+            onNewInviteCode={handleNewInviteCode}
+            onChangeRole={handleChangeMemberRole}
+            onRemoveMember={handleRemoveMember}
+            isLoading={isTeamsLoading}
+          />
+
           <div className="p-6 rounded-xl shadow-2xl" style={{ backgroundColor: COLORS.NAVY_BLUE, color: COLORS.WHITE }}>
             <h2 className="text-2xl font-bold mb-4 flex items-center"><Settings className="w-6 h-6 mr-2" /> Match Setup</h2>
 
             <div className="space-y-4">
+              <RulePresets
+                customPresets={customPresets}
+                onApplyPreset={handleApplyPreset}
+                onSavePreset={handleSavePreset}
+                onDeletePreset={handleDeletePreset}
+                canSave={can('rulePresets')}
+                isLoading={isPresetsLoading}
+              />
+
               {/* Game Format */}
               <label className="block">Game Format (XvX)</label>
               <select
                 value={settings.gameFormat}
-                onChange={(e) => setSettings(p => ({ ...p, gameFormat: e.target.value }))}
+                onChange={(e) => setSettings(p => switchGameFormat(p, e.target.value))}
                 className="w-full p-2 rounded-lg text-lg font-semibold" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}
               >
                 {Object.keys(FORMATIONS).map(f => <option key={f} value={f}>{f}</option>)}
               </select>
 
-              {/* Match Duration (Fixed by Format) */}
+              {/* Match Duration */}
               <label className="block pt-2">Match Duration (min)</label>
               <input
                 type="number"
+                min={1}
                 value={settings.matchDuration}
-                readOnly
-                disabled
-                className="w-full p-2 rounded-lg text-lg font-semibold bg-gray-200 cursor-not-allowed" style={{ color: COLORS.NAVY_BLUE }}
+                onChange={(e) => {
+                  const val = e.target.value;
+                  setSettings(p => ({ ...p, matchDuration: val === '' ? 0 : parseInt(val, 10) }));
+                }}
+                disabled={settings.matchPeriods === 'Custom'}
+                className="w-full p-2 rounded-lg text-lg font-semibold disabled:bg-gray-200 disabled:cursor-not-allowed" style={{ backgroundColor: settings.matchPeriods === 'Custom' ? undefined : COLORS.WHITE, color: COLORS.NAVY_BLUE }}
               />
-              <p className="text-xs text-white/70 mt-1">Duration is set automatically based on FA guidelines for {settings.gameFormat}.</p>
+              <p className="text-xs text-white/70 mt-1">
+                {settings.matchPeriods === 'Custom'
+                  ? 'Custom periods: the duration is the total of the period lengths.'
+                  : `FA guideline for ${settings.gameFormat}: ${MATCH_DURATIONS[settings.gameFormat]} min.`}
+              </p>
 
-              {/* 5v5 Period Selector */}
-              {settings.gameFormat === '5v5' && (
-                <div className="pt-2">
-                  <label className="block">5v5 Match Periods</label>
-                  <div className="flex space-x-4">
-                    <label className="flex items-center">
-                      <input
-                        type="radio"
-                        checked={settings.matchPeriods === 'Halves'}
-                        onChange={() => setSettings(p => ({ ...p, matchPeriods: 'Halves' }))}
-                        className="mr-2"
-                      /> Halves (2 x 20 min)
-                    </label>
-                    <label className="flex items-center">
-                      <input
-                        type="radio"
-                        checked={settings.matchPeriods === 'Quarters'}
-                        onChange={() => setSettings(p => ({ ...p, matchPeriods: 'Quarters' }))}
-                        className="mr-2"
-                      /> Quarters (4 x 10 min)
-                    </label>
-                  </div>
-                </div>
+              {/* Match Periods */}
+              <label className="block pt-2">Match Periods</label>
+              <select
+                value={settings.matchPeriods}
+                onChange={(e) => {
+                  const matchPeriods = e.target.value;
+                  setSettings(p => {
+                    if (matchPeriods !== 'Custom') return { ...p, matchPeriods, periodLengths: [] };
+                    // Start from the current split so the coach only edits what differs
+                    const periodLengths = getPeriodLengths(p);
+                    return { ...p, matchPeriods, periodLengths };
+                  });
+                }}
+                className="w-full p-2 rounded-lg text-lg font-semibold" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}
+              >
+                {Object.keys(PERIOD_STRUCTURES).map(name => <option key={name} value={name}>{name}</option>)}
+                <option value="Custom">Custom lengths</option>
+              </select>
+              {settings.matchPeriods === 'Custom' ? (
+                <PeriodLengthsEditor
+                  periodLengths={settings.periodLengths}
+                  onChange={(periodLengths) => setSettings(p => ({
+                    ...p,
+                    periodLengths,
+                    matchDuration: periodLengths.reduce((sum, length) => sum + length, 0),
+                  }))}
+                />
+              ) : (
+                <p className="text-xs text-white/70 mt-1">{describePeriods(getMatchPeriods(settings))}</p>
               )}
 
+              {/* Drinks Break */}
+              <label className="flex items-center pt-2">
+                <input
+                  type="checkbox"
+                  checked={!!settings.drinksBreak}
+                  onChange={(e) => setSettings(p => ({ ...p, drinksBreak: e.target.checked }))}
+                  className="mr-2"
+                /> Drinks break halfway through each period
+              </label>
+
+              {/* Substitution Rule */}
+              <label className="block pt-2">Substitutions</label>
+              <div className="flex space-x-4">
+                <label className="flex items-center">
+                  <input
+                    type="radio"
+                    checked={settings.subRule !== 'stoppage'}
+                    onChange={() => setSettings(p => ({ ...p, subRule: 'rolling' }))}
+                    className="mr-2"
+                  /> Roll-on (any time)
+                </label>
+                <label className="flex items-center">
+                  <input
+                    type="radio"
+                    checked={settings.subRule === 'stoppage'}
+                    onChange={() => setSettings(p => ({ ...p, subRule: 'stoppage' }))}
+                    className="mr-2"
+                  /> Stoppages only
+                </label>
+              </div>
+              {settings.subRule === 'stoppage' && (
+                <p className="text-xs text-white/70 mt-1">Subs and keeper changes happen at period breaks{settings.drinksBreak ? ' and drinks breaks' : ''}.</p>
+              )}
 
               {/* Squad Size */}
               <label className="block pt-2">Squad Size</label>
@@ -903,6 +6877,25 @@ const App = () => {
                 className="w-full p-2 rounded-lg text-lg font-semibold" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}
               />
 
+              {/* Matchday Squad Limit */}
+              <label className="block pt-2">Matchday Squad Limit</label>
+              <input
+                type="number"
+                min={1}
+                placeholder="No limit"
+                value={settings.maxSquad || ''}
+                onChange={(e) => {
+                  const val = e.target.value;
+                  setSettings(p => ({ ...p, maxSquad: val === '' ? null : parseInt(val, 10) }));
+                }}
+                className="w-full p-2 rounded-lg text-lg font-semibold" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}
+              />
+              {settings.maxSquad > 0 && settings.squadSize > settings.maxSquad && (
+                <p className="text-xs mt-1" style={{ color: COLORS.ORANGE }}>
+                  The rules allow {settings.maxSquad} players on the day; mark the rest as unavailable.
+                </p>
+              )}
+
               {/* GK Type */}
               <label className="block pt-2">Goalkeeper Rotation</label>
               <div className="flex space-x-4">
@@ -923,6 +6916,38 @@ const App = () => {
                   /> Rotating GK
                 </label>
               </div>
+              {!settings.isPermanentGK && (
+                <div className="pt-2">
+                  <label className="block">Change Keeper Every</label>
+                  <div className="flex space-x-4">
+                    <label className="flex items-center">
+                      <input
+                        type="radio"
+                        checked={settings.gkRotateEvery !== 'Quarter' && settings.gkRotateEvery !== 'Period'}
+                        onChange={() => setSettings(p => ({ ...p, gkRotateEvery: 'Half' }))}
+                        className="mr-2"
+                      /> Half
+                    </label>
+                    <label className="flex items-center">
+                      <input
+                        type="radio"
+                        checked={settings.gkRotateEvery === 'Quarter'}
+                        onChange={() => setSettings(p => ({ ...p, gkRotateEvery: 'Quarter' }))}
+                        className="mr-2"
+                      /> Quarter
+                    </label>
+                    <label className="flex items-center">
+                      <input
+                        type="radio"
+                        checked={settings.gkRotateEvery === 'Period'}
+                        onChange={() => setSettings(p => ({ ...p, gkRotateEvery: 'Period' }))}
+                        className="mr-2"
+                      /> Period
+                    </label>
+                  </div>
+                  <p className="text-xs text-white/70 mt-1">Tick "GK" for each player willing to go in goal. Keepers take turns in roster order.</p>
+                </div>
+              )}
 
               {/* Formation */}
               <label className="block pt-2">Formation (Outfield Players)</label>
@@ -937,25 +6962,51 @@ const App = () => {
           </div>
 
           {/* SQUAD SAVING SECTION (Championship+) */}
-          {isChampionship && (
+          {maxSquads > 0 && (
             <div className="p-6 rounded-xl shadow-lg border" style={{ borderColor: COLORS.NAVY_BLUE }}>
               <h3 className="text-xl font-bold mb-4 flex items-center" style={{ color: COLORS.NAVY_BLUE }}>
                 <Save className="w-5 h-5 mr-2" style={{ color: COLORS.NAVY_BLUE }} /> Squad Management
               </h3>
               <p className="text-sm mb-4" style={{ color: COLORS.NAVY_BLUE }}>
-                {isPremiership ? 'Unlimited Squad Saves' : `Save up to ${maxSquads} Squads`} (Current: {savedSquads.length})
+                {maxSquads === Infinity ? 'Unlimited Squad Saves' : `Save up to ${maxSquads} Squads`} (Current: {savedSquads.length})
               </p>
 
-              <Button onClick={handleSaveSquad} disabled={isSavingLoading || (!isPremiership && savedSquads.length >= maxSquads)} color={COLORS.SKY_BLUE}>
-                {isSavingLoading ? 'Saving...' : 'Save Current Squad'}
-              </Button>
+              <input
+                type="text"
+                placeholder="Squad name, e.g. U10 Saturday"
+                value={squadName}
+                onChange={(e) => setSquadName(e.target.value)}
+                className="w-full p-2 mb-2 border rounded-lg text-sm"
+                style={{ color: COLORS.NAVY_BLUE }}
+              />
+              <p className="text-xs mb-2 text-gray-500">Saves the players and the match settings (format, formation, GK, periods and subs).</p>
+              <div className="flex flex-wrap gap-2">
+                <Button
+                  onClick={() => handleSaveSquad()}
+                  disabled={isSavingLoading || !squadName.trim() || isSquadLimitReached}
+                  color={COLORS.SKY_BLUE}
+                >
+                  {isSavingLoading ? 'Saving...' : 'Save as New'}
+                </Button>
+                {loadedSquadId && savedSquads.some(s => s.id === loadedSquadId) && (
+                  <Button onClick={() => handleSaveSquad(loadedSquadId)} disabled={isSavingLoading || !squadName.trim()} color={COLORS.ORANGE}>
+                    Update Loaded Squad
+                  </Button>
+                )}
+              </div>
 
               <div className="mt-4 space-y-2 max-h-48 overflow-y-auto">
                 {savedSquads.map(squad => (
-                  <div key={squad.id} className="flex justify-between items-center p-2 rounded-lg border" style={{ borderColor: COLORS.SKY_BLUE }}>
-                    <span className="text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>{squad.name} ({squad.data.length} players)</span>
+                  <div
+                    key={squad.id}
+                    className={`flex justify-between items-center p-2 rounded-lg ${squad.id === loadedSquadId ? 'border-2' : 'border'}`}
+                    style={{ borderColor: squad.id === loadedSquadId ? COLORS.ORANGE : COLORS.SKY_BLUE }}
+                  >
+                    <span className="text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>
+                      {squad.name} ({squad.data.length} players{squad.settings.gameFormat ? `, ${squad.settings.gameFormat} ${squad.settings.selectedFormation}` : ''})
+                    </span>
                     <div className="flex space-x-1">
-                      <button onClick={() => handleLoadSquad(squad.data)} className="text-xs px-2 py-1 rounded-full text-white" style={{ backgroundColor: COLORS.ORANGE }}>Load</button>
+                      <button onClick={() => handleLoadSavedSquad(squad)} className="text-xs px-2 py-1 rounded-full text-white" style={{ backgroundColor: COLORS.ORANGE }}>Load</button>
                       <button onClick={() => handleDeleteSquad(squad.id)} className="text-xs px-2 py-1 rounded-full text-white bg-red-500">Del</button>
                     </div>
                   </div>
@@ -963,6 +7014,44 @@ const App = () => {
               </div>
             </div>
           )}
+
+          {/* PLAYER PROFILES (Championship+) */}
+          {can('playerProfiles') && (
+            <PlayerProfiles
+              profiles={profiles}
+              rosterIds={activePlayers.map(p => p.id)}
+              isRosterFull={activePlayers.length >= players.length}
+              allPositions={ALL_POSITIONS}
+              onSaveProfile={handleSaveProfile}
+              onDeleteProfile={handleDeleteProfile}
+              onAddToRoster={handleAddProfileToRoster}
+              isLoading={isProfilesLoading}
+            />
+          )}
+
+          {/* FIXTURES (Championship+) */}
+          {can('fixtures') && (
+            <FixtureCalendar
+              fixtures={fixtures}
+              squads={savedSquads}
+              onSaveFixture={handleSaveFixture}
+              onDeleteFixture={handleDeleteFixture}
+              onOpenFixture={handleOpenFixture}
+              customFormations={settings.customFormations}
+              isLoading={isFixturesLoading}
+            />
+          )}
+
+          {/* CUSTOM FORMATIONS (Championship+) */}
+          {can('customFormations') && (
+            <FormationEditor
+              gameFormat={settings.gameFormat}
+              customFormations={settings.customFormations}
+              onSaveFormation={handleSaveFormation}
+              onDeleteFormation={handleDeleteFormation}
+              isLoading={isFormationsLoading}
+            />
+          )}
         </div>
 
         {/* --- RIGHT COLUMN: PLAYERS & PLAN --- */}
@@ -970,6 +7059,11 @@ const App = () => {
           {/* Player Input Section */}
           <div className="p-6 rounded-xl shadow-2xl bg-white">
             <h2 className="text-2xl font-bold mb-4 flex items-center" style={{ color: COLORS.NAVY_BLUE }}><User className="w-6 h-6 mr-2" /> Player Roster</h2>
+            {activeFixture && (
+              <p className="text-sm font-semibold mb-2 p-2 rounded-lg" style={{ backgroundColor: COLORS.SKY_BLUE, color: COLORS.NAVY_BLUE }}>
+                {activeFixture.venue === 'Home' ? 'vs' : '@'} {activeFixture.opponent} | {new Date(`${activeFixture.date}T00:00`).toLocaleDateString()} {activeFixture.kickOff}
+              </p>
+            )}
             <div className="max-h-96 overflow-y-auto">
               {displayedPlayers.map((player, index) => (
                 <PlayerInputRow
@@ -978,11 +7072,17 @@ const App = () => {
                   index={index}
                   settings={settings}
                   setPlayers={setPlayers}
-                  subscriptionTier={subscriptionTier}
+                  can={can}
                   allPositions={ALL_POSITIONS}
                 />
               ))}
             </div>
+            <RosterImport
+              players={players}
+              onImport={handleImportPlayers}
+              onRestoreBackup={handleRestoreBackup}
+              onExportBackup={handleExportBackup}
+            />
           </div>
 
           {/* Plan Type and Sub Settings */}
@@ -998,29 +7098,32 @@ const App = () => {
                   className="mr-2"
                 /> Automatic (Equal Minutes)
               </label>
-              <label className={`flex items-center font-medium ${isPremiership ? '' : 'opacity-50 cursor-not-allowed'}`} style={{ color: COLORS.NAVY_BLUE }}>
+              <label className={`flex items-center font-medium ${can('manualPlans') ? '' : 'opacity-50 cursor-not-allowed'}`} style={{ color: COLORS.NAVY_BLUE }}>
                 <input
                   type="radio"
                   checked={settings.planType === 'Manual'}
-                  onChange={() => isPremiership && setSettings(p => ({ ...p, planType: 'Manual' }))}
+                  onChange={() => can('manualPlans') && setSettings(p => ({ ...p, planType: 'Manual' }))}
                   className="mr-2"
-                  disabled={!isPremiership}
-                /> Manual Plan {isPremiership ? '' : '(Premiership Only)'}
+                  disabled={!can('manualPlans')}
+                /> Manual Plan {can('manualPlans') ? '' : '(Premiership Only)'}
               </label>
             </div>
 
             {settings.planType === 'Automatic' && (
-              <div className={`grid grid-cols-3 gap-4 p-4 rounded-lg border-dashed border ${isPremiership ? '' : 'opacity-50 pointer-events-none bg-gray-50'}`} style={{ borderColor: COLORS.NAVY_BLUE }}>
-                <p className={`col-span-3 text-sm font-semibold mb-2 ${isPremiership ? 'text-gray-700' : 'text-orange-500'}`}>
-                  {isPremiership ? 'Substitution Frequency (Premiership)' : 'Upgrade to Premiership for Sub Control'}
+              <div className={`grid grid-cols-3 gap-4 p-4 rounded-lg border-dashed border ${can('subControls') ? '' : 'opacity-50 pointer-events-none bg-gray-50'}`} style={{ borderColor: COLORS.NAVY_BLUE }}>
+                <p className={`col-span-3 text-sm font-semibold mb-2 ${can('subControls') ? 'text-gray-700' : 'text-orange-500'}`}>
+                  {can('subControls') ? 'Substitution Frequency (Premiership)' : 'Upgrade to Premiership for Sub Control'}
                 </p>
+                {settings.subRule === 'stoppage' && (
+                  <p className="col-span-3 text-xs text-gray-500">Stoppage subs: the interval and first sub time are not used.</p>
+                )}
                 <div>
                   <label className="block text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>Interval (min)</label>
                   <select
                     value={settings.subInterval}
                     onChange={(e) => setSettings(p => ({ ...p, subInterval: parseInt(e.target.value, 10) }))}
                     className="w-full p-2 rounded-lg text-sm" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}
-                    disabled={!isPremiership}
+                    disabled={!can('subControls')}
                   >
                     {[5, 8, 10, 15].map(v => <option key={v} value={v}>{v}</option>)}
                   </select>
@@ -1031,7 +7134,7 @@ const App = () => {
                     value={settings.firstSubTime}
                     onChange={(e) => setSettings(p => ({ ...p, firstSubTime: parseInt(e.target.value, 10) }))}
                     className="w-full p-2 rounded-lg text-sm" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}
-                    disabled={!isPremiership}
+                    disabled={!can('subControls')}
                   >
                     {[5, 8, 10, 15].map(v => <option key={v} value={v}>{v}</option>)}
                   </select>
@@ -1042,13 +7145,91 @@ const App = () => {
                     value={settings.maxSubs}
                     onChange={(e) => setSettings(p => ({ ...p, maxSubs: parseInt(e.target.value, 10) }))}
                     className="w-full p-2 rounded-lg text-sm" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}
-                    disabled={!isPremiership}
+                    disabled={!can('subControls')}
                   >
                     {[1, 2, 3, 4].map(v => <option key={v} value={v}>{v}</option>)}
                   </select>
                 </div>
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>Rotation</label>
+                  <select
+                    value={settings.rotationSolver}
+                    onChange={(e) => setSettings(p => ({ ...p, rotationSolver: e.target.value }))}
+                    className="w-full p-2 rounded-lg text-sm" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}
+                    disabled={!can('subControls')}
+                  >
+                    <option value="greedy">Quick (one sub window at a time)</option>
+                    <option value="optimise">Optimised (searches for exact minutes)</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>Max Bench (min)</label>
+                  <select
+                    value={settings.maxBenchSpell || ''}
+                    onChange={(e) => setSettings(p => ({ ...p, maxBenchSpell: e.target.value === '' ? null : parseInt(e.target.value, 10) }))}
+                    className="w-full p-2 rounded-lg text-sm" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}
+                    disabled={!can('subControls') || settings.rotationSolver !== 'optimise'}
+                  >
+                    <option value="">No limit</option>
+                    {[10, 15, 20, 25].map(v => <option key={v} value={v}>{v}</option>)}
+                  </select>
+                </div>
               </div>
             )}
+
+            {settings.planType === 'Automatic' && can('customFormations') && (
+              <FormationChangesEditor
+                settings={settings}
+                formations={formationsAvailable}
+                onChange={(formationChanges) => setSettings(p => ({ ...p, formationChanges }))}
+              />
+            )}
+
+            {can('seasonLedger') && (
+              <label className="flex items-center text-sm font-medium mt-4" style={{ color: COLORS.NAVY_BLUE }}>
+                <input
+                  type="checkbox"
+                  checked={settings.balanceSeason}
+                  onChange={(e) => setSettings(p => ({ ...p, balanceSeason: e.target.checked }))}
+                  disabled={seasonMatches.length === 0}
+                  className="mr-2"
+                />
+                Balance the season: extra minutes and GK turns for players behind
+                {seasonMatches.length === 0 && <span className="ml-1 text-gray-500">(no saved matches yet)</span>}
+              </label>
+            )}
+            {can('seasonLedger') && (
+              <button
+                onClick={handlePickSeasonStarters}
+                disabled={seasonMatches.length === 0}
+                className="mt-2 text-xs px-3 py-1 rounded-full text-white disabled:opacity-50"
+                style={{ backgroundColor: COLORS.NAVY_BLUE }}
+              >
+                Pick Starters From Season
+              </button>
+            )}
+            {can('seasonLedger') && (
+              <label className="flex items-center text-sm font-medium mt-2" style={{ color: COLORS.NAVY_BLUE }}>
+                <input
+                  type="checkbox"
+                  checked={settings.positionDiversity}
+                  onChange={(e) => setSettings(p => ({ ...p, positionDiversity: e.target.checked }))}
+                  disabled={seasonMatches.length === 0}
+                  className="mr-2"
+                />
+                Position diversity: steer players towards lines they haven't played in their last {DIVERSITY_RECENT_MATCHES} matches
+              </label>
+            )}
+
+            {settings.planType === 'Manual' && can('manualPlans') && (
+              <ManualPlanBuilder
+                settings={settings}
+                players={displayedPlayers}
+                season={seasonWeighting}
+                manualSubs={manualSubs}
+                setManualSubs={setManualSubs}
+              />
+            )}
             
             <Button onClick={handleGeneratePlan} disabled={isGenerating} color={COLORS.ORANGE} className="mt-6 w-full">
               {isGenerating ? <Loader2 className="w-5 h-5 animate-spin mr-2" /> : <Play className="w-5 h-5 mr-2" />}
@@ -1059,32 +7240,151 @@ const App = () => {
       </div>
 
       {/* --- BOTTOM SECTION: OUTPUT --- */}
-      <div className="mt-8">
+      <div className="mt-8 print:hidden">
         <h2 className="text-3xl font-bold mb-4" style={{ color: COLORS.NAVY_BLUE }}>Match Plan Output</h2>
 
+        {isLiveMatch && matchPlan && (
+          <LiveMatchPanel
+            plan={matchPlan}
+            settings={settings}
+            players={plannerPlayers}
+            season={seasonWeighting}
+            fixture={activeFixture}
+            matchEvents={matchEvents}
+            setMatchEvents={setMatchEvents}
+            onReplan={(plan) => {
+              // A re-planned match no longer matches any candidate
+              setMatchPlan(plan);
+              setPlanCandidates(null);
+            }}
+            onSaveResult={can('seasonLedger') && !isViewOnly ? handleSaveMatchRecord : null}
+            onExit={() => setIsLiveMatch(false)}
+          />
+        )}
+
+        {planCandidates && matchPlan && !isLiveMatch && (
+          <PlanComparison
+            candidates={planCandidates}
+            selected={matchPlan.candidate}
+            onSelect={(candidate) => setMatchPlan(candidate.plan)}
+          />
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
           {/* Text Plan (All Tiers) */}
           <div className="p-6 rounded-xl shadow-xl bg-gray-50">
             <h3 className="text-xl font-bold mb-4 border-b pb-2" style={{ color: COLORS.NAVY_BLUE, borderColor: COLORS.SKY_BLUE }}>Substitution Schedule</h3>
             <pre className="whitespace-pre-wrap font-mono text-sm leading-relaxed" style={{ color: COLORS.NAVY_BLUE }}>
-              {matchPlan || 'Press "Generate Match Plan" to see the schedule here. Match info will display the selected periods for 5v5.'}
+              {planText || planMessage || 'Press "Generate Match Plan" to see the schedule here. Match info will display the selected periods for 5v5.'}
             </pre>
+            {matchPlan && !isLiveMatch && (
+              <div className="mt-4 flex flex-wrap gap-2">
+                <Button onClick={() => setIsLiveMatch(true)} color={COLORS.ORANGE}>
+                  <Play className="w-5 h-5 mr-2" /> Start Match
+                </Button>
+                <Button onClick={() => setPrintSize('full')} color={COLORS.NAVY_BLUE}>
+                  <Printer className="w-5 h-5 mr-2" /> Print Match Card
+                </Button>
+                <Button onClick={() => setPrintSize('pocket')} color={COLORS.SKY_BLUE}>
+                  <Printer className="w-5 h-5 mr-2" /> Pocket Card
+                </Button>
+              </div>
+            )}
           </div>
 
-          {/* Formation Visual (Basic: Starting Lineup. Championship+: Live Updates) */}
+          {/* Formation Visual: the lineup editor before there is a plan; Premiership replays the plan */}
           <div className="p-6 rounded-xl shadow-xl bg-white">
-            <h3 className="text-xl font-bold mb-4 border-b pb-2" style={{ color: COLORS.NAVY_BLUE, borderColor: COLORS.SKY_BLUE }}>
-              Starting Formation Visual
+            <h3
+              className="text-xl font-bold mb-4 border-b pb-2 flex justify-between items-center"
+              style={{ color: COLORS.NAVY_BLUE, borderColor: COLORS.SKY_BLUE }}
+            >
+              {!matchPlan ? 'Starting Lineup' : (can('matchTimeline') ? 'Match Replay' : 'Starting Formation Visual')}
+              {matchPlan && !isLiveMatch && (
+                <button onClick={() => showPlanError('')} className="text-sm font-semibold underline" style={{ color: COLORS.ORANGE }}>
+                  Edit Starting Lineup
+                </button>
+              )}
             </h3>
-            {settings.selectedFormation && (
-              <PositionVisualizer settings={settings} players={displayedPlayers} />
+            {matchPlan && can('matchTimeline') && (
+              <MatchReplay plan={matchPlan} settings={settings} players={displayedPlayers} />
+            )}
+            {!can('matchTimeline') && formationLineups.length > 1 && (
+              <div className="flex flex-wrap gap-2 mb-3">
+                {formationLineups.map((lineup, i) => (
+                  <button
+                    key={lineup.minute}
+                    onClick={() => setVisualStep(i)}
+                    className="text-xs px-3 py-1 rounded-full border"
+                    style={i === visualStep
+                      ? { backgroundColor: COLORS.NAVY_BLUE, color: 'white', borderColor: COLORS.NAVY_BLUE }
+                      : { color: COLORS.NAVY_BLUE, borderColor: COLORS.SKY_BLUE }}
+                  >
+                    {formatMinute(lineup.minute)} {lineup.formation}
+                  </button>
+                ))}
+              </div>
+            )}
+            {settings.selectedFormation && planVisualLineup && !can('matchTimeline') && (
+              <PositionVisualizer
+                settings={settings}
+                players={displayedPlayers}
+                lineup={planVisualLineup}
+                formation={visualLineup.formation}
+              />
+            )}
+            {matchPlan && !can('matchTimeline') && (
+              <p className="mt-3 text-sm font-semibold flex items-center" style={{ color: COLORS.GOLD }}>
+                <Star className="w-4 h-4 mr-1" /> Upgrade to Premiership to replay the whole match, subs and minutes included.
+              </p>
+            )}
+            {settings.selectedFormation && !matchPlan && (
+              <LineupEditor
+                settings={settings}
+                players={displayedPlayers}
+                setPlayers={setPlayers}
+                onGenerate={handleGeneratePlan}
+                isGenerating={isGenerating}
+              />
             )}
           </div>
         </div>
+
+        {matchPlan && !isLiveMatch && (
+          <div className="p-6 rounded-xl shadow-xl bg-white mt-8">
+            <h3 className="text-xl font-bold mb-4 border-b pb-2" style={{ color: COLORS.NAVY_BLUE, borderColor: COLORS.SKY_BLUE }}>
+              Match Events & Report
+            </h3>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+              <MatchEventLog plan={matchPlan} events={matchEvents} setEvents={setMatchEvents} />
+              <MatchReport record={buildMatchRecord(matchPlan, null, matchEvents, activeFixture)} />
+            </div>
+          </div>
+        )}
+
+        {can('seasonLedger') && (
+          <SeasonReport
+            season={seasonTotals}
+            matches={seasonMatches}
+            onDeleteMatch={handleDeleteMatchRecord}
+            isLoading={isSeasonLoading}
+          />
+        )}
+        {can('seasonLedger') && <PlayerDevelopment season={seasonTotals} matches={seasonMatches} />}
       </div>
 
+      {/* --- PRINT VIEW: only the match card is printed --- */}
+      {printSize && matchPlan && (
+        <div className="hidden print:block">
+          <MatchCard plan={matchPlan} fixture={activeFixture} customFormations={settings.customFormations} size={printSize} />
+        </div>
+      )}
     </div>
   );
 };
 
+// The planning logic, for the tests
+export {
+  calculateEqualMinutes, generateAutomaticPlan, optimiseAutomaticPlan, generatePlanCandidates, analysePlanFairness,
+};
+
 export default App;
@@ -0,0 +1,7 @@
+// Lets Jest load the planner's ES module and JSX under Node
+module.exports = {
+  presets: [
+    ['@babel/preset-env', { targets: { node: 'current' } }],
+    '@babel/preset-react',
+  ],
+};
@@ -0,0 +1,44 @@
+// Service worker for offline use: pitches often have no signal. It keeps the app shell (the page,
+// its manifest and icon, the compiled app and its styles, and React) in a cache and serves it from
+// there first, refreshing the cache in the background when online; an update shows on the next
+// load. All of it is served from this site (npm run build puts it in public/), so the first visit
+// caches everything the next one needs. Data isn't handled here: the app keeps it on the device
+// itself. Bump CACHE_NAME when the list below changes.
+
+const CACHE_NAME = 'game-planner-shell-v2';
+// As index.html loads them
+const SHELL_URLS = [
+  './', './index.html', './manifest.webmanifest', './icon.svg', './app.js', './app.css',
+  './vendor/react.production.min.js', './vendor/react-dom.production.min.js',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME)
+    .then(cache => cache.addAll(SHELL_URLS))
+    .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  event.respondWith(caches.open(CACHE_NAME).then(async (cache) => {
+    // Every page is the one app (firebase.json rewrites all paths to index.html)
+    const key = request.mode === 'navigate' ? './index.html' : request;
+    const cached = await cache.match(key);
+    const refreshed = fetch(request).then((response) => {
+      if (response.ok) cache.put(key, response.clone());
+      return response;
+    });
+    if (!cached) return refreshed;
+    event.waitUntil(refreshed.catch(() => undefined));
+    return cached;
+  }));
+});
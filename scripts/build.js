@@ -0,0 +1,38 @@
+// Builds the hosted app in public/ from src/app.jsx, so the page needs nothing from a CDN
+// and the service worker can keep all of it for offline use:
+//
+//   npm run build
+//
+// It compiles the JSX (the page used to do that in the browser with Babel standalone) to
+// public/app.js and copies React's production builds to public/vendor. The npm script then
+// builds public/app.css from the Tailwind classes src/app.jsx uses. firebase.json runs it
+// before each deploy; the outputs aren't kept in git.
+
+const fs = require('fs');
+const path = require('path');
+const babel = require('@babel/core');
+
+const root = path.join(__dirname, '..');
+const publicDir = path.join(root, 'public');
+
+// Only the JSX is compiled; babel.config.js targets Node, for the tests
+const { code } = babel.transformFileSync(path.join(root, 'src', 'app.jsx'), {
+  configFile: false,
+  babelrc: false,
+  presets: ['@babel/preset-react'],
+  comments: false,
+  minified: true,
+});
+fs.writeFileSync(path.join(publicDir, 'app.js'), code);
+
+// As index.html's <script> tags. The packages don't export their umd folders, so they're
+// found from each package.json.
+const VENDOR_FILES = ['react/umd/react.production.min.js', 'react-dom/umd/react-dom.production.min.js'];
+const resolveVendorFile = (file) => {
+  const [packageName, ...rest] = file.split('/');
+  return path.join(path.dirname(require.resolve(`${packageName}/package.json`)), ...rest);
+};
+fs.mkdirSync(path.join(publicDir, 'vendor'), { recursive: true });
+VENDOR_FILES.forEach(file => fs.copyFileSync(resolveVendorFile(file), path.join(publicDir, 'vendor', path.basename(file))));
+
+console.log(`Built public/app.js and public/vendor (${VENDOR_FILES.map(file => path.basename(file)).join(', ')})`);
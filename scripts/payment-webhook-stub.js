@@ -0,0 +1,89 @@
+// Local stand-in for the payment provider's subscription webhook, for trying tiers
+// against the Firestore emulator. It writes the user's entitlement document
+// (artifacts/{appId}/users/{userId}/entitlements/subscription) the way the real
+// webhook will; the app picks the change up straight away.
+//
+//   firebase emulators:start
+//   node scripts/payment-webhook-stub.js
+//   curl -X POST localhost:4242/webhook -H 'X-Webhook-Secret: local-secret' \
+//     -d '{"type":"subscription.updated","userId":"<uid>","tier":"Championship"}'
+//
+// Event types: 'subscription.created' and 'subscription.updated' set `tier`;
+// 'subscription.cancelled' puts the user back on Basic. Only talks to the emulator
+// (the 'owner' token skips the security rules there and nowhere else).
+// Settings: PORT (4242), WEBHOOK_SECRET (local-secret), FIRESTORE_EMULATOR_HOST
+// (localhost:8080), GCLOUD_PROJECT (from .firebaserc) and APP_ID (default-app-id).
+// The emulator tests (tests/rules) start it with createWebhookServer.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const TIERS = ['Basic', 'Championship', 'Premiership']; // as in TheGirlsGamePlanner.jsx
+
+const port = Number(process.env.PORT) || 4242;
+const secret = process.env.WEBHOOK_SECRET || 'local-secret';
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080';
+const appId = process.env.APP_ID || 'default-app-id';
+const projectId = process.env.GCLOUD_PROJECT
+  || JSON.parse(fs.readFileSync(path.join(__dirname, '..', '.firebaserc'), 'utf8')).projects.default;
+
+// The tier an event leaves the user on, or null for events that don't change it
+const getEventTier = (event) => {
+  if (event.type === 'subscription.cancelled') return 'Basic';
+  if (event.type === 'subscription.created' || event.type === 'subscription.updated') return event.tier;
+  return null;
+};
+
+const writeEntitlement = async (userId, tier) => {
+  const docPath = `artifacts/${appId}/users/${userId}/entitlements/subscription`;
+  const url = `http://${emulatorHost}/v1/projects/${projectId}/databases/(default)/documents/${docPath}`;
+  const response = await fetch(url, {
+    method: 'PATCH',
+    headers: { Authorization: 'Bearer owner', 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      fields: { tier: { stringValue: tier }, updatedAt: { stringValue: new Date().toISOString() } },
+    }),
+  });
+  if (!response.ok) throw new Error(`Firestore emulator returned ${response.status}: ${await response.text()}`);
+};
+
+const reply = (res, status, message) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(message));
+};
+
+const createWebhookServer = () => http.createServer((req, res) => {
+  if (req.method !== 'POST' || req.url !== '/webhook') return reply(res, 404, { error: 'Not found' });
+  if (req.headers['x-webhook-secret'] !== secret) return reply(res, 401, { error: 'Bad webhook secret' });
+
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', async () => {
+    let event;
+    try {
+      event = JSON.parse(body);
+    } catch (e) {
+      return reply(res, 400, { error: 'Body is not JSON' });
+    }
+
+    const tier = getEventTier(event);
+    if (tier === null) return reply(res, 200, { ignored: event.type });
+    if (!event.userId || !TIERS.includes(tier)) return reply(res, 400, { error: 'Needs a userId and a known tier' });
+
+    try {
+      await writeEntitlement(event.userId, tier);
+      console.log(`${event.type}: ${event.userId} is now on ${tier}`);
+      reply(res, 200, { userId: event.userId, tier });
+    } catch (e) {
+      console.error('Error writing entitlement:', e);
+      reply(res, 502, { error: e.message });
+    }
+  });
+});
+
+module.exports = { createWebhookServer, getEventTier, secret, projectId, appId };
+
+if (require.main === module) {
+  createWebhookServer().listen(port, () => console.log(`Payment webhook stub on http://localhost:${port}/webhook (project ${projectId}, app ${appId})`));
+}
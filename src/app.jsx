@@ -0,0 +1,4964 @@
+const generateUUID = () => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+    const r = Math.random() * 16 | 0, v = c === 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+});
+
+// Icons (emoji)
+const User = ({ className = '', style = {} }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1rem', height: '1rem'}}>👤</span>;
+const Settings = ({ className = '', style = {} }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1.5rem', height: '1.5rem'}}>⚙️</span>;
+const Play = ({ className = '', style = {} }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1.25rem', height: '1.25rem'}}>▶️</span>;
+const Pause = ({ className = '', style = {} }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1.25rem', height: '1.25rem'}}>⏸️</span>;
+const Save = ({ className = '', style = {}, color = 'currentColor' }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1.25rem', height: '1.25rem', color}}>💾</span>;
+const Unlock = ({ className = '', style = {} }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1rem', height: '1rem'}}>🔑</span>;
+const Loader2 = ({ className = '', style = {} }) => <span className={`${className} animate-spin`} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1.25rem', height: '1.25rem'}}>🔄</span>;
+const Star = ({ className = '', style = {} }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1rem', height: '1rem'}}>⭐</span>;
+const Calendar = ({ className = '', style = {} }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1.25rem', height: '1.25rem'}}>📅</span>;
+const Trophy = ({ className = '', style = {} }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1.25rem', height: '1.25rem'}}>🏆</span>;
+const Scale = ({ className = '', style = {} }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1.25rem', height: '1.25rem'}}>⚖️</span>;
+const Printer = ({ className = '', style = {} }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1.25rem', height: '1.25rem'}}>🖨️</span>;
+const Users = ({ className = '', style = {} }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1.25rem', height: '1.25rem'}}>👥</span>;
+const Cloud = ({ className = '', style = {} }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1rem', height: '1rem'}}>☁️</span>;
+const CloudOff = ({ className = '', style = {} }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1rem', height: '1rem'}}>📴</span>;
+const LogOut = ({ className = '', style = {} }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1rem', height: '1rem'}}>🚪</span>;
+const Download = ({ className = '', style = {} }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1.25rem', height: '1.25rem'}}>⬇️</span>;
+const TrendingUp = ({ className = '', style = {} }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1.25rem', height: '1.25rem'}}>📈</span>;
+const Upload = ({ className = '', style = {} }) => <span className={className} style={{...style, display: 'inline-flex', alignItems: 'center', lineHeight: '1', width: '1rem', height: '1rem'}}>⬆️</span>;
+
+const { useState, useEffect, useMemo, useCallback, useRef } = React;
+
+// --- OFFLINE: DRAFTS & SYNC STATUS ---
+// Drafts are the planner's working state (settings, roster, squad name, loaded squad, plan, manual subs, match
+// events and workspace), kept on the device per user so a reload picks up where the coach left off, saved squad or not.
+// The mock database is kept in the same IndexedDB database.
+const LOCAL_DB_NAME = 'girls-game-planner';
+const DRAFT_STORE_NAME = 'drafts';
+const MOCK_DB_STORE_NAME = 'mockDb';
+const DRAFT_SAVE_DELAY_MS = 500;
+
+const openLocalDb = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(LOCAL_DB_NAME, 1);
+    request.onupgradeneeded = () => [DRAFT_STORE_NAME, MOCK_DB_STORE_NAME].forEach(name => request.result.createObjectStore(name));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Runs one request against a store and resolves to its result
+const runLocalRequest = async (storeName, mode, makeRequest) => {
+    const localDb = await openLocalDb();
+    try {
+        return await new Promise((resolve, reject) => {
+            const request = makeRequest(localDb.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } finally { localDb.close(); }
+};
+
+const loadDraft = (userId) => runLocalRequest(DRAFT_STORE_NAME, 'readonly', store => store.get(userId)); // undefined when there's none
+const saveDraft = (userId, draft) => runLocalRequest(DRAFT_STORE_NAME, 'readwrite', store => store.put(draft, userId));
+
+const whenOnline = () => navigator.onLine ? Promise.resolve() : new Promise(resolve => window.addEventListener('online', resolve, { once: true }));
+
+// Connection and sync state for the header's SyncStatus. trackWrite(write) runs a write and counts it as pending
+// until the server has it. Offline, the write is applied locally straight away (listeners see it) but its promise
+// only settles once synced, so trackWrite resolves at once instead; a write rejected later shows up as syncError.
+const useSyncStatus = () => {
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+    const [pendingWrites, setPendingWrites] = useState(0);
+    const [syncError, setSyncError] = useState(null);
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => { window.removeEventListener('online', handleOnline); window.removeEventListener('offline', handleOffline); };
+    }, []);
+    const trackWrite = useCallback((write) => {
+        setPendingWrites(n => n + 1);
+        const result = retryFetch(write);
+        result.then(() => setSyncError(null), (e) => setSyncError(e.message)).finally(() => setPendingWrites(n => n - 1));
+        return navigator.onLine ? result : Promise.resolve();
+    }, []);
+    return { isOnline, pendingWrites, syncError, trackWrite };
+};
+
+// --- MOCK FIREBASE (kept as-is) ---
+window.__app_id = 'mock-app';
+window.__firebase_config = JSON.stringify({ apiKey: "mock-key", authDomain: "mock-domain", projectId: "mock-project" });
+window.__initial_auth_token = 'mock-token';
+const mockDbData = new Map();
+const mockListeners = new Set(); // onSnapshot listeners; every write calls them all again
+// The mock keeps its documents on the device, like Firestore's offline cache, so saved squads survive a reload.
+// Reads and writes wait for them to load.
+const MOCK_DB_KEY = 'documents';
+const mockDbReady = runLocalRequest(MOCK_DB_STORE_NAME, 'readonly', store => store.get(MOCK_DB_KEY))
+    .then(saved => (saved || []).forEach(([key, value]) => mockDbData.set(key, value)))
+    .catch(e => console.error('Error loading the mock database:', e));
+const saveMockDb = () => runLocalRequest(MOCK_DB_STORE_NAME, 'readwrite', store => store.put([...mockDbData], MOCK_DB_KEY))
+    .catch(e => console.error('Error saving the mock database:', e));
+
+const retryFetch = async (apiCall) => apiCall();
+
+// YYYY-MM-DD in local time, the format date inputs use
+const getLocalDateString = (date = new Date()) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const getPrivatePath = (collectionName, userId) => {
+    const appId = window.__app_id || 'default-app-id';
+    return `mock_db:${appId}:${userId}:${collectionName}`;
+};
+
+// The collection of teams (see TEAMS), or one of a team's collections when teamId is given; a team's collections
+// are laid out like a user's own. The mock's leading '_' and 'team-' keep them apart from user ids.
+const getTeamPath = (teamId = null, collectionName = null) => {
+    const appId = window.__app_id || 'default-app-id';
+    return teamId ? `mock_db:${appId}:team-${teamId}:${collectionName}` : `mock_db:${appId}:_teams`;
+};
+
+// Team invite codes, one document per code: { teamId, teamName, role, createdAt }
+const getInvitesPath = () => `mock_db:${window.__app_id || 'default-app-id'}:_invites`;
+
+// A collection in the workspace being worked in: the team's when teamId is set, else the user's own
+const getWorkspacePath = (collectionName, userId, teamId = null) =>
+    teamId ? getTeamPath(teamId, collectionName) : getPrivatePath(collectionName, userId);
+
+const useFirebase = () => {
+    // Mock auth: the signed-in user ({ uid, email, isAnonymous }); everyone starts as the demo guest
+    const [currentUser, setCurrentUser] = useState({ uid: 'mock-user-12345', email: null, isAnonymous: true });
+    const userId = currentUser.uid;
+    const [isAuthReady] = useState(true);
+    const [error] = useState(null);
+
+    const mockFirestore = useMemo(() => {
+        const getDocs = async (q) => {
+            await mockDbReady;
+            const prefix = `${q.path}:`;
+            const docs = Array.from(mockDbData.entries())
+                .filter(([key]) => key.startsWith(prefix))
+                .map(([key, value]) => ({
+                    id: key.split(':').pop(),
+                    data: () => value
+                }));
+            return { docs };
+        };
+        const notify = () => mockListeners.forEach(listener => listener());
+        return {
+            collection: (path) => ({ path }),
+            query: (collectionRef) => ({ ...collectionRef }),
+            getDocs,
+            // Calls onNext with the query's docs now and after every write; returns the unsubscribe function
+            onSnapshot: (q, onNext) => {
+                let isActive = true;
+                const listener = () => getDocs(q).then(snapshot => { if (isActive) onNext(snapshot); });
+                mockListeners.add(listener);
+                listener();
+                return () => { isActive = false; mockListeners.delete(listener); };
+            },
+            doc: (collectionRef, id = generateUUID()) => ({ path: collectionRef.path, id }),
+            // Writes apply locally at once but, as with Firestore, only resolve once online
+            setDoc: async (docRef, data) => { await mockDbReady; mockDbData.set(`${docRef.path}:${docRef.id}`, data); notify(); saveMockDb(); await whenOnline(); },
+            deleteDoc: async (docRef) => { await mockDbReady; mockDbData.delete(`${docRef.path}:${docRef.id}`); notify(); saveMockDb(); await whenOnline(); }
+        };
+    }, []);
+
+    const firestorePath = useMemo(() => userId ? getPrivatePath('squads', userId) : null, [userId]);
+    const mockAuth = useMemo(() => ({ currentUser, setCurrentUser }), [currentUser]);
+    return { db: mockFirestore, auth: mockAuth, userId, isAuthReady, firestorePath, appId: window.__app_id, error };
+};
+
+// --- ACCOUNTS ---
+const mockAccounts = new Map(); // email -> { uid, password }, the mock's registered accounts
+const authError = (code) => Object.assign(new Error(code), { code });
+
+// A coach-readable message for an auth error
+const getAuthErrorMessage = (e) => {
+    switch (e.code) {
+        case 'auth/invalid-credential': case 'auth/wrong-password': case 'auth/user-not-found': return 'Wrong email or password.';
+        case 'auth/email-already-in-use': case 'auth/credential-already-in-use': return 'There is already an account with this email. Sign in instead.';
+        case 'auth/weak-password': return 'Passwords need at least 6 characters.';
+        case 'auth/invalid-email': return 'That email address is not valid.';
+        default: return e.message;
+    }
+};
+
+// Email/password and magic-link sign-in on top of the guest session. Creating an account as a guest keeps the
+// guest's uid, so everything saved so far stays with the account; signing in to an existing account switches to
+// its data; signing out starts a new guest session. The mock sends no emails: a sign-in link signs in straight away.
+const useAccount = (auth) => {
+    const account = auth.currentUser;
+    const checkEmail = (email) => { if (!/^[^@\s]+@[^@\s]+$/.test(email)) throw authError('auth/invalid-email'); };
+
+    const createAccount = async (email, password) => {
+        checkEmail(email);
+        if (password.length < 6) throw authError('auth/weak-password');
+        if (mockAccounts.has(email)) throw authError('auth/email-already-in-use');
+        const uid = account.isAnonymous ? account.uid : generateUUID();
+        mockAccounts.set(email, { uid, password });
+        auth.setCurrentUser({ uid, email, isAnonymous: false });
+    };
+    const signIn = async (email, password) => {
+        const saved = mockAccounts.get(email);
+        if (!saved || saved.password !== password) throw authError('auth/invalid-credential');
+        auth.setCurrentUser({ uid: saved.uid, email, isAnonymous: false });
+    };
+    const sendSignInLink = async (email) => {
+        checkEmail(email);
+        const saved = mockAccounts.get(email);
+        const uid = saved ? saved.uid : account.isAnonymous ? account.uid : generateUUID();
+        if (!saved) mockAccounts.set(email, { uid, password: null });
+        auth.setCurrentUser({ uid, email, isAnonymous: false });
+    };
+    const signOut = async () => auth.setCurrentUser({ uid: generateUUID(), email: null, isAnonymous: true });
+    return { account, accountNotice: '', createAccount, signIn, sendSignInLink, signOut };
+};
+
+// --- TEAMS ---
+// A team is a workspace shared by a club's coaches, under getTeamPath(id): { name, ownerId, ownerTier (the owner's
+// tier, which the team's limits follow), members (uid -> role), memberNames (uid -> email or 'Guest') }. The code
+// that joins with each invite role is in the team's 'inviteCodes' collection ({ code } per role), which only the
+// owner reads: every member reads the team itself. The code a member joined with goes in the team's 'joins'
+// collection ({ code } per uid), which nobody reads, for the same reason. Owners manage members and invite codes,
+// editors change the team's data, viewers only read it.
+const TEAM_ROLES = ['owner', 'editor', 'viewer'];
+const INVITE_ROLES = ['editor', 'viewer'];
+const INVITE_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I
+const INVITE_CODE_LENGTH = 6;
+const generateInviteCode = () =>
+    Array.from({ length: INVITE_CODE_LENGTH }, () => INVITE_CODE_CHARS[Math.floor(Math.random() * INVITE_CODE_CHARS.length)]).join('');
+
+// --- SUBSCRIPTION & ENTITLEMENTS ---
+const TIERS = ['Basic', 'Championship', 'Premiership']; // lowest first
+
+// What each tier gets: the lowest tier that has a feature or, for limits, a value per tier. Read them with
+// getEntitlement rather than comparing tiers; firestore.rules enforces the same limits on the server.
+const ENTITLEMENTS = {
+    squadSaves: { Basic: 0, Championship: 2, Premiership: Infinity }, // saved squads (match templates)
+    secondaryPositions: 'Championship', // secondary and never positions
+    manualMinutes: 'Premiership',
+    playerProfiles: 'Championship',
+    fixtures: 'Championship',
+    customFormations: 'Championship', // incl. formation changes during the match
+    rulePresets: 'Championship', // saving the coach's own presets
+    manualPlans: 'Premiership',
+    subControls: 'Premiership', // sub interval, first sub, max subs and the rotation solver
+    planComparison: 'Premiership',
+    matchTimeline: 'Premiership', // the animated match replay
+    seasonLedger: 'Premiership',
+};
+const ENTITLEMENT_DOC_ID = 'subscription'; // under getPrivatePath('entitlements')
+const SQUAD_USAGE_DOC_ID = 'squads'; // under getPrivatePath('usage'): { count, lastSquadId }
+
+// true/false, or the limit for limits such as squadSaves; unknown tiers get Basic's
+const getEntitlement = (tier, feature) => {
+    const entitlement = ENTITLEMENTS[feature];
+    if (entitlement === undefined) throw new Error(`Unknown feature: ${feature}`);
+    if (typeof entitlement === 'object') return tier in entitlement ? entitlement[tier] : entitlement.Basic;
+    return TIERS.indexOf(tier) >= TIERS.indexOf(entitlement);
+};
+
+// The demo user's entitlement, as the payment webhook would write it
+mockDbData.set(`${getPrivatePath('entitlements', 'mock-user-12345')}:${ENTITLEMENT_DOC_ID}`, { tier: 'Premiership', updatedAt: new Date().toISOString() });
+
+// The user's tier from their entitlement document ({ tier, updatedAt }); users without one are on Basic
+const useSubscription = (db, userId) => {
+    const [tier, setTier] = useState('Basic');
+    const [isTierLoading, setIsTierLoading] = useState(true);
+    useEffect(() => {
+        if (!db || !userId) return;
+        (async () => {
+            try {
+                const docs = await retryFetch(() => db.getDocs(db.query(db.collection(getPrivatePath('entitlements', userId)))));
+                const entitlement = docs.docs.find(d => d.id === ENTITLEMENT_DOC_ID);
+                const saved = entitlement ? entitlement.data().tier : null;
+                setTier(TIERS.includes(saved) ? saved : 'Basic');
+            } finally { setIsTierLoading(false); }
+        })();
+    }, [db, userId]);
+    return { tier, isTierLoading };
+};
+
+// --- CONSTANTS ---
+const COLORS = { NAVY_BLUE:'#193755', ORANGE:'#E97227', SKY_BLUE:'#56B0D5', WHITE:'#FFFFFF', GOLD:'#AF9542' };
+
+// Default durations from the FA guidelines; the coach can change them per match
+const MATCH_DURATIONS = { '5v5': 40, '7v7': 50, '9v9': 60, '11v11': 70 };
+
+// Equal period structures; 'Custom' uses settings.periodLengths instead
+const PERIOD_STRUCTURES = { Halves: 2, Thirds: 3, Quarters: 4 };
+
+// Typical rules by age group and league. Applying one sets the RULE_SETTINGS (still editable
+// afterwards); coaches can save their own league's rules next to these. subRule 'rolling' allows
+// subs at any time, 'stoppage' only at breaks. maxSquad is the matchday squad limit (null = none).
+const RULE_SETTINGS = ['gameFormat', 'matchDuration', 'matchPeriods', 'periodLengths', 'drinksBreak', 'subRule', 'maxSquad', 'isPermanentGK', 'gkRotateEvery'];
+const RULE_PRESETS = [
+    { name: 'U7 (5v5, 4 x 10)', gameFormat: '5v5', matchDuration: 40, matchPeriods: 'Quarters', periodLengths: [], drinksBreak: false, subRule: 'rolling', maxSquad: 8, isPermanentGK: false, gkRotateEvery: 'Period' },
+    { name: 'U8 (5v5, 2 x 20)', gameFormat: '5v5', matchDuration: 40, matchPeriods: 'Halves', periodLengths: [], drinksBreak: false, subRule: 'rolling', maxSquad: 8, isPermanentGK: false, gkRotateEvery: 'Half' },
+    { name: 'U9-U10 (7v7, 2 x 25)', gameFormat: '7v7', matchDuration: 50, matchPeriods: 'Halves', periodLengths: [], drinksBreak: false, subRule: 'rolling', maxSquad: 12, isPermanentGK: true, gkRotateEvery: 'Half' },
+    { name: 'U11-U12 (9v9, 2 x 30)', gameFormat: '9v9', matchDuration: 60, matchPeriods: 'Halves', periodLengths: [], drinksBreak: false, subRule: 'rolling', maxSquad: 14, isPermanentGK: true, gkRotateEvery: 'Half' },
+    { name: 'U12 Tournament (9v9, 2 x 15)', gameFormat: '9v9', matchDuration: 30, matchPeriods: 'Halves', periodLengths: [], drinksBreak: false, subRule: 'stoppage', maxSquad: 12, isPermanentGK: true, gkRotateEvery: 'Half' },
+    { name: 'U13-U14 (11v11, 2 x 35)', gameFormat: '11v11', matchDuration: 70, matchPeriods: 'Halves', periodLengths: [], drinksBreak: false, subRule: 'rolling', maxSquad: 16, isPermanentGK: true, gkRotateEvery: 'Half' },
+    { name: 'Summer League (7v7, 2 x 25, drinks breaks)', gameFormat: '7v7', matchDuration: 50, matchPeriods: 'Halves', periodLengths: [], drinksBreak: true, subRule: 'stoppage', maxSquad: 12, isPermanentGK: false, gkRotateEvery: 'Half' },
+];
+
+const FORMATIONS = {
+    '5v5': [
+        { name: '1-2-1', slots: ['CD', 'CM-R', 'CM-L', 'ST'], maxPlayers: 4 },
+        { name: '2-1-1', slots: ['CD-R', 'CD-L', 'CM', 'ST'], maxPlayers: 4 },
+        { name: '1-1-2', slots: ['CD', 'CM', 'ST-R', 'ST-L'], maxPlayers: 4 },
+    ],
+    '7v7': [
+        { name: '2-1-3', slots: ['CD-R', 'CD-L', 'CM', 'ST-R', 'ST-L', 'ST'], maxPlayers: 6 },
+        { name: '2-2-2', slots: ['CD-R', 'CD-L', 'CM-R', 'CM-L', 'ST-R', 'ST-L'], maxPlayers: 6 },
+        { name: '1-3-2', slots: ['CD', 'CM-R', 'CM-L', 'CM', 'ST-R', 'ST-L'], maxPlayers: 6 },
+        { name: '2-3-1', slots: ['CD-R', 'CD-L', 'CM-R', 'CM-L', 'CM', 'ST'], maxPlayers: 6 },
+        { name: '1-2-3', slots: ['CD', 'CM-R', 'CM-L', 'ST-R', 'ST-L', 'ST'], maxPlayers: 6 },
+        { name: '1-4-1', slots: ['CD', 'CM-R', 'CM-L', 'RW', 'LW', 'ST'], maxPlayers: 6 },
+        /* NEW: tester formation */
+        { name: '3-2-1', slots: ['CD-R','CD','CD-L','CM-R','CM-L','ST'], maxPlayers: 6 },
+    ],
+    '9v9': [
+        { name: '3-2-3', slots: ['CD-R', 'CD-L', 'CD', 'CM-R', 'CM-L', 'ST-R', 'ST-L', 'ST'], maxPlayers: 8 },
+        { name: '3-3-2', slots: ['CD-R', 'CD-L', 'CD', 'CM-R', 'CM-L', 'CDM', 'ST-R', 'ST-L'], maxPlayers: 8 },
+        { name: '3-4-1', slots: ['CD-R', 'CD-L', 'CD', 'RB', 'LB', 'CM', 'CDM', 'ST'], maxPlayers: 8 },
+        { name: '3-2-1-2', slots: ['CD-R', 'CD-L', 'CD', 'CDM-R', 'CDM-L', 'CAM', 'ST-R', 'ST-L'], maxPlayers: 8 },
+        { name: '2-4-2', slots: ['CD-R', 'CD-L', 'CM-R', 'CM-L', 'CDM', 'CAM', 'ST-R', 'ST-L'], maxPlayers: 8 },
+        { name: '2-3-3', slots: ['CD-R', 'CD-L', 'CM-R', 'CM-L', 'CDM', 'ST-R', 'ST-L', 'ST'], maxPlayers: 8 },
+        { name: '2-2-4', slots: ['CD-R', 'CD-L', 'CM-R', 'CM-L', 'ST-R', 'ST-L', 'RW', 'LW'], maxPlayers: 8 },
+    ],
+    '11v11': [
+        { name: '4-4-2', slots: ['RB', 'LB', 'CD-R', 'CD-L', 'RW', 'LW', 'CM-R', 'CM-L', 'ST-R', 'ST-L'], maxPlayers: 10 },
+        { name: '4-3-3', slots: ['RB', 'LB', 'CD-R', 'CD-L', 'CM-R', 'CM-L', 'CDM', 'RW', 'LW', 'ST'], maxPlayers: 10 },
+        { name: '4-2-3-1', slots: ['RB', 'LB', 'CD-R', 'CD-L', 'CDM-R', 'CDM-L', 'RW', 'LW', 'CAM', 'ST'], maxPlayers: 10 },
+        { name: '4-1-4-1', slots: ['RB', 'LB', 'CD-R', 'CD-L', 'CDM', 'CM-R', 'CM-L', 'RW', 'LW', 'ST'], maxPlayers: 10 },
+        { name: '4-2-4', slots: ['RB', 'LB', 'CD-R', 'CD-L', 'CM-R', 'CM-L', 'ST-R', 'ST-L', 'RW', 'LW'], maxPlayers: 10 },
+        { name: '3-5-2', slots: ['CD-R', 'CD-L', 'CD', 'CM-R', 'CM-L', 'CDM', 'CAM', 'RW', 'ST-R', 'ST-L'], maxPlayers: 10 },
+        { name: '3-4-3', slots: ['CD-R', 'CD-L', 'CD', 'CM-R', 'CM-L', 'CDM', 'CAM', 'RW', 'LW', 'ST'], maxPlayers: 10 },
+    ],
+};
+
+const ALL_POSITIONS_AND_BENCH = [
+  'Bench', 'GK', 'CD', 'CD-R', 'CD-L', 'RB', 'LB', 'CM', 'CM-R', 'CM-L',
+  'CDM', 'CAM', 'RW', 'LW', 'ST', 'ST-R', 'ST-L'
+];
+
+// Where each position sits on the pitch visuals, in % from the top (attack) and left.
+// Defenders are moved up (away from the GK).
+const POSITION_COORDINATES = {
+    GK: { y: 95, x: 50 },
+    RB: { y: 76, x: 15 }, LB: { y: 76, x: 85 },          /* was 80 */
+    CD: { y: 82, x: 50 }, 'CD-R': { y: 80, x: 30 }, 'CD-L': { y: 80, x: 70 }, /* was 85,85,85 */
+    CDM: { y: 70, x: 50 }, 'CDM-R': { y: 70, x: 25 }, 'CDM-L': { y: 70, x: 75 },
+    CM: { y: 50, x: 50 }, 'CM-R': { y: 50, x: 20 }, 'CM-L': { y: 50, x: 80 },
+    CAM: { y: 35, x: 50 },
+    RW: { y: 20, x: 10 }, LW: { y: 20, x: 90 },
+    ST: { y: 15, x: 50 }, 'ST-R': { y: 18, x: 30 }, 'ST-L': { y: 18, x: 70 },
+};
+
+// Match settings saved with a squad as its "match template" (squad size comes from the
+// player list). Squads saved before templates get an empty one.
+const TEMPLATE_SETTINGS = ['gameFormat', 'selectedFormation', 'matchDuration', 'matchPeriods', 'periodLengths', 'drinksBreak', 'subRule', 'maxSquad', 'isPermanentGK', 'gkRotateEvery', 'planType', 'subInterval', 'firstSubTime', 'maxSubs', 'formationChanges', 'rotationSolver', 'maxBenchSpell'];
+const pickTemplateSettings = (settings = {}) => Object.fromEntries(
+    TEMPLATE_SETTINGS.filter(key => settings[key] !== undefined).map(key => [key, settings[key]])
+);
+// A player's profile, saved per user under 'players' with the player's id as the document id:
+// { name, shirtNumber, photo (data URL or ''), role, preferredPosition, secondaryPosition, neverPosition,
+// preferredFoot ('' | 'Right' | 'Left' | 'Both'), canPlayGK, notes (private coach notes) }. Roster rows carry the
+// same fields plus the match-day startingPosition and manualMinutes.
+const PROFILE_FIELDS = ['name', 'shirtNumber', 'photo', 'role', 'preferredPosition', 'secondaryPosition', 'neverPosition', 'preferredFoot', 'canPlayGK', 'notes'];
+const PREFERRED_FEET = ['Right', 'Left', 'Both'];
+const PROFILE_PHOTO_SIZE = 96; // profile photos are kept in the profile itself as square JPEGs this many pixels wide
+const pickProfileFields = (player) => Object.fromEntries(
+    PROFILE_FIELDS.filter(key => player[key] !== undefined).map(key => [key, player[key]])
+);
+
+// A saved squad's players. Squads list profile ids, so an edited profile shows up in every squad; manual minutes
+// are kept per squad. Squads saved before profiles carry their own copies, with any matching profile on top.
+const getSquadPlayers = (squad, profiles) => {
+    const profileOf = (id) => profiles.find(p => p.id === id);
+    if (!squad.playerIds) return (squad.players || []).map(copy => ({ ...copy, ...pickProfileFields(profileOf(copy.id) || {}) }));
+    const manualMinutes = squad.manualMinutes || {};
+    return squad.playerIds.filter(profileOf).map(id => ({
+        ...pickProfileFields(profileOf(id)),
+        id,
+        startingPosition: 'Bench',
+        manualMinutes: manualMinutes[id] !== undefined ? manualMinutes[id] : null,
+    }));
+};
+
+// An image file as a square JPEG data URL, cropped to the centre and scaled to PROFILE_PHOTO_SIZE
+const readProfilePhoto = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(reader.error);
+    reader.onload = () => {
+        const image = new Image();
+        image.onerror = () => reject(new Error('Not an image file.'));
+        image.onload = () => {
+            const side = Math.min(image.width, image.height);
+            const canvas = document.createElement('canvas');
+            canvas.width = PROFILE_PHOTO_SIZE;
+            canvas.height = PROFILE_PHOTO_SIZE;
+            canvas.getContext('2d').drawImage(image, (image.width - side) / 2, (image.height - side) / 2, side, side, 0, 0, PROFILE_PHOTO_SIZE, PROFILE_PHOTO_SIZE);
+            resolve(canvas.toDataURL('image/jpeg', 0.8));
+        };
+        image.src = reader.result;
+    };
+    reader.readAsDataURL(file);
+});
+
+const pickRuleSettings = (settings) => Object.fromEntries(
+    RULE_SETTINGS.filter(key => settings[key] !== undefined).map(key => [key, settings[key]])
+);
+
+// Settings moved to another format: the format's default duration, and halves in place of
+// custom period lengths (they were set for the old duration)
+const switchGameFormat = (settings, gameFormat) => ({
+    ...settings,
+    gameFormat,
+    matchDuration: MATCH_DURATIONS[gameFormat],
+    ...(settings.matchPeriods === 'Custom' ? { matchPeriods: 'Halves', periodLengths: [] } : {}),
+});
+
+// Helpers
+// A format's built-in formations followed by the coach's own ({ id, name, gameFormat, slots, coordinates },
+// saved per user), all shaped like FORMATIONS entries so the planner treats them the same
+const getFormationOptions = (gameFormat, customFormations = []) => [
+    ...(FORMATIONS[gameFormat] || []),
+    ...customFormations.filter(f => f.gameFormat === gameFormat).map(f => ({ ...f, maxPlayers: getOutfieldMaxPlayers(gameFormat) })),
+];
+const getOutfieldSlots = (gameFormat, selectedFormation, customFormations = []) => {
+    const formation = getFormationOptions(gameFormat, customFormations).find(f => f.name === selectedFormation);
+    return formation ? formation.slots : [];
+};
+// Pitch coordinates for a formation: the shared map, with a custom formation's own spots on top
+const getFormationCoordinates = (gameFormat, formationName, customFormations = []) => {
+    const custom = customFormations.find(f => f.gameFormat === gameFormat && f.name === formationName);
+    return custom ? { ...POSITION_COORDINATES, ...custom.coordinates } : POSITION_COORDINATES;
+};
+const getOutfieldMaxPlayers = (gameFormat) => {
+    const formatArray = FORMATIONS[gameFormat];
+    return formatArray && formatArray.length > 0 ? formatArray[0].maxPlayers : 0;
+};
+
+// Minutes calc (original behaviour; a rotating GK adds the GK spot to the shared pool).
+// Given season totals, minutes shift towards players behind on the season and each player
+// is tagged with her totals (`season`) for starter and keeper choices.
+const calculateEqualMinutes = (settings, players, season = null) => {
+  const { gameFormat, matchDuration, isPermanentGK } = settings;
+  if (!matchDuration || matchDuration <= 0 || players.length === 0) return players;
+  
+  const outfieldSpots = getOutfieldSlots(gameFormat, settings.selectedFormation, settings.customFormations).length;
+  const rotatingGK = !isPermanentGK;
+  
+  const outfieldPlayersInRotation = players.filter(p => 
+        (rotatingGK || p.role !== 'GK') && 
+        p.name.trim() !== '' &&
+        p.minutes !== matchDuration 
+    );
+  const numOutfieldPlayers = outfieldPlayersInRotation.length;
+  if (numOutfieldPlayers === 0) return players;
+
+  const totalOutfieldMinutesAvailable = (outfieldSpots + (rotatingGK ? 1 : 0)) * matchDuration;
+  const baseEqualTime = Math.floor(totalOutfieldMinutesAvailable / numOutfieldPlayers);
+  let remainderMinutes = totalOutfieldMinutesAvailable % numOutfieldPlayers;
+
+  const updatedPlayers = players.map((player) => {
+    if (player.role === 'GK' && isPermanentGK) return { ...player, minutes: matchDuration };
+    if (player.manualMinutes === matchDuration) return { ...player, minutes: matchDuration };
+    if (player.name.trim() === '') return { ...player, minutes: 0 };
+
+    if ((rotatingGK || player.role !== 'GK') && player.manualMinutes === null) {
+        let finalMinutes = baseEqualTime;
+        if (remainderMinutes > 0) { finalMinutes += 1; remainderMinutes--; }
+        return { ...player, minutes: finalMinutes };
+    }
+    return { ...player, minutes: player.manualMinutes !== null ? player.manualMinutes : player.minutes };
+  });
+
+  if (!season) return updatedPlayers;
+  const balanced = updatedPlayers.filter(p => (rotatingGK || p.role !== 'GK') && p.manualMinutes === null && p.name.trim() !== '');
+  const catchUp = getSeasonCatchUp(season, balanced, matchDuration);
+  return updatedPlayers.map(player => ({
+      ...player,
+      minutes: catchUp.has(player.id) ? player.minutes + catchUp.get(player.id) : player.minutes,
+      season: season.find(row => row.id === player.id) || null,
+  }));
+};
+
+// Keeper stints: who is in goal from which minute. Permanent GK is a single stint;
+// rotating GK cycles the GK-willing players (starting keeper first, then fewest keeper
+// stints this season) every half, quarter or period. With stoppage subs each change moves
+// to the nearest break.
+const buildGKSchedule = (settings, players) => {
+    if (settings.isPermanentGK) {
+        const gkPlayer = players.find(p => p.role === 'GK' && p.name.trim() !== '');
+        return gkPlayer ? [{ start: 0, player: gkPlayer }] : [];
+    }
+    const pool = players
+        .filter(p => p.canPlayGK && p.name.trim() !== '')
+        .sort((a, b) => (b.startingPosition === 'GK') - (a.startingPosition === 'GK')
+            || (a.season ? a.season.keeperStints : 0) - (b.season ? b.season.keeperStints : 0));
+    if (pool.length === 0) return [];
+    const stints = settings.gkRotateEvery === 'Quarter' ? 4 : 2;
+    let starts = settings.gkRotateEvery === 'Period'
+        ? getMatchPeriods(settings).map(p => p.start)
+        : Array.from({ length: stints }, (_, i) => Math.round(i * settings.matchDuration / stints));
+    if (settings.subRule === 'stoppage') {
+        const stoppages = getStoppageMinutes(settings);
+        const nearest = (minute) => stoppages.reduce((best, t) => (Math.abs(t - minute) < Math.abs(best - minute) ? t : best));
+        starts = [...new Set(starts.map(nearest))];
+    }
+    return starts.map((start, i) => ({ start, player: pool[i % pool.length] }));
+};
+
+// --- POSITION FIT ---
+// One scoring system for every automatic "who plays where" choice: kick-off and period-start
+// lineups, sub windows and forced changes. Fit is traded against how many minutes a player is owed.
+const POSITION_LINES = {
+    GK: 'GK',
+    CD: 'DEF', 'CD-R': 'DEF', 'CD-L': 'DEF', RB: 'DEF', LB: 'DEF',
+    CM: 'MID', 'CM-R': 'MID', 'CM-L': 'MID', CDM: 'MID', 'CDM-R': 'MID', 'CDM-L': 'MID', CAM: 'MID',
+    RW: 'ATT', LW: 'ATT', ST: 'ATT', 'ST-R': 'ATT', 'ST-L': 'ATT',
+};
+const LINE_NAMES = { DEF: 'Defence', MID: 'Midfield', ATT: 'Attack' };
+const POSITION_FIT_LEVELS = ['preferred', 'secondary', 'line', 'other', 'never'];
+const POSITION_FIT_SCORES = { preferred: 3, secondary: 2, line: 1, other: 0, never: -1 };
+const POSITION_FIT_LABELS = { preferred: 'preferred', secondary: 'secondary', line: 'same line', other: 'out of position', never: 'never plays here' };
+// Minutes of fairness one fit level is worth: a player in her preferred position beats one
+// out of position unless the other is owed 15+ more minutes.
+const FIT_LEVEL_MINUTES = 5;
+// Position diversity: fit levels between a line a player hasn't played in her recent matches and one she has
+// played throughout them, and how many of her matches count as recent
+const DIVERSITY_LEVELS = 3;
+const DIVERSITY_RECENT_MATCHES = 3;
+
+// 'never' comes from the player's neverPosition, which may be a slot or a whole line
+const getPositionFit = (player, position) => {
+    const line = POSITION_LINES[position];
+    if (player.neverPosition && (player.neverPosition === position || player.neverPosition === line)) return 'never';
+    if (player.preferredPosition === position) return 'preferred';
+    if (player.secondaryPosition === position) return 'secondary';
+    if ([player.preferredPosition, player.secondaryPosition].some(p => p && POSITION_LINES[p] === line)) return 'line';
+    return 'other';
+};
+
+// Position diversity, for players tagged with their recent minutes per line (`recentLines`, see
+// withRecentLines): a line she hasn't played lately is worth one fit level more, the only line she has
+// played two fewer. GK slots and players without recent outfield minutes are unaffected.
+const getLineDiversityBonus = (player, position) => {
+    const line = POSITION_LINES[position];
+    if (!player.recentLines || !LINE_NAMES[line]) return 0;
+    const lines = Object.keys(LINE_NAMES);
+    const outfieldMinutes = lines.reduce((sum, l) => sum + player.recentLines[l], 0);
+    if (outfieldMinutes === 0) return 0;
+    return Math.round((1 / lines.length - player.recentLines[line] / outfieldMinutes) * DIVERSITY_LEVELS * FIT_LEVEL_MINUTES);
+};
+
+// Best pairing of open slots (indexes into positions) and candidates, highest score first.
+// owedMinutes(player) is the fairness side of the score, plus any position diversity bonus. 'never' pairings
+// are left out unless allowNever (a slot must be filled). Returns Map slotIndex -> player; unmatched slots are absent.
+const matchPlayersToSlots = (slotIndexes, candidates, positions, owedMinutes, allowNever = false) => {
+    const pairs = [];
+    slotIndexes.forEach(index => candidates.forEach(player => {
+        const fit = getPositionFit(player, positions[index]);
+        if (fit === 'never' && !allowNever) return;
+        const score = POSITION_FIT_SCORES[fit] * FIT_LEVEL_MINUTES + owedMinutes(player) + getLineDiversityBonus(player, positions[index]);
+        pairs.push({ index, player, score });
+    }));
+    pairs.sort((a, b) => b.score - a.score);
+    const matched = new Map();
+    const used = new Set();
+    pairs.forEach(({ index, player }) => {
+        if (matched.has(index) || used.has(player.id)) return;
+        matched.set(index, player);
+        used.add(player.id);
+    });
+    return matched;
+};
+
+// Puts a set of players who are all playing into the slots that suit them best
+const arrangeLineup = (players, positions) => {
+    const matched = matchPlayersToSlots(positions.map((_, i) => i), players, positions, () => 0, true);
+    return positions.map((_, i) => matched.get(i) || null);
+};
+
+// Slots filled per fit level, counted once per player per stint in a position, plus minutes at each level
+const summarisePositionFit = (lineups, allPlayers, matchDuration) => {
+    const stints = Object.fromEntries(POSITION_FIT_LEVELS.map(level => [level, 0]));
+    const minutes = Object.fromEntries(POSITION_FIT_LEVELS.map(level => [level, 0]));
+    lineups.forEach((lineup, i) => {
+        const until = i + 1 < lineups.length ? lineups[i + 1].minute : matchDuration;
+        const previous = lineups[i - 1];
+        lineup.slots.forEach((id, slot) => {
+            const player = id && allPlayers.find(p => p.id === id);
+            if (!player) return;
+            const position = lineup.positions[slot];
+            const fit = getPositionFit(player, position);
+            minutes[fit] += until - lineup.minute;
+            if (!previous || previous.positions[previous.slots.indexOf(id)] !== position) stints[fit]++;
+        });
+    });
+    return { stints, minutes, outOfPosition: stints.other + stints.never };
+};
+
+// --- MATCH PLAN MODEL ---
+// Both generators return a MatchPlan; the text schedule, CSV, lineup timeline and pitch
+// visual are all rendered from it, so nothing ever has to parse the plan text back.
+/**
+ * @typedef {Object} MatchPlan
+ * @property {'Automatic'|'Manual'} planType
+ * @property {string} gameFormat
+ * @property {string} formation - The kick-off formation.
+ * @property {string[]} positions - Kick-off outfield slot names. Slot indexes point into the positions in
+ *           force at the time: each lineup's own `positions`, or getEventPositions for an event.
+ * @property {number} matchDuration
+ * @property {string} matchPeriods
+ * @property {{ number: number, name: string, start: number, end: number }[]} periods
+ * @property {boolean} isPermanentGK
+ * @property {{ start: number, playerId: string }[]} gkSchedule
+ * @property {boolean} subsRequired - False when everyone can play the whole match.
+ * @property {{ type: 'sub'|'keeper'|'formation', minute: number, period: number, slot: (number|'GK'|null), onId: (string|null), offId: (string|null), offToSlot: (number|null|undefined) }[]} events
+ *           Keeper changes put onId in goal; offToSlot is where the old keeper goes (null = bench).
+ *           Formation changes also carry `formation`, `positions` and `fromSlots` (the old slot of each new slot's player).
+ * @property {{ minute: number, label: string, periodStart: boolean, formation: string, positions: string[], keeperId: (string|null), slots: (string|null)[] }[]} lineups
+ * @property {{ id: string, name: string, role: string, targetMinutes: number, manual: boolean, minutesPlayed: number, keeperMinutes: number }[]} players
+ * @property {{ stints: Object<string, number>, minutes: Object<string, number>, outOfPosition: number }} positionFit
+ *           Outfield slots filled per fit level (see POSITION_FIT_LEVELS); out of position = 'other' + 'never'.
+ * @property {string[]} issues
+ * @property {string} [candidate] - Automatic plans: the PLAN_CANDIDATES entry it was built with.
+ * @property {'optimise'} [solver] - Set when optimiseAutomaticPlan chose the rotation.
+ */
+
+// Period lengths in whole minutes: settings.periodLengths for a 'Custom' structure, otherwise
+// the match split as evenly as whole minutes allow
+const getPeriodLengths = (settings) => {
+    if (settings.matchPeriods === 'Custom' && settings.periodLengths && settings.periodLengths.length > 0) return settings.periodLengths;
+    const count = PERIOD_STRUCTURES[settings.matchPeriods] || 2;
+    const boundary = (i) => Math.round(i * settings.matchDuration / count);
+    return Array.from({ length: count }, (_, i) => boundary(i + 1) - boundary(i));
+};
+
+const getMatchPeriods = (settings) => {
+    const lengths = getPeriodLengths(settings);
+    const periodName = (i) => {
+        if (lengths.length === 2) return i === 0 ? 'FIRST HALF' : 'SECOND HALF';
+        return settings.matchPeriods === 'Quarters' ? `QUARTER ${i + 1}` : `PERIOD ${i + 1}`;
+    };
+    let start = 0;
+    return lengths.map((length, i) => {
+        const period = { number: i + 1, name: periodName(i), start, end: start + length };
+        start += length;
+        return period;
+    });
+};
+
+// One drinks break halfway through each period when settings.drinksBreak is on
+const getDrinksBreaks = (settings) => settings.drinksBreak
+    ? getMatchPeriods(settings).map(p => Math.round((p.start + p.end) / 2))
+    : [];
+
+// Every minute the game stops (period starts and drinks breaks); with stoppage subs these
+// are the only times players can change
+const getStoppageMinutes = (settings) =>
+    [...new Set([...getMatchPeriods(settings).map(p => p.start), ...getDrinksBreaks(settings)])].sort((a, b) => a - b);
+
+// e.g. '2 x 25 min' or '15 + 15 + 10 min'
+const describePeriods = (periods) => {
+    const lengths = periods.map(p => p.end - p.start);
+    return lengths.every(length => length === lengths[0]) ? `${lengths.length} x ${lengths[0]} min` : `${lengths.join(' + ')} min`;
+};
+
+// The formations an automatic plan moves through: the selected one from kick-off, then each
+// { minute, formation } in settings.formationChanges. Changes outside the match, to unknown
+// formations or with a different number of slots are dropped; the last one given for a minute wins.
+const getFormationSchedule = (settings) => {
+    const options = getFormationOptions(settings.gameFormat, settings.customFormations);
+    const kickOff = { minute: 0, name: settings.selectedFormation, positions: getOutfieldSlots(settings.gameFormat, settings.selectedFormation, settings.customFormations) };
+    const changes = new Map();
+    (settings.formationChanges || []).forEach(({ minute, formation }) => {
+        const option = options.find(f => f.name === formation);
+        if (minute > 0 && minute < settings.matchDuration && option && option.slots.length === kickOff.positions.length) {
+            changes.set(minute, { minute, name: formation, positions: option.slots });
+        }
+    });
+    return [kickOff, ...[...changes.values()].sort((a, b) => a.minute - b.minute)];
+};
+
+// Credits pitch time (GK time included) as a plan is simulated. A re-plan starts the clock
+// at `start.fromMinute` with the minutes already played carried over.
+const createMinutesTracker = (allPlayers, start = null) => {
+    const minutesPlayed = new Map(allPlayers.map(p => [p.id, start ? start.minutesPlayed[p.id] || 0 : 0]));
+    const keeperMinutes = new Map(allPlayers.map(p => [p.id, start ? start.keeperMinutes[p.id] || 0 : 0]));
+    let clock = start ? start.fromMinute : 0;
+    const creditTo = (time, playing, keeper) => {
+        const elapsed = time - clock;
+        if (elapsed <= 0) return;
+        playing.forEach(p => { if (p) minutesPlayed.set(p.id, minutesPlayed.get(p.id) + elapsed); });
+        if (keeper) {
+            minutesPlayed.set(keeper.id, minutesPlayed.get(keeper.id) + elapsed);
+            keeperMinutes.set(keeper.id, keeperMinutes.get(keeper.id) + elapsed);
+        }
+        clock = time;
+    };
+    return { minutesPlayed, keeperMinutes, creditTo };
+};
+
+// `formation` is the one in force: { name, positions }
+const snapshotLineup = (minute, label, playing, keeper, formation, periodStart = false) => ({
+    minute,
+    label,
+    periodStart,
+    formation: formation.name,
+    positions: formation.positions,
+    keeperId: keeper ? keeper.id : null,
+    slots: formation.positions.map((_, i) => (playing[i] ? playing[i].id : null)),
+});
+
+const summarisePlanPlayers = (allPlayers, tracker) => allPlayers
+    .filter(p => p.name.trim() !== '')
+    .map(p => ({
+        id: p.id,
+        name: p.name,
+        role: p.role,
+        targetMinutes: p.minutes,
+        manual: p.manualMinutes !== null,
+        minutesPlayed: tracker.minutesPlayed.get(p.id) || 0,
+        keeperMinutes: tracker.keeperMinutes.get(p.id) || 0,
+    }));
+
+// Availability changes: [{ playerId, minute, available }]. An injury or no-show is
+// { available: false }; a late arrival is { available: true } and implies absent before then.
+const isAvailableAt = (availability, playerId, minute) => {
+    const own = availability.filter(c => c.playerId === playerId).sort((a, b) => a.minute - b.minute);
+    if (own.length === 0) return true;
+    const latest = own.filter(c => c.minute <= minute).pop();
+    return latest ? latest.available : !own[0].available;
+};
+
+// Automatic plan. `availability` marks players injured / arriving late at a given minute.
+// `resume` re-plans the rest of a match already underway: { plan, fromMinute, lineup,
+// minutesPlayed, keeperMinutes, periodUnderway }. Events before fromMinute are kept from the
+// previous plan, minutes already played carry over, and only the remaining windows are rebuilt.
+// Scheduled formation changes (getFormationSchedule) move everyone on the pitch to the new slot that suits them best.
+// `subOffBy` picks who comes off at a sub window: longest on this period ('period') or furthest ahead of target ('target').
+const generateAutomaticPlan = (settings, playersWithMinutes, { availability = [], resume = null, subOffBy = 'period' } = {}) => {
+  const { gameFormat, matchDuration, selectedFormation, subInterval, firstSubTime, maxSubs, matchPeriods, isPermanentGK } = settings;
+  const formationChanges = getFormationSchedule(settings).slice(1);
+  // The formation in force; a re-plan carries on in whatever formation is on the pitch
+  let formationName = resume ? resume.lineup.formation : selectedFormation;
+  let positions = resume ? resume.lineup.positions : getOutfieldSlots(gameFormat, selectedFormation, settings.customFormations);
+  const kickOffPositions = resume ? resume.plan.positions : positions;
+  const outfieldSpots = positions.length;
+  const rotatingGK = !isPermanentGK;
+  const periods = getMatchPeriods(settings);
+  const fromMinute = resume ? resume.fromMinute : 0;
+  const canPlay = (p, minute) => isAvailableAt(availability, p.id, minute);
+
+  const gkSchedule = buildGKSchedule(settings, playersWithMinutes);
+  const drinksBreaks = getDrinksBreaks(settings);
+  const findPlayer = (id) => playersWithMinutes.find(p => p.id === id) || null;
+  let keeper = resume ? findPlayer(resume.lineup.keeperId) : (gkSchedule.length > 0 ? gkSchedule[0].player : null);
+
+  let allOutfieldPlayersInRotation = playersWithMinutes
+    .filter(p => (rotatingGK || p.role !== 'GK') && p.name.trim() !== '' && p.minutes > 0)
+    .filter(p => !keeper || p.id !== keeper.id)
+    .sort((a, b) => a.minutes - b.minutes);
+  // Full-match players start and are never subbed off or rested at the break
+  const isFullMatch = (p) => p.minutes >= matchDuration;
+
+  const allPlayers = playersWithMinutes;
+  const subsRequired = rotatingGK || allOutfieldPlayersInRotation.length > outfieldSpots || availability.length > 0;
+  
+  let playing = [];
+  let bench = [];
+  const events = resume ? resume.plan.events.filter(e => e.minute < fromMinute) : [];
+  const lineups = resume ? resume.plan.lineups.filter(l => l.minute < fromMinute) : [];
+  const tracker = createMinutesTracker(allPlayers, resume);
+  const owedMinutes = (p) => p.minutes - tracker.minutesPlayed.get(p.id);
+
+  const definedStarters = playersWithMinutes.filter(p => 
+      p.startingPosition && 
+      p.startingPosition !== 'Bench' && 
+      p.startingPosition !== 'GK' && 
+      p.name.trim() !== '' &&
+      (!keeper || p.id !== keeper.id)
+  );
+  if (resume) {
+      // Carry on from whoever is actually on the pitch; the bench queue starts with whoever has played least
+      playing = resume.lineup.slots.map(findPlayer);
+      bench = allOutfieldPlayersInRotation
+          .filter(p => !playing.some(pl => pl && pl.id === p.id))
+          .sort((a, b) => tracker.minutesPlayed.get(a.id) - tracker.minutesPlayed.get(b.id));
+  } else if (definedStarters.length === outfieldSpots) {
+      let starterMap = new Map();
+      definedStarters.forEach(p => {
+          const index = positions.indexOf(p.startingPosition);
+          if (index !== -1) starterMap.set(index, p);
+      });
+      playing = positions.map((_, index) => starterMap.get(index)).filter(p => p);
+      const playingIDs = playing.map(p => p.id);
+      bench = allOutfieldPlayersInRotation.filter(p => !playingIDs.includes(p.id));
+  } else {
+      let rotationQueue = [...allOutfieldPlayersInRotation.filter(isFullMatch), ...allOutfieldPlayersInRotation.filter(p => !isFullMatch(p))];
+      playing = arrangeLineup(rotationQueue.splice(0, outfieldSpots), positions);
+      bench = rotationQueue;
+  }
+
+  // Puts newKeeper in goal. The outgoing keeper takes over newKeeper's outfield slot,
+  // or goes to the bench if newKeeper was coming off the bench.
+  const changeKeeper = (newKeeper, minute, period) => {
+      const outgoing = keeper;
+      keeper = newKeeper;
+      bench = bench.filter(p => p.id !== newKeeper.id);
+      const slot = playing.findIndex(p => p && p.id === newKeeper.id);
+      if (slot !== -1) playing[slot] = outgoing;
+      else if (outgoing) bench.push(outgoing);
+      events.push({ type: 'keeper', minute, period, slot: 'GK', onId: newKeeper.id, offId: outgoing ? outgoing.id : null, offToSlot: slot !== -1 ? slot : null });
+  };
+
+  // Switches to a scheduled formation: everyone on the pitch moves to the new slot that suits them
+  // best, and fromSlots records where each new slot's player (or gap) came from
+  const changeFormation = (change, minute, period) => {
+      const arranged = arrangeLineup(playing.filter(Boolean), change.positions);
+      const emptySlots = playing.map((p, i) => (p ? null : i)).filter(i => i !== null);
+      const fromSlots = arranged.map(p => (p ? playing.indexOf(p) : emptySlots.shift()));
+      playing = arranged;
+      positions = change.positions;
+      formationName = change.name;
+      events.push({ type: 'formation', minute, period, slot: null, onId: null, offId: null, formation: change.name, positions, fromSlots });
+  };
+  const formationChangeAt = (minute) => formationChanges.find(c => c.minute === minute && c.name !== formationName);
+
+  // Takes off anyone no longer available, puts someone in an empty goal and fills empty slots
+  // from the available bench, regardless of the sub limit. Returns true if anything changed.
+  const makeForcedChanges = (minute, period) => {
+      let changed = false;
+      if (keeper ? !canPlay(keeper, minute) : gkSchedule.length > 0) {
+          const candidates = [...bench, ...playing.filter(Boolean)].filter(p => canPlay(p, minute));
+          const newKeeper = candidates.find(p => p.canPlayGK) || candidates[0];
+          if (newKeeper) { changeKeeper(newKeeper, minute, period); changed = true; }
+      }
+      playing.forEach((player, index) => {
+          if (player && canPlay(player, minute)) return;
+          const incoming = matchPlayersToSlots([index], bench.filter(p => canPlay(p, minute)), positions, owedMinutes, true).get(index);
+          if (!incoming && !player) return;
+          bench = bench.filter(p => !incoming || p.id !== incoming.id);
+          playing[index] = incoming || null;
+          if (player) bench.push(player);
+          if (incoming) events.push({ type: 'sub', minute, period, slot: index, onId: incoming.id, offId: player ? player.id : null });
+          changed = true;
+      });
+      return changed;
+  };
+
+  const availabilityMinutes = [...new Set(availability.map(c => c.minute))];
+  let currentPeriodMinutes = new Map(allPlayers.map(p => [p.id, 0]));
+
+  // At a break the period-start reset below handles everything, unless the new period is already underway
+  const resetsAt = (period) => period.number > 1 && (period.start > fromMinute || (period.start === fromMinute && !(resume && resume.periodUnderway)));
+  if (resume) {
+      const period = periods.find(p => fromMinute >= p.start && fromMinute < p.end) || periods[periods.length - 1];
+      // A change due this very minute hasn't happened yet (a period reset applies its own below)
+      const formationChange = !resetsAt(period) && formationChangeAt(fromMinute);
+      if (formationChange) changeFormation(formationChange, fromMinute, period.number);
+      const changed = (!resetsAt(period) && makeForcedChanges(fromMinute, period.number)) || !!formationChange;
+      if (changed || lineups.length === 0) {
+          lineups.push(snapshotLineup(fromMinute, lineups.length === 0 ? 'Start' : 'Re-plan', playing, keeper, { name: formationName, positions }, lineups.length === 0));
+      }
+  } else {
+      lineups.push(snapshotLineup(0, 'Start', playing, keeper, { name: formationName, positions }, true));
+  }
+
+  periods.filter(p => p.end > fromMinute).forEach(({ number: period, name: periodName, start: periodStart, end: periodEnd }) => {
+    if (resetsAt({ number: period, start: periodStart })) {
+        // Bench starts the new period; any spare slots go to whoever has played least so far.
+        // A formation change at the break comes first so the new lineup uses its slots.
+        const periodFormation = formationChangeAt(periodStart);
+        if (periodFormation) changeFormation(periodFormation, periodStart, period);
+        const onPitch = playing.filter(Boolean);
+        const availableBench = bench.filter(p => canPlay(p, periodStart));
+        const leastPlayedFirst = onPitch.filter(p => !isFullMatch(p) && canPlay(p, periodStart)).sort((a, b) => tracker.minutesPlayed.get(a.id) - tracker.minutesPlayed.get(b.id));
+        let newPlaying = arrangeLineup([...onPitch.filter(p => isFullMatch(p) && canPlay(p, periodStart)), ...availableBench, ...leastPlayedFirst].slice(0, outfieldSpots), positions);
+        let newBench = [...onPitch, ...bench].filter(p => !newPlaying.some(np => np && np.id === p.id));
+        playing = newPlaying; bench = newBench;
+        currentPeriodMinutes.forEach((v, k) => currentPeriodMinutes.set(k, 0));
+
+        const periodKeeper = gkSchedule.find(s => s.start === periodStart);
+        if (periodKeeper && (!keeper || periodKeeper.player.id !== keeper.id) && canPlay(periodKeeper.player, periodStart)) changeKeeper(periodKeeper.player, periodStart, period);
+        makeForcedChanges(periodStart, period);
+
+        lineups.push(snapshotLineup(periodStart, periodName, playing, keeper, { name: formationName, positions }, true));
+    }
+
+    // Sub windows plus any mid-period keeper, availability and formation changes, in time order.
+    // Drinks breaks are sub windows too; with stoppage subs they and the break at the end of the
+    // period are the only ones.
+    const subTimes = new Set(drinksBreaks.filter(t => t > Math.max(periodStart, fromMinute) && t < periodEnd));
+    if (settings.subRule === 'stoppage') {
+        if (periodEnd < matchDuration && periodEnd > fromMinute) subTimes.add(periodEnd);
+    } else {
+        for (let t = periodStart + firstSubTime; t < periodEnd; t += subInterval) if (t > fromMinute) subTimes.add(t);
+    }
+    const keeperChanges = gkSchedule.filter(s => s.start > Math.max(periodStart, fromMinute) && s.start < periodEnd);
+    const forcedTimes = availabilityMinutes.filter(t => t > Math.max(periodStart, fromMinute) && t < periodEnd);
+    const formationTimes = formationChanges.map(c => c.minute).filter(t => t > Math.max(periodStart, fromMinute) && t < periodEnd);
+    const eventTimes = [...new Set([...subTimes, ...keeperChanges.map(s => s.start), ...forcedTimes, ...formationTimes])].sort((a, b) => a - b);
+    let lastEventTime = Math.max(periodStart, fromMinute);
+
+    for (const time of eventTimes) {
+      const elapsed = time - lastEventTime;
+      playing.forEach(player => { if (player) currentPeriodMinutes.set(player.id, (currentPeriodMinutes.get(player.id) || 0) + elapsed); });
+      tracker.creditTo(time, playing, keeper);
+      lastEventTime = time;
+      const eventLabels = [];
+
+      const formationChange = formationChangeAt(time);
+      if (formationChange) {
+          changeFormation(formationChange, time, period);
+          eventLabels.push('Formation');
+      }
+
+      if (forcedTimes.includes(time) && makeForcedChanges(time, period)) eventLabels.push('Availability');
+
+      const keeperChange = keeperChanges.find(s => s.start === time);
+      if (keeperChange && (!keeper || keeperChange.player.id !== keeper.id) && canPlay(keeperChange.player, time)) {
+          changeKeeper(keeperChange.player, time, period);
+          eventLabels.push('GK Change');
+      }
+
+      const availableBench = bench.filter(p => canPlay(p, time));
+      if (subTimes.has(time) && availableBench.length > 0) {
+          const outgoingCandidates = playing.map((player, index) => (
+              { player, position: positions[index], index, periodTimePlayed: player ? currentPeriodMinutes.get(player.id) || 0 : Infinity }
+          )).filter(c => !c.player || !isFullMatch(c.player));
+          // Longest on this period comes off first; ties (e.g. just after a re-plan) go to whoever has played most overall.
+          // With subOffBy 'target', whoever is furthest ahead of her target comes off first instead.
+          const totalPlayed = (c) => (c.player ? tracker.minutesPlayed.get(c.player.id) : -1);
+          const owed = (c) => (c.player ? owedMinutes(c.player) : -Infinity);
+          outgoingCandidates.sort(subOffBy === 'target'
+              ? (a, b) => owed(a) - owed(b) || b.periodTimePlayed - a.periodTimePlayed
+              : (a, b) => b.periodTimePlayed - a.periodTimePlayed || totalPlayed(b) - totalPlayed(a));
+          const subsForThisWindow = Math.min(maxSubs, availableBench.length);
+          const playersToSubOut = outgoingCandidates.slice(0, subsForThisWindow);
+          // Bench players go where they fit best, traded against minutes owed; nobody goes where they never play
+          const incomingBySlot = matchPlayersToSlots(playersToSubOut.map(o => o.index), availableBench, positions, owedMinutes);
+          let subsMade = 0;
+          playersToSubOut.forEach((outgoing) => {
+              const incoming = incomingBySlot.get(outgoing.index);
+              if (!incoming) return;
+              bench = bench.filter(p => p.id !== incoming.id);
+              playing[outgoing.index] = incoming;
+              events.push({ type: 'sub', minute: time, period, slot: outgoing.index, onId: incoming.id, offId: outgoing.player ? outgoing.player.id : null });
+              if (outgoing.player) bench.push(outgoing.player);
+              subsMade++;
+          });
+          if (subsMade > 0) eventLabels.push('Sub');
+      }
+
+      if (eventLabels.length > 0) lineups.push(snapshotLineup(time, eventLabels.join(' + '), playing, keeper, { name: formationName, positions }));
+    }
+    tracker.creditTo(periodEnd, playing, keeper);
+  });
+
+  const nameOf = (id) => (findPlayer(id) || { name: 'Removed player' }).name;
+  const issues = availability
+      .slice()
+      .sort((a, b) => a.minute - b.minute)
+      .map(c => `${formatMinute(c.minute)} - ${nameOf(c.playerId)} ${c.available ? 'available' : 'unavailable'} from this minute.`);
+  if (playing.some(p => !p)) issues.push('Not enough available players to fill every slot; the team plays short.');
+  if (gkSchedule.length > 0 && lineups.some(l => !l.keeperId)) issues.push('No goalkeeper available; the team plays without one until someone can go in goal.');
+
+  return {
+      planType: 'Automatic',
+      gameFormat,
+      formation: selectedFormation,
+      positions: kickOffPositions,
+      matchDuration,
+      matchPeriods,
+      periods,
+      isPermanentGK,
+      gkSchedule: gkSchedule.map(s => ({ start: s.start, playerId: s.player.id })),
+      subsRequired: subsRequired || formationChanges.length > 0,
+      events,
+      lineups,
+      players: summarisePlanPlayers(allPlayers, tracker),
+      positionFit: summarisePositionFit(lineups, allPlayers, matchDuration),
+      issues,
+  };
+};
+
+// Manual plan (Premiership): replays the coach's substitutions into a MatchPlan.
+// Each sub names a minute, a slot (index into the formation, or 'GK') and the player coming on;
+// whoever is in that slot at that minute comes off. Subs that no longer fit are skipped and reported.
+const buildManualPlan = (settings, playersWithMinutes, manualSubs) => {
+  const { gameFormat, matchDuration, selectedFormation, matchPeriods, isPermanentGK } = settings;
+  const positions = getOutfieldSlots(gameFormat, selectedFormation, settings.customFormations);
+  const allPlayers = playersWithMinutes.filter(p => p.name.trim() !== '');
+  const periods = getMatchPeriods(settings);
+
+  const gkSchedule = buildGKSchedule(settings, allPlayers);
+  let keeper = gkSchedule.length > 0 ? gkSchedule[0].player : null;
+  let playing = positions.map(pos => allPlayers.find(p => p.startingPosition === pos && (!keeper || p.id !== keeper.id)) || null);
+
+  const tracker = createMinutesTracker(allPlayers);
+  const isOnPitch = (player) => (keeper && keeper.id === player.id) || playing.some(p => p && p.id === player.id);
+
+  const events = [];
+  const formation = { name: selectedFormation, positions };
+  const lineups = [snapshotLineup(0, 'Start', playing, keeper, formation, true)];
+  const issues = [];
+
+  const sortedSubs = manualSubs.filter(s => s.time > 0 && s.time < matchDuration).sort((a, b) => a.time - b.time);
+  const subTimes = [...new Set(sortedSubs.map(s => s.time))];
+
+  subTimes.forEach(time => {
+      tracker.creditTo(time, playing, keeper);
+      const period = (periods.find(p => time >= p.start && time < p.end) || periods[periods.length - 1]).number;
+      let subsMade = 0;
+      sortedSubs.filter(s => s.time === time).forEach(sub => {
+          const incoming = allPlayers.find(p => p.id === sub.onId);
+          if (!incoming || isOnPitch(incoming)) {
+              issues.push(`${time}:00 - ${incoming ? incoming.name : 'Removed player'} is not on the bench at this point; sub skipped.`);
+              return;
+          }
+          if (sub.slot === 'GK') {
+              events.push({ type: 'sub', minute: time, period, slot: 'GK', onId: incoming.id, offId: keeper ? keeper.id : null });
+              keeper = incoming;
+          } else {
+              const index = Number(sub.slot);
+              events.push({ type: 'sub', minute: time, period, slot: index, onId: incoming.id, offId: playing[index] ? playing[index].id : null });
+              playing[index] = incoming;
+          }
+          subsMade++;
+      });
+      if (subsMade > 0) lineups.push(snapshotLineup(time, 'Sub', playing, keeper, formation));
+  });
+  tracker.creditTo(matchDuration, playing, keeper);
+
+  return {
+      planType: 'Manual',
+      gameFormat,
+      formation: selectedFormation,
+      positions,
+      matchDuration,
+      matchPeriods,
+      periods,
+      isPermanentGK,
+      gkSchedule: keeper ? gkSchedule.slice(0, 1).map(s => ({ start: s.start, playerId: s.player.id })) : [],
+      subsRequired: true,
+      events,
+      lineups,
+      players: summarisePlanPlayers(allPlayers, tracker),
+      positionFit: summarisePositionFit(lineups, allPlayers, matchDuration),
+      issues,
+  };
+};
+
+// --- ROTATION SOLVER ---
+
+// Search limits for optimiseAutomaticPlan, whichever comes first; the iteration cap keeps the result the same
+// from one run to the next on a quick device
+const SOLVER_TIME_BUDGET_MS = 1500;
+const SOLVER_MAX_ITERATIONS = 20000;
+// What each shortcoming costs a rotation (lower is better): per minute off target, per minute past the longest
+// allowed bench spell, per minute in a 'never' slot, per fit level below preferred per minute, per sub and per sub window used
+const SOLVER_WEIGHTS = { minutesOff: 10, benchOver: 5, never: 50, fit: 0.05, sub: 1, window: 2 };
+
+// Seeded random numbers in [0, 1) (mulberry32), so the solver finds the same plan for the same match
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Every minute the lineup can change, in order: { minute, until, period, isBreak, isWindow, keeperId, formation }.
+// Period starts (isBreak) allow any changes; sub windows allow up to maxSubs, on the same rules as the greedy generator
+// (firstSubTime then every subInterval, drinks breaks, or only drinks breaks with stoppage subs); keeper and
+// formation changes allow nothing else.
+const getRotationPoints = (settings, gkSchedule) => {
+    const { matchDuration, firstSubTime, subInterval } = settings;
+    const periods = getMatchPeriods(settings);
+    const formations = getFormationSchedule(settings);
+    const windows = new Set(getDrinksBreaks(settings));
+    if (settings.subRule !== 'stoppage') {
+        periods.forEach(p => { for (let t = p.start + firstSubTime; t < p.end; t += subInterval) windows.add(t); });
+    }
+    const minutes = [...new Set([...periods.map(p => p.start), ...windows, ...gkSchedule.map(s => s.start), ...formations.map(f => f.minute)])]
+        .filter(minute => minute >= 0 && minute < matchDuration)
+        .sort((a, b) => a - b);
+    return minutes.map((minute, i) => {
+        const period = periods.find(p => minute >= p.start && minute < p.end) || periods[periods.length - 1];
+        const stint = gkSchedule.filter(s => s.start <= minute).pop();
+        return {
+            minute,
+            until: i + 1 < minutes.length ? minutes[i + 1] : matchDuration,
+            period,
+            isBreak: minute === period.start,
+            isWindow: windows.has(minute),
+            keeperId: stint ? stint.player.id : null,
+            formation: formations.filter(f => f.minute <= minute).pop(),
+        };
+    });
+};
+
+// Puts a rotation (who is on the outfield at each rotation point) into slots the way the greedy generator would:
+// a full arrangement at kick-off and each period start, otherwise stayers keep their slots, the old keeper takes
+// the new keeper's slot and incoming players fill what is left. One step per point, with the changes it records.
+// `startSlots` keeps a kick-off lineup the coach picked in the lineup editor as it is.
+const layOutRotation = (points, rotation, findPlayer, startSlots = null) => {
+    const arrange = (ids, positions) => arrangeLineup(ids.map(findPlayer), positions).map(p => (p ? p.id : null));
+    let slots = [], keeperId = null, formationName = null, positions = [];
+    return points.map((point, k) => {
+        const onPitch = rotation[k];
+        const step = { point, formationChange: null, keeperChange: null, subs: [] };
+        if (k === 0) {
+            positions = point.formation.positions;
+            formationName = point.formation.name;
+            keeperId = point.keeperId;
+            slots = startSlots || arrange(onPitch, positions);
+            return { ...step, positions, slots };
+        }
+        if (point.formation.name !== formationName) {
+            const arranged = arrange(slots.filter(Boolean), point.formation.positions);
+            const emptySlots = slots.map((id, i) => (id ? null : i)).filter(i => i !== null);
+            const fromSlots = arranged.map(id => (id ? slots.indexOf(id) : emptySlots.shift()));
+            positions = point.formation.positions;
+            formationName = point.formation.name;
+            slots = arranged;
+            step.formationChange = { formation: formationName, positions, fromSlots };
+        } else {
+            slots = [...slots];
+        }
+        if (point.keeperId !== keeperId) {
+            const slot = slots.indexOf(point.keeperId);
+            if (slot !== -1) slots[slot] = keeperId;
+            step.keeperChange = { onId: point.keeperId, offId: keeperId, offToSlot: slot !== -1 ? slot : null };
+            keeperId = point.keeperId;
+        }
+        if (point.isBreak) {
+            slots = arrange(onPitch, positions);
+            if (step.keeperChange) {
+                const slot = slots.indexOf(step.keeperChange.offId);
+                step.keeperChange.offToSlot = slot !== -1 ? slot : null;
+            }
+        } else {
+            const incoming = onPitch.filter(id => !slots.includes(id));
+            const vacated = slots.map((id, i) => (id && onPitch.includes(id) ? null : i)).filter(i => i !== null);
+            const matched = matchPlayersToSlots(vacated, incoming.map(findPlayer), positions, () => 0, true);
+            vacated.forEach(i => {
+                const player = matched.get(i);
+                if (!player) return;
+                step.subs.push({ slot: i, onId: player.id, offId: slots[i] });
+                slots[i] = player.id;
+            });
+        }
+        return { ...step, positions, slots };
+    });
+};
+
+// Alternative to the greedy generator: searches for the automatic plan that gets every player closest to her
+// exact target minutes (manual overrides included). The match is split at every rotation point and the solver
+// picks who is on the outfield for each stretch, within the sub limit at each window. It starts from the greedy
+// plan and swaps a player on for one off across a run of stretches (simulated annealing), scoring each rotation
+// with SOLVER_WEIGHTS: minutes off target first, then bench spells over settings.maxBenchSpell, position fit and
+// the number of subs and stoppages. The best rotation found within the time budget is kept, so by that score it
+// is never worse than the greedy plan. Live re-plans (availability, resume) stay with generateAutomaticPlan.
+const optimiseAutomaticPlan = (settings, playersWithMinutes, { subOffBy = 'period', timeBudgetMs = SOLVER_TIME_BUDGET_MS, maxIterations = SOLVER_MAX_ITERATIONS, seed = 1 } = {}) => {
+    const greedy = generateAutomaticPlan(settings, playersWithMinutes, { subOffBy });
+    if (!greedy.subsRequired) return { ...greedy, solver: 'optimise' };
+
+    const { maxSubs, maxBenchSpell, isPermanentGK } = settings;
+    const findPlayer = (id) => playersWithMinutes.find(p => p.id === id) || null;
+    const points = getRotationPoints(settings, buildGKSchedule(settings, playersWithMinutes));
+    const pool = playersWithMinutes.filter(p => (!isPermanentGK || p.role !== 'GK') && p.name.trim() !== '' && p.minutes > 0);
+
+    // Start from the greedy plan: who it has on the outfield at each rotation point
+    const greedyLineupAt = (minute) => greedy.lineups.filter(l => l.minute <= minute).pop();
+    let rotation = points.map(point => greedyLineupAt(point.minute).slots.filter(Boolean));
+    // When the greedy plan kicks off with the starters picked in the lineup editor, they stay as picked
+    const kickOff = greedy.lineups[0];
+    const startSlots = kickOff.slots.every((id, i) => id && findPlayer(id).startingPosition === kickOff.positions[i]) ? kickOff.slots : null;
+    const layOut = (candidate) => layOutRotation(points, candidate, findPlayer, startSlots);
+
+    // Voluntary changes at point k: anyone coming on other than the old keeper taking the new keeper's place
+    const changesAt = (candidate, k) => {
+        const previous = candidate[k - 1];
+        const { keeperId } = points[k];
+        const expected = keeperId !== points[k - 1].keeperId && previous.includes(keeperId)
+            ? previous.map(id => (id === keeperId ? points[k - 1].keeperId : id))
+            : previous;
+        return candidate[k].filter(id => !expected.includes(id)).length;
+    };
+    const isFeasibleAt = (candidate, k) => {
+        if (k <= 0 || k >= points.length || points[k].isBreak) return true;
+        return changesAt(candidate, k) <= (points[k].isWindow ? maxSubs : 0);
+    };
+
+    const scoreRotation = (candidate) => {
+        const steps = layOut(candidate);
+        const minutes = new Map(pool.map(p => [p.id, 0]));
+        const benchSpell = new Map(pool.map(p => [p.id, 0]));
+        let cost = 0;
+        steps.forEach(step => {
+            const length = step.point.until - step.point.minute;
+            step.slots.forEach((id, i) => {
+                if (!id) return;
+                if (minutes.has(id)) minutes.set(id, minutes.get(id) + length);
+                const fit = getPositionFit(findPlayer(id), step.positions[i]);
+                cost += length * (fit === 'never' ? SOLVER_WEIGHTS.never : SOLVER_WEIGHTS.fit * (POSITION_FIT_SCORES.preferred - POSITION_FIT_SCORES[fit]));
+            });
+            if (minutes.has(step.point.keeperId)) minutes.set(step.point.keeperId, minutes.get(step.point.keeperId) + length);
+            if (maxBenchSpell) {
+                pool.forEach(p => {
+                    const onPitch = step.slots.includes(p.id) || step.point.keeperId === p.id;
+                    const before = benchSpell.get(p.id);
+                    const after = onPitch ? 0 : before + length;
+                    cost += SOLVER_WEIGHTS.benchOver * (Math.max(0, after - maxBenchSpell) - Math.max(0, before - maxBenchSpell));
+                    benchSpell.set(p.id, after);
+                });
+            }
+            cost += SOLVER_WEIGHTS.sub * step.subs.length;
+            if (step.subs.length > 0) cost += SOLVER_WEIGHTS.window;
+        });
+        pool.forEach(p => { cost += SOLVER_WEIGHTS.minutesOff * Math.abs(minutes.get(p.id) - p.minutes); });
+        return cost;
+    };
+
+    const random = createRandom(seed);
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const startedAt = Date.now();
+    let cost = scoreRotation(rotation);
+    let best = { rotation, cost };
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        const elapsed = Date.now() - startedAt;
+        if (elapsed >= timeBudgetMs) break;
+        const temperature = 20 * (1 - Math.max(iteration / maxIterations, elapsed / timeBudgetMs)) + 0.1;
+
+        // Swap one player on for one off, from point k for a random run of points
+        const k = Math.floor(random() * points.length);
+        if (k === 0 && startSlots) continue;
+        const on = rotation[k];
+        const off = pool.filter(p => !on.includes(p.id) && p.id !== points[k].keeperId).map(p => p.id);
+        if (on.length === 0 || off.length === 0) continue;
+        const outId = pick(on);
+        const inId = pick(off);
+        const runLength = 1 + Math.floor(random() * points.length);
+        let end = k;
+        while (end + 1 < points.length && end + 1 - k < runLength
+            && rotation[end + 1].includes(outId) && !rotation[end + 1].includes(inId) && points[end + 1].keeperId !== inId) {
+            end++;
+        }
+        const candidate = rotation.map((ids, i) => (i < k || i > end ? ids : ids.map(id => (id === outId ? inId : id))));
+        if (!isFeasibleAt(candidate, k) || !isFeasibleAt(candidate, end + 1)) continue;
+
+        const candidateCost = scoreRotation(candidate);
+        if (candidateCost <= cost || random() < Math.exp((cost - candidateCost) / temperature)) {
+            rotation = candidate;
+            cost = candidateCost;
+            if (cost < best.cost) best = { rotation, cost };
+        }
+    }
+    return buildRotationPlan(settings, playersWithMinutes, greedy, layOut(best.rotation));
+};
+
+// A laid-out rotation as a MatchPlan, with the same events and lineups the greedy generator would record for it
+const buildRotationPlan = (settings, playersWithMinutes, greedy, steps) => {
+    const findPlayer = (id) => playersWithMinutes.find(p => p.id === id) || null;
+    const tracker = createMinutesTracker(playersWithMinutes);
+    const events = [];
+    const lineups = [];
+    steps.forEach((step, k) => {
+        const { minute, until, period, isBreak } = step.point;
+        const formation = { name: step.point.formation.name, positions: step.positions };
+        const playing = step.slots.map(findPlayer);
+        const keeper = findPlayer(step.point.keeperId);
+        const eventLabels = [];
+        if (step.formationChange) {
+            events.push({ type: 'formation', minute, period: period.number, slot: null, onId: null, offId: null, ...step.formationChange });
+            eventLabels.push('Formation');
+        }
+        if (step.keeperChange) {
+            events.push({ type: 'keeper', minute, period: period.number, slot: 'GK', ...step.keeperChange });
+            eventLabels.push('GK Change');
+        }
+        step.subs.forEach(sub => events.push({ type: 'sub', minute, period: period.number, ...sub }));
+        if (step.subs.length > 0) eventLabels.push('Sub');
+
+        if (k === 0) lineups.push(snapshotLineup(minute, 'Start', playing, keeper, formation, true));
+        else if (isBreak) lineups.push(snapshotLineup(minute, period.name, playing, keeper, formation, true));
+        else if (eventLabels.length > 0) lineups.push(snapshotLineup(minute, eventLabels.join(' + '), playing, keeper, formation));
+        tracker.creditTo(until, playing, keeper);
+    });
+    return {
+        ...greedy,
+        events,
+        lineups,
+        players: summarisePlanPlayers(playersWithMinutes, tracker),
+        positionFit: summarisePositionFit(lineups, playersWithMinutes, settings.matchDuration),
+        issues: steps.some(step => step.slots.some(id => !id)) ? ['Not enough available players to fill every slot; the team plays short.'] : [],
+        solver: 'optimise',
+    };
+};
+
+// --- PLAN FAIRNESS ---
+
+// Minutes a player can be short of her target before the report flags her
+const FAIRNESS_SHORT_BY = 3;
+// What each measure adds to a plan's score (lower is fairer): per minute off target, per minute of the longest
+// bench spell, per stoppage, per slot out of position and per player benched at two period starts in a row
+const FAIRNESS_WEIGHTS = { minutesOff: 1, longestBench: 0.5, stoppages: 2, outOfPosition: 2, repeatBenchStarts: 5 };
+
+// Alternative automatic plans for the same match, compared with analysePlanFairness. `settings` returns the sub
+// settings a candidate changes, `options` go to the generator; the first keeps the coach's settings as they are.
+const PLAN_CANDIDATES = [
+    { name: 'Your settings', description: 'Your sub settings; whoever has been on longest this period comes off.' },
+    { name: 'Minutes first', description: 'Your sub settings; whoever is furthest ahead of her target comes off.', options: { subOffBy: 'target' } },
+    { name: 'Extra sub', description: 'One more change at each sub window, furthest ahead of target off first.',
+        settings: (settings) => ({ maxSubs: settings.maxSubs + 1 }), options: { subOffBy: 'target' } },
+    { name: 'Fewer stoppages', description: 'Sub windows half as often, with one more change at each.',
+        settings: (settings) => ({ subInterval: settings.subInterval * 2, maxSubs: settings.maxSubs + 1 }), options: { subOffBy: 'target' } },
+];
+
+// How fairly a plan (automatic or manual) shares the match out: per rotation player (not a permanent GK, target above
+// zero) target vs planned minutes and longest bench spell; minutes off target in total, who is short, stoppages outside
+// the period breaks, slots out of position, who sits on the bench at two period starts in a row, and a weighted score.
+const analysePlanFairness = (plan) => {
+    const rotation = plan.players.filter(p => !(plan.isPermanentGK && p.role === 'GK') && p.targetMinutes > 0);
+    const isOnPitch = (lineup, id) => lineup.keeperId === id || lineup.slots.includes(id);
+    const lineupAt = (minute) => plan.lineups.filter(l => l.minute <= minute).pop();
+
+    const players = rotation.map(p => {
+        let spell = 0, longestBench = 0;
+        plan.lineups.forEach((lineup, i) => {
+            const until = i + 1 < plan.lineups.length ? plan.lineups[i + 1].minute : plan.matchDuration;
+            spell = isOnPitch(lineup, p.id) ? 0 : spell + until - lineup.minute;
+            longestBench = Math.max(longestBench, spell);
+        });
+        return { id: p.id, name: p.name, targetMinutes: p.targetMinutes, minutesPlayed: p.minutesPlayed, difference: p.minutesPlayed - p.targetMinutes, longestBench };
+    });
+
+    const periodStarts = plan.periods.map(period => period.start);
+    const stoppages = new Set(plan.events.filter(e => !periodStarts.includes(e.minute)).map(e => e.minute)).size;
+    const startLineups = periodStarts.map(lineupAt);
+    const repeatBenchStarts = rotation
+        .filter(p => startLineups.some((lineup, i) => i > 0 && !isOnPitch(lineup, p.id) && !isOnPitch(startLineups[i - 1], p.id)))
+        .map(p => p.name);
+
+    const minutesOff = players.reduce((sum, p) => sum + Math.abs(p.difference), 0);
+    const longestBench = Math.max(0, ...players.map(p => p.longestBench));
+    const outOfPosition = plan.positionFit.outOfPosition;
+    const score = FAIRNESS_WEIGHTS.minutesOff * minutesOff + FAIRNESS_WEIGHTS.longestBench * longestBench + FAIRNESS_WEIGHTS.stoppages * stoppages
+        + FAIRNESS_WEIGHTS.outOfPosition * outOfPosition + FAIRNESS_WEIGHTS.repeatBenchStarts * repeatBenchStarts.length;
+    return {
+        players, minutesOff, shortOfTarget: players.filter(p => p.difference < -FAIRNESS_SHORT_BY).map(p => p.name),
+        longestBench, stoppages, outOfPosition, repeatBenchStarts, score: Math.round(score * 10) / 10,
+    };
+};
+
+// The automatic plan for one of the PLAN_CANDIDATES (the first if the name is unknown), tagged with its name.
+// With settings.rotationSolver 'optimise' it comes from optimiseAutomaticPlan, except for live re-plans (options.resume).
+const generateCandidatePlan = (settings, playersWithMinutes, candidateName, options = {}) => {
+    const candidate = PLAN_CANDIDATES.find(c => c.name === candidateName) || PLAN_CANDIDATES[0];
+    const candidateSettings = candidate.settings ? { ...settings, ...candidate.settings(settings) } : settings;
+    const generate = settings.rotationSolver === 'optimise' && !options.resume ? optimiseAutomaticPlan : generateAutomaticPlan;
+    return { ...generate(candidateSettings, playersWithMinutes, { ...candidate.options, ...options }), candidate: candidate.name };
+};
+
+// Every candidate with its plan and fairness report; candidates that come out the same as an earlier one are left out.
+// The optimising solver's time budget is shared between the candidates; solverOptions (e.g. a fixed maxIterations
+// with no time budget, for the same plans on every run) go to optimiseAutomaticPlan.
+const generatePlanCandidates = (settings, playersWithMinutes, solverOptions = {}) => PLAN_CANDIDATES
+    .map(({ name, description }) => {
+        const plan = generateCandidatePlan(settings, playersWithMinutes, name, { timeBudgetMs: SOLVER_TIME_BUDGET_MS / PLAN_CANDIDATES.length, ...solverOptions });
+        return { name, description, plan, fairness: analysePlanFairness(plan) };
+    })
+    .filter((candidate, i, all) => !all.slice(0, i).some(c => JSON.stringify(c.plan.lineups) === JSON.stringify(candidate.plan.lineups)));
+
+// --- PLAN RENDERERS ---
+
+const formatMinute = (minute) => (minute === 0 ? '0:00' : `${String(minute).padStart(2, '0')}:00`);
+const getPlanPlayer = (plan, id) => plan.players.find(p => p.id === id) || { id, name: 'Empty', role: 'Outfield' };
+const getSlotName = (positions, slot) => (slot === 'GK' ? 'GK' : positions[slot]);
+// Outfield positions in force when plan.events[eventIndex] happens: those of the latest formation change before it
+const getEventPositions = (plan, eventIndex) => {
+    const change = plan.events.slice(0, eventIndex).reverse().find(e => e.type === 'formation');
+    return change ? change.positions : plan.positions;
+};
+
+// Position of every plan player in a lineup snapshot ('GK', a slot name or 'Bench')
+const getLineupPlayers = (plan, lineup) => plan.players.map(p => {
+    const slot = lineup.slots.indexOf(p.id);
+    return { ...p, position: lineup.keeperId === p.id ? 'GK' : (slot !== -1 ? lineup.positions[slot] : 'Bench') };
+});
+
+// Lineups in the { time, formation, players } shape the timeline and PositionVisualizer step through
+const getDisplayLineups = (plan) => plan.lineups.map(lineup => ({
+    time: `${formatMinute(lineup.minute)} (${lineup.label})`,
+    formation: lineup.formation,
+    players: getLineupPlayers(plan, lineup),
+}));
+
+// The lineup on the pitch at `minute` (the last snapshot taken at or before it)
+const getLineupAt = (plan, minute) => plan.lineups.filter(lineup => lineup.minute <= minute).pop() || plan.lineups[0];
+
+// Minutes each plan player has been on the pitch (GK included) by `minute`, which may be fractional
+const getMinutesPlayedAt = (plan, minute) => {
+    const played = new Map(plan.players.map(p => [p.id, 0]));
+    plan.lineups.forEach((lineup, i) => {
+        const end = Math.min(minute, i + 1 < plan.lineups.length ? plan.lineups[i + 1].minute : plan.matchDuration);
+        if (end <= lineup.minute) return;
+        [lineup.keeperId, ...lineup.slots].forEach(id => { if (played.has(id)) played.set(id, played.get(id) + end - lineup.minute); });
+    });
+    return played;
+};
+
+const positionFitText = ({ stints, minutes, outOfPosition }) =>
+    `--- POSITION FIT ---\n`
+    + `Slots filled: ${stints.preferred} preferred, ${stints.secondary} secondary, ${stints.line} same line, ${outOfPosition} out of position`
+    + `${stints.never > 0 ? ` (${stints.never} where the player never plays)` : ''}\n`
+    + `Minutes out of position: ${minutes.other + minutes.never}\n`;
+
+const fairnessText = (fairness) => {
+    const offBy = (difference) => (difference === 0 ? 'on target' : `${Math.abs(difference)} ${difference < 0 ? 'short' : 'over'}`);
+    let text = `--- FAIRNESS REPORT ---\n`;
+    fairness.players.forEach(p => { text += `${p.name}: ${p.minutesPlayed} of ${p.targetMinutes} target mins (${offBy(p.difference)}), longest on the bench ${p.longestBench} mins\n`; });
+    text += `Minutes off target: ${fairness.minutesOff} in total${fairness.shortOfTarget.length > 0 ? ` - SHORT: ${fairness.shortOfTarget.join(', ')}` : ''}\n`;
+    text += `Stoppages for changes: ${fairness.stoppages}\n`;
+    if (fairness.repeatBenchStarts.length > 0) text += `On the bench at two period starts in a row: ${fairness.repeatBenchStarts.join(', ')}\n`;
+    return text + `Fairness score: ${fairness.score} (lower is fairer)\n`;
+};
+
+const renderPlanText = (plan) => {
+  const { gameFormat, matchDuration, matchPeriods, periods, positions } = plan;
+  const nameOf = (id) => getPlanPlayer(plan, id).name;
+  const slotName = (e, slot) => getSlotName(getEventPositions(plan, plan.events.indexOf(e)), slot);
+  const subCount = plan.events.filter(e => e.type === 'sub').length;
+  const formationChanges = plan.events.filter(e => e.type === 'formation');
+
+  const minutesSummary = [...plan.players]
+      .sort((a, b) => (a.role==='GK'&&b.role!=='GK')?-1:(a.role!=='GK'&&b.role==='GK')?1:a.name.localeCompare(b.name))
+      .map(p => `${p.name} (${p.role}): ${p.targetMinutes} mins${p.manual ? ' (Manual)' : ''} | Planned: ${p.minutesPlayed} mins${p.keeperMinutes > 0 ? ` (${p.keeperMinutes} in goal)` : ''}`)
+      .join('\n');
+  const summaryText = `\n\n--- PLAYER MINUTES SUMMARY ---\n\n${minutesSummary}\n\n------------------------------\n\n`;
+
+  if (!plan.subsRequired) {
+      const playerCount = plan.lineups[0].slots.filter(Boolean).length + (plan.lineups[0].keeperId ? 1 : 0);
+      return `--- Match Info ---\nFormat: ${gameFormat} (${matchPeriods})\nDuration: ${matchDuration} min (${describePeriods(periods)})\n\nAll ${playerCount} players can play the full match duration or their manually set minutes. No substitutions required for minutes management.` + summaryText;
+  }
+
+  const lineupText = (lineup) => {
+      let block = lineup.keeperId ? `GK: ${nameOf(lineup.keeperId)}\n` : '';
+      lineup.slots.forEach((id, i) => { block += `${lineup.positions[i]}: ${id ? nameOf(id) : 'Empty'}\n`; });
+      return block;
+  };
+  const eventsText = (events) => {
+      let block = '';
+      events.filter(e => e.type === 'formation').forEach(e => {
+          // Mid-period, show where everyone moves to (a period start lists its lineup anyway)
+          const lineup = plan.lineups.find(l => l.minute === e.minute && !l.periodStart);
+          block += `--- Formation Change at ${formatMinute(e.minute)}: ${e.formation} ---\n${lineup ? lineupText(lineup) : ''}\n`;
+      });
+      events.filter(e => e.type === 'keeper').forEach(e => {
+          const destination = e.offToSlot !== null ? `${slotName(e, e.offToSlot)} slot` : 'Bench';
+          block += `--- Keeper Change at ${formatMinute(e.minute)} ---\nIN GOAL: ${nameOf(e.onId)} | OUT OF GOAL: ${nameOf(e.offId)} (to ${destination})\n\n`;
+      });
+      const subs = events.filter(e => e.type === 'sub');
+      if (subs.length > 0) {
+          block += `--- Substitution at ${formatMinute(subs[0].minute)} ---\n`;
+          subs.forEach(e => { block += `ON: ${nameOf(e.onId)} (${slotName(e, e.slot)} slot) | OFF: ${e.offId ? nameOf(e.offId) : 'Empty'}\n`; });
+          block += `\n`;
+      }
+      return block;
+  };
+
+  let text = `--- Match Info ---\nFormat: ${gameFormat} (${matchPeriods})\nDuration: ${matchDuration} min (${describePeriods(periods)})\n\n`;
+  if (plan.planType === 'Manual') text += `Plan Type: Manual\n`;
+  if (plan.isPermanentGK) {
+      text += `GK: ${plan.gkSchedule.length > 0 ? nameOf(plan.gkSchedule[0].playerId) : 'Unassigned GK'}\n`;
+  } else {
+      text += `GK Rotation: ${plan.gkSchedule.map(s => `${nameOf(s.playerId)} (${s.start}:00)`).join(' → ') || 'No GK-willing players'}\n`;
+  }
+  text += `Formation: ${plan.formation} (${positions.length} outfield slots)\n`;
+  if (formationChanges.length > 0) text += `Formation changes: ${formationChanges.map(e => `${e.formation} (${e.minute}:00)`).join(' → ')}\n`;
+  text += `\n`;
+
+  periods.forEach(period => {
+      const periodEvents = plan.events.filter(e => e.period === period.number);
+      const changesAtStart = period.number > 1 ? periodEvents.filter(e => e.type !== 'sub' && e.minute === period.start) : [];
+      if (period.number === 1) {
+          text += `--- STARTING LINEUP (0:00) ---\n${lineupText(plan.lineups[0])}\n`;
+      } else {
+          const reset = plan.planType === 'Automatic' ? ' - ROTATION RESET FOR EVEN MINUTES' : '';
+          text += `\n*** ${period.name} START (${period.start}:00)${reset} ***\n\n`;
+          text += eventsText(changesAtStart);
+          const periodLineup = plan.lineups.find(l => l.periodStart && l.minute === period.start);
+          if (periodLineup) text += `--- STARTING LINEUP (${period.start}:00) ---\n${lineupText(periodLineup)}\n`;
+      }
+      const otherEvents = periodEvents.filter(e => !changesAtStart.includes(e));
+      [...new Set(otherEvents.map(e => e.minute))].forEach(minute => {
+          text += eventsText(otherEvents.filter(e => e.minute === minute));
+      });
+  });
+
+  text += `--- Match End (${matchDuration}:00) ---\n`;
+  text += `Total substitutions made: ${subCount}. \n\n`;
+  if (plan.issues.length > 0) text += `--- PLAN WARNINGS ---\n${plan.issues.join('\n')}\n\n`;
+  text += `${positionFitText(plan.positionFit)}\n`;
+  text += plan.planType === 'Manual'
+      ? '***Note: Manual plan built by the coach. Planned minutes are what this plan actually gives each player.***'
+      : plan.solver === 'optimise'
+          ? '***Note: Rotation optimised for exact target minutes within the sub limits.***'
+          : '***Note: Equal minutes with halftime reset.***';
+
+  return text + summaryText + fairnessText(analysePlanFairness(plan));
+};
+
+// CSV values are quoted and escaped, so any player name is safe
+const csvValue = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+const planToCsv = (plan) => {
+    const nameOf = (id) => getPlanPlayer(plan, id).name;
+    let csvContent = "Time,On Player,Off Player,Position,Notes\n";
+    plan.events.forEach((e, index) => {
+        if (e.type === 'formation') {
+            csvContent += [e.minute, '', '', csvValue(e.formation), csvValue('Formation change; players move to the new slots')].join(',') + '\n';
+            return;
+        }
+        const positions = getEventPositions(plan, index);
+        const notes = e.type === 'keeper'
+            ? `Keeper change; outgoing keeper to ${e.offToSlot !== null ? positions[e.offToSlot] : 'Bench'}`
+            : '';
+        csvContent += [e.minute, csvValue(nameOf(e.onId)), csvValue(e.offId ? nameOf(e.offId) : ''), csvValue(getSlotName(positions, e.slot)), csvValue(notes)].join(',') + '\n';
+    });
+    csvContent += "\nPlayer,Role,Minutes,Manual_Override,Planned_Minutes,GK_Minutes\n";
+    [...plan.players]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(p => {
+            csvContent += [csvValue(p.name), csvValue(p.role), p.targetMinutes, p.manual ? 'Yes' : 'No', p.minutesPlayed, p.keeperMinutes].join(',') + '\n';
+        });
+    return csvContent;
+};
+
+const downloadFile = (content, fileName, type) => {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.setAttribute("href", url);
+    link.setAttribute("download", fileName);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+const handleDownloadPlan = (plan) => {
+    downloadFile(planToCsv(plan), `MatchPlan_${plan.gameFormat}_${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv;charset=utf-8');
+};
+
+// --- ROSTER IMPORT & BACKUP ---
+// Players come in from a CSV or vCard file or a spreadsheet paste, through a column mapping and a preview. A backup
+// is the squad and its plan as JSON: { format, version, exportedAt, squadName, settings (without the account's
+// customFormations), players, matchPlan, manualSubs, matchEvents }. Bump BACKUP_VERSION when the shape changes.
+const BACKUP_FORMAT = 'girls-game-planner-backup';
+const BACKUP_VERSION = 1;
+// Roster fields an imported column can fill, and the header cells recognised for each
+const IMPORT_FIELDS = { name: 'Name', shirtNumber: 'Number', position: 'Position' };
+const IMPORT_HEADERS = {
+    name: ['name', 'player', 'player name', 'full name'],
+    shirtNumber: ['number', 'no', 'no.', '#', 'shirt', 'shirt number', 'squad number'],
+    position: ['position', 'pos', 'preferred position'],
+};
+const IMPORT_POSITION_ALIASES = { GOALKEEPER: 'GK', KEEPER: 'GK', GOALIE: 'GK' };
+
+// Rows of trimmed cells from a CSV file (commas or semicolons, quoted cells allowed) or a spreadsheet paste (tabs);
+// a single column of names needs no delimiter. Blank rows are dropped.
+const parseDelimitedText = (text) => {
+    const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+    const delimiter = ['\t', ',', ';'].find(d => firstLine.includes(d)) || null;
+    const rows = [];
+    let row = [], cell = '', inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else cell += char;
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell); cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            rows.push([...row, cell]); row = []; cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    rows.push([...row, cell]);
+    return rows.map(r => r.map(c => c.trim())).filter(r => r.some(c => c !== ''));
+};
+
+// The names in a vCard (.vcf) file, e.g. contacts exported from a phone, as one-column rows
+const parseVCards = (text) => text
+    .replace(/\r?\n[ \t]/g, '') // unfold continued lines
+    .split(/\r?\n/)
+    .filter(line => /^FN[;:]/i.test(line))
+    .map(line => [line.slice(line.indexOf(':') + 1).replace(/\\([,;\\])/g, '$1').trim()])
+    .filter(([name]) => name !== '');
+
+const parseImportRows = (text) => (/^BEGIN:VCARD/im.test(text) ? parseVCards(text) : parseDelimitedText(text));
+
+// A position as typed in a file ('st', 'Goalkeeper'), or '' if it isn't a pitch position
+const getImportPosition = (value) => {
+    const position = IMPORT_POSITION_ALIASES[value.trim().toUpperCase()] || value.trim().toUpperCase();
+    return position !== 'Bench' && ALL_POSITIONS_AND_BENCH.includes(position) ? position : '';
+};
+
+// First guess at the mapping { hasHeader, name, shirtNumber, position } (column indexes, null = not imported):
+// from header names if the first row has them, else from the values. The coach can change it before importing.
+const guessImportMapping = (rows) => {
+    const header = (rows[0] || []).map(cell => cell.toLowerCase());
+    const byHeader = Object.fromEntries(Object.keys(IMPORT_FIELDS).map(field => {
+        const index = header.findIndex(cell => IMPORT_HEADERS[field].includes(cell));
+        return [field, index === -1 ? null : index];
+    }));
+    if (byHeader.name !== null) return { hasHeader: true, ...byHeader };
+    const columns = Math.max(0, ...rows.map(r => r.length));
+    const pick = (test) => {
+        const index = Array.from({ length: columns }, (_, i) => i).find(i => i > 0 && rows.some(r => r[i]) && rows.every(r => !r[i] || test(r[i])));
+        return index === undefined ? null : index;
+    };
+    return { hasHeader: false, name: 0, shirtNumber: pick(cell => /^\d{1,2}$/.test(cell)), position: pick(cell => getImportPosition(cell) !== '') };
+};
+
+// Preview rows { name, shirtNumber, position, duplicate }; duplicate is 'roster' (same name as a roster player),
+// 'import' (as an earlier row) or null
+const buildImportCandidates = (rows, mapping, roster) => {
+    const rosterNames = new Set(roster.map(p => p.name.trim().toLowerCase()).filter(Boolean));
+    const seen = new Set();
+    const cellAt = (row, index) => (index === null ? '' : row[index] || '');
+    return (mapping.hasHeader ? rows.slice(1) : rows)
+        .map(row => {
+            const name = cellAt(row, mapping.name);
+            const key = name.toLowerCase();
+            const number = parseInt(cellAt(row, mapping.shirtNumber), 10);
+            const duplicate = rosterNames.has(key) ? 'roster' : seen.has(key) ? 'import' : null;
+            seen.add(key);
+            return { name, shirtNumber: number >= 1 && number <= 99 ? number : null, position: getImportPosition(cellAt(row, mapping.position)), duplicate };
+        })
+        .filter(candidate => candidate.name !== '');
+};
+
+// A GK position makes her the GK role and willing to play in goal, as picking GK in the roster does
+const toRosterPlayer = (candidate) => ({
+    id: generateUUID(), name: candidate.name, shirtNumber: candidate.shirtNumber, role: candidate.position === 'GK' ? 'GK' : 'Outfield',
+    startingPosition: 'Bench', preferredPosition: candidate.position, secondaryPosition: '', neverPosition: '', canPlayGK: candidate.position === 'GK', manualMinutes: null,
+});
+
+const buildBackup = ({ squadName, settings, players, matchPlan, manualSubs, matchEvents }) => {
+    const { customFormations, ...squadSettings } = settings;
+    return {
+        format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), squadName, settings: squadSettings,
+        players: players.filter(p => p.name.trim() !== ''), matchPlan, manualSubs, matchEvents,
+    };
+};
+
+// Throws an Error with a message for the coach if the text isn't a backup this version can restore.
+// Players need an id and a name, and the plan's lists have to be lists.
+const parseBackup = (text) => {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (e) {
+        throw new Error('That file is not valid JSON.');
+    }
+    const isBackup = backup && backup.format === BACKUP_FORMAT && backup.settings && typeof backup.settings === 'object'
+        && Array.isArray(backup.players) && backup.players.every(p => p && typeof p.id === 'string' && typeof p.name === 'string')
+        && ['manualSubs', 'matchEvents'].every(key => backup[key] === undefined || Array.isArray(backup[key]));
+    if (!isBackup) throw new Error('That file is not a Game Planner backup.');
+    if (backup.version > BACKUP_VERSION) throw new Error('That backup is from a newer version of the planner.');
+    return { matchPlan: null, manualSubs: [], matchEvents: [], ...backup };
+};
+
+// --- LIVE MATCH ---
+// Match-day mode runs a clock against a generated plan. Each planned event is confirmed
+// or skipped by the coach, and actual minutes come from what was confirmed, when.
+
+const formatClock = (seconds) => {
+    const whole = Math.floor(seconds);
+    return `${String(Math.floor(whole / 60)).padStart(2, '0')}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+const createLiveMatch = (plan) => ({
+    status: 'ready', // ready | running | paused | break | finished
+    periodNumber: 1,
+    elapsedSeconds: 0,
+    // Who is actually on the pitch, and in which formation
+    lineup: { keeperId: plan.lineups[0].keeperId, slots: [...plan.lineups[0].slots], formation: plan.lineups[0].formation, positions: plan.lineups[0].positions },
+    resolved: [], // indexes into plan.events that were confirmed or skipped
+    periodLineupPending: false,
+    log: [], // [{ atSeconds, type, status, onId, offId, slot, lineup }]; type 'off' is a re-plan taking a player off unreplaced
+    availability: [], // changes passed to the re-planner, see isAvailableAt
+});
+
+// Runs the clock; it stops at the end of each period for the break
+const tickLiveMatch = (live, plan, seconds) => {
+    if (live.status !== 'running') return live;
+    const periodEnd = plan.periods[live.periodNumber - 1].end * 60;
+    const elapsedSeconds = Math.min(periodEnd, live.elapsedSeconds + seconds);
+    if (elapsedSeconds < periodEnd) return { ...live, elapsedSeconds };
+    return { ...live, elapsedSeconds, status: live.periodNumber === plan.periods.length ? 'finished' : 'break' };
+};
+
+const getPeriodStartLineup = (plan, period) => plan.lineups.find(l => l.periodStart && l.minute === period.start && period.number > 1);
+
+const startNextPeriod = (live, plan) => {
+    const period = plan.periods[live.periodNumber];
+    return {
+        ...live,
+        status: 'running',
+        periodNumber: period.number,
+        elapsedSeconds: period.start * 60,
+        periodLineupPending: !!getPeriodStartLineup(plan, period),
+    };
+};
+
+const getDueEvents = (plan, live) => plan.events
+    .map((event, index) => ({ ...event, index }))
+    .filter(e => !live.resolved.includes(e.index) && e.minute * 60 <= live.elapsedSeconds);
+
+// The first whole minute a re-plan can still change: the clock's minute when it is exactly on one,
+// otherwise the next. Every planned event before it is already due (see getDueEvents).
+const getReplanMinute = (live) => Math.ceil(live.elapsedSeconds / 60);
+
+const getNextEventMinute = (plan, live) => {
+    const next = plan.events.find((e, index) => !live.resolved.includes(index) && e.minute * 60 > live.elapsedSeconds);
+    return next ? next.minute : null;
+};
+
+// Applies a planned event to the lineup actually on the pitch. Whoever holds the slot now
+// comes off, which may differ from the plan after a skipped sub. A formation change moves
+// whoever is on the pitch as the plan moved those slots. Returns null if the incoming
+// player is already playing.
+const applyLiveEvent = (lineup, event) => {
+    if (event.type === 'formation') {
+        const slots = event.fromSlots.map(from => lineup.slots[from]);
+        return { offId: null, lineup: { ...lineup, slots, formation: event.formation, positions: event.positions } };
+    }
+    const onSlot = lineup.slots.indexOf(event.onId);
+    if (lineup.keeperId === event.onId) return null;
+    if (event.type === 'keeper') {
+        // Outgoing keeper takes the new keeper's slot, or goes to the bench
+        const slots = [...lineup.slots];
+        if (onSlot !== -1) slots[onSlot] = lineup.keeperId;
+        return { offId: lineup.keeperId, lineup: { ...lineup, keeperId: event.onId, slots } };
+    }
+    if (onSlot !== -1) return null;
+    if (event.slot === 'GK') return { offId: lineup.keeperId, lineup: { ...lineup, keeperId: event.onId } };
+    const slots = [...lineup.slots];
+    slots[event.slot] = event.onId;
+    return { offId: lineup.slots[event.slot], lineup: { ...lineup, slots } };
+};
+
+const resolveLiveEvent = (live, plan, index, confirmed) => {
+    const event = plan.events[index];
+    const result = confirmed ? applyLiveEvent(live.lineup, event) : null;
+    if (confirmed && !result) return live;
+    const lineup = result ? result.lineup : live.lineup;
+    return {
+        ...live,
+        lineup,
+        resolved: [...live.resolved, index],
+        log: [...live.log, {
+            atSeconds: live.elapsedSeconds, type: event.type, status: confirmed ? 'confirmed' : 'skipped',
+            onId: event.onId, offId: result ? result.offId : event.offId, slot: event.slot, lineup,
+        }],
+    };
+};
+
+// The automatic plan resets the lineup at each period start. Applying it also covers any keeper
+// or formation change planned for that minute and any end-of-period subs still waiting.
+const resolvePeriodLineup = (live, plan, confirmed) => {
+    const period = plan.periods[live.periodNumber - 1];
+    const snapshot = getPeriodStartLineup(plan, period);
+    const lineup = confirmed
+        ? { keeperId: snapshot.keeperId, slots: [...snapshot.slots], formation: snapshot.formation, positions: snapshot.positions }
+        : live.lineup;
+    const covered = confirmed
+        ? plan.events.map((e, index) => (e.minute <= period.start && (e.type !== 'sub' || e.period < period.number) ? index : null)).filter(i => i !== null)
+        : [];
+    return {
+        ...live,
+        lineup,
+        periodLineupPending: false,
+        resolved: [...live.resolved, ...covered.filter(i => !live.resolved.includes(i))],
+        log: [...live.log, { atSeconds: live.elapsedSeconds, type: 'lineup', status: confirmed ? 'confirmed' : 'skipped', onId: null, offId: null, slot: null, lineup }],
+    };
+};
+
+// Re-plans the rest of the match from the current clock with the actual lineup and minutes played,
+// keeping the candidate (PLAN_CANDIDATES) the coach picked
+const replanLiveMatch = (live, plan, settings, playersWithMinutes, availability) => {
+    const fromMinute = getReplanMinute(live);
+    const { secondsPlayed, keeperSeconds } = getLiveMinutes(plan, live);
+    const toMinutes = (seconds) => Object.fromEntries([...seconds].map(([id, s]) => [id, Math.round(s / 60)]));
+    const newPlan = generateCandidatePlan(settings, playersWithMinutes, plan.candidate, {
+        availability,
+        resume: {
+            plan, fromMinute, lineup: live.lineup,
+            minutesPlayed: toMinutes(secondsPlayed), keeperMinutes: toMinutes(keeperSeconds),
+            periodUnderway: live.status !== 'break' && !live.periodLineupPending,
+        },
+    });
+    // Everything before fromMinute is history; older prompts still waiting are superseded
+    const kept = newPlan.events.filter(e => e.minute < fromMinute).length;
+    const period = newPlan.periods[live.periodNumber - 1];
+    // A player who is out with nobody to replace her has no prompt to bring her off: she leaves the lineup now
+    let lineup = live.lineup;
+    const offLog = live.lineup.slots.flatMap((id, slot) => {
+        if (!id || isAvailableAt(availability, id, fromMinute) || newPlan.events.some(e => e.minute >= fromMinute && e.offId === id)) return [];
+        lineup = { ...lineup, slots: lineup.slots.map(s => (s === id ? null : s)) };
+        return [{ atSeconds: live.elapsedSeconds, type: 'off', status: 'confirmed', onId: null, offId: id, slot, lineup }];
+    });
+    return {
+        plan: newPlan,
+        live: {
+            ...live,
+            lineup,
+            log: [...live.log, ...offLog],
+            availability,
+            resolved: Array.from({ length: kept }, (_, i) => i),
+            periodLineupPending: live.periodLineupPending && !!getPeriodStartLineup(newPlan, period),
+        },
+    };
+};
+
+// Actual seconds on the pitch (GK time included), replayed from the confirmed log
+const getLiveMinutes = (plan, live) => {
+    const secondsPlayed = new Map(plan.players.map(p => [p.id, 0]));
+    const keeperSeconds = new Map(plan.players.map(p => [p.id, 0]));
+    let lineup = plan.lineups[0];
+    let clock = 0;
+    const creditTo = (time) => {
+        const elapsed = time - clock;
+        if (elapsed <= 0) return;
+        lineup.slots.forEach(id => { if (id) secondsPlayed.set(id, secondsPlayed.get(id) + elapsed); });
+        if (lineup.keeperId) {
+            secondsPlayed.set(lineup.keeperId, secondsPlayed.get(lineup.keeperId) + elapsed);
+            keeperSeconds.set(lineup.keeperId, keeperSeconds.get(lineup.keeperId) + elapsed);
+        }
+        clock = time;
+    };
+    live.log.filter(entry => entry.status === 'confirmed').forEach(entry => {
+        creditTo(entry.atSeconds);
+        lineup = entry.lineup;
+    });
+    creditTo(live.elapsedSeconds);
+    return { secondsPlayed, keeperSeconds };
+};
+
+// --- SEASON LEDGER ---
+// Each finished match is saved under getPrivatePath('matches', userId) as a MatchRecord:
+// { playedAt, gameFormat, formation, matchDuration, opponent, venue, players: [{ playerId, name, inRotation,
+//   minutes, keeperMinutes, started, keeperStints, lineMinutes }], changes, events, score } (lineMinutes: see
+// PLAYER DEVELOPMENT; changes, events and score: see MATCH EVENTS & REPORT). Only players who turned up are
+// listed; inRotation is false for a permanent GK, who isn't part of the minutes share.
+// Share of a season deficit made up in one match, and the most one match's target can move
+const SEASON_CATCH_UP_RATE = 0.25;
+const SEASON_CATCH_UP_LIMIT = 0.1;
+
+// From match mode's `live` state; without it the plan's own minutes and changes stand in (a report
+// of the plan before the match, or of a match not run in match mode)
+const buildMatchRecord = (plan, live, matchEvents = [], fixture = null) => {
+    const { secondsPlayed, keeperSeconds } = live ? getLiveMinutes(plan, live) : {
+        secondsPlayed: new Map(plan.players.map(p => [p.id, p.minutesPlayed * 60])),
+        keeperSeconds: new Map(plan.players.map(p => [p.id, p.keeperMinutes * 60])),
+    };
+    const start = plan.lineups[0];
+    const confirmed = live ? live.log.filter(entry => entry.status === 'confirmed') : [];
+    const lineups = live ? [start, ...confirmed.map(entry => entry.lineup)] : plan.lineups;
+    const keeperStints = new Map();
+    lineups.forEach((lineup, i) => {
+        const id = lineup.keeperId;
+        if (id && (i === 0 || lineups[i - 1].keeperId !== id)) keeperStints.set(id, (keeperStints.get(id) || 0) + 1);
+    });
+    // Each lineup stands until the next one (or the final whistle)
+    const lineMinutes = countLineMinutes(live
+        ? lineups.map((lineup, i) => ({ lineup, from: i === 0 ? 0 : confirmed[i - 1].atSeconds / 60, to: (i < confirmed.length ? confirmed[i].atSeconds : live.elapsedSeconds) / 60 }))
+        : lineups.map((lineup, i) => ({ lineup, from: lineup.minute, to: i + 1 < lineups.length ? lineups[i + 1].minute : plan.matchDuration })));
+    const nameOf = (id) => (id ? getPlanPlayer(plan, id).name : null);
+    const changes = live
+        ? confirmed.filter(entry => entry.type === 'sub' || entry.type === 'keeper').map(entry => ({
+            minute: Math.round(entry.atSeconds / 60), type: entry.type, on: nameOf(entry.onId), off: nameOf(entry.offId), position: getSlotName(entry.lineup.positions, entry.slot),
+        }))
+        : plan.events.map((e, i) => ({ e, i })).filter(({ e }) => e.type === 'sub' || e.type === 'keeper').map(({ e, i }) => ({
+            minute: e.minute, type: e.type, on: nameOf(e.onId), off: nameOf(e.offId), position: getSlotName(getEventPositions(plan, i), e.slot),
+        }));
+    return {
+        playedAt: new Date().toISOString(),
+        gameFormat: plan.gameFormat,
+        formation: plan.formation,
+        matchDuration: plan.matchDuration,
+        opponent: fixture ? fixture.opponent : null,
+        venue: fixture ? fixture.venue : null,
+        players: plan.players
+            .filter(p => secondsPlayed.get(p.id) > 0 || !live || isAvailableAt(live.availability, p.id, 0))
+            .map(p => ({
+                playerId: p.id,
+                name: p.name,
+                inRotation: !(plan.isPermanentGK && p.role === 'GK'),
+                minutes: Math.round(secondsPlayed.get(p.id) / 60),
+                keeperMinutes: Math.round(keeperSeconds.get(p.id) / 60),
+                started: start.keeperId === p.id || start.slots.includes(p.id),
+                keeperStints: keeperStints.get(p.id) || 0,
+                lineMinutes: Object.fromEntries(DEVELOPMENT_LINES.map(line => [line, Math.round((lineMinutes.get(p.id) || {})[line] || 0)])),
+            })),
+        changes,
+        events: sortMatchEvents(matchEvents),
+        score: getMatchScore(matchEvents),
+    };
+};
+
+// A roster player's entry in a record, matched by id and then by name (a squad typed in again still lines up)
+const findRecordPlayer = (record, player) => {
+    const name = player.name.trim().toLowerCase();
+    return record.players.find(e => e.playerId === player.id) || record.players.find(e => e.name.trim().toLowerCase() === name);
+};
+
+// Season totals per roster player from the records, oldest first. minutesBehind = fair share of the matches
+// she played in (average rotation minutes) minus her minutes; lineMinutes are per line over the season and
+// recentLines over her last DIVERSITY_RECENT_MATCHES matches with positions recorded.
+const summariseSeason = (records, players) => players
+    .filter(p => p.name.trim() !== '')
+    .map(player => {
+        let matches = 0, minutes = 0, fairShare = 0, starts = 0, keeperStints = 0, keeperMinutes = 0;
+        const lineHistory = [];
+        records.forEach(record => {
+            const entry = findRecordPlayer(record, player);
+            if (!entry) return;
+            const rotation = record.players.filter(e => e.inRotation);
+            matches++;
+            minutes += entry.minutes;
+            fairShare += entry.inRotation ? rotation.reduce((sum, e) => sum + e.minutes, 0) / rotation.length : entry.minutes;
+            if (entry.started) starts++;
+            keeperStints += entry.keeperStints;
+            keeperMinutes += entry.keeperMinutes;
+            if (entry.lineMinutes) lineHistory.push(entry.lineMinutes);
+        });
+        return {
+            id: player.id, name: player.name, matches, minutes, minutesBehind: Math.round(fairShare - minutes), starts, keeperStints, keeperMinutes,
+            lineMinutes: sumLineMinutes(lineHistory), recentLines: sumLineMinutes(lineHistory.slice(-DIVERSITY_RECENT_MATCHES)),
+        };
+    });
+
+// Minutes to add to each player's equal share (players: { id, minutes }) so the season drifts back
+// towards even. Nobody goes below 0 or past the whole match, and the changes sum to zero, so the
+// match total never moves.
+const getSeasonCatchUp = (season, players, matchDuration) => {
+    const behind = players.map(p => (season.find(row => row.id === p.id) || { minutesBehind: 0 }).minutesBehind);
+    const mean = behind.reduce((sum, b) => sum + b, 0) / (behind.length || 1);
+    const limit = Math.round(matchDuration * SEASON_CATCH_UP_LIMIT);
+    // How far each player can move: the limit, and never below 0 or past the final whistle
+    const lowest = players.map(p => Math.max(-limit, -p.minutes));
+    const highest = players.map(p => Math.min(limit, matchDuration - p.minutes));
+    const catchUp = behind.map((b, i) => Math.max(lowest[i], Math.min(highest[i], Math.round((b - mean) * SEASON_CATCH_UP_RATE))));
+    // Rounding and those bounds can leave minutes over or under: settle them on the most behind
+    // (or the furthest ahead) who still have room
+    const mostBehindFirst = behind.map((_, i) => i).sort((a, b) => behind[b] - behind[a]);
+    let excess = catchUp.reduce((sum, c) => sum + c, 0);
+    for (let i = 0; excess !== 0; i++) {
+        const index = excess < 0
+            ? mostBehindFirst[i % mostBehindFirst.length]
+            : mostBehindFirst[mostBehindFirst.length - 1 - (i % mostBehindFirst.length)];
+        const settled = catchUp[index] - Math.sign(excess);
+        if (settled < lowest[index] || settled > highest[index]) continue;
+        catchUp[index] = settled;
+        excess -= Math.sign(excess);
+    }
+    return new Map(players.map((p, i) => [p.id, catchUp[i]]));
+};
+
+// Share of her season matches a player started; players new to the ledger count as 0
+const getSeasonStartRate = (player) => player.season && player.season.matches > 0 ? player.season.starts / player.season.matches : 0;
+
+// Starting positions for the players who have started least this season. With a rotating GK
+// the current pick for goal is dropped, so whoever has kept goal least starts there.
+const pickSeasonStarters = (settings, playersWithMinutes) => {
+    const positions = getOutfieldSlots(settings.gameFormat, settings.selectedFormation, settings.customFormations);
+    const unpicked = playersWithMinutes.map(p => p.startingPosition === 'GK' ? { ...p, startingPosition: 'Bench' } : p);
+    const keeper = (buildGKSchedule(settings, unpicked)[0] || {}).player;
+    const candidates = playersWithMinutes
+        .filter(p => p.name.trim() !== '' && p.minutes > 0 && (!settings.isPermanentGK || p.role !== 'GK') && (!keeper || p.id !== keeper.id))
+        .sort((a, b) => getSeasonStartRate(a) - getSeasonStartRate(b));
+    const lineup = arrangeLineup(candidates.slice(0, positions.length), positions);
+    return new Map(playersWithMinutes.map(p => {
+        const slot = lineup.findIndex(s => s && s.id === p.id);
+        if (slot !== -1) return [p.id, positions[slot]];
+        return [p.id, keeper && keeper.id === p.id ? 'GK' : 'Bench'];
+    }));
+};
+
+// --- PLAYER DEVELOPMENT ---
+// Minutes in goal and in each outfield line, recorded per player in every MatchRecord, for development guidelines
+// that ask for everyone to play everywhere. Positions outside POSITION_LINES aren't counted.
+const DEVELOPMENT_LINES = ['GK', ...Object.keys(LINE_NAMES)];
+const DEVELOPMENT_LINE_NAMES = { GK: 'Goal', ...LINE_NAMES };
+const DEVELOPMENT_LINE_COLORS = { GK: COLORS.GOLD, DEF: COLORS.NAVY_BLUE, MID: COLORS.SKY_BLUE, ATT: COLORS.ORANGE };
+const DEVELOPMENT_CHART_MATCHES = 10; // matches in a player's chart
+
+// Map player id -> line -> minutes over [{ lineup, from, to }] stints (match minutes, may be fractional)
+const countLineMinutes = (stints) => {
+    const lineMinutes = new Map();
+    const credit = (id, line, minutes) => {
+        if (!lineMinutes.has(id)) lineMinutes.set(id, Object.fromEntries(DEVELOPMENT_LINES.map(l => [l, 0])));
+        lineMinutes.get(id)[line] += minutes;
+    };
+    stints.forEach(({ lineup, from, to }) => {
+        if (to <= from) return;
+        if (lineup.keeperId) credit(lineup.keeperId, 'GK', to - from);
+        lineup.slots.forEach((id, i) => {
+            const line = POSITION_LINES[lineup.positions[i]];
+            if (id && line) credit(id, line, to - from);
+        });
+    });
+    return lineMinutes;
+};
+
+const sumLineMinutes = (lineMinutesList) => Object.fromEntries(DEVELOPMENT_LINES.map(line => [line, lineMinutesList.reduce((sum, lm) => sum + (lm[line] || 0), 0)]));
+
+// Tags each player with her recent lines from the season totals, which turns on position diversity in the
+// generators (see getLineDiversityBonus)
+const withRecentLines = (players, season) => players.map(player => {
+    const row = season.find(r => r.id === player.id);
+    return { ...player, recentLines: row ? row.recentLines : null };
+});
+
+// A player's line minutes match by match, oldest first; records saved before positions were tracked are left out
+const getPlayerLineHistory = (records, player) => records
+    .map(record => ({ record, entry: findRecordPlayer(record, player) }))
+    .filter(({ entry }) => entry && entry.lineMinutes)
+    .map(({ record, entry }) => ({ id: record.id, playedAt: record.playedAt, opponent: record.opponent || null, lineMinutes: entry.lineMinutes }));
+
+// --- MATCH EVENTS & REPORT ---
+// Goals, assists, saves, cards, injuries and notes logged during or after the match, each at a minute and
+// mostly for a player: [{ id, type, minute, playerId, name, note }]. They stay with the plan (and the draft)
+// and are saved in its MatchRecord, with the changes actually made: [{ minute, type, on, off, position }].
+const MATCH_EVENT_TYPES = {
+    goal: 'Goal', assist: 'Assist', save: 'Save', yellowCard: 'Yellow card', injury: 'Injury', note: 'Note', opponentGoal: 'Opposition goal',
+};
+// Whether a type names a player: the opposition's goals never do, notes may
+const getEventPlayerRule = (type) => (type === 'opponentGoal' ? 'none' : type === 'note' ? 'optional' : 'required');
+const sortMatchEvents = (events) => [...events].sort((a, b) => a.minute - b.minute);
+const getMatchScore = (events) => ({
+    for: events.filter(e => e.type === 'goal').length,
+    against: events.filter(e => e.type === 'opponentGoal').length,
+});
+
+// The report as plain text for sharing: score line, scorers, minutes and a timeline of changes and events.
+// Records saved before events were logged have no changes or events.
+const renderMatchReport = (record) => {
+    const events = record.events || [];
+    const score = record.score || getMatchScore(events);
+    const title = record.opponent ? `${record.venue === 'Away' ? '@' : 'vs'} ${record.opponent}` : 'Match Report';
+    const goals = events.filter(e => e.type === 'goal');
+    const scorers = [...new Set(goals.map(e => e.name || 'Unknown'))]
+        .map(name => `${name} ${goals.filter(e => (e.name || 'Unknown') === name).map(e => `${e.minute}'`).join(', ')}`);
+    const minutes = [...record.players]
+        .sort((a, b) => b.minutes - a.minutes || a.name.localeCompare(b.name))
+        .map(p => `${p.name}: ${p.minutes} mins${p.keeperMinutes > 0 ? ` (${p.keeperMinutes} in goal)` : ''}`);
+    // Changes come before events at the same minute
+    const timeline = [
+        ...(record.changes || []).map(c => ({ minute: c.minute, order: 0,
+            text: c.type === 'keeper' ? `IN GOAL: ${c.on} | OUT OF GOAL: ${c.off || 'Empty'}` : `ON: ${c.on} (${c.position}) | OFF: ${c.off || 'Empty'}` })),
+        ...events.map(e => ({ minute: e.minute, order: 1,
+            text: `${[(MATCH_EVENT_TYPES[e.type] || e.type).toUpperCase(), e.name].filter(Boolean).join(': ')}${e.note ? ` - ${e.note}` : ''}` })),
+    ].sort((a, b) => a.minute - b.minute || a.order - b.order).map(item => `${formatMinute(item.minute)} ${item.text}`);
+    return `--- ${title} ---\n${new Date(record.playedAt).toLocaleDateString()} | ${record.gameFormat} ${record.formation} | ${record.matchDuration} min\n\n`
+        + `SCORE: ${score.for} - ${score.against}\n`
+        + `Scorers: ${scorers.length > 0 ? scorers.join('; ') : 'None'}\n\n`
+        + `--- Minutes ---\n${minutes.join('\n')}\n\n`
+        + `--- Timeline ---\n${timeline.length > 0 ? timeline.join('\n') : 'No changes or events.'}\n`;
+};
+
+// --- STARTING LINEUP ---
+// Where each named player starts ('GK', an outfield slot or 'Bench'), as the planners read the roster's
+// startingPosition fields: the keeper is buildGKSchedule's first, each slot the first other player picked for it.
+const getStartingAssignments = (settings, players) => {
+    const slots = getOutfieldSlots(settings.gameFormat, settings.selectedFormation, settings.customFormations);
+    const named = players.filter(p => p.name.trim() !== '');
+    const keeper = (buildGKSchedule(settings, named)[0] || {}).player;
+    const assignments = new Map(named.map(p => [p.id, keeper && keeper.id === p.id ? 'GK' : 'Bench']));
+    slots.forEach(slot => {
+        const starter = named.find(p => p.startingPosition === slot && assignments.get(p.id) === 'Bench' && (!settings.isPermanentGK || p.role !== 'GK'));
+        if (starter) assignments.set(starter.id, slot);
+    });
+    return assignments;
+};
+
+// Why a player can't be dropped on `target` (a position or 'Bench'), or null if she can.
+// Dropping on someone swaps the two, so the player being swapped out is checked too.
+const getDropProblem = (settings, players, assignments, playerId, target) => {
+    const player = players.find(p => p.id === playerId);
+    const from = assignments.get(playerId);
+    const occupant = target === 'Bench' ? null : players.find(p => p.id !== playerId && assignments.get(p.id) === target);
+    if (settings.isPermanentGK && (player.role === 'GK' || target === 'GK')) return 'The permanent keeper is whoever has the GK role: change it in the roster.';
+    if (target === 'GK' && !player.canPlayGK) return `${player.name} isn't ticked as willing to play in goal.`;
+    if (from === 'GK' && target === 'Bench') return `Someone has to start in goal: drag a willing keeper onto ${player.name} instead.`;
+    if (from === 'GK' && occupant && !occupant.canPlayGK) return `${occupant.name} isn't ticked as willing to play in goal.`;
+    return null;
+};
+
+// The assignments after a drop: whoever was at the target takes the dropped player's old place
+const dropInLineup = (assignments, playerId, target) => {
+    const next = new Map(assignments);
+    const occupant = target === 'Bench' ? null : [...next.keys()].find(id => id !== playerId && next.get(id) === target);
+    if (occupant) next.set(occupant, next.get(playerId));
+    next.set(playerId, target);
+    return next;
+};
+
+// What stops the starting lineup being planned; checked live by the lineup editor and again on Generate
+const getLineupProblems = (settings, players) => {
+    const slots = getOutfieldSlots(settings.gameFormat, settings.selectedFormation, settings.customFormations);
+    const named = players.filter(p => p.name.trim() !== '');
+    const keeper = (buildGKSchedule(settings, named)[0] || {}).player;
+    // Positions the formation doesn't have don't count as starting
+    const starters = named.filter(p => slots.includes(p.startingPosition) && (!settings.isPermanentGK || p.role !== 'GK'));
+    const problems = [];
+    if (settings.isPermanentGK && !keeper) problems.push('Goalkeeper must be selected (Player 1 defaulted to GK role).');
+    if (!settings.isPermanentGK && !keeper) problems.push('Rotating GK needs at least one player ticked as willing to play in goal.');
+    if (!settings.isPermanentGK && keeper && starters.some(p => p.id === keeper.id)) problems.push(`${keeper.name} starts in goal, so cannot also take a starting outfield position.`);
+    if (starters.length < slots.length) problems.push(`You must select exactly ${slots.length} starting outfield positions for the ${settings.selectedFormation} formation.`);
+    if (new Set(starters.map(p => p.startingPosition)).size < starters.length) problems.push('More than one player is assigned to the same starting position slot.');
+    return problems;
+};
+
+// UI bits
+// `can` is the App's entitlement lookup (see getEntitlement)
+const PlayerInputRow = ({ player, index, settings, setPlayers, can }) => {
+  const currentFormationSlots = useMemo(() => {
+    const slots = getOutfieldSlots(settings.gameFormat, settings.selectedFormation, settings.customFormations);
+    return ['Bench', 'GK', ...slots].filter((v, i, a) => a.indexOf(v) === i); 
+  }, [settings.gameFormat, settings.selectedFormation, settings.customFormations]);
+
+  const handleChange = (field, value) => {
+    setPlayers(prev => prev.map(p => {
+        if (p.id !== player.id) return p;
+        let updated = { ...p, [field]: value };
+        if (field === 'startingPosition' && value !== '' && value !== 'Bench') {
+            updated.preferredPosition = value;
+        }
+        if (updated.preferredPosition === 'GK') updated.role = 'GK';
+        else if (p.role === 'GK' && updated.preferredPosition !== 'GK') updated.role = 'Outfield';
+        else if (p.role !== 'Outfield' && updated.preferredPosition !== 'GK') updated.role = 'Outfield';
+        const canStartInGoal = index === 0 || (!settings.isPermanentGK && updated.canPlayGK);
+        if (!canStartInGoal && field === 'startingPosition' && value === 'GK') updated.startingPosition = 'Bench';
+        return updated;
+    }));
+  };
+    
+  return (
+    <div className="flex items-center space-x-2 py-2 border-b border-gray-100">
+      <span className="text-xs font-semibold w-6 text-center text-gray-500">{index + 1}</span>
+      <input type="text" placeholder={`Player Name ${index + 1}`} value={player.name}
+        onChange={(e) => handleChange('name', e.target.value)}
+        className="flex-grow p-2 border rounded-lg" />
+        <select value={player.startingPosition || ''} onChange={(e) => handleChange('startingPosition', e.target.value)}
+            className="p-2 border rounded-lg w-28 text-sm bg-white">
+            <option value="">Start Pos.</option>
+            {currentFormationSlots.filter(p => index === 0 || (!settings.isPermanentGK && player.canPlayGK) ? true : p !== 'GK').map(pos => <option key={`start-${pos}`} value={pos}>{pos}</option>)}
+        </select>
+      {!settings.isPermanentGK && (
+        <label className="flex items-center text-xs font-semibold" style={{ color: COLORS.NAVY_BLUE }} title="Willing to play in goal">
+          <input type="checkbox" checked={!!player.canPlayGK} onChange={(e) => handleChange('canPlayGK', e.target.checked)} className="mr-1" /> GK
+        </label>
+      )}
+      <select value={player.preferredPosition} onChange={(e) => handleChange('preferredPosition', e.target.value)}
+        className="p-2 border rounded-lg w-28 text-sm bg-white">
+        <option value="">Pref. Pos.</option>
+        {currentFormationSlots.filter(p => p !== 'Bench').map(pos => <option key={`pref-${pos}`} value={pos}>{pos}</option>)}
+      </select>
+      {can('secondaryPositions') && (
+        <select value={player.secondaryPosition} onChange={(e) => handleChange('secondaryPosition', e.target.value)}
+          className="p-2 border rounded-lg w-28 text-sm bg-white">
+          <option value="">Sec. Pos.</option>
+          {currentFormationSlots.filter(p => p !== 'Bench').map(pos => <option key={`sec-${pos}`} value={pos}>{pos}</option>)}
+        </select>
+      )}
+      {can('secondaryPositions') && (
+        <select value={player.neverPosition || ''} onChange={(e) => handleChange('neverPosition', e.target.value)}
+          className="p-2 border rounded-lg w-28 text-sm bg-white" title="The planner will not put this player here">
+          <option value="">Never Pos.</option>
+          {Object.keys(LINE_NAMES).map(line => <option key={`never-${line}`} value={line}>{LINE_NAMES[line]}</option>)}
+          {currentFormationSlots.filter(p => p !== 'Bench' && p !== 'GK').map(pos => <option key={`never-${pos}`} value={pos}>{pos}</option>)}
+        </select>
+      )}
+      {can('manualMinutes') && (
+        <input type="number" placeholder="Manual Mins"
+          value={player.manualMinutes === null ? '' : player.manualMinutes}
+          onChange={(e) => handleChange('manualMinutes', e.target.value === '' ? null : parseInt(e.target.value, 10))}
+          className="p-2 border rounded-lg w-24 text-sm text-center" />
+      )}
+    </div>
+  );
+};
+
+// Import from a file or paste (mapping and preview, duplicates unticked), backup restore and export.
+// onImport(players, replace) returns how many players didn't fit in the roster.
+const RosterImport = ({ players, onImport, onRestoreBackup, onExportBackup }) => {
+    const [rows, setRows] = useState(null); // rows being mapped, or null
+    const [mapping, setMapping] = useState(null);
+    const [skipped, setSkipped] = useState(new Set()); // candidate indexes left out
+    const [replace, setReplace] = useState(false);
+    const [backup, setBackup] = useState(null);
+    const [pasteText, setPasteText] = useState(null); // null = paste box closed
+    const [message, setMessage] = useState('');
+    const candidates = useMemo(() => rows ? buildImportCandidates(rows, mapping, replace ? [] : players) : [], [rows, mapping, replace, players]);
+    const columns = rows ? Math.max(...rows.map(r => r.length)) : 0;
+    const columnLabel = (i) => (mapping.hasHeader && rows[0][i] ? rows[0][i] : `Column ${i + 1}`);
+
+    // Shows the preview with duplicates unticked; again whenever the mapping or mode changes
+    const preview = (newRows, newMapping, newReplace) => {
+        setRows(newRows); setMapping(newMapping); setReplace(newReplace);
+        const newCandidates = buildImportCandidates(newRows, newMapping, newReplace ? [] : players);
+        setSkipped(new Set(newCandidates.map((c, i) => (c.duplicate ? i : -1)).filter(i => i !== -1)));
+    };
+    const startMapping = (newRows) => {
+        if (newRows.length === 0) { setMessage('No players found to import.'); return; }
+        preview(newRows, guessImportMapping(newRows), replace);
+        setBackup(null); setPasteText(null); setMessage('');
+    };
+    const handleFile = async (file) => {
+        if (!file) return;
+        const text = await file.text();
+        if (!file.name.toLowerCase().endsWith('.json')) { startMapping(parseImportRows(text)); return; }
+        try {
+            setBackup(parseBackup(text)); setRows(null); setMessage('');
+        } catch (e) {
+            setMessage(e.message);
+        }
+    };
+    const toggleSkipped = (index) => setSkipped(prev => {
+        const next = new Set(prev);
+        if (next.has(index)) next.delete(index); else next.add(index);
+        return next;
+    });
+    const handleImport = () => {
+        const chosen = candidates.filter((_, i) => !skipped.has(i));
+        const left = onImport(chosen.map(toRosterPlayer), replace);
+        const added = chosen.length - left;
+        setRows(null);
+        setMessage(`Imported ${added} ${added === 1 ? 'player' : 'players'}.${left > 0 ? ` ${left} didn't fit in the roster.` : ''}`);
+    };
+    const chip = 'text-xs px-3 py-1 rounded-full text-white';
+
+    return (
+        <div className="mt-4 pt-4 border-t space-y-3" style={{ borderColor: COLORS.SKY_BLUE, color: COLORS.NAVY_BLUE }}>
+            <div className="flex flex-wrap gap-2 items-center">
+                <label className={`${chip} cursor-pointer flex items-center`} style={{ backgroundColor: COLORS.NAVY_BLUE }}>
+                    <Upload className="mr-1" /> Import File
+                    <input type="file" accept=".csv,.tsv,.txt,.vcf,.json" className="hidden" onChange={(e) => { handleFile(e.target.files[0]); e.target.value = ''; }} />
+                </label>
+                <button onClick={() => setPasteText(pasteText === null ? '' : null)} className={chip} style={{ backgroundColor: COLORS.SKY_BLUE }}>Paste Names</button>
+                <button onClick={onExportBackup} className={`${chip} flex items-center`} style={{ backgroundColor: COLORS.ORANGE }}><Download className="mr-1" /> Export Backup</button>
+                <span className="text-xs text-gray-500">CSV, vCard or a Game Planner backup (.json)</span>
+            </div>
+            {message && <p className="text-sm">{message}</p>}
+
+            {pasteText !== null && (
+                <div className="space-y-2">
+                    <textarea rows={5} value={pasteText} onChange={(e) => setPasteText(e.target.value)} className="w-full p-2 border rounded-lg text-sm font-mono"
+                        placeholder={'One player per line, straight from a spreadsheet:\nName, then number and position columns if you have them'} />
+                    <button onClick={() => startMapping(parseImportRows(pasteText))} disabled={pasteText.trim() === ''} className={`${chip} disabled:opacity-50`} style={{ backgroundColor: COLORS.NAVY_BLUE }}>Preview</button>
+                </div>
+            )}
+
+            {backup && (
+                <div className="p-3 rounded-lg border space-y-2" style={{ borderColor: COLORS.ORANGE }}>
+                    <p className="text-sm">
+                        <b>{backup.squadName || 'Unnamed squad'}</b>: {backup.players.length} players
+                        {backup.matchPlan ? `, ${backup.matchPlan.gameFormat} ${backup.matchPlan.formation} plan` : ''}
+                        {backup.exportedAt ? `, exported ${new Date(backup.exportedAt).toLocaleString()}` : ''}
+                    </p>
+                    <p className="text-xs text-gray-500">Restoring replaces the roster, match settings and plan.</p>
+                    <div className="flex gap-2">
+                        <button onClick={() => { onRestoreBackup(backup); setBackup(null); setMessage('Backup restored.'); }} className={chip} style={{ backgroundColor: COLORS.ORANGE }}>Restore Backup</button>
+                        <button onClick={() => setBackup(null)} className={`${chip} bg-gray-400`}>Cancel</button>
+                    </div>
+                </div>
+            )}
+
+            {rows && (
+                <div className="p-3 rounded-lg border space-y-2" style={{ borderColor: COLORS.ORANGE }}>
+                    <div className="flex flex-wrap gap-3 items-center text-sm">
+                        {Object.entries(IMPORT_FIELDS).map(([field, label]) => (
+                            <label key={field} className="flex items-center gap-1">
+                                {label}
+                                <select value={mapping[field] === null ? '' : mapping[field]} className="p-1 border rounded bg-white"
+                                    onChange={(e) => preview(rows, { ...mapping, [field]: e.target.value === '' ? null : parseInt(e.target.value, 10) }, replace)}>
+                                    {field !== 'name' && <option value="">Not imported</option>}
+                                    {Array.from({ length: columns }, (_, i) => <option key={i} value={i}>{columnLabel(i)}</option>)}
+                                </select>
+                            </label>
+                        ))}
+                        <label className="flex items-center">
+                            <input type="checkbox" checked={mapping.hasHeader} onChange={(e) => preview(rows, { ...mapping, hasHeader: e.target.checked }, replace)} className="mr-1" />
+                            First row is headings
+                        </label>
+                    </div>
+                    <div className="max-h-60 overflow-y-auto custom-scrollbar">
+                        <table className="w-full text-sm">
+                            <thead><tr className="border-b"><th></th><th className="text-left">Name</th><th>No.</th><th>Position</th><th></th></tr></thead>
+                            <tbody>
+                                {candidates.map((c, i) => (
+                                    <tr key={i} className={`border-b border-gray-100 ${skipped.has(i) ? 'text-gray-400' : ''}`}>
+                                        <td><input type="checkbox" checked={!skipped.has(i)} onChange={() => toggleSkipped(i)} /></td>
+                                        <td>{c.name}</td>
+                                        <td className="text-center">{c.shirtNumber || '-'}</td>
+                                        <td className="text-center">{c.position || '-'}</td>
+                                        <td className="text-xs" style={{ color: COLORS.ORANGE }}>{c.duplicate === 'roster' ? 'Already in the roster' : c.duplicate === 'import' ? 'Listed twice' : ''}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div className="flex flex-wrap gap-3 items-center text-sm">
+                        <label className="flex items-center"><input type="radio" checked={!replace} onChange={() => preview(rows, mapping, false)} className="mr-1" /> Add to the roster</label>
+                        <label className="flex items-center"><input type="radio" checked={replace} onChange={() => preview(rows, mapping, true)} className="mr-1" /> Replace the roster</label>
+                        <button onClick={handleImport} disabled={candidates.length === skipped.size} className={`${chip} disabled:opacity-50`} style={{ backgroundColor: COLORS.ORANGE }}>
+                            Import {candidates.length - skipped.size} Players
+                        </button>
+                        <button onClick={() => setRows(null)} className={`${chip} bg-gray-400`}>Cancel</button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// What a player's circle shows: her photo, else her shirt number, else her first name
+const PlayerBadge = ({ name, shirtNumber, photo }) => {
+    if (photo) return <img src={photo} alt={name} className="w-full h-full rounded-full object-cover" />;
+    return <span>{shirtNumber || name.split(' ')[0] || '—'}</span>;
+};
+
+const PlayerCircle = ({ name, shirtNumber = null, photo = '', position, isGK, color, yPos, xPos }) => {
+    const displayPos = position.length > 4 ? position.replace('-', '/') : position;
+    return (
+  <div className="absolute flex flex-col items-center justify-center transition-all duration-500 ease-in-out"
+    style={{ top: `${yPos}%`, left: `${xPos}%`, transform: 'translate(-50%, -50%)', zIndex: Math.round(yPos) }}
+    title={`${name} (${position})`}>
+    <div className="w-12 h-12 rounded-full flex items-center justify-center text-xs font-bold text-white shadow-lg border-2 overflow-hidden"
+      style={{ backgroundColor: color, borderColor: isGK ? COLORS.ORANGE : color }}>
+      <PlayerBadge name={name} shirtNumber={shirtNumber} photo={photo} />
+    </div>
+    <span className="text-xs mt-1 font-medium text-center" style={{ color: COLORS.NAVY_BLUE }}>{displayPos || 'POS'}</span>
+  </div>
+)};
+
+// `roster` supplies shirt numbers and photos for the players in the lineups
+const PositionVisualizer = ({ settings, lineups, currentLineupIndex, roster = [] }) => {
+  const { gameFormat } = settings;
+  const displayLineup = lineups[currentLineupIndex] || { players: [], time: 'N/A' };
+  const playersOnField = displayLineup.players.filter(p => p.position !== 'Bench' && p.name.trim() !== '');
+  const formation = displayLineup.formation || settings.selectedFormation;
+
+  const coordinates = getFormationCoordinates(gameFormat, formation, settings.customFormations);
+  const getPositionCoordinates = (position) => coordinates[position] || { y: 50, x: 50 };
+
+  const visualPlayers = playersOnField.map((player) => {
+    const { y, x } = getPositionCoordinates(player.position);
+    const isGK = player.position === 'GK';
+    const color = isGK ? COLORS.NAVY_BLUE : COLORS.SKY_BLUE;
+    const { shirtNumber, photo } = roster.find(p => p.id === player.id) || player;
+    return <PlayerCircle key={player.id} name={player.name} shirtNumber={shirtNumber} photo={photo} position={player.position} isGK={isGK} color={color} yPos={y} xPos={x} />;
+  });
+
+  return (
+    <div className="relative w-full h-96 border-4 border-green-800 bg-green-700/80 rounded-xl overflow-hidden shadow-inner">
+      <div className="absolute inset-0 border-white border-2 m-4 rounded-lg opacity-80">
+        <div className="absolute top-1/2 left-1/2 w-20 h-20 border-white border-2 rounded-full transform -translate-x-1/2 -translate-y-1/2 opacity-80"></div>
+        <div className="absolute top-0 left-1/2 w-40 h-10 border-white border-2 transform -translate-x-1/2"></div>
+        <div className="absolute bottom-0 left-1/2 w-40 h-10 border-white border-2 transform -translate-x-1/2 -scale-y-100"></div>
+      </div>
+
+      {visualPlayers}
+
+      <div className="absolute bottom-2 right-2 text-xs font-semibold text-white bg-black/50 p-1 rounded">
+        {settings.gameFormat} - {formation} ({displayLineup.time})
+      </div>
+    </div>
+  );
+};
+
+// Starting lineup on the pitch: drag a player from the bench strip onto a slot, onto another player to swap
+// them, or off the pitch to bench her. Pointer events, so it works by touch on a tablet. The drop under the
+// pointer is checked as you drag; each drop rewrites the roster's startingPosition fields the planners read.
+const LineupEditor = ({ settings, players, setPlayers, onGenerate, isGenerating }) => {
+  const [drag, setDrag] = useState(null); // { playerId, x, y, target, problem } while a player is held
+  const slots = getOutfieldSlots(settings.gameFormat, settings.selectedFormation, settings.customFormations);
+  const coordinates = getFormationCoordinates(settings.gameFormat, settings.selectedFormation, settings.customFormations);
+  const named = players.filter(p => p.name.trim() !== '');
+  const assignments = getStartingAssignments(settings, players);
+  const problems = getLineupProblems(settings, players);
+  const bench = named.filter(p => assignments.get(p.id) === 'Bench');
+  const dragged = drag && named.find(p => p.id === drag.playerId);
+
+  // A position, 'Bench' for the strip or anywhere off the pitch, or null for empty grass (no change)
+  const getDropTarget = (x, y) => {
+    const element = document.elementFromPoint(x, y);
+    const drop = element && element.closest('[data-drop]');
+    if (!drop) return 'Bench';
+    return drop.dataset.drop === 'pitch' ? null : drop.dataset.drop;
+  };
+  const handlePointerDown = (e, player) => {
+    if (e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ playerId: player.id, x: e.clientX, y: e.clientY, target: null, problem: null });
+  };
+  const handlePointerMove = (e) => {
+    if (!drag) return;
+    const target = getDropTarget(e.clientX, e.clientY);
+    const moves = target && target !== assignments.get(drag.playerId);
+    setDrag({ ...drag, x: e.clientX, y: e.clientY, target: moves ? target : null, problem: moves ? getDropProblem(settings, players, assignments, drag.playerId, target) : null });
+  };
+  const handlePointerUp = () => {
+    if (drag && drag.target && !drag.problem) {
+      const next = dropInLineup(assignments, drag.playerId, drag.target);
+      setPlayers(prev => prev.map(p => (next.has(p.id) ? { ...p, startingPosition: next.get(p.id) } : p)));
+    }
+    setDrag(null);
+  };
+  const dropRing = (target) => (drag && drag.target === target ? (drag.problem ? 'ring-4 ring-red-500' : 'ring-4 ring-green-400') : '');
+
+  const renderChip = (player, position) => {
+    const isGK = position === 'GK';
+    const color = isGK ? COLORS.NAVY_BLUE : COLORS.SKY_BLUE;
+    return (
+      <div onPointerDown={(e) => handlePointerDown(e, player)} title={`${player.name} (${position})`}
+        className={`w-12 h-12 rounded-full flex items-center justify-center text-xs font-bold text-white shadow-lg border-2 overflow-hidden cursor-grab touch-none select-none ${dragged && dragged.id === player.id ? 'opacity-40' : ''}`}
+        style={{ backgroundColor: color, borderColor: isGK ? COLORS.ORANGE : color }}>
+        <div className="w-full h-full flex items-center justify-center pointer-events-none">
+          <PlayerBadge name={player.name} shirtNumber={player.shirtNumber} photo={player.photo} />
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div onPointerMove={handlePointerMove} onPointerUp={handlePointerUp} onPointerCancel={() => setDrag(null)}>
+      <p className="text-sm text-gray-600 mb-3">Drag players from the bench onto the pitch, onto each other to swap, or off the pitch to bench them.</p>
+      <div data-drop="pitch" className="relative w-full h-96 border-4 border-green-800 bg-green-700/80 rounded-xl overflow-hidden shadow-inner">
+        <div className="absolute inset-0 border-white border-2 m-4 rounded-lg opacity-80">
+          <div className="absolute top-1/2 left-1/2 w-20 h-20 border-white border-2 rounded-full transform -translate-x-1/2 -translate-y-1/2 opacity-80"></div>
+          <div className="absolute top-0 left-1/2 w-40 h-10 border-white border-2 transform -translate-x-1/2"></div>
+          <div className="absolute bottom-0 left-1/2 w-40 h-10 border-white border-2 transform -translate-x-1/2 -scale-y-100"></div>
+        </div>
+
+        {['GK', ...slots].map(position => {
+          const { y, x } = coordinates[position] || { y: 50, x: 50 };
+          const player = named.find(p => assignments.get(p.id) === position);
+          return (
+            <div key={position} data-drop={position} className="absolute flex flex-col items-center"
+              style={{ top: `${y}%`, left: `${x}%`, transform: 'translate(-50%, -50%)', zIndex: Math.round(y) }}>
+              <div className={`rounded-full ${dropRing(position)}`}>
+                {player ? renderChip(player, position) : <div className="w-12 h-12 rounded-full border-2 border-dashed border-white"></div>}
+              </div>
+              <span className="text-xs mt-1 font-medium text-center" style={{ color: COLORS.NAVY_BLUE }}>{position.length > 4 ? position.replace('-', '/') : position}</span>
+            </div>
+          );
+        })}
+
+        <div className="absolute bottom-2 right-2 text-xs font-semibold text-white bg-black/50 p-1 rounded">
+          {settings.gameFormat} - {settings.selectedFormation} (Starting Lineup)
+        </div>
+      </div>
+
+      <div data-drop="Bench" className={`mt-3 p-3 rounded-xl border-2 border-dashed flex flex-wrap gap-3 items-start ${dropRing('Bench')}`} style={{ borderColor: COLORS.SKY_BLUE }}>
+        <span className="w-full text-xs font-bold uppercase" style={{ color: COLORS.NAVY_BLUE }}>Bench</span>
+        {bench.length === 0 && <span className="text-xs text-gray-500">Nobody on the bench.</span>}
+        {bench.map(player => (
+          <div key={player.id} className="flex flex-col items-center w-14">
+            {renderChip(player, 'Bench')}
+            <span className="text-xs mt-1 w-full truncate text-center" style={{ color: COLORS.NAVY_BLUE }}>{player.name}</span>
+          </div>
+        ))}
+      </div>
+
+      {problems.length > 0
+        ? <ul className="mt-3 text-sm text-red-600 list-disc list-inside">{problems.map(problem => <li key={problem}>{problem}</li>)}</ul>
+        : <p className="mt-3 text-sm font-semibold text-green-700">Starting lineup complete.</p>}
+      {onGenerate && (
+        <div className="mt-3">
+          <Button onClick={onGenerate} disabled={isGenerating || problems.length > 0} color={COLORS.ORANGE}>
+            <Play className="w-5 h-5 mr-2" /> Plan with This Lineup
+          </Button>
+        </div>
+      )}
+
+      {dragged && (
+        <div className="fixed z-50 flex flex-col items-center pointer-events-none" style={{ top: drag.y, left: drag.x, transform: 'translate(-50%, -50%)' }}>
+          <div className="w-12 h-12 rounded-full flex items-center justify-center text-xs font-bold text-white shadow-xl border-2 overflow-hidden"
+            style={{ backgroundColor: COLORS.ORANGE, borderColor: drag.problem ? '#dc2626' : COLORS.WHITE }}>
+            <PlayerBadge name={dragged.name} shirtNumber={dragged.shirtNumber} photo={dragged.photo} />
+          </div>
+          {drag.problem && <span className="mt-1 px-2 py-1 rounded text-xs font-semibold text-white bg-red-600 max-w-xs">{drag.problem}</span>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Printable team sheet: starting pitch, where everyone is at each change, minutes and blank scorer boxes.
+// 'pocket' drops the pitch and scorer boxes. Plain lines and text only so it prints in black and white.
+const CARD_PITCH_HEIGHT = 140; // the pitch is drawn 100 x 140, positions use the formation's coordinates
+const CARD_SCORER_ROWS = 8;
+
+const MatchCard = ({ plan, fixture, customFormations, size = 'full' }) => {
+  const isPocket = size === 'pocket';
+  const coordinates = getFormationCoordinates(plan.gameFormat, plan.formation, customFormations);
+  // One column per lineup actually played: skip snapshots replaced at the same minute or at the final whistle
+  const columns = plan.lineups.filter((lineup, i, all) =>
+      i === 0 || (lineup.minute < plan.matchDuration && (i === all.length - 1 || all[i + 1].minute !== lineup.minute)));
+  const startLineup = getLineupPlayers(plan, columns[0]);
+  const formations = [plan.formation, ...plan.events.filter(e => e.type === 'formation').map(e => `${e.formation} (${e.minute}')`)];
+  const columnPlayers = columns.map(lineup => new Map(getLineupPlayers(plan, lineup).map(p => [p.id, p.position])));
+  // Starting keeper first, then the starters in slot order, then the bench
+  const startOrder = (id) => {
+    if (columns[0].keeperId === id) return -1;
+    const slot = columns[0].slots.indexOf(id);
+    return slot === -1 ? plan.positions.length : slot;
+  };
+  const rows = [...plan.players].sort((a, b) => startOrder(a.id) - startOrder(b.id) || a.name.localeCompare(b.name));
+  const title = fixture ? `${fixture.venue === 'Home' ? 'vs' : '@'} ${fixture.opponent}` : 'Match Card';
+  const dateLine = fixture ? `${new Date(`${fixture.date}T00:00`).toLocaleDateString()} ${fixture.kickOff}` : 'Date: ____________';
+  const cell = `border border-black ${isPocket ? 'px-0.5' : 'px-1 py-0.5'}`;
+  const periodEdge = (i) => (columns[i].periodStart && i > 0 ? 'border-l-4' : '');
+
+  return (
+    <div className={`match-card bg-white text-black ${isPocket ? 'text-[9px] leading-tight' : 'text-sm'}`} style={{ width: isPocket ? '95mm' : '100%' }}>
+      <div className="flex justify-between items-end border-b-2 border-black pb-1 mb-2">
+        <div>
+          <div className={`${isPocket ? 'text-xs' : 'text-2xl'} font-extrabold`}>{title}</div>
+          <div>{plan.gameFormat} | {formations.join(' → ')} | {plan.matchDuration} min ({describePeriods(plan.periods)})</div>
+        </div>
+        <div className="text-right">{dateLine}</div>
+      </div>
+
+      <div className={isPocket ? '' : 'flex gap-4 items-start'}>
+        {!isPocket && (
+          <svg viewBox={`0 0 100 ${CARD_PITCH_HEIGHT}`} className="w-2/5 flex-shrink-0" style={{ maxHeight: '120mm' }}>
+            <rect x="2" y="2" width="96" height={CARD_PITCH_HEIGHT - 4} fill="none" stroke="black" strokeWidth="0.6" />
+            <line x1="2" y1={CARD_PITCH_HEIGHT / 2} x2="98" y2={CARD_PITCH_HEIGHT / 2} stroke="black" strokeWidth="0.4" />
+            <circle cx="50" cy={CARD_PITCH_HEIGHT / 2} r="10" fill="none" stroke="black" strokeWidth="0.4" />
+            <rect x="30" y="2" width="40" height="14" fill="none" stroke="black" strokeWidth="0.4" />
+            <rect x="30" y={CARD_PITCH_HEIGHT - 16} width="40" height="14" fill="none" stroke="black" strokeWidth="0.4" />
+            {startLineup.filter(p => p.position !== 'Bench').map(player => {
+              const { x, y } = coordinates[player.position] || { x: 50, y: 50 };
+              const cy = (y / 100) * CARD_PITCH_HEIGHT;
+              return (
+                <g key={player.id}>
+                  <circle cx={x} cy={cy} r="4.5" fill="white" stroke="black" strokeWidth={player.position === 'GK' ? 1 : 0.5} />
+                  <text x={x} y={cy + 1.2} textAnchor="middle" fontSize="3.2" fontWeight="bold">{player.position}</text>
+                  <text x={x} y={cy + 8.5} textAnchor="middle" fontSize="3.6">{player.name.split(' ')[0]}</text>
+                </g>
+              );
+            })}
+          </svg>
+        )}
+
+        <table className="flex-grow border-collapse text-center">
+          <thead>
+            <tr>
+              <th className={`${cell} text-left`}>Player</th>
+              {columns.map((lineup, i) => (
+                <th key={i} className={`${cell} ${periodEdge(i)}`}>
+                  {formatMinute(lineup.minute)}
+                  {i > 0 && lineup.formation !== columns[i - 1].formation && <div className="font-normal">{lineup.formation}</div>}
+                </th>
+              ))}
+              <th className={cell}>Mins</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(player => (
+              <tr key={player.id}>
+                <td className={`${cell} text-left font-semibold whitespace-nowrap`}>{player.name}</td>
+                {columnPlayers.map((positionOf, i) => {
+                  const position = positionOf.get(player.id);
+                  return <td key={i} className={`${cell} ${periodEdge(i)}`}>{position === 'Bench' ? '-' : position}</td>;
+                })}
+                <td className={`${cell} font-bold`}>{player.minutesPlayed}{player.keeperMinutes > 0 ? ` (${player.keeperMinutes} GK)` : ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {!isPocket && (
+        <div className="flex gap-4 mt-4 items-start">
+          <table className="flex-grow border-collapse">
+            <thead><tr><th className={`${cell} w-16`}>Min</th><th className={cell}>Scorer</th><th className={cell}>Assist</th></tr></thead>
+            <tbody>
+              {Array.from({ length: CARD_SCORER_ROWS }, (_, i) => (
+                <tr key={i} className="h-7"><td className={cell}></td><td className={cell}></td><td className={cell}></td></tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="w-1/3 space-y-4">
+            <div className="border border-black p-2 font-bold">Final Score: ____ - ____</div>
+            <div className="border border-black p-2 h-40">Notes:</div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Header pill for the connection: offline (with the changes waiting to go), syncing, a sync problem, or all synced
+const SyncStatus = ({ isOnline, pendingWrites, syncError }) => {
+  let color, icon, text, title;
+  if (syncError) { color = '#DC2626'; icon = <CloudOff className="mr-1" />; text = 'Sync problem'; title = syncError; }
+  else if (!isOnline) { color = COLORS.ORANGE; icon = <CloudOff className="mr-1" />; text = pendingWrites > 0 ? `Offline: ${pendingWrites} to sync` : 'Offline'; title = 'Changes are kept on this device and sync when you\'re back online.'; }
+  else if (pendingWrites > 0) { color = COLORS.SKY_BLUE; icon = <Loader2 className="mr-1" />; text = 'Syncing...'; title = `${pendingWrites} change${pendingWrites === 1 ? '' : 's'} on the way`; }
+  else { color = COLORS.NAVY_BLUE; icon = <Cloud className="mr-1" />; text = 'Synced'; title = 'Everything is saved.'; }
+  return (
+    <div className="px-3 py-1 rounded-full text-xs font-bold flex items-center shadow-md" style={{ backgroundColor: color, color: COLORS.WHITE }} title={title}>
+      {icon}{text}
+    </div>
+  );
+};
+
+const SubscriptionBadge = ({ tier }) => {
+  let color, icon, text;
+  if (tier === 'Premiership') { color = COLORS.GOLD; icon = <Star className="w-4 h-4 text-white fill-current mr-1" />; text = 'Premiership'; }
+  else if (tier === 'Championship') { color = COLORS.SKY_BLUE; icon = <Unlock className="w-4 h-4 text-white mr-1" />; text = 'Championship'; }
+  else { color = COLORS.NAVY_BLUE; icon = null; text = 'Basic (FREE)'; }
+  return (
+    <div className="px-3 py-1 rounded-full text-xs font-bold flex items-center shadow-md" style={{ backgroundColor: color, color: COLORS.WHITE }}>
+      {icon}{text}
+    </div>
+  );
+};
+
+// Header profile menu: sign-in and account creation for guests (see useAccount), the email and sign-out otherwise
+const AccountMenu = ({ account, notice, onCreateAccount, onSignIn, onSendLink, onSignOut }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [message, setMessage] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  useEffect(() => { if (notice) { setMessage(notice); setIsOpen(true); } }, [notice]);
+  if (!account) return null;
+
+  const run = async (action, doneMessage) => {
+    setIsBusy(true); setMessage('');
+    try { await action(); setMessage(doneMessage); setPassword(''); }
+    catch (e) { setMessage(getAuthErrorMessage(e)); }
+    finally { setIsBusy(false); }
+  };
+  const hasEmail = email.trim() !== '';
+  const hasPassword = password !== '';
+  const buttonClass = 'text-xs px-3 py-1 rounded-full text-white disabled:opacity-50';
+
+  return (
+    <div className="relative">
+      <button onClick={() => setIsOpen(open => !open)} className="flex items-center px-3 py-1 rounded-full text-xs font-bold border-2" style={{ borderColor: COLORS.NAVY_BLUE, color: COLORS.NAVY_BLUE }}>
+        <User className="w-4 h-4 mr-1" /> {account.isAnonymous ? 'Guest' : account.email}
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-72 p-4 rounded-xl shadow-2xl bg-white border z-50 space-y-2" style={{ borderColor: COLORS.SKY_BLUE, color: COLORS.NAVY_BLUE }}>
+          {account.isAnonymous ? (
+            <>
+              <p className="text-sm font-semibold">You're using a guest account</p>
+              <p className="text-xs text-gray-500">Create an account to keep your squads if this browser's data is cleared; everything saved so far moves with you. Signing in to an existing account switches to that account's squads instead.</p>
+              <input type="email" placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} className="w-full p-2 border rounded-lg text-sm" />
+              <input type="password" placeholder="Password" value={password} onChange={(e) => setPassword(e.target.value)} className="w-full p-2 border rounded-lg text-sm" />
+              <div className="flex flex-wrap gap-2">
+                <button onClick={() => run(() => onCreateAccount(email.trim(), password), 'Account created. Your squads are saved to it.')} disabled={isBusy || !hasEmail || !hasPassword} className={buttonClass} style={{ backgroundColor: COLORS.ORANGE }}>Create Account</button>
+                <button onClick={() => run(() => onSignIn(email.trim(), password), 'Signed in.')} disabled={isBusy || !hasEmail || !hasPassword} className={buttonClass} style={{ backgroundColor: COLORS.NAVY_BLUE }}>Sign In</button>
+                <button onClick={() => run(() => onSendLink(email.trim()), 'Signed in with a link (no email is sent in this demo).')} disabled={isBusy || !hasEmail} className={buttonClass} style={{ backgroundColor: COLORS.SKY_BLUE }} title="No password needed">Email Me a Link</button>
+              </div>
+            </>
+          ) : (
+            <>
+              <p className="text-sm font-semibold">{account.email}</p>
+              <button onClick={() => run(onSignOut, '')} disabled={isBusy} className={`flex items-center ${buttonClass}`} style={{ backgroundColor: COLORS.NAVY_BLUE }}>
+                <LogOut className="w-3 h-3 mr-1" /> Sign Out
+              </button>
+            </>
+          )}
+          {message && <p className="text-xs font-semibold" style={{ color: COLORS.ORANGE }}>{message}</p>}
+          <p className="text-xs text-gray-400">User ID: <span className="font-mono">{account.uid}</span></p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Button = ({ children, color = COLORS.ORANGE, disabled, onClick }) => (
+  <button onClick={onClick} disabled={disabled}
+    className={`flex items-center justify-center px-6 py-3 rounded-xl font-bold text-white shadow-lg transition duration-200 ${disabled? 'opacity-50 cursor-not-allowed bg-gray-400':'hover:opacity-90 active:scale-[0.98]'}`}
+    style={{ backgroundColor: color }}>
+    {children}
+  </button>
+);
+
+// Match replay: a scrubber across the whole match with play/pause. Players glide between slots and to and
+// from the bench under the pitch, each with her minutes played so far, to walk a squad through the rotation.
+const REPLAY_SPEEDS = [1, 2, 5, 10]; // match minutes per second
+const REPLAY_TICK_MS = 100;
+const REPLAY_PITCH_REM = 24; // the pitch is h-96; the bench sits below it
+
+const MatchReplay = ({ plan, settings, roster = [] }) => {
+    const [minute, setMinute] = useState(0);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [speed, setSpeed] = useState(2);
+    const changeMinutes = [...new Set(plan.lineups.map(l => l.minute))].filter(m => m < plan.matchDuration);
+
+    useEffect(() => { setMinute(0); setIsPlaying(false); }, [plan]);
+    useEffect(() => {
+        if (!isPlaying) return undefined;
+        const timer = setInterval(() => setMinute(m => Math.min(plan.matchDuration, m + speed * REPLAY_TICK_MS / 1000)), REPLAY_TICK_MS);
+        return () => clearInterval(timer);
+    }, [isPlaying, speed, plan]);
+    useEffect(() => { if (minute >= plan.matchDuration) setIsPlaying(false); }, [minute, plan]);
+
+    const lineup = getLineupAt(plan, minute);
+    const players = getLineupPlayers(plan, lineup);
+    const played = getMinutesPlayedAt(plan, minute);
+    const coordinates = getFormationCoordinates(plan.gameFormat, lineup.formation, settings.customFormations);
+    const bench = players.filter(p => p.position === 'Bench');
+    const previousChange = changeMinutes.filter(m => m < minute).pop();
+    const nextChange = changeMinutes.find(m => m > minute);
+
+    const handlePlay = () => {
+        if (minute >= plan.matchDuration) setMinute(0);
+        setIsPlaying(!isPlaying);
+    };
+    const jumpTo = (m) => { setIsPlaying(false); setMinute(m); };
+
+    // Pitch spots are % of the pitch; bench spots are spread along the strip below it
+    const getSpot = (player) => {
+        if (player.position !== 'Bench') {
+            const { y, x } = coordinates[player.position] || { y: 50, x: 50 };
+            return { top: `${y * REPLAY_PITCH_REM / 100}rem`, left: `${x}%` };
+        }
+        const index = bench.findIndex(p => p.id === player.id);
+        return { top: `${REPLAY_PITCH_REM + 3}rem`, left: `${(index + 1) * 100 / (bench.length + 1)}%` };
+    };
+
+    return (
+        <div>
+            <div className="relative w-full" style={{ height: `${REPLAY_PITCH_REM + 6}rem` }}>
+                <div className="absolute inset-x-0 top-0 h-96 border-4 border-green-800 bg-green-700/80 rounded-xl overflow-hidden shadow-inner">
+                    <div className="absolute inset-0 border-white border-2 m-4 rounded-lg opacity-80">
+                        <div className="absolute top-1/2 left-1/2 w-20 h-20 border-white border-2 rounded-full transform -translate-x-1/2 -translate-y-1/2 opacity-80"></div>
+                        <div className="absolute top-0 left-1/2 w-40 h-10 border-white border-2 transform -translate-x-1/2"></div>
+                        <div className="absolute bottom-0 left-1/2 w-40 h-10 border-white border-2 transform -translate-x-1/2 -scale-y-100"></div>
+                    </div>
+                    <div className="absolute bottom-2 right-2 text-xs font-semibold text-white bg-black/50 p-1 rounded">
+                        {plan.gameFormat} - {lineup.formation} ({formatMinute(lineup.minute)} {lineup.label})
+                    </div>
+                </div>
+                <div className="absolute inset-x-0 bottom-0 h-20 rounded-xl border-2 border-dashed" style={{ borderColor: COLORS.SKY_BLUE }}>
+                    <span className="absolute top-1 left-2 text-xs font-bold uppercase" style={{ color: COLORS.NAVY_BLUE }}>Bench</span>
+                </div>
+
+                {players.map(player => {
+                    const isGK = player.position === 'GK';
+                    const isBench = player.position === 'Bench';
+                    const color = isGK ? COLORS.NAVY_BLUE : (isBench ? '#9ca3af' : COLORS.SKY_BLUE);
+                    const { shirtNumber, photo } = roster.find(p => p.id === player.id) || player;
+                    return (
+                        <div key={player.id} className="absolute flex flex-col items-center transition-all duration-700 ease-in-out"
+                            style={{ ...getSpot(player), transform: 'translate(-50%, -50%)', zIndex: isBench ? 100 : 1 }}
+                            title={`${player.name} (${player.position})`}>
+                            <div className="w-10 h-10 rounded-full flex items-center justify-center text-xs font-bold text-white shadow-lg border-2 overflow-hidden"
+                                style={{ backgroundColor: color, borderColor: isGK ? COLORS.ORANGE : color }}>
+                                <PlayerBadge name={player.name} shirtNumber={shirtNumber} photo={photo} />
+                            </div>
+                            <span className="text-xs font-semibold px-1 rounded bg-white/80 whitespace-nowrap" style={{ color: COLORS.NAVY_BLUE }}>
+                                {player.name.split(' ')[0]} {Math.floor(played.get(player.id))}'
+                            </span>
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="mt-4 p-2 bg-gray-100 rounded-lg border-t border-b" style={{ borderColor: COLORS.SKY_BLUE }}>
+                <div className="relative h-2">
+                    {changeMinutes.filter(m => m > 0).map(m => (
+                        <span key={m} className="absolute top-0 w-1 h-2 rounded" style={{ left: `${m * 100 / plan.matchDuration}%`, backgroundColor: COLORS.ORANGE }}></span>
+                    ))}
+                </div>
+                <input type="range" min={0} max={plan.matchDuration} step={0.5} value={minute} aria-label="Match minute"
+                    onChange={(e) => jumpTo(Number(e.target.value))} className="w-full" />
+                <div className="flex items-center space-x-2">
+                    <button onClick={() => jumpTo(previousChange)} disabled={previousChange === undefined}
+                        className="p-1 px-3 text-sm bg-gray-300 rounded disabled:opacity-50">&lt; Change</button>
+                    <button onClick={handlePlay} className="p-1 px-3 text-sm font-bold text-white rounded flex items-center" style={{ backgroundColor: COLORS.ORANGE }}>
+                        {isPlaying ? <Pause className="w-4 h-4 mr-1" /> : <Play className="w-4 h-4 mr-1" />} {isPlaying ? 'Pause' : 'Play'}
+                    </button>
+                    <button onClick={() => jumpTo(nextChange)} disabled={nextChange === undefined}
+                        className="p-1 px-3 text-sm bg-gray-300 rounded disabled:opacity-50">Change &gt;</button>
+                    <div className="flex-grow text-center font-mono text-sm font-bold" style={{ color: COLORS.ORANGE }}>
+                        {formatClock(minute * 60)} / {formatClock(plan.matchDuration * 60)}
+                    </div>
+                    <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} className="p-1 text-sm border rounded bg-white" aria-label="Replay speed">
+                        {REPLAY_SPEEDS.map(s => <option key={s} value={s}>{s} min/s</option>)}
+                    </select>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Manual plan editor: pick a minute, a slot and who comes on; the pitch shows the lineup
+// at that minute and the table recomputes everyone's minutes from the subs so far.
+const ManualPlanBuilder = ({ settings, players, season, manualSubs, setManualSubs }) => {
+    const positions = getOutfieldSlots(settings.gameFormat, settings.selectedFormation, settings.customFormations);
+    const [minute, setMinute] = useState(settings.firstSubTime);
+    const [slot, setSlot] = useState('0');
+    const [onId, setOnId] = useState('');
+
+    const playersWithMinutes = useMemo(() => calculateEqualMinutes(settings, players, season), [settings, players, season]);
+    const fullPlan = useMemo(() => buildManualPlan(settings, playersWithMinutes, manualSubs), [settings, playersWithMinutes, manualSubs]);
+    const planAtMinute = useMemo(
+        () => buildManualPlan(settings, playersWithMinutes, manualSubs.filter(s => s.time <= minute)),
+        [settings, playersWithMinutes, manualSubs, minute]
+    );
+    const lineupAtMinute = getDisplayLineups(planAtMinute).pop();
+    const benchAtMinute = lineupAtMinute.players.filter(p => p.position === 'Bench');
+    const slotPosition = slot === 'GK' ? 'GK' : positions[Number(slot)];
+    const offPlayer = lineupAtMinute.players.find(p => p.position === slotPosition);
+
+    const canAdd = minute > 0 && minute < settings.matchDuration && benchAtMinute.some(p => p.id === onId);
+
+    const handleAddSub = () => {
+        if (!canAdd) return;
+        setManualSubs(prev => [...prev, { id: generateUUID(), time: minute, slot, onId }].sort((a, b) => a.time - b.time));
+        setOnId('');
+    };
+
+    const nameOf = (id) => (players.find(p => p.id === id) || { name: 'Removed player' }).name;
+    const fitLabel = (id) => {
+        const player = players.find(p => p.id === id);
+        return player && slotPosition !== 'GK' ? ` (${POSITION_FIT_LABELS[getPositionFit(player, slotPosition)]})` : '';
+    };
+
+    return (
+        <div className="sub-control-block space-y-4">
+            <p className="text-sm font-semibold text-gray-700">Manual Plan Builder (Premiership) - starters come from each player's Start Pos.</p>
+            <div className="grid grid-cols-4 gap-2 items-end">
+                <div>
+                    <label className="block text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>Minute</label>
+                    <input type="number" min={1} max={settings.matchDuration - 1} value={minute}
+                        onChange={(e) => setMinute(e.target.value === '' ? 0 : parseInt(e.target.value, 10))}
+                        className="w-full p-2 border rounded-lg text-sm" />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>Slot</label>
+                    <select value={slot} onChange={(e) => setSlot(e.target.value)} className="w-full p-2 border rounded-lg text-sm bg-white">
+                        <option value="GK">GK</option>
+                        {positions.map((pos, i) => <option key={`slot-${i}`} value={String(i)}>{pos}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>On (off: {offPlayer ? offPlayer.name : 'Empty'})</label>
+                    <select value={onId} onChange={(e) => setOnId(e.target.value)} className="w-full p-2 border rounded-lg text-sm bg-white">
+                        <option value="">Bench player...</option>
+                        {benchAtMinute.map(p => <option key={p.id} value={p.id}>{p.name}{fitLabel(p.id)}</option>)}
+                    </select>
+                </div>
+                <button onClick={handleAddSub} disabled={!canAdd}
+                    className="p-2 rounded-lg text-sm font-bold text-white disabled:opacity-50" style={{ backgroundColor: COLORS.ORANGE }}>
+                    Add Sub
+                </button>
+            </div>
+
+            <div className="space-y-1 max-h-40 overflow-y-auto custom-scrollbar">
+                {manualSubs.length === 0 && <p className="text-xs text-gray-500">No substitutions yet.</p>}
+                {manualSubs.map(sub => (
+                    <div key={sub.id} className="flex justify-between items-center text-sm p-1 border-b">
+                        <button onClick={() => setMinute(sub.time)} className="font-mono" style={{ color: COLORS.NAVY_BLUE }}>
+                            {String(sub.time).padStart(2, '0')}:00 - ON: {nameOf(sub.onId)} ({sub.slot === 'GK' ? 'GK' : positions[Number(sub.slot)]} slot)
+                        </button>
+                        <button onClick={() => setManualSubs(prev => prev.filter(s => s.id !== sub.id))} className="text-xs px-2 py-1 rounded-full text-white bg-red-500">Del</button>
+                    </div>
+                ))}
+            </div>
+            {fullPlan.issues.length > 0 && (
+                <div className="text-xs text-red-600">{fullPlan.issues.map((issue, i) => <p key={i}>{issue}</p>)}</div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <PositionVisualizer settings={settings} lineups={[{ ...lineupAtMinute, time: `${minute}:00` }]} currentLineupIndex={0} roster={players} />
+                <div className="max-h-96 overflow-y-auto custom-scrollbar">
+                    <table className="w-full text-sm" style={{ color: COLORS.NAVY_BLUE }}>
+                        <thead><tr className="border-b"><th className="text-left">Player</th><th>Target</th><th>Planned</th></tr></thead>
+                        <tbody>
+                            {fullPlan.players.map(p => (
+                                <tr key={p.id} className="border-b border-gray-100">
+                                    <td>{p.name}</td>
+                                    <td className="text-center">{p.targetMinutes}</td>
+                                    <td className="text-center font-bold" style={{ color: p.minutesPlayed < p.targetMinutes ? COLORS.ORANGE : COLORS.NAVY_BLUE }}>{p.minutesPlayed}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Touchline view of a generated plan: match clock, substitution prompts and actual minutes
+const LiveMatchPanel = ({ plan, settings, players, season, fixture, matchEvents, setMatchEvents, onReplan, onSaveResult, onExit }) => {
+    const [live, setLive] = useState(() => createLiveMatch(plan));
+    const [change, setChange] = useState({ playerId: '', available: false, minute: '' });
+    const [saveStatus, setSaveStatus] = useState('idle');
+
+    useEffect(() => {
+        if (live.status !== 'running') return undefined;
+        let lastTick = Date.now();
+        const timer = setInterval(() => {
+            const now = Date.now();
+            setLive(prev => tickLiveMatch(prev, plan, (now - lastTick) / 1000));
+            lastTick = now;
+        }, 1000);
+        return () => clearInterval(timer);
+    }, [live.status, plan]);
+
+    const period = plan.periods[live.periodNumber - 1];
+    const dueEvents = getDueEvents(plan, live);
+    const nextMinute = getNextEventMinute(plan, live);
+    const { secondsPlayed, keeperSeconds } = useMemo(() => getLiveMinutes(plan, live), [plan, live]);
+    const nameOf = (id) => getPlanPlayer(plan, id).name;
+    const clockMinute = getReplanMinute(live);
+    const canReplan = plan.planType === 'Automatic' && live.status !== 'finished';
+
+    const handleReplan = () => {
+        if (!change.playerId) return;
+        const minute = Math.max(clockMinute, change.minute === '' ? clockMinute : change.minute);
+        const availability = [...live.availability, { playerId: change.playerId, minute, available: change.available }];
+        const result = replanLiveMatch(live, plan, settings, calculateEqualMinutes(settings, players, season), availability);
+        setLive(result.live);
+        onReplan(result.plan);
+        setChange({ playerId: '', available: false, minute: '' });
+    };
+    const handleSaveResult = async () => {
+        setSaveStatus('saving');
+        try {
+            await onSaveResult(buildMatchRecord(plan, live, matchEvents, fixture));
+            setSaveStatus('saved');
+        } catch (e) {
+            setSaveStatus('idle');
+        }
+    };
+    const breakName = plan.periods.length === 2 ? 'HALF TIME' : `BREAK BEFORE ${(plan.periods[live.periodNumber] || period).name}`;
+
+    // Buzz the phone when a new substitution window comes up
+    const hasPrompts = live.periodLineupPending || dueEvents.length > 0;
+    useEffect(() => {
+        if (hasPrompts && navigator.vibrate) navigator.vibrate([200, 100, 200]);
+    }, [hasPrompts]);
+
+    const statusText = {
+        ready: 'Ready for kick-off',
+        running: period.name,
+        paused: `${period.name} (PAUSED)`,
+        break: breakName,
+        finished: 'FULL TIME',
+    }[live.status];
+
+    return (
+        <div className="p-6 rounded-xl shadow-2xl mb-8 border-4" style={{ borderColor: COLORS.ORANGE, backgroundColor: COLORS.WHITE }}>
+            <div className="flex flex-col md:flex-row justify-between items-center gap-4 pb-4 border-b" style={{ borderColor: COLORS.SKY_BLUE }}>
+                <div className="text-center md:text-left">
+                    <p className="text-sm font-bold" style={{ color: COLORS.ORANGE }}>{statusText}</p>
+                    <p className="text-6xl font-extrabold font-mono" style={{ color: COLORS.NAVY_BLUE }}>{formatClock(live.elapsedSeconds)}</p>
+                    <p className="text-sm" style={{ color: COLORS.NAVY_BLUE }}>
+                        {nextMinute !== null ? `Next window: ${formatMinute(nextMinute)} (in ${formatClock(Math.max(0, nextMinute * 60 - live.elapsedSeconds))})` : 'No more planned changes'}
+                    </p>
+                </div>
+                <div className="flex flex-wrap gap-2 justify-center">
+                    {live.status === 'ready' && <Button onClick={() => setLive(prev => ({ ...prev, status: 'running' }))}><Play className="w-5 h-5 mr-2" /> Kick Off</Button>}
+                    {live.status === 'running' && <Button onClick={() => setLive(prev => ({ ...prev, status: 'paused' }))} color={COLORS.NAVY_BLUE}>Pause</Button>}
+                    {live.status === 'paused' && <Button onClick={() => setLive(prev => ({ ...prev, status: 'running' }))}><Play className="w-5 h-5 mr-2" /> Resume</Button>}
+                    {live.status === 'break' && <Button onClick={() => setLive(prev => startNextPeriod(prev, plan))}><Play className="w-5 h-5 mr-2" /> Start {plan.periods[live.periodNumber].name}</Button>}
+                    {live.status === 'finished' && onSaveResult && (
+                        <Button onClick={handleSaveResult} disabled={saveStatus !== 'idle'} color={COLORS.SKY_BLUE}>
+                            <Save className="w-5 h-5 mr-2" /> {saveStatus === 'saved' ? 'Saved to Season' : saveStatus === 'saving' ? 'Saving...' : 'Save to Season'}
+                        </Button>
+                    )}
+                    <Button onClick={onExit} color={COLORS.NAVY_BLUE}>Exit Match Mode</Button>
+                </div>
+            </div>
+
+            {hasPrompts && (
+                <div className="mt-4 p-4 rounded-lg border-2 animate-pulse space-y-2" style={{ borderColor: COLORS.ORANGE, backgroundColor: '#FFF4EC' }}>
+                    <p className="font-bold" style={{ color: COLORS.ORANGE }}>Substitution time!</p>
+                    {live.periodLineupPending && (
+                        <div className="flex justify-between items-center text-sm p-2 bg-white rounded">
+                            <span style={{ color: COLORS.NAVY_BLUE }}>Planned {period.name} lineup (rotation reset)</span>
+                            <div className="flex gap-1">
+                                <button onClick={() => setLive(prev => resolvePeriodLineup(prev, plan, true))} className="text-xs px-3 py-1 rounded-full text-white" style={{ backgroundColor: COLORS.ORANGE }}>Apply</button>
+                                <button onClick={() => setLive(prev => resolvePeriodLineup(prev, plan, false))} className="text-xs px-3 py-1 rounded-full text-white bg-gray-400">Keep Current</button>
+                            </div>
+                        </div>
+                    )}
+                    {dueEvents.map(e => {
+                        const result = applyLiveEvent(live.lineup, e);
+                        return (
+                            <div key={e.index} className="flex justify-between items-center text-sm p-2 bg-white rounded">
+                                <span style={{ color: COLORS.NAVY_BLUE }}>
+                                    <span className="font-mono">{formatMinute(e.minute)}</span>{' '}
+                                    {e.type === 'formation'
+                                        ? <>FORMATION: <b>{e.formation}</b> (players move to their new slots)</>
+                                        : <>{e.type === 'keeper' ? 'IN GOAL' : 'ON'}: <b>{nameOf(e.onId)}</b> ({getSlotName(live.lineup.positions, e.slot)}) | OFF: {result ? (result.offId ? nameOf(result.offId) : 'Empty') : '—'}</>}
+                                    {!result && <span className="text-xs text-red-600"> ({nameOf(e.onId)} is already playing)</span>}
+                                </span>
+                                <div className="flex gap-1">
+                                    <button onClick={() => setLive(prev => resolveLiveEvent(prev, plan, e.index, true))} disabled={!result}
+                                        className="text-xs px-3 py-1 rounded-full text-white disabled:opacity-50" style={{ backgroundColor: COLORS.ORANGE }}>Confirm</button>
+                                    <button onClick={() => setLive(prev => resolveLiveEvent(prev, plan, e.index, false))} className="text-xs px-3 py-1 rounded-full text-white bg-gray-400">Skip</button>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                <PositionVisualizer settings={settings} lineups={[{ time: formatClock(live.elapsedSeconds), formation: live.lineup.formation, players: getLineupPlayers(plan, live.lineup) }]} currentLineupIndex={0} roster={players} />
+                <div className="space-y-4">
+                    <div className="max-h-64 overflow-y-auto custom-scrollbar">
+                        <table className="w-full text-sm" style={{ color: COLORS.NAVY_BLUE }}>
+                            <thead><tr className="border-b"><th className="text-left">Player</th><th>Planned</th><th>Actual</th><th>In Goal</th></tr></thead>
+                            <tbody>
+                                {plan.players.map(p => {
+                                    const onPitch = live.lineup.keeperId === p.id || live.lineup.slots.includes(p.id);
+                                    return (
+                                        <tr key={p.id} className="border-b border-gray-100">
+                                            <td className={onPitch ? 'font-bold' : ''}>{p.name}</td>
+                                            <td className="text-center">{p.minutesPlayed}</td>
+                                            <td className="text-center font-mono">{formatClock(secondsPlayed.get(p.id))}</td>
+                                            <td className="text-center font-mono">{keeperSeconds.get(p.id) > 0 ? formatClock(keeperSeconds.get(p.id)) : '-'}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                    {canReplan && (
+                        <div className="p-3 rounded-lg border space-y-2" style={{ borderColor: COLORS.SKY_BLUE }}>
+                            <p className="text-sm font-semibold" style={{ color: COLORS.NAVY_BLUE }}>Injury, no-show or late arrival? Re-plan the rest of the match.</p>
+                            <div className="grid grid-cols-4 gap-2 items-end">
+                                <select value={change.playerId} onChange={(e) => setChange(c => ({ ...c, playerId: e.target.value }))} className="p-2 border rounded-lg text-sm bg-white">
+                                    <option value="">Player...</option>
+                                    {plan.players.map(p => <option key={p.id} value={p.id}>{p.name}{isAvailableAt(live.availability, p.id, clockMinute) ? '' : ' (out)'}</option>)}
+                                </select>
+                                <select value={change.available ? 'in' : 'out'} onChange={(e) => setChange(c => ({ ...c, available: e.target.value === 'in' }))} className="p-2 border rounded-lg text-sm bg-white">
+                                    <option value="out">Unavailable</option>
+                                    <option value="in">Available</option>
+                                </select>
+                                <input type="number" min={clockMinute} max={settings.matchDuration} placeholder={`from ${clockMinute}'`} value={change.minute}
+                                    onChange={(e) => setChange(c => ({ ...c, minute: e.target.value === '' ? '' : parseInt(e.target.value, 10) }))}
+                                    className="p-2 border rounded-lg text-sm" />
+                                <button onClick={handleReplan} disabled={!change.playerId}
+                                    className="p-2 rounded-lg text-sm font-bold text-white disabled:opacity-50" style={{ backgroundColor: COLORS.ORANGE }}>
+                                    Re-plan
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                    <div className="max-h-40 overflow-y-auto custom-scrollbar text-xs space-y-1" style={{ color: COLORS.NAVY_BLUE }}>
+                        {live.log.length === 0 && <p className="text-gray-500">Confirmed and skipped changes appear here.</p>}
+                        {live.log.map((entry, i) => (
+                            <p key={i} className={entry.status === 'skipped' ? 'text-gray-400 line-through' : ''}>
+                                <span className="font-mono">{formatClock(entry.atSeconds)}</span>{' '}
+                                {entry.type === 'lineup' ? 'Period lineup reset'
+                                    : entry.type === 'formation' ? `Formation: ${entry.lineup.formation}`
+                                    : entry.type === 'off' ? `OFF: ${nameOf(entry.offId)} (${getSlotName(entry.lineup.positions, entry.slot)}), not replaced`
+                                    : `${entry.type === 'keeper' ? 'IN GOAL' : 'ON'}: ${nameOf(entry.onId)} (${getSlotName(entry.lineup.positions, entry.slot)}) | OFF: ${entry.offId ? nameOf(entry.offId) : 'Empty'}`}
+                            </p>
+                        ))}
+                    </div>
+                    <div className="p-3 rounded-lg border" style={{ borderColor: COLORS.SKY_BLUE }}>
+                        <MatchEventLog plan={plan} events={matchEvents} setEvents={setMatchEvents} clockMinute={clockMinute} />
+                    </div>
+                </div>
+            </div>
+
+            {live.status === 'finished' && (
+                <div className="mt-4">
+                    <MatchReport record={buildMatchRecord(plan, live, matchEvents, fixture)} />
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Logs goals, cards, notes and so on against the plan's players. In match mode the minute defaults to the clock.
+const MatchEventLog = ({ plan, events, setEvents, clockMinute = null }) => {
+    const [draft, setDraft] = useState({ type: 'goal', playerId: '', minute: '', note: '' });
+    const playerRule = getEventPlayerRule(draft.type);
+    const minute = draft.minute === '' ? clockMinute : draft.minute;
+    const canAdd = minute !== null && minute >= 0 && minute <= plan.matchDuration
+        && (playerRule !== 'required' || draft.playerId !== '') && (draft.type !== 'note' || draft.note.trim() !== '');
+    const score = getMatchScore(events);
+
+    const handleAdd = () => {
+        if (!canAdd) return;
+        const playerId = playerRule === 'none' || draft.playerId === '' ? null : draft.playerId;
+        setEvents(prev => [...prev, { id: generateUUID(), type: draft.type, minute, playerId, name: playerId ? getPlanPlayer(plan, playerId).name : null, note: draft.note.trim() }]);
+        setDraft(d => ({ ...d, playerId: '', minute: '', note: '' }));
+    };
+
+    return (
+        <div className="space-y-2" style={{ color: COLORS.NAVY_BLUE }}>
+            <div className="flex justify-between items-center">
+                <p className="text-sm font-semibold">Goals, cards and notes</p>
+                <p className="font-mono font-bold text-lg">{score.for} - {score.against}</p>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-2 items-end">
+                <select value={draft.type} onChange={(e) => setDraft(d => ({ ...d, type: e.target.value }))} className="p-2 border rounded-lg text-sm bg-white">
+                    {Object.entries(MATCH_EVENT_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+                </select>
+                <select value={draft.playerId} onChange={(e) => setDraft(d => ({ ...d, playerId: e.target.value }))} disabled={playerRule === 'none'}
+                    className="p-2 border rounded-lg text-sm bg-white disabled:opacity-50">
+                    <option value="">{playerRule === 'required' ? 'Player...' : 'No player'}</option>
+                    {plan.players.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                </select>
+                <input type="number" min={0} max={plan.matchDuration} value={draft.minute} placeholder={clockMinute !== null ? `${clockMinute}'` : 'Minute'}
+                    onChange={(e) => setDraft(d => ({ ...d, minute: e.target.value === '' ? '' : parseInt(e.target.value, 10) }))}
+                    className="p-2 border rounded-lg text-sm" />
+                <input type="text" value={draft.note} placeholder={draft.type === 'note' ? 'Note' : 'Note (optional)'}
+                    onChange={(e) => setDraft(d => ({ ...d, note: e.target.value }))} className="p-2 border rounded-lg text-sm" />
+                <button onClick={handleAdd} disabled={!canAdd}
+                    className="p-2 rounded-lg text-sm font-bold text-white disabled:opacity-50" style={{ backgroundColor: COLORS.ORANGE }}>
+                    Log
+                </button>
+            </div>
+            <div className="max-h-40 overflow-y-auto custom-scrollbar text-xs space-y-1">
+                {events.length === 0 && <p className="text-gray-500">Nothing logged yet.</p>}
+                {sortMatchEvents(events).map(e => (
+                    <div key={e.id} className="flex justify-between items-center p-1 rounded border" style={{ borderColor: COLORS.SKY_BLUE }}>
+                        <span>
+                            <span className="font-mono">{formatMinute(e.minute)}</span>{' '}
+                            <b>{MATCH_EVENT_TYPES[e.type]}</b>{e.name ? `: ${e.name}` : ''}{e.note ? ` - ${e.note}` : ''}
+                        </span>
+                        <button onClick={() => setEvents(prev => prev.filter(other => other.id !== e.id))} className="px-2 rounded-full text-white bg-red-500">Del</button>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// A MatchRecord's report, to copy, hand to the device's share sheet or download as a text file
+const MatchReport = ({ record }) => {
+    const [isCopied, setIsCopied] = useState(false);
+    const text = renderMatchReport(record);
+    const handleCopy = () => navigator.clipboard.writeText(text).then(() => setIsCopied(true), () => setIsCopied(false));
+    const handleShare = () => navigator.share({ title: 'Match Report', text }).catch(() => undefined);
+    return (
+        <div>
+            <pre className="whitespace-pre-wrap font-mono text-sm leading-relaxed p-3 rounded-lg bg-gray-50" style={{ color: COLORS.NAVY_BLUE }}>{text}</pre>
+            <div className="mt-3 flex flex-wrap gap-2">
+                <Button onClick={handleCopy} color={COLORS.NAVY_BLUE}>{isCopied ? 'Copied' : 'Copy Report'}</Button>
+                {navigator.share && <Button onClick={handleShare} color={COLORS.SKY_BLUE}>Share</Button>}
+                <Button onClick={() => downloadFile(text, `MatchReport_${record.playedAt.slice(0, 10)}.txt`, 'text/plain;charset=utf-8')} color={COLORS.NAVY_BLUE}>
+                    <Download className="w-5 h-5 mr-2" /> Download
+                </Button>
+            </div>
+        </div>
+    );
+};
+
+// Season totals from the match ledger, with the saved matches listed so a wrong result can be removed
+const SeasonReport = ({ season, matches, onDeleteMatch, isLoading }) => {
+    const [reportId, setReportId] = useState(null); // the match whose report is open
+    const reportMatch = matches.find(match => match.id === reportId);
+    const behindText = (row) => {
+        if (row.matches === 0 || row.minutesBehind === 0) return '-';
+        return row.minutesBehind > 0 ? `${row.minutesBehind} behind` : `${-row.minutesBehind} ahead`;
+    };
+    return (
+        <div className="p-6 rounded-xl shadow-xl bg-white mt-8">
+            <h3 className="text-xl font-bold mb-4 border-b pb-2 flex items-center" style={{ color: COLORS.NAVY_BLUE, borderColor: COLORS.SKY_BLUE }}>
+                <Trophy className="w-5 h-5 mr-2" /> Season Report ({matches.length} {matches.length === 1 ? 'match' : 'matches'})
+            </h3>
+            {matches.length === 0 ? (
+                <p className="text-sm text-gray-500">{isLoading ? 'Loading...' : 'Finish a match in match mode and press "Save to Season" to start the ledger.'}</p>
+            ) : (
+                <>
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm" style={{ color: COLORS.NAVY_BLUE }}>
+                            <thead>
+                                <tr className="border-b"><th className="text-left">Player</th><th>Matches</th><th>Minutes</th><th>Avg</th><th>Season Balance</th><th>Starts</th><th>GK Stints</th><th>GK Mins</th></tr>
+                            </thead>
+                            <tbody>
+                                {season.map(row => (
+                                    <tr key={row.id} className="border-b border-gray-100">
+                                        <td>{row.name}</td>
+                                        <td className="text-center">{row.matches}</td>
+                                        <td className="text-center">{row.minutes}</td>
+                                        <td className="text-center">{row.matches > 0 ? Math.round(row.minutes / row.matches) : '-'}</td>
+                                        <td className={`text-center ${row.minutesBehind > 0 ? 'font-bold' : ''}`} style={row.minutesBehind > 0 ? { color: COLORS.ORANGE } : {}}>{behindText(row)}</td>
+                                        <td className="text-center">{row.starts}</td>
+                                        <td className="text-center">{row.keeperStints}</td>
+                                        <td className="text-center">{row.keeperMinutes}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div className="mt-4 space-y-1 max-h-40 overflow-y-auto custom-scrollbar">
+                        {matches.map(match => (
+                            <div key={match.id} className="flex justify-between items-center text-xs p-2 rounded-lg border" style={{ borderColor: COLORS.SKY_BLUE, color: COLORS.NAVY_BLUE }}>
+                                <span>
+                                    {new Date(match.playedAt).toLocaleDateString()} - {match.opponent ? `${match.venue === 'Away' ? '@' : 'vs'} ${match.opponent} ` : ''}
+                                    {match.score ? `${match.score.for}-${match.score.against} ` : ''}{match.gameFormat} {match.formation} ({match.players.length} players)
+                                </span>
+                                <div className="flex gap-1">
+                                    <button onClick={() => setReportId(reportId === match.id ? null : match.id)} className="px-2 py-1 rounded-full text-white" style={{ backgroundColor: COLORS.NAVY_BLUE }}>Report</button>
+                                    <button onClick={() => onDeleteMatch(match.id)} className="px-2 py-1 rounded-full text-white bg-red-500">Del</button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                    {reportMatch && <div className="mt-4"><MatchReport record={reportMatch} /></div>}
+                </>
+            )}
+        </div>
+    );
+};
+
+// Each player's season minutes split across goal and the outfield lines, and for the player picked, the split
+// match by match
+const PlayerDevelopment = ({ season, matches }) => {
+    const [playerId, setPlayerId] = useState(null);
+    const lineTotal = (lineMinutes) => DEVELOPMENT_LINES.reduce((sum, line) => sum + lineMinutes[line], 0);
+    const rows = season.filter(row => lineTotal(row.lineMinutes) > 0);
+    const selected = rows.find(row => row.id === playerId) || rows[0];
+    const history = selected ? getPlayerLineHistory(matches, selected).slice(-DEVELOPMENT_CHART_MATCHES) : [];
+    const longestMatch = Math.max(1, ...history.map(h => lineTotal(h.lineMinutes)));
+    return (
+        <div className="p-6 rounded-xl shadow-xl bg-white mt-8">
+            <h3 className="text-xl font-bold mb-4 border-b pb-2 flex items-center" style={{ color: COLORS.NAVY_BLUE, borderColor: COLORS.SKY_BLUE }}>
+                <TrendingUp className="w-5 h-5 mr-2" /> Player Development
+            </h3>
+            {rows.length === 0 ? (
+                <p className="text-sm text-gray-500">Minutes by position show here once a match is saved to the season.</p>
+            ) : (
+                <>
+                    <div className="flex flex-wrap gap-3 mb-3 text-xs" style={{ color: COLORS.NAVY_BLUE }}>
+                        {DEVELOPMENT_LINES.map(line => (
+                            <span key={line} className="flex items-center">
+                                <span className="inline-block w-3 h-3 rounded-sm mr-1" style={{ backgroundColor: DEVELOPMENT_LINE_COLORS[line] }}></span>{DEVELOPMENT_LINE_NAMES[line]}
+                            </span>
+                        ))}
+                    </div>
+                    <div className="space-y-1">
+                        {rows.map(row => (
+                            <button key={row.id} onClick={() => setPlayerId(row.id)} style={{ color: COLORS.NAVY_BLUE }}
+                                className={`w-full flex items-center gap-2 text-xs p-1 rounded ${row.id === selected.id ? 'bg-gray-100 font-bold' : ''}`}>
+                                <span className="w-28 text-left truncate">{row.name}</span>
+                                <span className="flex-1 flex h-4 rounded overflow-hidden bg-gray-100">
+                                    {DEVELOPMENT_LINES.map(line => (
+                                        <span key={line} title={`${DEVELOPMENT_LINE_NAMES[line]}: ${row.lineMinutes[line]} mins`}
+                                            style={{ width: `${(row.lineMinutes[line] / lineTotal(row.lineMinutes)) * 100}%`, backgroundColor: DEVELOPMENT_LINE_COLORS[line] }}></span>
+                                    ))}
+                                </span>
+                                <span className="w-16 text-right">{lineTotal(row.lineMinutes)} mins</span>
+                            </button>
+                        ))}
+                    </div>
+                    <p className="text-sm font-semibold mt-6 mb-2" style={{ color: COLORS.NAVY_BLUE }}>
+                        {selected.name}: last {history.length} {history.length === 1 ? 'match' : 'matches'}
+                    </p>
+                    <div className="flex items-end gap-2 h-40 border-b" style={{ borderColor: COLORS.SKY_BLUE }}>
+                        {history.map(h => (
+                            <div key={h.id} className="flex-1 flex flex-col-reverse h-full" title={h.opponent || new Date(h.playedAt).toLocaleDateString()}>
+                                {DEVELOPMENT_LINES.map(line => (
+                                    <div key={line} style={{ height: `${(h.lineMinutes[line] / longestMatch) * 100}%`, backgroundColor: DEVELOPMENT_LINE_COLORS[line] }}></div>
+                                ))}
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex gap-2 text-xs text-gray-500">
+                        {history.map(h => <span key={h.id} className="flex-1 text-center truncate">{new Date(h.playedAt).toLocaleDateString()}</span>)}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+// Side-by-side fairness of the candidate plans (generatePlanCandidates); the fairest is marked and the coach
+// picks which one becomes the match plan
+const PlanComparison = ({ candidates, selected, onSelect }) => {
+    const fairest = candidates.reduce((best, c) => (c.fairness.score < best.fairness.score ? c : best), candidates[0]);
+    return (
+        <div className="p-6 rounded-xl shadow-xl bg-white mb-8">
+            <h3 className="text-xl font-bold mb-4 border-b pb-2 flex items-center" style={{ color: COLORS.NAVY_BLUE, borderColor: COLORS.SKY_BLUE }}>
+                <Scale className="w-5 h-5 mr-2" /> Compare Plans
+            </h3>
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm" style={{ color: COLORS.NAVY_BLUE }}>
+                    <thead>
+                        <tr className="border-b"><th className="text-left">Plan</th><th>Mins Off Target</th><th>Short</th><th>Longest Bench</th><th>Stoppages</th><th>Out of Position</th><th>Repeat Bench Starts</th><th>Score</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        {candidates.map(candidate => {
+                            const { fairness } = candidate;
+                            const isSelected = candidate.name === selected;
+                            return (
+                                <tr key={candidate.name} className="border-b border-gray-100" style={isSelected ? { backgroundColor: COLORS.SKY_BLUE + '33' } : {}}>
+                                    <td className="py-1">
+                                        <span className="font-semibold">{candidate.name}</span>
+                                        {candidate === fairest && <span className="ml-2 text-xs px-2 py-0.5 rounded-full text-white" style={{ backgroundColor: COLORS.ORANGE }}>Fairest</span>}
+                                        <p className="text-xs text-gray-500">{candidate.description}</p>
+                                    </td>
+                                    <td className="text-center">{fairness.minutesOff}</td>
+                                    <td className="text-center" title={fairness.shortOfTarget.join(', ')}>{fairness.shortOfTarget.length}</td>
+                                    <td className="text-center">{fairness.longestBench}</td>
+                                    <td className="text-center">{fairness.stoppages}</td>
+                                    <td className="text-center">{fairness.outOfPosition}</td>
+                                    <td className="text-center" title={fairness.repeatBenchStarts.join(', ')}>{fairness.repeatBenchStarts.length}</td>
+                                    <td className="text-center font-bold">{fairness.score}</td>
+                                    <td className="text-right">
+                                        {isSelected ? <span className="text-xs font-semibold">In use</span> : (
+                                            <button onClick={() => onSelect(candidate)} className="text-xs px-2 py-1 rounded-full text-white" style={{ backgroundColor: COLORS.NAVY_BLUE }}>Use</button>
+                                        )}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+                Lower scores are fairer. Minutes off target count most, then players benched at two period starts in a row,
+                stoppages, out-of-position slots and the longest bench spell. Plans that came out the same are shown once.
+            </p>
+        </div>
+    );
+};
+
+// Age-group and league rules in one pick: format, duration, periods, drinks breaks, sub rule, squad limit and
+// GK rules. Championship+ coaches can save their own league's rules as a preset.
+const RulePresets = ({ customPresets, onApplyPreset, onSavePreset, onDeletePreset, canSave, isLoading }) => {
+    const [presetName, setPresetName] = useState('');
+    const handleSelect = (value) => {
+        const [source, index] = value.split(':');
+        const preset = source === 'own' ? customPresets[index] : RULE_PRESETS[index];
+        if (preset) onApplyPreset(preset);
+    };
+
+    return (
+        <div className="pb-2 border-b border-white/20">
+            <label className="block">Rules Preset</label>
+            <select value="" onChange={(e) => handleSelect(e.target.value)}
+                className="w-full p-2 rounded-lg text-sm font-semibold" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}>
+                <option value="">Apply a preset...</option>
+                <optgroup label="Age groups">
+                    {RULE_PRESETS.map((preset, i) => <option key={preset.name} value={`age:${i}`}>{preset.name}</option>)}
+                </optgroup>
+                {customPresets.length > 0 && (
+                    <optgroup label="My presets">
+                        {customPresets.map((preset, i) => <option key={preset.id} value={`own:${i}`}>{preset.name}</option>)}
+                    </optgroup>
+                )}
+            </select>
+            {canSave && (
+                <div className="mt-2">
+                    <div className="flex space-x-2">
+                        <input type="text" placeholder="Preset name, e.g. County League U11" value={presetName} onChange={(e) => setPresetName(e.target.value)}
+                            className="flex-grow p-1 rounded-lg text-sm" style={{ color: COLORS.NAVY_BLUE }} />
+                        <button onClick={() => onSavePreset(presetName.trim())} disabled={isLoading || !presetName.trim()}
+                            className="text-xs px-3 py-1 rounded-full text-white disabled:opacity-50" style={{ backgroundColor: COLORS.ORANGE }}>
+                            Save Rules
+                        </button>
+                    </div>
+                    {customPresets.map(preset => (
+                        <div key={preset.id} className="flex justify-between items-center text-xs mt-1">
+                            <span>{preset.name} ({preset.gameFormat}, {describePeriods(getMatchPeriods(preset))})</span>
+                            <button onClick={() => onDeletePreset(preset.id)} className="px-2 py-0.5 rounded-full text-white bg-red-500">Del</button>
+                        </div>
+                    ))}
+                </div>
+            )}
+            <p className="text-xs text-white/70 mt-1">A preset sets the format and rules below; you can still change any of them.</p>
+        </div>
+    );
+};
+
+// Lengths of each period when the match is split unevenly (matchPeriods 'Custom'); the duration follows the total
+const PeriodLengthsEditor = ({ periodLengths, onChange }) => {
+    const updateLength = (index, value) => onChange(periodLengths.map((length, i) => (i === index ? value : length)));
+    return (
+        <div className="pt-2 space-y-1">
+            {periodLengths.map((length, i) => (
+                <div key={i} className="flex items-center space-x-2 text-sm">
+                    <span className="w-20">Period {i + 1}</span>
+                    <input type="number" min={1} value={length} onChange={(e) => updateLength(i, e.target.value === '' ? 0 : parseInt(e.target.value, 10))}
+                        className="w-20 p-1 rounded-lg text-sm font-semibold" style={{ color: COLORS.NAVY_BLUE }} />
+                    <span>min</span>
+                    {periodLengths.length > 1 && (
+                        <button onClick={() => onChange(periodLengths.filter((_, j) => j !== i))} className="text-xs px-2 py-1 rounded-full text-white bg-red-500">X</button>
+                    )}
+                </div>
+            ))}
+            <button onClick={() => onChange([...periodLengths, periodLengths[periodLengths.length - 1] || 10])}
+                className="text-xs px-3 py-1 rounded-full text-white" style={{ backgroundColor: COLORS.SKY_BLUE }}>
+                + Add Period
+            </button>
+        </div>
+    );
+};
+
+// Formation changes for the automatic plan: each row switches to another formation with the same number
+// of slots at a given minute, usually a period start. Rows the generator would ignore are flagged.
+const FormationChangesEditor = ({ settings, formations, onChange }) => {
+    const changes = settings.formationChanges;
+    const periodStarts = getMatchPeriods(settings).slice(1);
+    const slotCount = getOutfieldSlots(settings.gameFormat, settings.selectedFormation, settings.customFormations).length;
+    const options = formations.filter(f => f.slots.length === slotCount).map(f => f.name);
+    const schedule = getFormationSchedule(settings);
+    const isScheduled = (change) => schedule.some(s => s.minute === change.minute && s.name === change.formation);
+    const inputClass = 'p-1 border rounded-lg text-sm bg-white';
+    const updateChange = (index, patch) => onChange(changes.map((c, i) => (i === index ? { ...c, ...patch } : c)));
+    const handleAdd = () => {
+        const start = periodStarts.find(p => !changes.some(c => c.minute === p.start));
+        onChange([...changes, {
+            minute: start ? start.start : Math.floor(settings.matchDuration / 2),
+            formation: options.find(name => name !== settings.selectedFormation) || settings.selectedFormation,
+        }]);
+    };
+
+    return (
+        <div className="mt-4 p-4 rounded-lg border-dashed border" style={{ borderColor: COLORS.NAVY_BLUE, color: COLORS.NAVY_BLUE }}>
+            <p className="text-sm font-semibold mb-2">Formation Changes</p>
+            {changes.length === 0 && <p className="text-xs text-gray-500 mb-2">The team plays {settings.selectedFormation} all match.</p>}
+            {changes.map((change, i) => (
+                <div key={i} className="mb-2">
+                    <div className="flex items-center space-x-2 text-sm">
+                        <span>At</span>
+                        <input type="number" min={1} max={settings.matchDuration - 1} value={change.minute}
+                            onChange={(e) => updateChange(i, { minute: e.target.value === '' ? 0 : parseInt(e.target.value, 10) })}
+                            className={`${inputClass} w-16`} />
+                        <span>min switch to</span>
+                        <select value={change.formation} onChange={(e) => updateChange(i, { formation: e.target.value })} className={`${inputClass} flex-grow`}>
+                            {options.map(name => <option key={name} value={name}>{name}</option>)}
+                        </select>
+                        <button onClick={() => onChange(changes.filter((_, j) => j !== i))} className="text-xs px-2 py-1 rounded-full text-white bg-red-500">X</button>
+                    </div>
+                    {!isScheduled(change) && (
+                        <p className="text-xs text-red-600">Ignored: pick a minute between 1 and {settings.matchDuration - 1} (once each) and a {slotCount}-slot formation.</p>
+                    )}
+                </div>
+            ))}
+            <button onClick={handleAdd} disabled={options.length < 2} className="text-xs px-3 py-1 rounded-full text-white disabled:opacity-50" style={{ backgroundColor: COLORS.SKY_BLUE }}>
+                + Add Formation Change
+            </button>
+            {periodStarts.length > 0 && (
+                <p className="text-xs text-gray-500 mt-2">
+                    Period starts: {periodStarts.map(p => `${p.name} at ${p.start} min`).join(', ')}. Players move to the slots that suit them best.
+                </p>
+            )}
+        </div>
+    );
+};
+
+const BLANK_PROFILE = { id: null, name: '', shirtNumber: null, photo: '', role: 'Outfield', preferredPosition: '', secondaryPosition: '', neverPosition: '', preferredFoot: '', canPlayGK: false, notes: '' };
+
+// The coach's player profiles. Saving one updates every squad that lists the player and any roster row
+// for her; "Add" puts her in the first empty roster row.
+const PlayerProfiles = ({ profiles, rosterIds, isRosterFull, onSaveProfile, onDeleteProfile, onAddToRoster, isLoading }) => {
+    const [draft, setDraft] = useState(null); // the profile being edited, or null
+    const [photoError, setPhotoError] = useState('');
+    const update = (patch) => setDraft(d => ({ ...d, ...patch }));
+    const positions = ALL_POSITIONS_AND_BENCH.filter(p => p !== 'Bench');
+
+    const handleEdit = (profile) => { setDraft({ ...BLANK_PROFILE, ...profile }); setPhotoError(''); };
+    const handlePhoto = async (file) => {
+        if (!file) return;
+        try {
+            update({ photo: await readProfilePhoto(file) });
+            setPhotoError('');
+        } catch (e) {
+            setPhotoError('That file could not be read as a photo.');
+        }
+    };
+    const handleSave = async () => {
+        const id = await onSaveProfile({ ...draft, name: draft.name.trim() });
+        if (id) setDraft(null);
+    };
+    const handleDelete = async () => { await onDeleteProfile(draft.id); setDraft(null); };
+
+    const takenNumber = draft && draft.shirtNumber && profiles.find(p => p.id !== draft.id && p.shirtNumber === draft.shirtNumber);
+    const inputClass = 'p-2 border rounded-lg text-sm bg-white';
+
+    return (
+        <div className="p-6 rounded-xl shadow-lg border" style={{ borderColor: COLORS.NAVY_BLUE }}>
+            <h3 className="text-xl font-bold mb-4 flex items-center" style={{ color: COLORS.NAVY_BLUE }}>
+                <User className="w-5 h-5 mr-2" style={{ color: COLORS.NAVY_BLUE }} /> Player Profiles
+            </h3>
+            <p className="text-xs mb-2 text-gray-500">Saving a squad saves its players here too. Edit a profile once and every squad picks it up.</p>
+            {!draft && (
+                <>
+                    <div className="space-y-2 max-h-64 overflow-y-auto custom-scrollbar mb-3">
+                        {profiles.length === 0 && <p className="text-sm text-gray-500">No profiles yet.</p>}
+                        {profiles.map(profile => (
+                            <div key={profile.id} className="flex items-center space-x-2 p-2 rounded-lg border" style={{ borderColor: COLORS.SKY_BLUE }}>
+                                <div className="w-9 h-9 rounded-full flex items-center justify-center text-xs font-bold text-white overflow-hidden flex-shrink-0"
+                                    style={{ backgroundColor: profile.role === 'GK' ? COLORS.NAVY_BLUE : COLORS.SKY_BLUE }}>
+                                    <PlayerBadge name={profile.name} shirtNumber={profile.shirtNumber} photo={profile.photo} />
+                                </div>
+                                <div className="flex-grow text-sm" style={{ color: COLORS.NAVY_BLUE }}>
+                                    <div className="font-medium">{profile.shirtNumber ? `#${profile.shirtNumber} ` : ''}{profile.name}</div>
+                                    <div className="text-xs text-gray-500">
+                                        {[profile.preferredPosition, profile.secondaryPosition].filter(Boolean).join(' / ') || 'No positions'}
+                                        {profile.preferredFoot && ` | ${profile.preferredFoot} foot`}
+                                        {profile.canPlayGK && ' | GK'}
+                                    </div>
+                                </div>
+                                <button onClick={() => handleEdit(profile)} className="text-xs px-2 py-1 rounded-full text-white" style={{ backgroundColor: COLORS.NAVY_BLUE }}>Edit</button>
+                                <button onClick={() => onAddToRoster(profile)} disabled={rosterIds.includes(profile.id) || isRosterFull}
+                                    className="text-xs px-2 py-1 rounded-full text-white disabled:opacity-50" style={{ backgroundColor: COLORS.ORANGE }}>
+                                    {rosterIds.includes(profile.id) ? 'In Roster' : 'Add'}
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                    <button onClick={() => handleEdit(BLANK_PROFILE)} className="text-xs px-3 py-1 rounded-full text-white" style={{ backgroundColor: COLORS.SKY_BLUE }}>+ New Player</button>
+                </>
+            )}
+            {draft && (
+                <div className="space-y-2">
+                    <div className="flex items-center space-x-3">
+                        <div className="w-16 h-16 rounded-full flex items-center justify-center text-lg font-bold text-white overflow-hidden flex-shrink-0" style={{ backgroundColor: COLORS.SKY_BLUE }}>
+                            <PlayerBadge name={draft.name || '?'} shirtNumber={draft.shirtNumber} photo={draft.photo} />
+                        </div>
+                        <div className="flex flex-col space-y-1 text-xs">
+                            <input type="file" accept="image/*" onChange={(e) => handlePhoto(e.target.files[0])} />
+                            {draft.photo && <button onClick={() => update({ photo: '' })} className="self-start text-xs px-2 py-1 rounded-full text-white bg-red-500">Remove Photo</button>}
+                            {photoError && <span className="text-red-600">{photoError}</span>}
+                        </div>
+                    </div>
+                    <div className="flex space-x-2">
+                        <input type="text" placeholder="Player name" value={draft.name} onChange={(e) => update({ name: e.target.value })} className={`${inputClass} flex-grow`} />
+                        <input type="number" min="1" max="99" placeholder="Shirt #" value={draft.shirtNumber || ''}
+                            onChange={(e) => update({ shirtNumber: e.target.value === '' ? null : parseInt(e.target.value, 10) })} className={`${inputClass} w-24`} />
+                    </div>
+                    {takenNumber && <p className="text-xs text-orange-600">#{draft.shirtNumber} is also {takenNumber.name}'s number.</p>}
+                    <div className="grid grid-cols-3 gap-2">
+                        <select value={draft.preferredPosition} onChange={(e) => update({ preferredPosition: e.target.value })} className={inputClass}>
+                            <option value="">Pref. Pos.</option>
+                            {positions.map(pos => <option key={pos} value={pos}>{pos}</option>)}
+                        </select>
+                        <select value={draft.secondaryPosition} onChange={(e) => update({ secondaryPosition: e.target.value })} className={inputClass}>
+                            <option value="">Sec. Pos.</option>
+                            {positions.map(pos => <option key={pos} value={pos}>{pos}</option>)}
+                        </select>
+                        <select value={draft.neverPosition} onChange={(e) => update({ neverPosition: e.target.value })} className={inputClass}>
+                            <option value="">Never Pos.</option>
+                            {Object.keys(LINE_NAMES).map(line => <option key={`never-${line}`} value={line}>{LINE_NAMES[line]}</option>)}
+                            {positions.filter(pos => pos !== 'GK').map(pos => <option key={`never-${pos}`} value={pos}>{pos}</option>)}
+                        </select>
+                    </div>
+                    <div className="flex items-center space-x-4 text-sm" style={{ color: COLORS.NAVY_BLUE }}>
+                        <select value={draft.preferredFoot} onChange={(e) => update({ preferredFoot: e.target.value })} className={inputClass}>
+                            <option value="">Preferred foot</option>
+                            {PREFERRED_FEET.map(foot => <option key={foot} value={foot}>{foot}</option>)}
+                        </select>
+                        <label className="flex items-center">
+                            <input type="checkbox" checked={draft.role === 'GK'} onChange={(e) => update({ role: e.target.checked ? 'GK' : 'Outfield' })} className="mr-1" /> Keeper
+                        </label>
+                        <label className="flex items-center">
+                            <input type="checkbox" checked={!!draft.canPlayGK} onChange={(e) => update({ canPlayGK: e.target.checked })} className="mr-1" /> Can play GK
+                        </label>
+                    </div>
+                    <textarea placeholder="Private coach notes" value={draft.notes} onChange={(e) => update({ notes: e.target.value })} rows={3} className={`${inputClass} w-full`} />
+                    <div className="flex flex-wrap gap-2">
+                        <button onClick={handleSave} disabled={!draft.name.trim() || isLoading}
+                            className="text-sm px-3 py-2 rounded-lg font-bold text-white disabled:opacity-50" style={{ backgroundColor: COLORS.ORANGE }}>
+                            {draft.id ? 'Update Profile' : 'Save Profile'}
+                        </button>
+                        <button onClick={() => setDraft(null)} className="text-sm px-3 py-2 rounded-lg font-bold text-white" style={{ backgroundColor: COLORS.NAVY_BLUE }}>Cancel</button>
+                        {draft.id && <button onClick={handleDelete} disabled={isLoading} className="text-sm px-3 py-2 rounded-lg font-bold text-white bg-red-500 disabled:opacity-50">Delete</button>}
+                    </div>
+                    {draft.id && <p className="text-xs text-gray-500">Deleting a profile takes the player out of every squad.</p>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Editor for the coach's own formations in the selected format: start from a built-in or saved one,
+// add or remove slots, pick positions and drag the slots on the pitch (pointer events, so touch works).
+const FormationEditor = ({ gameFormat, customFormations, onSaveFormation, onDeleteFormation, isLoading }) => {
+    const builtIn = FORMATIONS[gameFormat];
+    const maxSlots = getOutfieldMaxPlayers(gameFormat);
+    const ownFormations = customFormations.filter(f => f.gameFormat === gameFormat);
+    const outfieldPositions = Object.keys(POSITION_COORDINATES).filter(p => p !== 'GK');
+    // The draft is the formation being edited, each slot carrying its own coordinates
+    const draftFrom = (formation, isCustom = false) => {
+        const coordinates = isCustom ? { ...POSITION_COORDINATES, ...formation.coordinates } : POSITION_COORDINATES;
+        return { id: isCustom ? formation.id : null, name: isCustom ? formation.name : `${formation.name} custom`,
+            slots: formation.slots.map(position => ({ position, ...(coordinates[position] || { x: 50, y: 50 }) })) };
+    };
+    const [draft, setDraft] = useState(() => draftFrom(builtIn[0]));
+    const [dragIndex, setDragIndex] = useState(null);
+    const pitchRef = useRef(null);
+
+    useEffect(() => { setDraft(draftFrom(FORMATIONS[gameFormat][0])); }, [gameFormat]);
+
+    const name = draft.name.trim();
+    const positions = draft.slots.map(slot => slot.position);
+    let problem = null;
+    if (!name) problem = 'Give the formation a name.';
+    else if (builtIn.some(f => f.name === name) || ownFormations.some(f => f.name === name && f.id !== draft.id)) problem = `${gameFormat} already has a formation called ${name}.`;
+    else if (new Set(positions).size !== positions.length) problem = 'Each position can only be used once.';
+
+    const updateSlot = (index, patch) => setDraft(d => ({ ...d, slots: d.slots.map((slot, i) => i === index ? { ...slot, ...patch } : slot) }));
+    const handleAddSlot = () => {
+        const position = outfieldPositions.find(p => !positions.includes(p));
+        if (!position || draft.slots.length >= maxSlots) return;
+        setDraft(d => ({ ...d, slots: [...d.slots, { position, ...POSITION_COORDINATES[position] }] }));
+    };
+    const handleStartFrom = (value) => {
+        const [kind, key] = value.split(':');
+        if (kind === 'custom') setDraft(draftFrom(ownFormations.find(f => f.id === key), true));
+        else setDraft(draftFrom(builtIn.find(f => f.name === key)));
+    };
+    // Coordinates are kept in % of the pitch
+    const handleDrag = (e) => {
+        if (dragIndex === null || !pitchRef.current) return;
+        const rect = pitchRef.current.getBoundingClientRect();
+        const toPercent = (offset, length) => Math.min(95, Math.max(5, Math.round(offset / length * 100)));
+        updateSlot(dragIndex, { x: toPercent(e.clientX - rect.left, rect.width), y: toPercent(e.clientY - rect.top, rect.height) });
+    };
+    const handleSave = async (asNew = false) => {
+        if (problem) return;
+        const id = await onSaveFormation({ id: asNew ? null : draft.id, name, gameFormat, slots: positions,
+            coordinates: Object.fromEntries(draft.slots.map(slot => [slot.position, { x: slot.x, y: slot.y }])) });
+        if (id) setDraft(d => ({ ...d, id, name }));
+    };
+    const handleDelete = async () => {
+        await onDeleteFormation(draft.id);
+        setDraft(draftFrom(builtIn[0]));
+    };
+    const inputClass = 'p-2 border rounded-lg text-sm bg-white';
+    const buttonClass = 'text-sm px-3 py-2 rounded-lg font-bold text-white disabled:opacity-50';
+
+    return (
+        <div className="p-6 rounded-xl shadow-lg border" style={{ borderColor: COLORS.NAVY_BLUE }}>
+            <h3 className="text-xl font-bold mb-4" style={{ color: COLORS.NAVY_BLUE }}>{gameFormat} Formations</h3>
+            <select value="" onChange={(e) => handleStartFrom(e.target.value)} className={`${inputClass} w-full mb-2`}>
+                <option value="">Start from...</option>
+                <optgroup label="Built-in">{builtIn.map(f => <option key={f.name} value={`builtin:${f.name}`}>{f.name}</option>)}</optgroup>
+                {ownFormations.length > 0 && <optgroup label="My formations">{ownFormations.map(f => <option key={f.id} value={`custom:${f.id}`}>{f.name}</option>)}</optgroup>}
+            </select>
+            <input type="text" placeholder="Formation name" value={draft.name} onChange={(e) => setDraft(d => ({ ...d, name: e.target.value }))} className={`${inputClass} w-full mb-2`} />
+
+            <div ref={pitchRef} className="relative w-full h-72 border-4 border-green-800 bg-green-700/80 rounded-xl overflow-hidden touch-none select-none"
+                onPointerMove={handleDrag} onPointerUp={() => setDragIndex(null)} onPointerLeave={() => setDragIndex(null)}>
+                <div className="absolute top-1/2 left-0 right-0 border-t-2 border-white opacity-60"></div>
+                <div className="absolute w-10 h-10 rounded-full flex items-center justify-center text-xs font-bold text-white border-2"
+                    style={{ top: `${POSITION_COORDINATES.GK.y}%`, left: `${POSITION_COORDINATES.GK.x}%`, transform: 'translate(-50%, -50%)', backgroundColor: COLORS.NAVY_BLUE, borderColor: COLORS.ORANGE }}>GK</div>
+                {draft.slots.map((slot, i) => (
+                    <div key={i} onPointerDown={(e) => { e.preventDefault(); setDragIndex(i); }}
+                        className={`absolute w-10 h-10 rounded-full flex items-center justify-center text-[10px] font-bold text-white shadow-lg ${dragIndex === i ? 'cursor-grabbing ring-2 ring-white' : 'cursor-grab'}`}
+                        style={{ top: `${slot.y}%`, left: `${slot.x}%`, transform: 'translate(-50%, -50%)', backgroundColor: COLORS.SKY_BLUE }}>
+                        {slot.position}
+                    </div>
+                ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-1 mb-3">Drag the slots to place them on the pitch (attacking upwards).</p>
+
+            <div className="grid grid-cols-2 gap-2 mb-2">
+                {draft.slots.map((slot, i) => (
+                    <div key={i} className="flex items-center space-x-1">
+                        <select value={slot.position} onChange={(e) => updateSlot(i, { position: e.target.value })} className={`${inputClass} flex-grow`}>
+                            {outfieldPositions.map(p => <option key={p} value={p}>{p}</option>)}
+                        </select>
+                        <button onClick={() => setDraft(d => ({ ...d, slots: d.slots.filter((_, j) => j !== i) }))} disabled={draft.slots.length <= 1}
+                            className="text-xs px-2 py-1 rounded-full text-white bg-red-500 disabled:opacity-50">X</button>
+                    </div>
+                ))}
+            </div>
+            <button onClick={handleAddSlot} disabled={draft.slots.length >= maxSlots} className="text-xs px-3 py-1 rounded-full text-white disabled:opacity-50 mb-3" style={{ backgroundColor: COLORS.SKY_BLUE }}>
+                + Add Slot ({draft.slots.length}/{maxSlots})
+            </button>
+
+            {problem && <p className="text-xs text-red-600 mb-2">{problem}</p>}
+            <div className="flex flex-wrap gap-2">
+                <button onClick={() => handleSave()} disabled={!!problem || isLoading} className={buttonClass} style={{ backgroundColor: COLORS.ORANGE }}>
+                    {draft.id ? 'Update Formation' : 'Save Formation'}
+                </button>
+                {draft.id && <button onClick={() => handleSave(true)} disabled={!!problem || isLoading} className={buttonClass} style={{ backgroundColor: COLORS.NAVY_BLUE }}>Save as New</button>}
+                {draft.id && <button onClick={handleDelete} disabled={isLoading} className={`${buttonClass} bg-red-500`}>Delete</button>}
+            </div>
+        </div>
+    );
+};
+
+// Picks the workspace (the coach's own data or a team's), and creates and joins teams. Owners see the team's invite
+// codes and manage its members; everyone else can leave. onJoinTeam resolves to an error message, or '' once joined.
+const TeamWorkspaces = ({ teams, workspaceId, userId, inviteCodes, onSelectWorkspace, onCreateTeam, onJoinTeam, onNewInviteCode, onChangeRole, onRemoveMember, isLoading }) => {
+    const [teamName, setTeamName] = useState('');
+    const [inviteCode, setInviteCode] = useState('');
+    const [message, setMessage] = useState('');
+    const team = teams.find(t => t.id === workspaceId) || null;
+    const role = team ? team.members[userId] : 'owner';
+    const inputClass = 'flex-grow p-2 border rounded-lg text-sm';
+    const smallButtonClass = 'text-xs px-2 py-1 rounded-full text-white disabled:opacity-50';
+
+    const handleCreate = async () => {
+        await onCreateTeam(teamName.trim());
+        setTeamName('');
+    };
+    const handleJoin = async () => {
+        const error = await onJoinTeam(inviteCode.trim().toUpperCase());
+        setMessage(error || 'Joined. The team appears in the list once the owner\'s data has loaded.');
+        if (!error) setInviteCode('');
+    };
+
+    return (
+        <div className="p-6 rounded-xl shadow-lg border" style={{ borderColor: COLORS.NAVY_BLUE }}>
+            <h3 className="text-xl font-bold mb-4 flex items-center" style={{ color: COLORS.NAVY_BLUE }}><Users className="mr-2" /> Workspace</h3>
+            <select value={team ? team.id : ''} onChange={(e) => onSelectWorkspace(e.target.value || null)} className="w-full p-2 mb-2 border rounded-lg text-sm bg-white" style={{ color: COLORS.NAVY_BLUE }}>
+                <option value="">My squads (just me)</option>
+                {teams.map(t => <option key={t.id} value={t.id}>{t.name} ({t.members[userId]})</option>)}
+            </select>
+
+            {team && (
+                <div className="space-y-2 mb-4">
+                    <p className="text-xs text-gray-500">
+                        Squads, players, fixtures and formations here are shared with the team and follow the owner's {team.ownerTier} plan.
+                        {role === 'viewer' && ' You\'re a viewer: you can see them but not change them.'}
+                    </p>
+                    {Object.entries(team.members).map(([memberId, memberRole]) => (
+                        <div key={memberId} className="flex items-center justify-between text-sm p-2 border rounded-lg" style={{ borderColor: COLORS.SKY_BLUE, color: COLORS.NAVY_BLUE }}>
+                            <span className="truncate">{(team.memberNames || {})[memberId] || 'Guest'}{memberId === userId ? ' (you)' : ''}</span>
+                            <div className="flex items-center space-x-1">
+                                {role === 'owner' && memberRole !== 'owner' ? (
+                                    <select value={memberRole} onChange={(e) => onChangeRole(team, memberId, e.target.value)} disabled={isLoading} className="text-xs p-1 border rounded bg-white">
+                                        {INVITE_ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                                    </select>
+                                ) : <span className="text-xs text-gray-500">{memberRole}</span>}
+                                {memberRole !== 'owner' && (role === 'owner' || memberId === userId) && (
+                                    <button onClick={() => onRemoveMember(team, memberId)} disabled={isLoading} className={`${smallButtonClass} bg-red-500`}>{memberId === userId ? 'Leave' : 'Remove'}</button>
+                                )}
+                            </div>
+                        </div>
+                    ))}
+                    {role === 'owner' && INVITE_ROLES.map(inviteRole => (
+                        <div key={inviteRole} className="flex items-center justify-between text-sm" style={{ color: COLORS.NAVY_BLUE }}>
+                            <span>Invite as {inviteRole}: <span className="font-mono font-bold">{inviteCodes[inviteRole] || '...'}</span></span>
+                            <button onClick={() => onNewInviteCode(team, inviteRole)} disabled={isLoading} className={smallButtonClass} style={{ backgroundColor: COLORS.NAVY_BLUE }} title="The old code stops working">New Code</button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="flex space-x-2 mb-2">
+                <input type="text" placeholder="New team name" value={teamName} onChange={(e) => setTeamName(e.target.value)} className={inputClass} />
+                <button onClick={handleCreate} disabled={isLoading || !teamName.trim()} className={smallButtonClass} style={{ backgroundColor: COLORS.ORANGE }}>Create Team</button>
+            </div>
+            <div className="flex space-x-2">
+                <input type="text" placeholder="Invite code" value={inviteCode} onChange={(e) => setInviteCode(e.target.value)} className={`${inputClass} font-mono uppercase`} />
+                <button onClick={handleJoin} disabled={isLoading || !inviteCode.trim()} className={smallButtonClass} style={{ backgroundColor: COLORS.SKY_BLUE }}>Join Team</button>
+            </div>
+            {message && <p className="text-xs font-semibold mt-2" style={{ color: COLORS.ORANGE }}>{message}</p>}
+        </div>
+    );
+};
+
+// Fixture list: date, kick-off, opponent, venue, format, formation and the saved squad it's played
+// with, plus which of that squad's players are available. "Open" loads just the available players.
+const FixtureCalendar = ({ fixtures, squads, onSaveFixture, onDeleteFixture, onOpenFixture, customFormations = [], isLoading }) => {
+    const emptyForm = () => ({ date: getLocalDateString(), kickOff: '10:00', opponent: '', venue: 'Home', gameFormat: '9v9', formation: FORMATIONS['9v9'][0].name, squadId: '' });
+    const [form, setForm] = useState(emptyForm);
+    const [expandedId, setExpandedId] = useState(null);
+    const today = getLocalDateString();
+    const canAdd = form.opponent.trim() !== '' && form.date !== '' && squads.some(s => s.id === form.squadId);
+    const inputClass = 'w-full p-2 border rounded-lg text-sm bg-white';
+
+    const handleAdd = async () => {
+        if (!canAdd) return;
+        const squad = squads.find(s => s.id === form.squadId);
+        await onSaveFixture({ ...form, opponent: form.opponent.trim(), availablePlayerIds: squad.data.map(p => p.id), createdAt: new Date().toISOString() });
+        setForm(emptyForm());
+    };
+    const toggleAvailable = (fixture, playerId) => {
+        const availablePlayerIds = fixture.availablePlayerIds.includes(playerId)
+            ? fixture.availablePlayerIds.filter(id => id !== playerId)
+            : [...fixture.availablePlayerIds, playerId];
+        onSaveFixture({ ...fixture, availablePlayerIds });
+    };
+
+    return (
+        <div className="p-6 rounded-xl shadow-lg border" style={{ borderColor: COLORS.NAVY_BLUE }}>
+            <h3 className="text-xl font-bold mb-4 flex items-center" style={{ color: COLORS.NAVY_BLUE }}><Calendar className="w-5 h-5 mr-2" /> Fixtures</h3>
+            {squads.length === 0 ? (
+                <p className="text-sm mb-4 text-gray-500">Save a squad first; each fixture is played with one of your saved squads.</p>
+            ) : (
+                <div className="grid grid-cols-2 gap-2 mb-4">
+                    <input type="date" value={form.date} onChange={(e) => setForm(f => ({ ...f, date: e.target.value }))} className={inputClass} />
+                    <input type="time" value={form.kickOff} onChange={(e) => setForm(f => ({ ...f, kickOff: e.target.value }))} className={inputClass} />
+                    <input type="text" placeholder="Opponent" value={form.opponent} onChange={(e) => setForm(f => ({ ...f, opponent: e.target.value }))} className={`${inputClass} col-span-2`} />
+                    <select value={form.venue} onChange={(e) => setForm(f => ({ ...f, venue: e.target.value }))} className={inputClass}>
+                        <option value="Home">Home</option>
+                        <option value="Away">Away</option>
+                    </select>
+                    <select value={form.squadId} onChange={(e) => setForm(f => ({ ...f, squadId: e.target.value }))} className={inputClass}>
+                        <option value="">Squad...</option>
+                        {squads.map(squad => <option key={squad.id} value={squad.id}>{squad.name}</option>)}
+                    </select>
+                    <select value={form.gameFormat} onChange={(e) => setForm(f => ({ ...f, gameFormat: e.target.value, formation: getFormationOptions(e.target.value, customFormations)[0].name }))} className={inputClass}>
+                        {Object.keys(FORMATIONS).map(format => <option key={format} value={format}>{format}</option>)}
+                    </select>
+                    <select value={form.formation} onChange={(e) => setForm(f => ({ ...f, formation: e.target.value }))} className={inputClass}>
+                        {getFormationOptions(form.gameFormat, customFormations).map(f => <option key={f.name} value={f.name}>{f.name}</option>)}
+                    </select>
+                    <button onClick={handleAdd} disabled={!canAdd || isLoading}
+                        className="col-span-2 p-2 rounded-lg text-sm font-bold text-white disabled:opacity-50" style={{ backgroundColor: COLORS.ORANGE }}>
+                        Add Fixture
+                    </button>
+                </div>
+            )}
+            <div className="space-y-2 max-h-96 overflow-y-auto custom-scrollbar">
+                {fixtures.map(fixture => {
+                    const squad = squads.find(s => s.id === fixture.squadId);
+                    return (
+                        <div key={fixture.id} className={`p-2 rounded-lg border text-sm ${fixture.date < today ? 'opacity-60' : ''}`} style={{ borderColor: COLORS.SKY_BLUE, color: COLORS.NAVY_BLUE }}>
+                            <div className="flex justify-between items-center">
+                                <div>
+                                    <p className="font-semibold">{fixture.venue === 'Home' ? 'vs' : '@'} {fixture.opponent}</p>
+                                    <p className="text-xs">
+                                        {new Date(`${fixture.date}T00:00`).toLocaleDateString()} {fixture.kickOff} | {fixture.gameFormat} {fixture.formation}
+                                        {' '}| {squad ? `${squad.data.filter(p => fixture.availablePlayerIds.includes(p.id)).length}/${squad.data.length} available` : 'Squad deleted'}
+                                    </p>
+                                </div>
+                                <div className="flex space-x-1">
+                                    {squad && <button onClick={() => setExpandedId(expandedId === fixture.id ? null : fixture.id)} className="text-xs px-2 py-1 rounded-full text-white" style={{ backgroundColor: COLORS.NAVY_BLUE }}>Avail.</button>}
+                                    <button onClick={() => onOpenFixture(fixture)} disabled={!squad} className="text-xs px-2 py-1 rounded-full text-white disabled:opacity-50" style={{ backgroundColor: COLORS.ORANGE }}>Open</button>
+                                    <button onClick={() => onDeleteFixture(fixture.id)} className="text-xs px-2 py-1 rounded-full text-white bg-red-500">Del</button>
+                                </div>
+                            </div>
+                            {squad && expandedId === fixture.id && (
+                                <div className="grid grid-cols-2 gap-1 mt-2 pt-2 border-t" style={{ borderColor: COLORS.SKY_BLUE }}>
+                                    {squad.data.map(p => (
+                                        <label key={p.id} className="flex items-center text-xs">
+                                            <input type="checkbox" checked={fixture.availablePlayerIds.includes(p.id)} onChange={() => toggleAvailable(fixture, p.id)} className="mr-1" />
+                                            {p.name}
+                                        </label>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+// --- MAIN APP (kept close to your working version) ---
+const App = () => {
+  const { db, auth, userId, isAuthReady, error } = useFirebase();
+  const { account, accountNotice, createAccount, signIn, sendSignInLink, signOut } = useAccount(auth);
+  const { tier: subscriptionTier, isTierLoading } = useSubscription(db, userId);
+  const { isOnline, pendingWrites, syncError, trackWrite } = useSyncStatus();
+
+  // The workspace is the coach's own data, or a team's once the team is in `teams`
+  const [teams, setTeams] = useState([]); // teams the user is a member of (see TEAMS)
+  const [workspaceId, setWorkspaceId] = useState(null);
+  const [isTeamsLoading, setIsTeamsLoading] = useState(false);
+  const workspace = teams.find(t => t.id === workspaceId) || null;
+  const teamId = workspace ? workspace.id : null;
+  const isViewOnly = workspace !== null && workspace.members[userId] === 'viewer';
+  // A team's limits follow its owner's subscription
+  const workspaceTier = workspace ? workspace.ownerTier : subscriptionTier;
+  const can = useCallback((feature) => getEntitlement(workspaceTier, feature), [workspaceTier]);
+
+  const [settings, setSettings] = useState(() => {
+    const defaultFormat = '9v9';
+     const formations = FORMATIONS[defaultFormat];
+     const defaultFormationName = formations && formations.length > 0 ? formations[0].name : '';
+    return {
+      gameFormat: defaultFormat,
+      matchDuration: MATCH_DURATIONS[defaultFormat],
+      squadSize: 11,
+      isPermanentGK: true,
+      gkRotateEvery: 'Half',
+      selectedFormation: defaultFormationName,
+      planType: 'Automatic', 
+      balanceSeason: false,
+      positionDiversity: false, // steer players towards lines they haven't played lately
+      subInterval: 10,
+      firstSubTime: 10,
+      maxSubs: 2,
+      matchPeriods: 'Halves', 
+      periodLengths: [], // minutes per period when matchPeriods is 'Custom'
+      drinksBreak: false,
+      subRule: 'rolling', // 'rolling' subs at any time, 'stoppage' subs only at breaks
+      maxSquad: null, // matchday squad limit from the league rules
+      customFormations: [], // the coach's own formations (Championship+)
+      formationChanges: [], // { minute, formation } switches for the automatic plan (Championship+)
+      rotationSolver: 'greedy', // 'greedy' or 'optimise' (optimiseAutomaticPlan, Premiership)
+      maxBenchSpell: null, // longest bench spell the optimising solver aims for, in minutes (null = no limit)
+    };
+  });
+  
+  const [players, setPlayers] = useState(
+    Array.from({ length: 20 }, (_, i) => ({
+      id: generateUUID(),
+      name: i === 0 ? 'Ella (GK)' : i === 1 ? 'Mia' : i < 11 ? `Player ${i + 1}` : '',
+      role: i === 0 ? 'GK' : 'Outfield',
+      startingPosition: i === 0 ? 'GK' : 'Bench', 
+      preferredPosition: i === 0 ? 'GK' : '',
+      canPlayGK: i === 0,
+      secondaryPosition: '',
+      neverPosition: '',
+      manualMinutes: null,
+    }))
+  );
+
+  const [matchPlan, setMatchPlan] = useState(null);
+  const [planCandidates, setPlanCandidates] = useState(null); // see generatePlanCandidates; Premiership automatic plans only
+  const [planMessage, setPlanMessage] = useState('');
+  const [manualSubs, setManualSubs] = useState([]);
+  const [matchEvents, setMatchEvents] = useState([]); // goals, cards and notes logged against the plan
+  const [isLiveMatch, setIsLiveMatch] = useState(false);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [squadDocs, setSquadDocs] = useState([]); // as saved; see savedSquads for their players
+  const [squadCount, setSquadCount] = useState(0); // squads counted against the limit (usage document)
+  const [profiles, setProfiles] = useState([]);
+  const [isProfilesLoading, setIsProfilesLoading] = useState(false);
+  const [squadName, setSquadName] = useState('');
+  const [loadedSquadId, setLoadedSquadId] = useState(null);
+  const [isSavingLoading, setIsSavingLoading] = useState(false);
+  const [fixtures, setFixtures] = useState([]);
+  const [activeFixture, setActiveFixture] = useState(null);
+  const [printSize, setPrintSize] = useState(null); // 'full' | 'pocket' while the match card is printing
+  const [isFixturesLoading, setIsFixturesLoading] = useState(false);
+  const [isFormationsLoading, setIsFormationsLoading] = useState(false);
+  const [customPresets, setCustomPresets] = useState([]); // the coach's own rules presets (Championship+)
+  const [isPresetsLoading, setIsPresetsLoading] = useState(false);
+  const [seasonMatches, setSeasonMatches] = useState([]);
+  const [isSeasonLoading, setIsSeasonLoading] = useState(false);
+
+  const maxSquads = can('squadSaves');
+  const isSquadLimitReached = Math.max(squadDocs.length, squadCount) >= maxSquads;
+  const outfieldSpots = getOutfieldSlots(settings.gameFormat, settings.selectedFormation, settings.customFormations).length;
+  const formationsAvailable = useMemo(() => getFormationOptions(settings.gameFormat, settings.customFormations), [settings.gameFormat, settings.customFormations]);
+  const activePlayers = useMemo(() => players.filter(p => p.name.trim() !== ''), [players]);
+  // Saved squads with their players looked up from the profiles (see getSquadPlayers)
+  const savedSquads = useMemo(() => squadDocs.map(squad => ({ ...squad, data: getSquadPlayers(squad, profiles) })), [squadDocs, profiles]);
+  const displayedPlayers = useMemo(() => players.slice(0, settings.squadSize), [players, settings.squadSize]);
+  // Season totals for the roster; only handed to the planner when balancing is switched on
+  const seasonTotals = useMemo(() => summariseSeason(seasonMatches, displayedPlayers), [seasonMatches, displayedPlayers]);
+  const seasonWeighting = can('seasonLedger') && settings.balanceSeason && seasonMatches.length > 0 ? seasonTotals : null;
+  // The roster as the generators see it: with position diversity on, each player carries her recent lines
+  const plannerPlayers = useMemo(() => can('seasonLedger') && settings.positionDiversity && seasonMatches.length > 0
+    ? withRecentLines(displayedPlayers, seasonTotals) : displayedPlayers, [can, settings.positionDiversity, seasonMatches.length, displayedPlayers, seasonTotals]);
+  const matchLineups = useMemo(() => matchPlan ? getDisplayLineups(matchPlan) : [], [matchPlan]);
+  const planText = useMemo(() => matchPlan ? renderPlanText(matchPlan) : planMessage, [matchPlan, planMessage]);
+
+  // Keep the formation while the format has it (e.g. both were set from a fixture), otherwise fall back
+  // to the format's first one; this also covers a deleted custom formation
+  useEffect(() => {
+    if (formationsAvailable.length > 0 && !formationsAvailable.some(f => f.name === settings.selectedFormation)) {
+      setSettings(prev => ({ ...prev, selectedFormation: formationsAvailable[0].name }));
+    }
+  }, [formationsAvailable, settings.selectedFormation]);
+
+  // Manual subs refer to formation slot indexes, so they don't survive a formation change. The ref holds the
+  // formation they were made for (restoring a draft sets it too).
+  const manualSubsFormationRef = useRef(null);
+  useEffect(() => {
+    const formation = `${settings.gameFormat} ${settings.selectedFormation}`;
+    if (manualSubsFormationRef.current !== null && manualSubsFormationRef.current !== formation) setManualSubs([]);
+    manualSubsFormationRef.current = formation;
+  }, [settings.gameFormat, settings.selectedFormation]);
+
+  // --- OFFLINE DRAFT ---
+  // The working roster, settings and plan come back from the user's draft, and are saved to it (once they
+  // settle) as they change
+  const [isDraftRestored, setIsDraftRestored] = useState(false);
+  useEffect(() => {
+    if (!userId) return undefined;
+    let isCurrent = true;
+    setIsDraftRestored(false);
+    loadDraft(userId)
+      .then((draft) => {
+        if (!isCurrent || !draft) return;
+        manualSubsFormationRef.current = `${draft.settings.gameFormat} ${draft.settings.selectedFormation}`;
+        setSettings(prev => ({ ...prev, ...draft.settings }));
+        setPlayers(draft.players); setSquadName(draft.squadName); setLoadedSquadId(draft.loadedSquadId);
+        setMatchPlan(draft.matchPlan); setManualSubs(draft.manualSubs); setMatchEvents(draft.matchEvents || []); setWorkspaceId(draft.workspaceId);
+      })
+      .catch(e => console.error('Error restoring the draft:', e))
+      .finally(() => { if (isCurrent) setIsDraftRestored(true); });
+    return () => { isCurrent = false; };
+  }, [userId]);
+
+  useEffect(() => {
+    if (!userId || !isDraftRestored) return undefined;
+    const timer = setTimeout(() => {
+      saveDraft(userId, { settings, players, squadName, loadedSquadId, matchPlan, manualSubs, matchEvents, workspaceId, savedAt: new Date().toISOString() })
+        .catch(e => console.error('Error saving the draft:', e));
+    }, DRAFT_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [userId, isDraftRestored, settings, players, squadName, loadedSquadId, matchPlan, manualSubs, matchEvents, workspaceId]);
+
+  // --- TEAMS ---
+  // Teams the user is a member of, kept in sync so new members and role changes show up. The real query asks for
+  // teams where members.{userId} is a role; the mock has no where(), so they're filtered here.
+  useEffect(() => {
+    setTeams([]);
+    if (!isAuthReady || !db || !userId) return undefined;
+    return db.onSnapshot(db.query(db.collection(getTeamPath())), (docs) => setTeams(docs.docs
+        .map(d => ({ id: d.id, ...d.data() }))
+        .filter(t => TEAM_ROLES.includes(t.members[userId]))
+        .sort((a, b) => a.name.localeCompare(b.name))));
+  }, [db, userId, isAuthReady]);
+
+  // Writes a team with `changes` applied
+  const saveTeam = ({ id, ...team }, changes) => trackWrite(() => db.setDoc(db.doc(db.collection(getTeamPath()), id), { ...team, ...changes }));
+
+  // The current team's invite codes (role -> code), which only its owner reads
+  const [inviteCodes, setInviteCodes] = useState({});
+  const isWorkspaceOwner = workspace !== null && workspace.ownerId === userId;
+  useEffect(() => {
+    setInviteCodes({});
+    if (!db || !teamId || !isWorkspaceOwner) return undefined;
+    return db.onSnapshot(db.query(db.collection(getTeamPath(teamId, 'inviteCodes'))), (docs) =>
+      setInviteCodes(Object.fromEntries(docs.docs.map(d => [d.id, d.data().code]))));
+  }, [db, teamId, isWorkspaceOwner]);
+
+  // Gives a team a new invite code for a role; the old one (null if there isn't one) stops working
+  const replaceInviteCode = async (team, role, oldCode) => {
+    const code = generateInviteCode();
+    if (oldCode) await trackWrite(() => db.deleteDoc(db.doc(db.collection(getInvitesPath()), oldCode)));
+    await trackWrite(() => db.setDoc(db.doc(db.collection(getInvitesPath()), code), { teamId: team.id, teamName: team.name, role, createdAt: new Date().toISOString() }));
+    await trackWrite(() => db.setDoc(db.doc(db.collection(getTeamPath(team.id, 'inviteCodes')), role), { code }));
+  };
+
+  // Teams from before the codes moved out of the team get new ones, as does the code the last member joined with
+  // (joinedWith) if it still works; the ref stops a second move starting
+  const movedInviteCodesRef = useRef(new Set());
+  useEffect(() => {
+    if (!db) return;
+    teams.filter(t => t.ownerId === userId && (t.inviteCodes || t.joinedWith) && !movedInviteCodesRef.current.has(t.id)).forEach(t => {
+      movedInviteCodesRef.current.add(t.id);
+      const { inviteCodes: oldCodes, joinedWith, ...team } = t;
+      const replaced = oldCodes
+        ? Promise.all(INVITE_ROLES.map(role => replaceInviteCode(team, role, oldCodes[role])))
+        : db.getDocs(db.query(db.collection(getInvitesPath()))).then(invites => {
+          const invite = invites.docs.find(d => d.id === joinedWith && d.data().teamId === team.id);
+          return invite && replaceInviteCode(team, invite.data().role, joinedWith);
+        });
+      replaced
+        .then(() => trackWrite(() => db.setDoc(db.doc(db.collection(getTeamPath()), team.id), (({ id, ...data }) => data)(team))))
+        .catch(e => console.error('Error moving invite codes:', e));
+    });
+  }, [db, teams, userId, trackWrite]);
+
+  // Owners keep their teams' ownerTier in step with their subscription
+  useEffect(() => {
+    if (!db || isTierLoading) return;
+    teams.filter(t => t.ownerId === userId && t.ownerTier !== subscriptionTier).forEach(t => saveTeam(t, { ownerTier: subscriptionTier }));
+  }, [db, teams, userId, subscriptionTier, isTierLoading, trackWrite]);
+
+  const memberName = account && account.email ? account.email : 'Guest';
+
+  // Creates a team owned by the user, with an invite code per role, and switches to it
+  const handleCreateTeam = async (name) => {
+    setIsTeamsLoading(true);
+    try {
+      const now = new Date().toISOString();
+      const teamRef = db.doc(db.collection(getTeamPath()));
+      await trackWrite(() => db.setDoc(teamRef, {
+        name, ownerId: userId, ownerTier: subscriptionTier, members: { [userId]: 'owner' }, memberNames: { [userId]: memberName }, createdAt: now,
+      }));
+      await Promise.all(INVITE_ROLES.map(role => replaceInviteCode({ id: teamRef.id, name }, role, null)));
+      setWorkspaceId(teamRef.id);
+    } finally { setIsTeamsLoading(false); }
+  };
+
+  // Joins the team an invite code belongs to, with the code's role, and switches to it once it's in `teams`
+  const handleJoinTeam = async (code) => {
+    setIsTeamsLoading(true);
+    try {
+      const invites = await retryFetch(() => db.getDocs(db.query(db.collection(getInvitesPath()))));
+      const invite = invites.docs.find(d => d.id === code);
+      if (!invite) return 'No team has that invite code.';
+      const { teamId: invitedTeamId, role } = invite.data();
+      if (!teams.some(t => t.id === invitedTeamId)) {
+        const teamDocs = await retryFetch(() => db.getDocs(db.query(db.collection(getTeamPath()))));
+        const team = teamDocs.docs.find(d => d.id === invitedTeamId);
+        if (!team) return 'No team has that invite code.';
+        const { members, memberNames, joinedWith, ...teamData } = team.data();
+        // The code goes in joins/{uid}, not on the team every member reads
+        await trackWrite(() => db.setDoc(db.doc(db.collection(getTeamPath(team.id, 'joins')), userId), { code }));
+        await saveTeam({ id: team.id, ...teamData }, {
+          members: { ...members, [userId]: role }, memberNames: { ...memberNames, [userId]: memberName },
+        });
+      }
+      setWorkspaceId(invitedTeamId);
+      return '';
+    } finally { setIsTeamsLoading(false); }
+  };
+
+  // Replaces the invite code for a role; the old code stops working
+  const handleNewInviteCode = async (team, role) => {
+    setIsTeamsLoading(true);
+    try {
+      await replaceInviteCode(team, role, inviteCodes[role] || null);
+    } finally { setIsTeamsLoading(false); }
+  };
+
+  const handleChangeMemberRole = async (team, memberId, role) => {
+    setIsTeamsLoading(true);
+    try {
+      await saveTeam(team, { members: { ...team.members, [memberId]: role } });
+    } finally { setIsTeamsLoading(false); }
+  };
+
+  // The owner removing a member, or a member leaving
+  const handleRemoveMember = async (team, memberId) => {
+    setIsTeamsLoading(true);
+    try {
+      const { [memberId]: removedRole, ...members } = team.members;
+      const { [memberId]: removedName, ...memberNames } = team.memberNames || {};
+      const { joinedWith, ...rest } = team;
+      await saveTeam(rest, { members, memberNames });
+      if (memberId === userId) setWorkspaceId(null);
+    } finally { setIsTeamsLoading(false); }
+  };
+
+  // Switching workspace starts from a clean plan; the roster is kept so it can be saved to the team
+  const handleSelectWorkspace = (id) => {
+    setWorkspaceId(id);
+    setLoadedSquadId(null);
+    setActiveFixture(null);
+  };
+
+  // --- SQUADS ---
+  const squadsPath = useMemo(() => userId ? getWorkspacePath('squads', userId, teamId) : null, [userId, teamId]);
+  const usagePath = useMemo(() => userId ? getWorkspacePath('usage', userId, teamId) : null, [userId, teamId]);
+  const canSaveSquads = maxSquads > 0;
+
+  // Squads and their usage count are kept in sync, so a squad saved by another coach on the team shows up straight away
+  useEffect(() => {
+    setSquadDocs([]);
+    setSquadCount(0);
+    if (!isAuthReady || !db || !squadsPath || !canSaveSquads) return undefined;
+    const unsubscribeSquads = db.onSnapshot(db.query(db.collection(squadsPath)), (docs) => setSquadDocs(docs.docs.map(d => ({
+      id: d.id, name: d.data().name, playerIds: d.data().playerIds, players: d.data().players, manualMinutes: d.data().manualMinutes,
+      settings: pickTemplateSettings(d.data().settings), createdAt: d.data().createdAt,
+    }))));
+    const unsubscribeUsage = db.onSnapshot(db.query(db.collection(usagePath)), (usage) => {
+      const squadUsage = usage.docs.find(d => d.id === SQUAD_USAGE_DOC_ID);
+      setSquadCount(squadUsage ? squadUsage.data().count : 0);
+    });
+    return () => { unsubscribeSquads(); unsubscribeUsage(); };
+  }, [db, squadsPath, usagePath, isAuthReady, canSaveSquads]);
+
+  // Saves roster + match template under squadName. Each player is saved to her profile first and the squad
+  // lists them by id, with its own manual minutes. With a squadId the squad is overwritten in place (not
+  // counted against the squad limit); without one a new squad is created and the usage count goes up,
+  // which firestore.rules checks against the tier's limit.
+  const handleSaveSquad = async (squadId = null) => {
+    const existing = squadId ? savedSquads.find(s => s.id === squadId) : null;
+    if (isViewOnly || !canSaveSquads || (!existing && isSquadLimitReached)) return;
+    const name = squadName.trim();
+    if (!name) return;
+    setIsSavingLoading(true);
+    try {
+      const now = new Date().toISOString();
+      const squadPlayers = displayedPlayers.filter(p => p.name.trim() !== '');
+      await Promise.all(squadPlayers.map(player => saveProfileDoc(player, now)));
+      const squadData = {
+        name,
+        playerIds: squadPlayers.map(p => p.id),
+        manualMinutes: Object.fromEntries(squadPlayers.filter(p => p.manualMinutes !== null).map(p => [p.id, p.manualMinutes])),
+        settings: pickTemplateSettings(settings), createdAt: (existing && existing.createdAt) || now, updatedAt: now,
+      };
+      const collectionRef = db.collection(squadsPath);
+      const docRef = existing ? db.doc(collectionRef, existing.id) : db.doc(collectionRef);
+      await trackWrite(() => db.setDoc(docRef, squadData));
+      if (!existing) {
+        await trackWrite(() => db.setDoc(db.doc(db.collection(usagePath), SQUAD_USAGE_DOC_ID), { count: squadCount + 1, lastSquadId: docRef.id }));
+      }
+      setLoadedSquadId(docRef.id);
+    } finally { setIsSavingLoading(false); }
+  };
+
+  // settingsPatch (e.g. a fixture's format and formation) is applied along with the new squad size
+  const handleLoadSquad = (squadData, settingsPatch = {}) => {
+    const loadedPlayers = squadData.map((p) => ({ ...p, id: p.id || generateUUID() }));
+    // Templates saved before durations were editable take the format's default
+    setSettings(prev => ({
+      ...(settingsPatch.gameFormat && settingsPatch.gameFormat !== prev.gameFormat ? switchGameFormat(prev, settingsPatch.gameFormat) : prev),
+      ...settingsPatch,
+      squadSize: loadedPlayers.length,
+    }));
+    const newPlayers = Array.from({ length: 20 }, (_, i) => i < loadedPlayers.length ? loadedPlayers[i] :
+        { id: generateUUID(), name: '', role: 'Outfield', startingPosition: 'Bench', preferredPosition: '', secondaryPosition: '', neverPosition: '', canPlayGK: false, manualMinutes: null }
+    );
+    setPlayers(newPlayers);
+    setManualSubs([]);
+    setMatchPlan(null); setPlanCandidates(null); setPlanMessage(''); setMatchEvents([]); setIsLiveMatch(false); setActiveFixture(null); setLoadedSquadId(null);
+  };
+
+  // Loads a saved squad with its match template (Manual plan type only on Premiership); saving can then update it
+  const handleLoadSavedSquad = (squad) => {
+    handleLoadSquad(squad.data, can('manualPlans') ? squad.settings : { ...squad.settings, planType: 'Automatic' });
+    setLoadedSquadId(squad.id);
+    setSquadName(squad.name);
+  };
+
+  const handleDeleteSquad = async (id) => {
+    if (isViewOnly) return;
+    setIsSavingLoading(true);
+    try {
+      const collectionRef = db.collection(squadsPath);
+      const docRef = db.doc(collectionRef, id);
+      await trackWrite(() => db.deleteDoc(docRef));
+      // The usage count goes down with the squad; squads saved before it was kept aren't in it
+      if (squadCount > 0) {
+        await trackWrite(() => db.setDoc(db.doc(db.collection(usagePath), SQUAD_USAGE_DOC_ID), { count: squadCount - 1, lastSquadId: id }));
+      }
+      if (loadedSquadId === id) setLoadedSquadId(null);
+    } finally { setIsSavingLoading(false); }
+  };
+
+  // Player profiles: one document per player, keyed by the player's id so roster rows and squads can point at it
+  const profilesPath = useMemo(() => userId ? getWorkspacePath('players', userId, teamId) : null, [userId, teamId]);
+  const byShirtNumber = (a, b) => (a.shirtNumber || 100) - (b.shirtNumber || 100) || a.name.localeCompare(b.name);
+
+  // Kept in sync like the squads, whose players come from here
+  useEffect(() => {
+    setProfiles([]);
+    if (!isAuthReady || !db || !profilesPath || !can('playerProfiles')) return undefined;
+    return db.onSnapshot(db.query(db.collection(profilesPath)), (docs) => setProfiles(docs.docs.map(d => ({ id: d.id, ...d.data() })).sort(byShirtNumber)));
+  }, [db, profilesPath, isAuthReady, can]);
+
+  // Writes a roster row or edited profile over the saved profile with the same id; fields the row
+  // doesn't have (e.g. a photo) are kept from the saved profile
+  const saveProfileDoc = async (player, now = new Date().toISOString()) => {
+    const saved = profiles.find(p => p.id === player.id);
+    const data = { ...(saved ? pickProfileFields(saved) : {}), ...pickProfileFields(player), updatedAt: now };
+    await trackWrite(() => db.setDoc(db.doc(db.collection(profilesPath), player.id), data));
+    return { id: player.id, ...data };
+  };
+
+  // Creates the profile, or overwrites it when it has an id, and returns its id. Roster rows for the
+  // player pick up the change straight away; squads do through savedSquads.
+  const handleSaveProfile = async (profile) => {
+    if (isViewOnly) return null;
+    setIsProfilesLoading(true);
+    try {
+      const id = profile.id || db.doc(db.collection(profilesPath)).id;
+      const saved = await saveProfileDoc({ ...profile, id });
+      setProfiles(prev => [...prev.filter(p => p.id !== id), saved].sort(byShirtNumber));
+      setPlayers(prev => prev.map(p => (p.id === id ? { ...p, ...pickProfileFields(saved) } : p)));
+      return id;
+    } finally { setIsProfilesLoading(false); }
+  };
+
+  const handleDeleteProfile = async (id) => {
+    if (isViewOnly) return;
+    setIsProfilesLoading(true);
+    try {
+      await trackWrite(() => db.deleteDoc(db.doc(db.collection(profilesPath), id)));
+    } finally { setIsProfilesLoading(false); }
+  };
+
+  // Puts a profile in the first empty roster row, growing the squad size to show it
+  const handleAddProfileToRoster = (profile) => {
+    const index = players.findIndex(p => p.name.trim() === '');
+    if (index === -1 || players.some(p => p.id === profile.id)) return;
+    setPlayers(prev => prev.map((p, i) => (i === index ? { ...p, ...pickProfileFields(profile), id: profile.id, startingPosition: 'Bench', manualMinutes: null } : p)));
+    setSettings(prev => ({ ...prev, squadSize: Math.max(prev.squadSize, index + 1) }));
+  };
+
+  // Imported players go in the empty roster rows (growing the squad size to show them) or replace the roster.
+  // Returns how many didn't fit.
+  const handleImportPlayers = (imported, replace) => {
+    if (replace) {
+      handleLoadSquad(imported.slice(0, players.length));
+      return Math.max(0, imported.length - players.length);
+    }
+    const emptyRows = players.map((p, i) => (p.name.trim() === '' ? i : -1)).filter(i => i !== -1);
+    const added = imported.slice(0, emptyRows.length);
+    if (added.length > 0) {
+      setPlayers(prev => prev.map((p, i) => {
+        const slot = emptyRows.indexOf(i);
+        return slot !== -1 && slot < added.length ? added[slot] : p;
+      }));
+      setSettings(prev => ({ ...prev, squadSize: Math.max(prev.squadSize, emptyRows[added.length - 1] + 1) }));
+    }
+    return imported.length - added.length;
+  };
+
+  // A backup loads like a saved squad, then its plan is put back. Manual plan types and Manual plans (with their events) only on Premiership.
+  const handleRestoreBackup = (backup) => {
+    const template = can('manualPlans') ? backup.settings : { ...backup.settings, planType: 'Automatic' };
+    const restoresPlan = can('manualPlans') || !backup.matchPlan || backup.matchPlan.planType !== 'Manual';
+    manualSubsFormationRef.current = `${template.gameFormat} ${template.selectedFormation}`;
+    handleLoadSquad(backup.players, template);
+    setSquadName(backup.squadName || '');
+    setMatchPlan(restoresPlan ? backup.matchPlan : null); setManualSubs(backup.manualSubs); setMatchEvents(restoresPlan ? backup.matchEvents : []);
+  };
+
+  const handleExportBackup = () => {
+    const backup = buildBackup({ squadName, settings, players: activePlayers, matchPlan, manualSubs, matchEvents });
+    downloadFile(JSON.stringify(backup, null, 2), `GamePlanner_${(squadName.trim() || 'Squad').replace(/[^\w-]+/g, '_')}_${getLocalDateString()}.json`, 'application/json');
+  };
+
+  // Fixtures: one document per fixture, next to the squads; the squad is referenced by id
+  const fixturesPath = useMemo(() => userId ? getWorkspacePath('fixtures', userId, teamId) : null, [userId, teamId]);
+
+  // Kept in sync so fixtures and availability set by another coach on the team show up
+  useEffect(() => {
+    setFixtures([]);
+    if (!isAuthReady || !db || !fixturesPath || !can('fixtures')) return undefined;
+    return db.onSnapshot(db.query(db.collection(fixturesPath)), (docs) =>
+      setFixtures(docs.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => `${a.date} ${a.kickOff}`.localeCompare(`${b.date} ${b.kickOff}`))));
+  }, [db, fixturesPath, isAuthReady, can]);
+
+  // Creates the fixture, or overwrites it when it already has an id
+  const handleSaveFixture = async (fixture) => {
+    if (isViewOnly) return;
+    const { id, ...data } = fixture;
+    setIsFixturesLoading(true);
+    try {
+      const collectionRef = db.collection(fixturesPath);
+      await trackWrite(() => db.setDoc(id ? db.doc(collectionRef, id) : db.doc(collectionRef), data));
+    } finally { setIsFixturesLoading(false); }
+  };
+
+  const handleDeleteFixture = async (id) => {
+    if (isViewOnly) return;
+    setIsFixturesLoading(true);
+    try {
+      await trackWrite(() => db.deleteDoc(db.doc(db.collection(fixturesPath), id)));
+      if (activeFixture && activeFixture.id === id) setActiveFixture(null);
+    } finally { setIsFixturesLoading(false); }
+  };
+
+  // Loads only the available players, with the squad's match template and the fixture's format and formation
+  const handleOpenFixture = (fixture) => {
+    const squad = savedSquads.find(s => s.id === fixture.squadId);
+    if (!squad) return;
+    // Starting positions the fixture's formation doesn't have go back to the bench
+    const slots = getOutfieldSlots(fixture.gameFormat, fixture.formation, settings.customFormations);
+    const available = squad.data
+        .filter(p => fixture.availablePlayerIds.includes(p.id))
+        .map(p => p.startingPosition === 'GK' || slots.includes(p.startingPosition) ? p : { ...p, startingPosition: 'Bench' });
+    // The squad's duration and periods belong to its own format
+    const { matchDuration, matchPeriods, periodLengths, ...otherSettings } = squad.settings;
+    const template = squad.settings.gameFormat === fixture.gameFormat ? squad.settings : otherSettings;
+    handleLoadSquad(available, { ...template, gameFormat: fixture.gameFormat, selectedFormation: fixture.formation });
+    setActiveFixture(fixture);
+  };
+
+  // Custom formations: one document per formation, next to the squads. They live in settings.customFormations
+  // so the planner, pitch visuals and live re-plans all pick them up.
+  const formationsPath = useMemo(() => userId ? getWorkspacePath('formations', userId, teamId) : null, [userId, teamId]);
+  const byFormationName = (a, b) => a.gameFormat.localeCompare(b.gameFormat) || a.name.localeCompare(b.name);
+
+  const fetchFormations = useCallback(async () => {
+    if (!isAuthReady || !db || !formationsPath) return;
+    setIsFormationsLoading(true);
+    try {
+      const docs = await retryFetch(() => db.getDocs(db.query(db.collection(formationsPath))));
+      const customFormations = docs.docs.map(d => ({ id: d.id, ...d.data() })).sort(byFormationName);
+      setSettings(prev => ({ ...prev, customFormations }));
+    } finally { setIsFormationsLoading(false); }
+  }, [db, formationsPath, isAuthReady]);
+
+  useEffect(() => { if (can('customFormations')) fetchFormations(); }, [can, fetchFormations]);
+
+  // Creates the formation, or overwrites it when it has an id, and returns its id. The list is updated in
+  // place so a renamed formation stays selected (the fallback effect would reset it during a refetch).
+  const handleSaveFormation = async (formation) => {
+    if (isViewOnly) return null;
+    const { id, ...data } = formation;
+    setIsFormationsLoading(true);
+    try {
+      const collectionRef = db.collection(formationsPath);
+      const docRef = id ? db.doc(collectionRef, id) : db.doc(collectionRef);
+      const saved = { ...data, updatedAt: new Date().toISOString() };
+      await trackWrite(() => db.setDoc(docRef, saved));
+      setSettings(prev => {
+        const previous = prev.customFormations.find(f => f.id === docRef.id);
+        const isSelected = previous && prev.gameFormat === previous.gameFormat && prev.selectedFormation === previous.name;
+        return {
+          ...prev,
+          customFormations: [...prev.customFormations.filter(f => f.id !== docRef.id), { id: docRef.id, ...saved }].sort(byFormationName),
+          selectedFormation: isSelected ? saved.name : prev.selectedFormation,
+          formationChanges: previous
+            ? prev.formationChanges.map(c => (c.formation === previous.name ? { ...c, formation: saved.name } : c))
+            : prev.formationChanges,
+        };
+      });
+      return docRef.id;
+    } finally { setIsFormationsLoading(false); }
+  };
+
+  const handleDeleteFormation = async (id) => {
+    if (isViewOnly) return;
+    setIsFormationsLoading(true);
+    try {
+      await trackWrite(() => db.deleteDoc(db.doc(db.collection(formationsPath), id)));
+      fetchFormations();
+    } finally { setIsFormationsLoading(false); }
+  };
+
+  // Rules presets: one document per preset, next to the squads
+  const presetsPath = useMemo(() => userId ? getWorkspacePath('presets', userId, teamId) : null, [userId, teamId]);
+
+  const fetchPresets = useCallback(async () => {
+    if (!isAuthReady || !db || !presetsPath) return;
+    setIsPresetsLoading(true);
+    try {
+      const docs = await retryFetch(() => db.getDocs(db.query(db.collection(presetsPath))));
+      setCustomPresets(docs.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => a.name.localeCompare(b.name)));
+    } finally { setIsPresetsLoading(false); }
+  }, [db, presetsPath, isAuthReady]);
+
+  useEffect(() => { if (can('rulePresets')) fetchPresets(); }, [can, fetchPresets]);
+
+  // A preset sets the format, so the fallback effect picks the format's first formation if needed
+  const handleApplyPreset = (preset) => setSettings(prev => ({ ...prev, ...pickRuleSettings(preset) }));
+
+  // Saves the current rules under a name; a preset with the same name is overwritten
+  const handleSavePreset = async (name) => {
+    if (isViewOnly) return;
+    const existing = customPresets.find(p => p.name === name);
+    setIsPresetsLoading(true);
+    try {
+      const collectionRef = db.collection(presetsPath);
+      const docRef = existing ? db.doc(collectionRef, existing.id) : db.doc(collectionRef);
+      await trackWrite(() => db.setDoc(docRef, { name, ...pickRuleSettings(settings), updatedAt: new Date().toISOString() }));
+      fetchPresets();
+    } finally { setIsPresetsLoading(false); }
+  };
+
+  const handleDeletePreset = async (id) => {
+    if (isViewOnly) return;
+    setIsPresetsLoading(true);
+    try {
+      await trackWrite(() => db.deleteDoc(db.doc(db.collection(presetsPath), id)));
+      fetchPresets();
+    } finally { setIsPresetsLoading(false); }
+  };
+
+  // Season ledger: one document per finished match, next to the squads
+  const seasonPath = useMemo(() => userId ? getWorkspacePath('matches', userId, teamId) : null, [userId, teamId]);
+
+  const fetchSeason = useCallback(async () => {
+    if (!isAuthReady || !db || !seasonPath) return;
+    setIsSeasonLoading(true);
+    try {
+      const docs = await retryFetch(() => db.getDocs(db.query(db.collection(seasonPath))));
+      setSeasonMatches(docs.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => a.playedAt.localeCompare(b.playedAt)));
+    } finally { setIsSeasonLoading(false); }
+  }, [db, seasonPath, isAuthReady]);
+
+  useEffect(() => { if (can('seasonLedger')) fetchSeason(); }, [can, fetchSeason]);
+
+  const handleSaveMatchRecord = async (record) => {
+    await trackWrite(() => db.setDoc(db.doc(db.collection(seasonPath)), record));
+    fetchSeason();
+  };
+
+  const handleDeleteMatchRecord = async (id) => {
+    if (isViewOnly) return;
+    setIsSeasonLoading(true);
+    try {
+      await trackWrite(() => db.deleteDoc(db.doc(db.collection(seasonPath), id)));
+      fetchSeason();
+    } finally { setIsSeasonLoading(false); }
+  };
+
+  // Starting positions go to the players who have started least this season
+  const handlePickSeasonStarters = () => {
+    const starting = pickSeasonStarters(settings, calculateEqualMinutes(settings, displayedPlayers, seasonTotals));
+    setPlayers(prev => prev.map(p => starting.has(p.id) ? { ...p, startingPosition: starting.get(p.id) } : p));
+  };
+
+  // Print once the card is on the page; everything else is hidden by the print: classes
+  useEffect(() => {
+    if (!printSize) return undefined;
+    const handleAfterPrint = () => setPrintSize(null);
+    window.addEventListener('afterprint', handleAfterPrint);
+    window.print();
+    return () => window.removeEventListener('afterprint', handleAfterPrint);
+  }, [printSize]);
+
+  const showPlanError = (message) => { setMatchPlan(null); setPlanCandidates(null); setPlanMessage(message); };
+
+  const handleGeneratePlan = () => {
+    const [lineupProblem] = getLineupProblems(settings, displayedPlayers);
+    if (lineupProblem) { showPlanError(`Error: ${lineupProblem}`); return; }
+    if (!settings.matchDuration || settings.matchDuration <= 0) { showPlanError('Error: Match duration must be greater than zero.'); return; }
+    if (getPeriodLengths(settings).some(length => !(length > 0))) { showPlanError('Error: Every period needs a length of at least one minute.'); return; }
+    const namedCount = displayedPlayers.filter(p => p.name.trim() !== '').length;
+    if (settings.maxSquad && namedCount > settings.maxSquad) { showPlanError(`Error: ${namedCount} players named, but the rules allow a matchday squad of ${settings.maxSquad}.`); return; }
+
+    setIsGenerating(true);
+    setMatchPlan(null); setPlanCandidates(null); setPlanMessage(''); setMatchEvents([]); setIsLiveMatch(false);
+
+    setTimeout(() => {
+      try {
+        const playersWithCalculatedMinutes = calculateEqualMinutes(settings, plannerPlayers, seasonWeighting);
+        // Premiership coaches compare the candidate plans; theirs comes first and is used until they pick another
+        const candidates = settings.planType === 'Automatic' && can('planComparison') ? generatePlanCandidates(settings, playersWithCalculatedMinutes) : null;
+        const planResult = settings.planType === 'Manual' && can('manualPlans')
+            ? buildManualPlan(settings, playersWithCalculatedMinutes, manualSubs)
+            : candidates ? candidates[0].plan : generateAutomaticPlan(settings, playersWithCalculatedMinutes);
+        setPlanCandidates(candidates);
+        setMatchPlan(planResult);
+      } catch (e) {
+        showPlanError(`An error occurred during plan generation: ${e.message}`);
+      } finally { setIsGenerating(false); }
+    }, 250);
+  };
+
+  if (error) {
+    return <div className="text-red-600 p-4 bg-red-100 rounded-lg m-4">Initialization Error: {error}</div>;
+  }
+  if (!isAuthReady) {
+    return (
+      <div className="flex justify-center items-center h-screen">
+        <Loader2 className="w-8 h-8" style={{ color: COLORS.NAVY_BLUE }} />
+        <span className="ml-2 font-semibold" style={{ color: COLORS.NAVY_BLUE }}>Authenticating and Initializing...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 md:p-8 print:p-0 min-h-screen" style={{ backgroundColor: COLORS.WHITE, fontFamily: 'Inter, sans-serif' }}>
+      <header className="flex flex-col md:flex-row justify-between items-center pb-6 border-b-4 mb-6 print:hidden" style={{ borderColor: COLORS.NAVY_BLUE }}>
+        <div className="flex items-center space-x-4">
+          <img src="https://res.cloudinary.com/df5od6eln/image/upload/v1760535162/TGGP_logo_2_doknd6.png" alt="The Girls' Game Plan Logo" className="w-16 h-16 rounded-full shadow-lg" />
+          <h1 className="text-4xl font-extrabold" style={{ color: COLORS.NAVY_BLUE }}>The Girls' Game Planner</h1> 
+        </div>
+        <div className="flex items-center space-x-3">
+          <SyncStatus isOnline={isOnline} pendingWrites={pendingWrites} syncError={syncError} />
+          {!isTierLoading && <SubscriptionBadge tier={subscriptionTier} />}
+          <AccountMenu account={account} notice={accountNotice} onCreateAccount={createAccount} onSignIn={signIn} onSendLink={sendSignInLink} onSignOut={signOut} />
+        </div>
+      </header>
+
+      {account && account.isAnonymous && (
+        <p className="text-sm font-medium mb-6 p-3 rounded-lg print:hidden" style={{ backgroundColor: COLORS.SKY_BLUE, color: COLORS.NAVY_BLUE }}>
+          <User className="inline w-4 h-4 mr-1 align-sub" /> You're using a guest account. Create an account from the menu above so your squads aren't lost if this browser's data is cleared.
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 print:hidden">
+        <div className="lg:col-span-1 space-y-6">
+          <TeamWorkspaces teams={teams} workspaceId={teamId} userId={userId} inviteCodes={inviteCodes} onSelectWorkspace={handleSelectWorkspace} onCreateTeam={handleCreateTeam}
+            onJoinTeam={handleJoinTeam} onNewInviteCode={handleNewInviteCode} onChangeRole={handleChangeMemberRole} onRemoveMember={handleRemoveMember} isLoading={isTeamsLoading} />
+
+          <div className="p-6 rounded-xl shadow-2xl" style={{ backgroundColor: COLORS.NAVY_BLUE, color: COLORS.WHITE }}>
+            <h2 className="text-2xl font-bold mb-4 flex items-center"><Settings className="w-6 h-6 mr-2" /> Match Setup</h2>
+
+            <div className="space-y-4">
+              <RulePresets customPresets={customPresets} onApplyPreset={handleApplyPreset} onSavePreset={handleSavePreset}
+                onDeletePreset={handleDeletePreset} canSave={can('rulePresets')} isLoading={isPresetsLoading} />
+
+              <label className="block">Game Format (XvX)</label>
+              <select value={settings.gameFormat} onChange={(e) => setSettings(p => switchGameFormat(p, e.target.value))}
+                className="w-full p-2 rounded-lg text-lg font-semibold" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}>
+                {Object.keys(FORMATIONS).map(f => <option key={f} value={f}>{f}</option>)}
+              </select>
+
+              <label className="block pt-2">Match Duration (min)</label>
+              <input type="number" min={1} value={settings.matchDuration} disabled={settings.matchPeriods === 'Custom'}
+                onChange={(e) => { const val = e.target.value; setSettings(p => ({ ...p, matchDuration: val === '' ? 0 : parseInt(val, 10) })); }}
+                className="w-full p-2 rounded-lg text-lg font-semibold disabled:bg-gray-200 disabled:cursor-not-allowed"
+                style={{ backgroundColor: settings.matchPeriods === 'Custom' ? undefined : COLORS.WHITE, color: COLORS.NAVY_BLUE }} />
+              <p className="text-xs text-white/70 mt-1">
+                {settings.matchPeriods === 'Custom' ? 'Custom periods: the duration is the total of the period lengths.' : `FA guideline for ${settings.gameFormat}: ${MATCH_DURATIONS[settings.gameFormat]} min.`}
+              </p>
+
+              <label className="block pt-2">Match Periods</label>
+              <select value={settings.matchPeriods}
+                onChange={(e) => {
+                  const matchPeriods = e.target.value;
+                  // Custom starts from the current split so the coach only edits what differs
+                  setSettings(p => matchPeriods === 'Custom' ? { ...p, matchPeriods, periodLengths: getPeriodLengths(p) } : { ...p, matchPeriods, periodLengths: [] });
+                }}
+                className="w-full p-2 rounded-lg text-lg font-semibold" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}>
+                {Object.keys(PERIOD_STRUCTURES).map(name => <option key={name} value={name}>{name}</option>)}
+                <option value="Custom">Custom lengths</option>
+              </select>
+              {settings.matchPeriods === 'Custom' ? (
+                <PeriodLengthsEditor periodLengths={settings.periodLengths}
+                  onChange={(periodLengths) => setSettings(p => ({ ...p, periodLengths, matchDuration: periodLengths.reduce((sum, length) => sum + length, 0) }))} />
+              ) : (
+                <p className="text-xs text-white/70 mt-1">{describePeriods(getMatchPeriods(settings))}</p>
+              )}
+
+              <label className="flex items-center pt-2">
+                <input type="checkbox" checked={!!settings.drinksBreak} onChange={(e) => setSettings(p => ({ ...p, drinksBreak: e.target.checked }))} className="mr-2" />
+                Drinks break halfway through each period
+              </label>
+
+              <label className="block pt-2">Substitutions</label>
+              <div className="flex space-x-4">
+                <label className="flex items-center">
+                  <input type="radio" checked={settings.subRule !== 'stoppage'}
+                    onChange={() => setSettings(p => ({ ...p, subRule: 'rolling' }))} className="mr-2" /> Roll-on (any time)
+                </label>
+                <label className="flex items-center">
+                  <input type="radio" checked={settings.subRule === 'stoppage'}
+                    onChange={() => setSettings(p => ({ ...p, subRule: 'stoppage' }))} className="mr-2" /> Stoppages only
+                </label>
+              </div>
+              {settings.subRule === 'stoppage' && (
+                <p className="text-xs text-white/70 mt-1">Subs and keeper changes happen at period breaks{settings.drinksBreak ? ' and drinks breaks' : ''}.</p>
+              )}
+
+              <label className="block pt-2">Squad Size</label>
+              <input type="number" min={outfieldSpots + (settings.isPermanentGK ? 1 : 0)} value={settings.squadSize}
+                onChange={(e) => {
+                  const val = e.target.value;
+                  setSettings(p => ({ ...p, squadSize: val === '' ? 0 : Number(val) })); /* FIX: accepts 8 */
+                }}
+                className="w-full p-2 rounded-lg text-lg font-semibold" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }} />
+
+              <label className="block pt-2">Matchday Squad Limit</label>
+              <input type="number" min={1} placeholder="No limit" value={settings.maxSquad || ''}
+                onChange={(e) => { const val = e.target.value; setSettings(p => ({ ...p, maxSquad: val === '' ? null : parseInt(val, 10) })); }}
+                className="w-full p-2 rounded-lg text-lg font-semibold" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }} />
+              {settings.maxSquad > 0 && settings.squadSize > settings.maxSquad && (
+                <p className="text-xs mt-1" style={{ color: COLORS.ORANGE }}>The rules allow {settings.maxSquad} players on the day; mark the rest as unavailable.</p>
+              )}
+
+              <label className="block pt-2">Goalkeeper Rotation</label>
+              <div className="flex space-x-4">
+                <label className="flex items-center">
+                  <input type="radio" checked={settings.isPermanentGK}
+                    onChange={() => setSettings(p => ({ ...p, isPermanentGK: true, gkRotation: false }))} className="mr-2" /> Permanent GK
+                </label>
+                <label className="flex items-center">
+                  <input type="radio" checked={!settings.isPermanentGK}
+                    onChange={() => setSettings(p => ({ ...p, isPermanentGK: false, gkRotation: true }))} className="mr-2" /> Rotating GK
+                </label>
+              </div>
+              {!settings.isPermanentGK && (
+                <div className="pt-2">
+                  <label className="block">Change Keeper Every</label>
+                  <div className="flex space-x-4">
+                    <label className="flex items-center">
+                      <input type="radio" checked={settings.gkRotateEvery !== 'Quarter' && settings.gkRotateEvery !== 'Period'}
+                        onChange={() => setSettings(p => ({ ...p, gkRotateEvery: 'Half' }))} className="mr-2" /> Half
+                    </label>
+                    <label className="flex items-center">
+                      <input type="radio" checked={settings.gkRotateEvery === 'Quarter'}
+                        onChange={() => setSettings(p => ({ ...p, gkRotateEvery: 'Quarter' }))} className="mr-2" /> Quarter
+                    </label>
+                    <label className="flex items-center">
+                      <input type="radio" checked={settings.gkRotateEvery === 'Period'}
+                        onChange={() => setSettings(p => ({ ...p, gkRotateEvery: 'Period' }))} className="mr-2" /> Period
+                    </label>
+                  </div>
+                  <p className="text-xs text-white/70 mt-1">Tick "GK" for each player willing to go in goal. Keepers take turns in roster order, starting with the player picked to start in goal.</p>
+                </div>
+              )}
+
+              <label className="block pt-2">Formation (Outfield Players)</label>
+              <select value={settings.selectedFormation} onChange={(e) => setSettings(p => ({ ...p, selectedFormation: e.target.value }))}
+                className="w-full p-2 rounded-lg text-lg font-semibold" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}>
+                {formationsAvailable.map(f => <option key={f.name} value={f.name}>{f.name}</option>)}
+              </select>
+            </div>
+          </div>
+
+          {maxSquads > 0 && (
+            <div className="p-6 rounded-xl shadow-lg border" style={{ borderColor: COLORS.NAVY_BLUE }}>
+              <h3 className="text-xl font-bold mb-4 flex items-center" style={{ color: COLORS.NAVY_BLUE }}>
+                <Save className="w-5 h-5 mr-2" style={{ color: COLORS.NAVY_BLUE }} /> Squad Management
+              </h3>
+              <p className="text-sm mb-4" style={{ color: COLORS.NAVY_BLUE }}>
+                {maxSquads === Infinity ? 'Unlimited Squad Saves' : `Save up to ${maxSquads} Squads`} (Current: {savedSquads.length})
+              </p>
+              <input type="text" placeholder="Squad name, e.g. U10 Saturday" value={squadName} onChange={(e) => setSquadName(e.target.value)}
+                className="w-full p-2 mb-2 border rounded-lg text-sm" style={{ color: COLORS.NAVY_BLUE }} />
+              <p className="text-xs mb-2 text-gray-500">Saves the players and the match settings (format, formation, GK, periods and subs).</p>
+              <div className="flex flex-wrap gap-2">
+                <Button onClick={() => handleSaveSquad()} disabled={isSavingLoading || !squadName.trim() || isSquadLimitReached} color={COLORS.SKY_BLUE}>
+                  {isSavingLoading ? <Loader2 className="w-5 h-5 mr-2" /> : 'Save as New'}
+                </Button>
+                {loadedSquadId && savedSquads.some(s => s.id === loadedSquadId) && (
+                  <Button onClick={() => handleSaveSquad(loadedSquadId)} disabled={isSavingLoading || !squadName.trim()} color={COLORS.ORANGE}>Update Loaded Squad</Button>
+                )}
+              </div>
+              <div className="mt-4 space-y-2 max-h-48 overflow-y-auto custom-scrollbar">
+                {savedSquads.map(squad => (
+                  <div key={squad.id} className={`flex justify-between items-center p-2 rounded-lg ${squad.id === loadedSquadId ? 'border-2' : 'border'}`}
+                    style={{ borderColor: squad.id === loadedSquadId ? COLORS.ORANGE : COLORS.SKY_BLUE }}>
+                    <span className="text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>
+                      {squad.name} ({squad.data.length} players{squad.settings.gameFormat ? `, ${squad.settings.gameFormat} ${squad.settings.selectedFormation}` : ''})
+                    </span>
+                    <div className="flex space-x-1">
+                      <button onClick={() => handleLoadSavedSquad(squad)} className="text-xs px-2 py-1 rounded-full text-white" style={{ backgroundColor: COLORS.ORANGE }}>Load</button>
+                      <button onClick={() => handleDeleteSquad(squad.id)} className="text-xs px-2 py-1 rounded-full text-white bg-red-500">Del</button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {can('playerProfiles') && (
+            <PlayerProfiles profiles={profiles} rosterIds={activePlayers.map(p => p.id)} isRosterFull={activePlayers.length >= players.length}
+              onSaveProfile={handleSaveProfile} onDeleteProfile={handleDeleteProfile} onAddToRoster={handleAddProfileToRoster} isLoading={isProfilesLoading} />
+          )}
+
+          {can('fixtures') && (
+            <FixtureCalendar fixtures={fixtures} squads={savedSquads} onSaveFixture={handleSaveFixture}
+              onDeleteFixture={handleDeleteFixture} onOpenFixture={handleOpenFixture} customFormations={settings.customFormations} isLoading={isFixturesLoading} />
+          )}
+
+          {can('customFormations') && (
+            <FormationEditor gameFormat={settings.gameFormat} customFormations={settings.customFormations}
+              onSaveFormation={handleSaveFormation} onDeleteFormation={handleDeleteFormation} isLoading={isFormationsLoading} />
+          )}
+        </div>
+
+        <div className="lg:col-span-2 space-y-6">
+          <div className="p-6 rounded-xl shadow-2xl bg-white">
+            <h2 className="text-2xl font-bold mb-4 flex items-center" style={{ color: COLORS.NAVY_BLUE }}><User className="w-6 h-6 mr-2" /> Player Roster</h2>
+            {activeFixture && (
+              <p className="text-sm font-semibold mb-2 p-2 rounded-lg" style={{ backgroundColor: COLORS.SKY_BLUE, color: COLORS.NAVY_BLUE }}>
+                {activeFixture.venue === 'Home' ? 'vs' : '@'} {activeFixture.opponent} | {new Date(`${activeFixture.date}T00:00`).toLocaleDateString()} {activeFixture.kickOff}
+              </p>
+            )}
+            <div className="max-h-96 overflow-y-auto custom-scrollbar">
+              {displayedPlayers.map((player, index) => (
+                <PlayerInputRow key={player.id} player={player} index={index} settings={settings} setPlayers={setPlayers} can={can} />
+              ))}
+            </div>
+            <RosterImport players={players} onImport={handleImportPlayers} onRestoreBackup={handleRestoreBackup} onExportBackup={handleExportBackup} />
+          </div>
+
+          <div className="p-6 rounded-xl shadow-lg bg-white border" style={{ borderColor: COLORS.SKY_BLUE }}>
+            <h3 className="text-xl font-bold mb-4" style={{ color: COLORS.NAVY_BLUE }}>Plan Options</h3>
+            
+            <div className="flex space-x-4 mb-6">
+                <div className={`p-4 rounded-lg flex-1 shadow-md border ${settings.planType === 'Automatic' ? 'border-2' : 'border'}`} style={{ borderColor: settings.planType === 'Automatic' ? COLORS.ORANGE : COLORS.NAVY_BLUE }}>
+                    <label className="flex items-center font-bold w-full" style={{ color: COLORS.NAVY_BLUE }}>
+                        <input type="radio" checked={settings.planType === 'Automatic'} onChange={() => setSettings(p => ({ ...p, planType: 'Automatic' }))} className="mr-3" /> 
+                        Automatic (Equal Minutes)
+                    </label>
+                </div>
+                <div className={`p-4 rounded-lg flex-1 shadow-md border ${can('manualPlans') ? '' : 'opacity-50 cursor-not-allowed'}`} style={{ borderColor: settings.planType === 'Manual' ? COLORS.ORANGE : COLORS.NAVY_BLUE }}>
+                    <label className="flex items-center font-bold w-full" style={{ color: COLORS.NAVY_BLUE }}>
+                        <input type="radio" checked={settings.planType === 'Manual'} onChange={() => can('manualPlans') && setSettings(p => ({ ...p, planType: 'Manual' }))} className="mr-3" disabled={!can('manualPlans')} /> 
+                        Manual Plan {can('manualPlans') ? '' : '(Premiership Only)'}
+                    </label>
+                </div>
+            </div>
+
+            {settings.planType === 'Automatic' && (
+              <div className="sub-control-block grid grid-cols-3 gap-4">
+                <p className={`col-span-3 text-sm font-semibold mb-2 ${can('subControls') ? 'text-gray-700' : 'text-orange-500'}`}>
+                  {can('subControls') ? 'Substitution Frequency (Premiership)' : 'Upgrade to Premiership for Sub Control'}
+                </p>
+                {settings.subRule === 'stoppage' && <p className="col-span-3 text-xs text-gray-500">Stoppage subs: the interval and first sub time are not used.</p>}
+                <div>
+                  <label className="block text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>Interval (min)</label>
+                  <select value={settings.subInterval} onChange={(e) => setSettings(p => ({ ...p, subInterval: parseInt(e.target.value, 10) }))}
+                    className="w-full p-2 rounded-lg text-sm" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}
+                    disabled={!can('subControls')}>
+                    {[5, 8, 10, 15].map(v => <option key={v} value={v}>{v}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>First Sub (min)</label>
+                  <select value={settings.firstSubTime} onChange={(e) => setSettings(p => ({ ...p, firstSubTime: parseInt(e.target.value, 10) }))}
+                    className="w-full p-2 rounded-lg text-sm" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}
+                    disabled={!can('subControls')}>
+                    {[5, 8, 10, 15].map(v => <option key={v} value={v}>{v}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>Max Subs (#)</label>
+                  <select value={settings.maxSubs} onChange={(e) => setSettings(p => ({ ...p, maxSubs: parseInt(e.target.value, 10) }))}
+                    className="w-full p-2 rounded-lg text-sm" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}
+                    disabled={!can('subControls')}>
+                    {[1, 2, 3, 4].map(v => <option key={v} value={v}>{v}</option>)}
+                  </select>
+                </div>
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>Rotation</label>
+                  <select value={settings.rotationSolver} onChange={(e) => setSettings(p => ({ ...p, rotationSolver: e.target.value }))}
+                    className="w-full p-2 rounded-lg text-sm" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}
+                    disabled={!can('subControls')}>
+                    <option value="greedy">Quick (one sub window at a time)</option>
+                    <option value="optimise">Optimised (searches for exact minutes)</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>Max Bench (min)</label>
+                  <select value={settings.maxBenchSpell || ''}
+                    onChange={(e) => setSettings(p => ({ ...p, maxBenchSpell: e.target.value === '' ? null : parseInt(e.target.value, 10) }))}
+                    className="w-full p-2 rounded-lg text-sm" style={{ backgroundColor: COLORS.WHITE, color: COLORS.NAVY_BLUE }}
+                    disabled={!can('subControls') || settings.rotationSolver !== 'optimise'}>
+                    <option value="">No limit</option>
+                    {[10, 15, 20, 25].map(v => <option key={v} value={v}>{v}</option>)}
+                  </select>
+                </div>
+              </div>
+            )}
+
+            {settings.planType === 'Automatic' && can('customFormations') && (
+              <FormationChangesEditor settings={settings} formations={formationsAvailable}
+                onChange={(formationChanges) => setSettings(p => ({ ...p, formationChanges }))} />
+            )}
+
+            {can('seasonLedger') && (
+              <div className="flex flex-wrap items-center justify-between gap-2 mt-4">
+                <label className="flex items-center text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>
+                  <input type="checkbox" checked={settings.balanceSeason} disabled={seasonMatches.length === 0}
+                    onChange={(e) => setSettings(p => ({ ...p, balanceSeason: e.target.checked }))} className="mr-2" />
+                  Balance the season: extra minutes and GK turns for players behind
+                  {seasonMatches.length === 0 && <span className="ml-1 text-gray-500">(no saved matches yet)</span>}
+                </label>
+                <button onClick={handlePickSeasonStarters} disabled={seasonMatches.length === 0}
+                  className="text-xs px-3 py-1 rounded-full text-white disabled:opacity-50" style={{ backgroundColor: COLORS.NAVY_BLUE }}>
+                  Pick Starters From Season
+                </button>
+                <label className="flex items-center text-sm font-medium" style={{ color: COLORS.NAVY_BLUE }}>
+                  <input type="checkbox" checked={settings.positionDiversity} disabled={seasonMatches.length === 0}
+                    onChange={(e) => setSettings(p => ({ ...p, positionDiversity: e.target.checked }))} className="mr-2" />
+                  Position diversity: steer players towards lines they haven't played in their last {DIVERSITY_RECENT_MATCHES} matches
+                </label>
+              </div>
+            )}
+
+            {settings.planType === 'Manual' && can('manualPlans') && (
+              <ManualPlanBuilder settings={settings} players={displayedPlayers} season={seasonWeighting} manualSubs={manualSubs} setManualSubs={setManualSubs} />
+            )}
+            
+            <Button onClick={handleGeneratePlan} disabled={isGenerating} color={COLORS.ORANGE} className="mt-6 w-full">
+              {isGenerating ? <Loader2 className="w-5 h-5 mr-2" /> : <Play className="w-5 h-5 mr-2" />}
+              {isGenerating ? 'Generating...' : 'Generate Match Plan'}
+            </Button>
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-8 print:hidden">
+        <h2 className="text-3xl font-bold mb-4" style={{ color: COLORS.NAVY_BLUE }}>Match Plan Output</h2>
+
+        {isLiveMatch && matchPlan && (
+            <LiveMatchPanel plan={matchPlan} settings={settings} players={plannerPlayers} season={seasonWeighting}
+                fixture={activeFixture} matchEvents={matchEvents} setMatchEvents={setMatchEvents}
+                onReplan={(plan) => { setMatchPlan(plan); setPlanCandidates(null); }}
+                onSaveResult={can('seasonLedger') && !isViewOnly ? handleSaveMatchRecord : null} onExit={() => setIsLiveMatch(false)} />
+        )}
+
+        {planCandidates && matchPlan && !isLiveMatch && (
+            <PlanComparison candidates={planCandidates} selected={matchPlan.candidate}
+                onSelect={(candidate) => setMatchPlan(candidate.plan)} />
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          <div className="p-6 rounded-xl shadow-xl bg-gray-50">
+            <h3 className="text-xl font-bold mb-4 border-b pb-2" style={{ color: COLORS.NAVY_BLUE, borderColor: COLORS.SKY_BLUE }}>Substitution Schedule</h3>
+            <pre className="whitespace-pre-wrap font-mono text-sm leading-relaxed" style={{ color: COLORS.NAVY_BLUE }}>
+              {planText || 'Press "Generate Match Plan" to see the schedule here.'}
+            </pre>
+             {matchPlan && (
+                <div className="mt-4 flex flex-wrap gap-2">
+                    <Button onClick={() => handleDownloadPlan(matchPlan)} color={COLORS.NAVY_BLUE}>
+                        <Download className="w-5 h-5 mr-2"/> Download CSV
+                    </Button>
+                    <Button onClick={() => setPrintSize('full')} color={COLORS.NAVY_BLUE}>
+                        <Printer className="w-5 h-5 mr-2"/> Print Match Card
+                    </Button>
+                    <Button onClick={() => setPrintSize('pocket')} color={COLORS.SKY_BLUE}>
+                        <Printer className="w-5 h-5 mr-2"/> Pocket Card
+                    </Button>
+                    {!isLiveMatch && (
+                        <Button onClick={() => setIsLiveMatch(true)} color={COLORS.ORANGE}>
+                            <Play className="w-5 h-5 mr-2"/> Start Match
+                        </Button>
+                    )}
+                </div>
+             )}
+          </div>
+
+          <div className="p-6 rounded-xl shadow-xl bg-white">
+            <h3 className="text-xl font-bold mb-4 border-b pb-2 flex justify-between items-center" style={{ color: COLORS.NAVY_BLUE, borderColor: COLORS.SKY_BLUE }}>
+              {matchPlan ? 'Live Formation Visual' : 'Starting Lineup'}
+              {matchPlan && !isLiveMatch && (
+                <button onClick={() => showPlanError('')} className="text-sm font-semibold underline" style={{ color: COLORS.ORANGE }}>Edit Starting Lineup</button>
+              )}
+            </h3>
+
+            {settings.selectedFormation && matchPlan && can('matchTimeline') && (
+              <MatchReplay plan={matchPlan} settings={settings} roster={displayedPlayers} />
+            )}
+            {settings.selectedFormation && matchPlan && !can('matchTimeline') && (
+              <>
+                <PositionVisualizer settings={settings} lineups={matchLineups} currentLineupIndex={0} roster={displayedPlayers} />
+                {matchLineups.length > 1 && (
+                  <p className="mt-3 text-sm font-semibold flex items-center" style={{ color: COLORS.GOLD }}>
+                    <Star className="w-4 h-4 mr-1" /> Upgrade to Premiership to replay the whole match, subs and minutes included.
+                  </p>
+                )}
+              </>
+            )}
+            {settings.selectedFormation && !matchPlan && (
+              <LineupEditor settings={settings} players={displayedPlayers} setPlayers={setPlayers} onGenerate={handleGeneratePlan} isGenerating={isGenerating} />
+            )}
+          </div>
+        </div>
+
+        {matchPlan && !isLiveMatch && (
+          <div className="p-6 rounded-xl shadow-xl bg-white mt-8">
+            <h3 className="text-xl font-bold mb-4 border-b pb-2" style={{ color: COLORS.NAVY_BLUE, borderColor: COLORS.SKY_BLUE }}>Match Events & Report</h3>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+              <MatchEventLog plan={matchPlan} events={matchEvents} setEvents={setMatchEvents} />
+              <MatchReport record={buildMatchRecord(matchPlan, null, matchEvents, activeFixture)} />
+            </div>
+          </div>
+        )}
+
+        {can('seasonLedger') && (
+          <SeasonReport season={seasonTotals} matches={seasonMatches} onDeleteMatch={handleDeleteMatchRecord} isLoading={isSeasonLoading} />
+        )}
+        {can('seasonLedger') && <PlayerDevelopment season={seasonTotals} matches={seasonMatches} />}
+      </div>
+
+      {/* Print view: only the match card is printed */}
+      {printSize && matchPlan && (
+        <div className="hidden print:block">
+          <MatchCard plan={matchPlan} fixture={activeFixture} customFormations={settings.customFormations} size={printSize} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+ReactDOM.render(<App />, document.getElementById('root'));
@@ -0,0 +1,184 @@
+import {
+  calculateEqualMinutes, generateAutomaticPlan, optimiseAutomaticPlan, generatePlanCandidates, analysePlanFairness,
+} from '../TheGirlsGamePlanner';
+
+// Match settings as the app keeps them, before the fields each case sets
+const BASE_SETTINGS = {
+  customFormations: [],
+  formationChanges: [],
+  periodLengths: [],
+  drinksBreak: false,
+  subRule: 'rolling',
+  maxSquad: null,
+  maxBenchSpell: null,
+  rotationSolver: 'greedy',
+  isPermanentGK: true,
+  gkRotateEvery: 'Half',
+  matchPeriods: 'Halves',
+  subInterval: 5,
+  firstSubTime: 5,
+  maxSubs: 2,
+};
+
+const CASES = [
+  ['9v9 halves, permanent GK', { gameFormat: '9v9', matchDuration: 60, selectedFormation: '3-3-2', subInterval: 10, firstSubTime: 10 }, 12],
+  ['7v7 halves, rotating GK, one sub a window', { gameFormat: '7v7', matchDuration: 50, selectedFormation: '2-3-1', isPermanentGK: false, subInterval: 8, maxSubs: 1 }, 11],
+  ['5v5 quarters, GK every quarter', { gameFormat: '5v5', matchDuration: 40, selectedFormation: '2-1-1', isPermanentGK: false, gkRotateEvery: 'Period', matchPeriods: 'Quarters' }, 8],
+  ['7v7 stoppage subs with drinks breaks', { gameFormat: '7v7', matchDuration: 50, selectedFormation: '2-3-1', subRule: 'stoppage', drinksBreak: true }, 10],
+];
+
+// The solver's iterations are fixed and its time budget lifted, so it finds the same plan however fast the machine is
+const SOLVER_OPTIONS = { timeBudgetMs: Infinity, maxIterations: 2000, seed: 7 };
+
+const POSITIONS = ['GK', 'CD', 'CD', 'CM', 'CM', 'CM', 'ST', 'ST'];
+
+const makePlayers = (count) => Array.from({ length: count }, (_, i) => ({
+  id: `p${i}`,
+  name: `Player ${i}`,
+  role: i === 0 ? 'GK' : 'Outfield',
+  preferredPosition: i === 0 ? '' : POSITIONS[i % POSITIONS.length],
+  secondaryPosition: '',
+  neverPosition: '',
+  manualMinutes: null,
+  canPlayGK: i < 3,
+}));
+
+const setUp = (settings, count) => {
+  const matchSettings = { ...BASE_SETTINGS, ...settings };
+  return [matchSettings, calculateEqualMinutes(matchSettings, makePlayers(count))];
+};
+
+// Every slot (the GK's included) is filled for the whole match
+const expectMinutesToAddUp = (plan) => {
+  const slots = plan.lineups[0].slots.length + 1;
+  const played = plan.players.reduce((sum, p) => sum + p.minutesPlayed, 0);
+  expect(played).toBe(slots * plan.matchDuration);
+};
+
+// Subs at each window, the period breaks included, all before the final whistle
+const expectSubsWithinLimit = (plan, maxSubs) => {
+  const subsAt = new Map();
+  plan.events
+    .filter(e => e.type === 'sub')
+    .forEach(e => subsAt.set(e.minute, (subsAt.get(e.minute) || 0) + 1));
+  subsAt.forEach((count, minute) => {
+    expect(minute).toBeLessThan(plan.matchDuration);
+    expect(count).toBeLessThanOrEqual(maxSubs);
+  });
+};
+
+describe('calculateEqualMinutes', () => {
+  test('season catch-up keeps the match total when a heavy-minutes player would go past the final whistle', () => {
+    const settings = { ...BASE_SETTINGS, gameFormat: '11v11', matchDuration: 70, selectedFormation: '4-4-2' };
+    const players = makePlayers(12);
+    // The front of the roster is furthest behind on the season, p1 and the back furthest ahead.
+    // Everyone's equal share is already 63 or 64 of the 70 minutes.
+    const season = players.map((p, i) => ({ id: p.id, minutesBehind: i === 1 ? -40 : 40 - i * 8 }));
+    const outfieldMinutes = (list) => list.filter(p => p.role !== 'GK').reduce((sum, p) => sum + p.minutes, 0);
+
+    const balanced = calculateEqualMinutes(settings, players, season);
+    expect(outfieldMinutes(balanced)).toBe(outfieldMinutes(calculateEqualMinutes(settings, players)));
+    expect(Math.max(...balanced.map(p => p.minutes))).toBe(settings.matchDuration);
+    expect(balanced.find(p => p.id === 'p1').minutes).toBeLessThan(63);
+  });
+});
+
+describe('generateAutomaticPlan', () => {
+  test.each(CASES)('%s: minutes add up and subs stay within the limit', (label, settings, count) => {
+    const [matchSettings, players] = setUp(settings, count);
+    const plan = generateAutomaticPlan(matchSettings, players);
+    expect(plan.issues).toEqual([]);
+    expectMinutesToAddUp(plan);
+    expectSubsWithinLimit(plan, matchSettings.maxSubs);
+  });
+
+  test.each(CASES)('%s: the same plan on every run', (label, settings, count) => {
+    const [matchSettings, players] = setUp(settings, count);
+    expect(generateAutomaticPlan(matchSettings, players)).toEqual(generateAutomaticPlan(matchSettings, players));
+  });
+
+  test('a re-plan with nobody in goal puts a keeper back in, or says there is none', () => {
+    const [matchSettings, players] = setUp(CASES[1][1], CASES[1][2]);
+    const plan = generateAutomaticPlan(matchSettings, players);
+    const { formation, positions, slots } = plan.lineups[0];
+    const resume = {
+      plan, fromMinute: 3, lineup: { keeperId: null, slots, formation, positions },
+      minutesPlayed: Object.fromEntries(slots.map(id => [id, 3])), keeperMinutes: {}, periodUnderway: true,
+    };
+    const replan = (unavailable) => generateAutomaticPlan(matchSettings, players, {
+      resume, availability: unavailable.map(p => ({ playerId: p.id, minute: 3, available: false })),
+    });
+
+    expect(replan([]).lineups.filter(l => l.minute >= 3).every(l => l.keeperId)).toBe(true);
+    expect(replan(players).issues).toContain('No goalkeeper available; the team plays without one until someone can go in goal.');
+  });
+});
+
+describe('optimiseAutomaticPlan', () => {
+  test.each(CASES)('%s: minutes add up and subs stay within the limit', (label, settings, count) => {
+    const [matchSettings, players] = setUp(settings, count);
+    const plan = optimiseAutomaticPlan(matchSettings, players, SOLVER_OPTIONS);
+    expect(plan.solver).toBe('optimise');
+    expect(plan.issues).toEqual([]);
+    expectMinutesToAddUp(plan);
+    expectSubsWithinLimit(plan, matchSettings.maxSubs);
+  });
+
+  test.each(CASES)('%s: the same plan for the same seed', (label, settings, count) => {
+    const [matchSettings, players] = setUp(settings, count);
+    expect(optimiseAutomaticPlan(matchSettings, players, SOLVER_OPTIONS))
+      .toEqual(optimiseAutomaticPlan(matchSettings, players, SOLVER_OPTIONS));
+  });
+
+  test('is never further off target than the greedy plan it starts from', () => {
+    const [matchSettings, players] = setUp(CASES[0][1], CASES[0][2]);
+    const greedy = analysePlanFairness(generateAutomaticPlan(matchSettings, players));
+    const optimised = analysePlanFairness(optimiseAutomaticPlan(matchSettings, players, SOLVER_OPTIONS));
+    expect(optimised.minutesOff).toBeLessThanOrEqual(greedy.minutesOff);
+  });
+
+  test('splits bench spells to keep them within maxBenchSpell', () => {
+    const settings = { gameFormat: '7v7', matchDuration: 50, selectedFormation: '2-3-1' };
+    const options = { ...SOLVER_OPTIONS, maxIterations: 5000, seed: 8 };
+    const [unlimited, players] = setUp(settings, 9);
+    const limited = { ...unlimited, maxBenchSpell: 10 };
+
+    // Left to itself the solver benches someone for longer than that
+    expect(analysePlanFairness(optimiseAutomaticPlan(unlimited, players, options)).longestBench).toBeGreaterThan(10);
+
+    const plan = optimiseAutomaticPlan(limited, players, options);
+    expect(analysePlanFairness(plan).longestBench).toBeLessThanOrEqual(10);
+    expectMinutesToAddUp(plan);
+    expectSubsWithinLimit(plan, limited.maxSubs);
+  });
+});
+
+describe('the starting lineup', () => {
+  // The LineupEditor's lineup comes from roster order: here the outfield players from the back of the roster
+  test.each([
+    ['generateAutomaticPlan', (settings, players) => generateAutomaticPlan(settings, players)],
+    ['optimiseAutomaticPlan', (settings, players) => optimiseAutomaticPlan(settings, players, SOLVER_OPTIONS)],
+  ])('%s kicks off with the lineup editor\'s starters', (label, plan) => {
+    const [matchSettings, players] = setUp(CASES[0][1], CASES[0][2]);
+    const roster = [players[0], ...players.slice(1).reverse()];
+    const starters = roster.slice(1, 9).map(p => p.id);
+    expect(plan(matchSettings, roster).lineups[0].slots).toEqual(starters);
+  });
+});
+
+describe('generatePlanCandidates', () => {
+  test.each(['greedy', 'optimise'])('with the %s solver: every candidate adds up, the same on every run', (rotationSolver) => {
+    const [matchSettings, players] = setUp({ ...CASES[0][1], rotationSolver }, CASES[0][2]);
+    const options = { ...SOLVER_OPTIONS, maxIterations: 500 };
+    const candidates = generatePlanCandidates(matchSettings, players, options);
+
+    expect(candidates.length).toBeGreaterThan(0);
+    expect(candidates[0].name).toBe('Your settings');
+    candidates.forEach(({ plan, fairness }) => {
+      expectMinutesToAddUp(plan);
+      expect(fairness).toEqual(analysePlanFairness(plan));
+    });
+    expectSubsWithinLimit(candidates[0].plan, matchSettings.maxSubs);
+    expect(generatePlanCandidates(matchSettings, players, options)).toEqual(candidates);
+  });
+});
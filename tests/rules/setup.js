@@ -0,0 +1,38 @@
+// Shared set-up for the security rules specs, which run against the Firestore emulator:
+//
+//   npm run test:rules
+//
+// That starts the emulator with the Firebase CLI (firebase emulators:exec), which needs
+// Java. The project and app id are the webhook stub's, so tiers it sets apply here.
+
+import fs from 'fs';
+import path from 'path';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { projectId, appId } from '../../scripts/payment-webhook-stub';
+
+export const startTestEnvironment = () => initializeTestEnvironment({
+  projectId,
+  firestore: { rules: fs.readFileSync(path.join(__dirname, '..', '..', 'firestore.rules'), 'utf8') },
+});
+
+// Paths as getPrivatePath, getTeamPath and getInvitesPath in TheGirlsGamePlanner.jsx lay them out
+export const userPath = (userId) => `artifacts/${appId}/users/${userId}`;
+export const teamPath = (teamId) => `artifacts/${appId}/teams/${teamId}`;
+export const invitePath = (code) => `artifacts/${appId}/invites/${code}`;
+
+/**
+ * Saves a new squad with its usage count in one batch, as handleSaveSquad does.
+ * `count` is the number of saved squads after this one.
+ */
+export const saveSquad = (db, workspacePath, squadId, count, planType = 'Automatic') => {
+  const batch = db.batch();
+  batch.set(db.doc(`${workspacePath}/squads/${squadId}`), {
+    name: squadId, playerIds: [], manualMinutes: {}, settings: { planType }, createdAt: '', updatedAt: '',
+  });
+  batch.set(db.doc(`${workspacePath}/usage/squads`), { count, lastSquadId: squadId });
+  return batch.commit();
+};
+
+// A finished match for the season ledger
+export const saveMatch = (db, workspacePath, matchId) =>
+  db.doc(`${workspacePath}/matches/${matchId}`).set({ playedAt: '', gameFormat: '9v9', formation: '3-3-2', matchDuration: 60, players: [] });
@@ -0,0 +1,220 @@
+import firebase from 'firebase/compat/app';
+import 'firebase/compat/firestore';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { startTestEnvironment, userPath, teamPath, invitePath, saveSquad } from './setup';
+
+// Team workspaces in firestore.rules: who reads and writes a team's data, joining with
+// invite codes, and limits that follow the owner's tier.
+
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await startTestEnvironment();
+});
+
+afterAll(async () => {
+  if (testEnv) await testEnv.cleanup();
+});
+
+beforeEach(() => testEnv.clearFirestore());
+
+const as = (userId) => testEnv.authenticatedContext(userId).firestore();
+const team = teamPath('team1');
+const CODES = { editor: 'EDTR22', viewer: 'VWER33' };
+
+// The payment webhook's write, which the rules don't see
+const setTier = (userId, tier) => testEnv.withSecurityRulesDisabled(context =>
+  context.firestore().doc(`${userPath(userId)}/entitlements/subscription`).set({ tier }));
+
+// The team, its invite codes and their lookups in one batch, as handleCreateTeam writes them
+const createTeam = (db, ownerTier, extra = {}) => {
+  const batch = db.batch();
+  batch.set(db.doc(team), {
+    name: 'U12 Girls', ownerId: 'owner', ownerTier, members: { owner: 'owner' }, memberNames: { owner: 'owner@club.test' }, createdAt: '', ...extra,
+  });
+  Object.entries(CODES).forEach(([role, code]) => {
+    batch.set(db.doc(`${team}/inviteCodes/${role}`), { code });
+    batch.set(db.doc(invitePath(code)), { teamId: 'team1', teamName: 'U12 Girls', role, createdAt: '' });
+  });
+  return batch.commit();
+};
+
+// The code goes in joins/{uid} with the membership, as handleJoinTeam writes them
+const join = (userId, code, role) => {
+  const db = as(userId);
+  const batch = db.batch();
+  batch.set(db.doc(`${team}/joins/${userId}`), { code });
+  batch.update(db.doc(team), {
+    [`members.${userId}`]: role,
+    [`memberNames.${userId}`]: 'Guest',
+    joinedWith: firebase.firestore.FieldValue.delete(),
+  });
+  return batch.commit();
+};
+
+const leave = (userId) => as(userId).doc(team).update({
+  [`members.${userId}`]: firebase.firestore.FieldValue.delete(),
+  [`memberNames.${userId}`]: firebase.firestore.FieldValue.delete(),
+  joinedWith: firebase.firestore.FieldValue.delete(),
+});
+
+// A Championship team with an editor and a viewer, joining in the order given
+const setUpTeam = async (ownerTier = 'Championship', joinOrder = ['editor', 'viewer']) => {
+  await setTier('owner', ownerTier);
+  await assertSucceeds(createTeam(as('owner'), ownerTier));
+  for (const role of joinOrder) await assertSucceeds(join(role, CODES[role], role));
+};
+
+describe('team data', () => {
+  beforeEach(() => setUpTeam());
+
+  test('members read the team and its data; others do not', async () => {
+    await assertSucceeds(as('viewer').doc(team).get());
+    await assertSucceeds(as('viewer').doc(`${team}/players/player1`).get());
+    await assertFails(as('stranger').doc(team).get());
+    await assertFails(as('stranger').doc(`${team}/players/player1`).get());
+    await assertFails(as('stranger').doc(`${team}/squads/squad1`).get());
+    await assertFails(testEnv.unauthenticatedContext().firestore().doc(team).get());
+  });
+
+  test('editors write the team\'s data; viewers cannot', async () => {
+    await assertSucceeds(as('editor').doc(`${team}/players/player1`).set({ name: 'Amy' }));
+    await assertSucceeds(saveSquad(as('editor'), team, 'squad1', 1));
+    await assertFails(as('viewer').doc(`${team}/players/player2`).set({ name: 'Beth' }));
+    await assertFails(saveSquad(as('viewer'), team, 'squad2', 2));
+    await assertFails(as('viewer').doc(`${team}/players/player1`).delete());
+  });
+
+  test('only the owner changes roles', async () => {
+    await assertFails(as('editor').doc(team).update({ 'members.viewer': 'editor' }));
+    await assertFails(as('viewer').doc(team).update({ 'members.viewer': 'editor' }));
+    await assertSucceeds(as('owner').doc(team).update({ 'members.viewer': 'editor' }));
+  });
+});
+
+describe('joining', () => {
+  beforeEach(() => setUpTeam());
+
+  test('joins only at the invite code\'s role', async () => {
+    await assertFails(join('newcomer', CODES.viewer, 'editor'));
+    await assertFails(join('newcomer', CODES.viewer, 'owner'));
+    await assertSucceeds(join('newcomer', CODES.viewer, 'viewer'));
+  });
+
+  test('cannot change anyone else\'s membership while joining', async () => {
+    await assertFails(as('newcomer').doc(team).update({
+      'members.newcomer': 'viewer', 'memberNames.newcomer': 'Guest', 'members.viewer': 'editor', joinedWith: CODES.viewer,
+    }));
+  });
+
+  test('only the owner sees the invite codes', async () => {
+    await assertSucceeds(as('owner').doc(`${team}/inviteCodes/editor`).get());
+    await assertFails(as('editor').doc(`${team}/inviteCodes/editor`).get());
+    await assertFails(as('viewer').doc(`${team}/inviteCodes/editor`).get());
+    const teamData = (await as('viewer').doc(team).get()).data();
+    expect(teamData.inviteCodes).toBeUndefined();
+  });
+
+  test('a viewer cannot leave and come back as an editor', async () => {
+    await assertSucceeds(leave('viewer'));
+    await assertFails(join('viewer', CODES.viewer, 'editor'));
+    await assertSucceeds(join('viewer', CODES.viewer, 'viewer'));
+  });
+
+  test('joining with the code on the team document, as older versions did, does not work', async () => {
+    await assertFails(as('newcomer').doc(team).update({
+      'members.newcomer': 'viewer', 'memberNames.newcomer': 'Guest', joinedWith: CODES.viewer,
+    }));
+    await assertFails(as('owner').doc(team).update({ joinedWith: CODES.editor }));
+  });
+
+  test('nobody reads the codes members joined with', async () => {
+    await assertFails(as('viewer').doc(`${team}/joins/editor`).get());
+    await assertFails(as('owner').doc(`${team}/joins/editor`).get());
+    await assertFails(as('viewer').doc(`${team}/joins/editor`).set({ code: CODES.viewer }));
+  });
+
+  test('a code that is no longer the team\'s current one does not work', async () => {
+    await testEnv.withSecurityRulesDisabled(context =>
+      context.firestore().doc(invitePath('OLD999')).set({ teamId: 'team1', teamName: 'U12 Girls', role: 'editor', createdAt: '' }));
+    await assertFails(join('newcomer', 'OLD999', 'editor'));
+  });
+
+  test('only the owner makes codes for the team', async () => {
+    await assertFails(as('editor').doc(invitePath('MINE44')).set({ teamId: 'team1', teamName: 'U12 Girls', role: 'editor', createdAt: '' }));
+    await assertFails(as('editor').doc(`${team}/inviteCodes/editor`).set({ code: 'MINE44' }));
+  });
+
+  test('new teams keep their codes out of the team document', async () => {
+    await testEnv.clearFirestore();
+    await setTier('owner', 'Championship');
+    await assertFails(createTeam(as('owner'), 'Championship', { inviteCodes: CODES }));
+  });
+});
+
+describe('an editor joining after a viewer', () => {
+  beforeEach(() => setUpTeam('Championship', ['viewer', 'editor']));
+
+  test('leaves the viewer no way to the editor code, or back in as an editor', async () => {
+    const teamData = (await as('viewer').doc(team).get()).data();
+    expect(JSON.stringify(teamData)).not.toContain(CODES.editor);
+    await assertFails(as('viewer').doc(`${team}/joins/editor`).get());
+    await assertFails(as('viewer').doc(`${team}/inviteCodes/editor`).get());
+
+    await assertSucceeds(leave('viewer'));
+    await assertFails(join('viewer', CODES.viewer, 'editor'));
+    await assertSucceeds(join('viewer', CODES.viewer, 'viewer'));
+  });
+
+  test('a code left on the team by an older version has to go when a member leaves', async () => {
+    await testEnv.withSecurityRulesDisabled(context => context.firestore().doc(team).update({ joinedWith: CODES.editor }));
+    await assertFails(as('viewer').doc(team).update({
+      'members.viewer': firebase.firestore.FieldValue.delete(),
+      'memberNames.viewer': firebase.firestore.FieldValue.delete(),
+    }));
+    await assertSucceeds(leave('viewer'));
+    expect((await as('owner').doc(team).get()).data().joinedWith).toBeUndefined();
+  });
+});
+
+describe('squad limits follow the owner\'s tier', () => {
+  test('Basic: no squads', async () => {
+    await setUpTeam('Basic');
+    await assertFails(saveSquad(as('editor'), team, 'squad1', 1));
+  });
+
+  test('Championship: two squads', async () => {
+    await setUpTeam('Championship');
+    await assertSucceeds(saveSquad(as('editor'), team, 'squad1', 1));
+    await assertSucceeds(saveSquad(as('owner'), team, 'squad2', 2));
+    await assertFails(saveSquad(as('editor'), team, 'squad3', 3));
+  });
+
+  test('Premiership: no limit, whatever the editor\'s own tier', async () => {
+    await setUpTeam('Premiership');
+    await setTier('editor', 'Basic');
+    for (let count = 1; count <= 3; count++) {
+      await assertSucceeds(saveSquad(as('editor'), team, `squad${count}`, count));
+    }
+  });
+
+  test('the owner cannot claim a higher tier for the team', async () => {
+    await setUpTeam('Championship');
+    await assertFails(as('owner').doc(team).update({ ownerTier: 'Premiership' }));
+  });
+});
+
+describe('entitlements', () => {
+  beforeEach(() => setTier('coach', 'Championship'));
+
+  test('only the user reads their own', async () => {
+    await assertSucceeds(as('coach').doc(`${userPath('coach')}/entitlements/subscription`).get());
+    await assertFails(as('stranger').doc(`${userPath('coach')}/entitlements/subscription`).get());
+  });
+
+  test('nobody writes them but the payment webhook', async () => {
+    await assertFails(as('coach').doc(`${userPath('coach')}/entitlements/subscription`).set({ tier: 'Premiership' }));
+    await assertFails(as('coach').doc(`${userPath('coach')}/entitlements/subscription`).delete());
+    await assertFails(as('stranger').doc(`${userPath('coach')}/entitlements/subscription`).set({ tier: 'Basic' }));
+  });
+});
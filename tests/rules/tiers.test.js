@@ -0,0 +1,119 @@
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { createWebhookServer, secret } from '../../scripts/payment-webhook-stub';
+import { startTestEnvironment, userPath, saveSquad, saveMatch } from './setup';
+
+// The tier gating in firestore.rules, with each tier set the way the payment provider sets
+// it: through the webhook stub.
+
+let testEnv;
+let server;
+
+const sendWebhook = async (event) => {
+  const response = await fetch(`http://localhost:${server.address().port}/webhook`, {
+    method: 'POST',
+    headers: { 'X-Webhook-Secret': secret },
+    body: JSON.stringify(event),
+  });
+  expect(response.status).toBe(200);
+};
+
+const setTier = (userId, tier) => sendWebhook(tier === 'Basic'
+  ? { type: 'subscription.cancelled', userId }
+  : { type: 'subscription.updated', userId, tier });
+
+beforeAll(async () => {
+  testEnv = await startTestEnvironment();
+  server = createWebhookServer();
+  await new Promise(resolve => server.listen(0, resolve));
+});
+
+afterAll(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  if (testEnv) await testEnv.cleanup();
+});
+
+beforeEach(() => testEnv.clearFirestore());
+
+const coach = () => testEnv.authenticatedContext('coach').firestore();
+const workspace = userPath('coach');
+
+describe('Basic', () => {
+  beforeEach(() => setTier('coach', 'Basic'));
+
+  test('cannot save squads', async () => {
+    await assertFails(saveSquad(coach(), workspace, 'squad1', 1));
+  });
+
+  test('cannot save matches to the season ledger', async () => {
+    await assertFails(saveMatch(coach(), workspace, 'match1'));
+  });
+
+  test('cannot save players or fixtures', async () => {
+    await assertFails(coach().doc(`${workspace}/players/player1`).set({ name: 'Amy' }));
+    await assertFails(coach().doc(`${workspace}/fixtures/fixture1`).set({ opponent: 'Rovers' }));
+  });
+});
+
+describe('Championship', () => {
+  beforeEach(() => setTier('coach', 'Championship'));
+
+  test('saves up to two squads', async () => {
+    await assertSucceeds(saveSquad(coach(), workspace, 'squad1', 1));
+    await assertSucceeds(saveSquad(coach(), workspace, 'squad2', 2));
+    await assertFails(saveSquad(coach(), workspace, 'squad3', 3));
+  });
+
+  test('cannot get round the limit by leaving the count out', async () => {
+    await assertFails(coach().doc(`${workspace}/squads/squad1`).set({ name: 'squad1', settings: {} }));
+  });
+
+  test('cannot keep a Manual plan type in a squad template', async () => {
+    await assertFails(saveSquad(coach(), workspace, 'squad1', 1, 'Manual'));
+    await assertSucceeds(saveSquad(coach(), workspace, 'squad1', 1, 'Automatic'));
+    await assertFails(coach().doc(`${workspace}/squads/squad1`).update({ settings: { planType: 'Manual' } }));
+  });
+
+  test('cannot save matches to the season ledger', async () => {
+    await assertFails(saveMatch(coach(), workspace, 'match1'));
+  });
+
+  test('saves players and fixtures', async () => {
+    await assertSucceeds(coach().doc(`${workspace}/players/player1`).set({ name: 'Amy' }));
+    await assertSucceeds(coach().doc(`${workspace}/fixtures/fixture1`).set({ opponent: 'Rovers' }));
+  });
+});
+
+describe('Premiership', () => {
+  beforeEach(() => setTier('coach', 'Premiership'));
+
+  test('saves squads with no limit', async () => {
+    for (let count = 1; count <= 4; count++) {
+      await assertSucceeds(saveSquad(coach(), workspace, `squad${count}`, count));
+    }
+  });
+
+  test('keeps a Manual plan type in a squad template', async () => {
+    await assertSucceeds(saveSquad(coach(), workspace, 'squad1', 1, 'Manual'));
+  });
+
+  test('saves matches to the season ledger', async () => {
+    await assertSucceeds(saveMatch(coach(), workspace, 'match1'));
+  });
+});
+
+describe('changing tier', () => {
+  test('a cancelled subscription is gated again, but can still delete what it saved', async () => {
+    await setTier('coach', 'Premiership');
+    await assertSucceeds(saveSquad(coach(), workspace, 'squad1', 1, 'Manual'));
+    await assertSucceeds(saveMatch(coach(), workspace, 'match1'));
+
+    await setTier('coach', 'Basic');
+    await assertFails(saveMatch(coach(), workspace, 'match2'));
+    await assertFails(saveSquad(coach(), workspace, 'squad2', 2));
+    await assertSucceeds(coach().doc(`${workspace}/matches/match1`).delete());
+  });
+
+  test('the user cannot set their own tier', async () => {
+    await assertFails(coach().doc(`${workspace}/entitlements/subscription`).set({ tier: 'Premiership' }));
+  });
+});